@@ -1,5 +1,18 @@
 import { connectToDatabase } from '../config/database.js'
 import { ObjectId } from 'mongodb'
+import { INQUIRY_STATUSES, getTransitionError } from '../utils/inquiryStateMachine.js'
+import { releaseSlot } from '../models/slotLock.js'
+import { findAdminById, listAdmins, setAutoAssign } from '../models/admin.js'
+import { countUnreadInquiryMessages, deleteInquiryMessages } from '../models/inquiryMessage.js'
+import { deleteFileFromCloudinary } from '../middleware/upload.js'
+import { buildInquiryQuery } from '../utils/inquiryQuery.js'
+import { assignInquiry, isAssignableAdmin, OPEN_INQUIRY_STATUSES, ASSIGNABLE_ROLES } from '../utils/inquiryAssignment.js'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
+import { removeUnusedContact } from '../utils/contacts.js'
+import { deleteQuotes } from '../models/quote.js'
+import { attachInquiryLabels } from '../models/inquiryLabel.js'
+import { getInquiryDocuments, deleteInquiryDocumentFile } from '../utils/inquiryDocuments.js'
+import { buildAdminNote, normalizeNoteText, resolveMentions, notifyNoteMentions } from '../utils/inquiryNotes.js'
 
 /**
  * Get all inquiries (admin) with filtering, pagination, and search
@@ -10,73 +23,21 @@ export const getAdminInquiries = async (req, res, next) => {
     const { 
       page = 1, 
       limit = 25, 
-      q = '', 
-      status = '', 
-      clientType = '',
-      service = '',
-      paymentStatus = '',
-      dateFrom = '',
-      dateTo = '',
       sort = 'createdAt',
       order = 'desc'
     } = req.query
 
-    const { db } = await connectToDatabase()
-    const collection = db.collection('inquiries')
-
-    // Build query
-    const query = {}
-
-    // Search query (name, email, phone)
-    if (q && q.trim()) {
-      query.$or = [
-        { firstName: { $regex: q.trim(), $options: 'i' } },
-        { lastName: { $regex: q.trim(), $options: 'i' } },
-        { email: { $regex: q.trim(), $options: 'i' } },
-        { phone: { $regex: q.trim(), $options: 'i' } }
-      ]
-    }
-
-    // Status filter
-    if (status && status !== 'all') {
-      query.status = status
-    }
-
-    // Client type filter
-    if (clientType && clientType !== 'all') {
-      query.clientType = clientType
-    }
-
-    // Service filter (check if service is in selectedServices array)
-    if (service && service.trim()) {
-      query.selectedServices = { $in: [service.trim()] }
-    }
-
-    // Payment status filter
-    if (paymentStatus && paymentStatus !== 'all') {
-      if (paymentStatus === 'none') {
-        query.$or = [
-          { paymentStatus: { $exists: false } },
-          { paymentStatus: null },
-          { paymentStatus: '' }
-        ]
-      } else {
-        query.paymentStatus = paymentStatus
-      }
+    // Filters: q, status, clientType, service, paymentStatus, dateFrom, dateTo, assignee, label
+    const { query, error } = buildInquiryQuery(req.query, { adminId: req.admin?.id })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
     }
 
-    // Date range filter (createdAt)
-    if (dateFrom || dateTo) {
-      query.createdAt = {}
-      if (dateFrom) {
-        query.createdAt.$gte = new Date(dateFrom)
-      }
-      if (dateTo) {
-        const endDate = new Date(dateTo)
-        endDate.setHours(23, 59, 59, 999) // End of day
-        query.createdAt.$lte = endDate
-      }
-    }
+    const { db } = await connectToDatabase()
+    const collection = db.collection('inquiries')
 
     // Pagination
     const pageNum = parseInt(page, 10) || 1
@@ -98,6 +59,15 @@ export const getAdminInquiries = async (req, res, next) => {
       .limit(limitNum)
       .toArray()
 
+    // Client messages no admin has read yet
+    const unreadCounts = await countUnreadInquiryMessages(inquiries.map(inquiry => inquiry._id), 'admin')
+    for (const inquiry of inquiries) {
+      inquiry.unreadMessages = unreadCounts.get(inquiry._id.toString()) || 0
+    }
+
+    // Labels with their current name and color
+    await attachInquiryLabels(inquiries)
+
     // Get unique values for filters using aggregation
     let statuses = []
     let services = []
@@ -171,6 +141,12 @@ export const getAdminInquiryById = async (req, res, next) => {
       })
     }
 
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    await attachInquiryLabels([inquiry])
+
     res.status(200).json({
       success: true,
       data: inquiry
@@ -196,23 +172,10 @@ export const updateAdminInquiryStatus = async (req, res, next) => {
       })
     }
 
-    // Validate status
-    const validStatuses = [
-      'draft',
-      'submitted',
-      'reviewed',
-      'consultation_pending_payment',
-      'payment_pending',
-      'paid',
-      'invoice_finalized',
-      'completed',
-      'cancelled'
-    ]
-
-    if (status && !validStatuses.includes(status)) {
+    if (status && !INQUIRY_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: `Invalid status. Must be one of: ${INQUIRY_STATUSES.join(', ')}`
       })
     }
 
@@ -228,6 +191,21 @@ export const updateAdminInquiryStatus = async (req, res, next) => {
       })
     }
 
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    if (status) {
+      const stateError = getTransitionError(inquiry, status, 'admin')
+      if (stateError) {
+        return res.status(409).json({
+          success: false,
+          code: stateError.code,
+          message: stateError.message
+        })
+      }
+    }
+
     const updateData = {
       updatedAt: new Date()
     }
@@ -235,6 +213,11 @@ export const updateAdminInquiryStatus = async (req, res, next) => {
     if (status) {
       updateData.status = status
       
+      // Calendars replace the consultation entry when its sequence increases
+      if (status === 'cancelled' && inquiry.status !== 'cancelled') {
+        updateData.calendarSequence = (inquiry.calendarSequence || 0) + 1
+      }
+      
       // Set reviewedAt if status changed to reviewed
       if (status === 'reviewed' && inquiry.status !== 'reviewed') {
         updateData.reviewedAt = new Date()
@@ -245,43 +228,48 @@ export const updateAdminInquiryStatus = async (req, res, next) => {
       }
     }
 
-    // Update admin notes
-    if (adminNote !== undefined) {
-      // Initialize adminNotes array if it doesn't exist
-      const currentNotes = inquiry.adminNotes || []
-      if (adminNote && adminNote.trim()) {
-        // Add new note
-        const newNote = {
-          text: adminNote.trim(),
-          author: {
-            id: req.admin?.id || null,
-            email: req.admin?.email || null
-          },
-          createdAt: new Date()
-        }
-        updateData.adminNotes = [...currentNotes, newNote]
-      } else {
-        // Keep existing notes
-        updateData.adminNotes = currentNotes
+    // An adminNote adds a note, as POST /:id/notes does
+    let note = null
+    if (typeof adminNote === 'string' && adminNote.trim()) {
+      const { text, error } = normalizeNoteText(adminNote)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        })
       }
+
+      const author = { id: req.admin?.id || null, email: req.admin?.email || null }
+      note = buildAdminNote(text, author, await resolveMentions(text, author))
     }
 
+    // Only apply if nobody changed the status since the transition was checked
     const result = await db.collection('inquiries').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
+      { _id: new ObjectId(id), status: inquiry.status },
+      { $set: updateData, ...(note ? { $push: { adminNotes: note } } : {}) }
     )
 
     if (result.matchedCount === 0) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Inquiry not found'
+        code: 'INQUIRY_CONFLICT',
+        message: 'This inquiry was updated in the meantime. Please reload and try again.'
       })
     }
 
+    // A cancelled consultation frees its slot
+    if (status === 'cancelled' && inquiry.status !== 'cancelled') {
+      await releaseSlot(inquiry._id, { includeBooked: true })
+    }
+
     const updatedInquiry = await db.collection('inquiries').findOne({
       _id: new ObjectId(id)
     })
 
+    if (note) {
+      await notifyNoteMentions(updatedInquiry, note, note.mentions)
+    }
+
     res.status(200).json({
       success: true,
       message: 'Inquiry status updated successfully',
@@ -314,23 +302,10 @@ export const bulkUpdateAdminInquiryStatus = async (req, res, next) => {
       })
     }
 
-    // Validate status
-    const validStatuses = [
-      'draft',
-      'submitted',
-      'reviewed',
-      'consultation_pending_payment',
-      'payment_pending',
-      'paid',
-      'invoice_finalized',
-      'completed',
-      'cancelled'
-    ]
-
-    if (!validStatuses.includes(status)) {
+    if (!INQUIRY_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: `Invalid status. Must be one of: ${INQUIRY_STATUSES.join(', ')}`
       })
     }
 
@@ -347,6 +322,27 @@ export const bulkUpdateAdminInquiryStatus = async (req, res, next) => {
     }
 
     const { db } = await connectToDatabase()
+    // Merged inquiries cannot change status
+    const inquiries = await db.collection('inquiries')
+      .find({ _id: { $in: objectIds }, mergedInto: { $exists: false } })
+      .toArray()
+
+    // Each inquiry must be allowed to move to the new status from its own current status
+    const rejected = []
+    const filters = []
+    for (const inquiry of inquiries) {
+      const stateError = getTransitionError(inquiry, status, 'admin')
+      if (stateError) {
+        rejected.push({
+          id: inquiry._id.toString(),
+          status: inquiry.status,
+          code: stateError.code,
+          message: stateError.message
+        })
+      } else {
+        filters.push({ _id: inquiry._id, status: inquiry.status })
+      }
+    }
 
     const updateData = {
       status,
@@ -362,17 +358,29 @@ export const bulkUpdateAdminInquiryStatus = async (req, res, next) => {
       }
     }
 
-    const result = await db.collection('inquiries').updateMany(
-      { _id: { $in: objectIds } },
-      { $set: updateData }
-    )
+    const result = filters.length > 0
+      ? await db.collection('inquiries').updateMany(
+        { $or: filters },
+        {
+          $set: updateData,
+          ...(status === 'cancelled' ? { $inc: { calendarSequence: 1 } } : {})
+        }
+      )
+      : { matchedCount: 0, modifiedCount: 0 }
+
+    if (status === 'cancelled') {
+      for (const filter of filters) {
+        await releaseSlot(filter._id, { includeBooked: true })
+      }
+    }
 
     res.status(200).json({
       success: true,
       message: `Updated ${result.modifiedCount} inquiry/inquiries`,
       data: {
         matchedCount: result.matchedCount,
-        modifiedCount: result.modifiedCount
+        modifiedCount: result.modifiedCount,
+        rejected
       }
     })
   } catch (error) {
@@ -381,12 +389,13 @@ export const bulkUpdateAdminInquiryStatus = async (req, res, next) => {
 }
 
 /**
- * Delete inquiry (admin)
- * DELETE /api/admin/inquiries/:id
+ * Assign an inquiry to an admin, reassign it, or unassign it (admin)
+ * PATCH /api/admin/inquiries/:id/assignee
  */
-export const deleteAdminInquiry = async (req, res, next) => {
+export const updateAdminInquiryAssignee = async (req, res, next) => {
   try {
     const { id } = req.params
+    const { assigneeId } = req.body
 
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -395,21 +404,74 @@ export const deleteAdminInquiry = async (req, res, next) => {
       })
     }
 
+    if (assigneeId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'assigneeId is required (null to unassign)'
+      })
+    }
+
+    let assignee = null
+    if (assigneeId !== null) {
+      assignee = await findAdminById(assigneeId === 'me' ? req.admin.id : assigneeId)
+      if (!assignee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        })
+      }
+
+      if (!isAssignableAdmin(assignee)) {
+        return res.status(400).json({
+          success: false,
+          message: `Inquiries can only be assigned to active admins with one of these roles: ${ASSIGNABLE_ROLES.join(', ')}`
+        })
+      }
+    }
+
     const { db } = await connectToDatabase()
-    const result = await db.collection('inquiries').deleteOne({
+    const inquiry = await db.collection('inquiries').findOne({
       _id: new ObjectId(id)
     })
 
-    if (result.deletedCount === 0) {
+    if (!inquiry) {
       return res.status(404).json({
         success: false,
         message: 'Inquiry not found'
       })
     }
 
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    if ((inquiry.assignedTo?.id || null) === (assignee ? assignee._id.toString() : null)) {
+      return res.status(200).json({
+        success: true,
+        message: assignee ? 'Inquiry is already assigned to this admin' : 'Inquiry is already unassigned',
+        data: inquiry
+      })
+    }
+
+    const updatedInquiry = await assignInquiry(db, inquiry, assignee, {
+      by: {
+        id: req.admin?.id || null,
+        email: req.admin?.email || null
+      }
+    })
+
+    if (!updatedInquiry) {
+      return res.status(409).json({
+        success: false,
+        code: 'INQUIRY_CONFLICT',
+        message: 'This inquiry was reassigned in the meantime. Please reload and try again.'
+      })
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Inquiry deleted successfully'
+      message: assignee ? 'Inquiry assigned successfully' : 'Inquiry unassigned successfully',
+      data: updatedInquiry
     })
   } catch (error) {
     next(error)
@@ -417,68 +479,177 @@ export const deleteAdminInquiry = async (req, res, next) => {
 }
 
 /**
- * Export inquiries to CSV (admin)
- * GET /api/admin/inquiries/export
+ * Open inquiries per admin, with the unassigned backlog (admin)
+ * GET /api/admin/inquiries/workload
  */
-export const exportAdminInquiries = async (req, res, next) => {
+export const getInquiryWorkload = async (req, res, next) => {
   try {
-    const { 
-      status = '',
-      clientType = '',
-      service = '',
-      paymentStatus = '',
-      dateFrom = '',
-      dateTo = ''
-    } = req.query
-
     const { db } = await connectToDatabase()
-    const collection = db.collection('inquiries')
-
-    // Build query (same as getAdminInquiries)
-    const query = {}
 
-    if (status && status !== 'all') {
-      query.status = status
+    const [counts, admins] = await Promise.all([
+      db.collection('inquiries').aggregate([
+        { $match: { status: { $in: OPEN_INQUIRY_STATUSES } } },
+        {
+          $group: {
+            _id: { assignee: { $ifNull: ['$assignedTo.id', null] }, status: '$status' },
+            count: { $sum: 1 },
+            oldest: { $min: '$createdAt' }
+          }
+        }
+      ]).toArray(),
+      listAdmins()
+    ])
+
+    // One entry per assignee, with the open count per status
+    const workload = new Map()
+    const getEntry = (assigneeId) => {
+      if (!workload.has(assigneeId)) {
+        workload.set(assigneeId, { open: 0, byStatus: {}, oldestOpenAt: null })
+      }
+      return workload.get(assigneeId)
+    }
+    for (const row of counts) {
+      const entry = getEntry(row._id.assignee)
+      entry.open += row.count
+      entry.byStatus[row._id.status] = row.count
+      if (row.oldest && (!entry.oldestOpenAt || row.oldest < entry.oldestOpenAt)) {
+        entry.oldestOpenAt = row.oldest
+      }
     }
 
-    if (clientType && clientType !== 'all') {
-      query.clientType = clientType
+    const adminIds = new Set(admins.map(admin => admin._id.toString()))
+    const data = admins
+      .filter(admin => isAssignableAdmin(admin) || workload.has(admin._id.toString()))
+      .map(admin => ({
+        admin: {
+          id: admin._id.toString(),
+          email: admin.email,
+          disabled: Boolean(admin.disabled),
+          autoAssign: Boolean(admin.autoAssign)
+        },
+        ...getEntry(admin._id.toString())
+      }))
+      .sort((a, b) => b.open - a.open)
+
+    // Inquiries still assigned to deleted admins
+    const orphaned = [...workload.keys()]
+      .filter(assigneeId => assigneeId !== null && !adminIds.has(assigneeId))
+      .reduce((total, assigneeId) => total + workload.get(assigneeId).open, 0)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admins: data,
+        unassigned: getEntry(null),
+        orphaned,
+        openStatuses: OPEN_INQUIRY_STATUSES
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Opt in or out of automatic assignment of new inquiries (current admin)
+ * PUT /api/admin/auth/auto-assign
+ */
+export const updateOwnAutoAssign = async (req, res, next) => {
+  try {
+    const { enabled } = req.body
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      })
     }
 
-    if (service && service.trim()) {
-      query.selectedServices = { $in: [service.trim()] }
+    const admin = await setAutoAssign(req.admin.id, enabled)
+
+    res.status(200).json({
+      success: true,
+      message: enabled
+        ? 'New inquiries will be assigned to you in turn'
+        : 'New inquiries will no longer be assigned to you automatically',
+      data: { autoAssign: Boolean(admin?.autoAssign) }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete inquiry (admin)
+ * DELETE /api/admin/inquiries/:id
+ */
+export const deleteAdminInquiry = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
     }
 
-    // Payment status filter
-    if (paymentStatus && paymentStatus !== 'all') {
-      if (paymentStatus === 'none') {
-        query.$or = [
-          { paymentStatus: { $exists: false } },
-          { paymentStatus: null },
-          { paymentStatus: '' }
-        ]
-      } else {
-        query.paymentStatus = paymentStatus
-      }
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOneAndDelete({
+      _id: new ObjectId(id)
+    })
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
     }
 
-    if (dateFrom || dateTo) {
-      query.createdAt = {}
-      if (dateFrom) {
-        query.createdAt.$gte = new Date(dateFrom)
-      }
-      if (dateTo) {
-        const endDate = new Date(dateTo)
-        endDate.setHours(23, 59, 59, 999)
-        query.createdAt.$lte = endDate
-      }
+    await releaseSlot(id, { includeBooked: true })
+    await removeUnusedContact(db, inquiry.contactId)
+
+    // The documents, the message thread, its attachments and the quotes go with the inquiry
+    await deleteQuotes(id)
+    const attachmentUrls = await deleteInquiryMessages(id)
+    await Promise.all([
+      ...getInquiryDocuments(inquiry).map(document => deleteInquiryDocumentFile(document)),
+      ...attachmentUrls.map(url => deleteFileFromCloudinary(url))
+    ])
+
+    res.status(200).json({
+      success: true,
+      message: 'Inquiry deleted successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Export inquiries to CSV (admin)
+ * GET /api/admin/inquiries/export
+ */
+export const exportAdminInquiries = async (req, res, next) => {
+  try {
+    // Same filters as getAdminInquiries
+    const { query, error } = buildInquiryQuery(req.query, { adminId: req.admin?.id })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
     }
 
+    const { db } = await connectToDatabase()
+    const collection = db.collection('inquiries')
+
     // Get all matching inquiries
     const inquiries = await collection
       .find(query)
       .sort({ createdAt: -1 })
       .toArray()
+    await attachInquiryLabels(inquiries)
 
     // Generate CSV
     const headers = [
@@ -496,6 +667,8 @@ export const exportAdminInquiries = async (req, res, next) => {
       'Status',
       'Payment Status',
       'Invoice Status',
+      'Assignee',
+      'Labels',
       'Stripe Customer ID',
       'Stripe Invoice ID',
       'Submitted At',
@@ -524,6 +697,8 @@ export const exportAdminInquiries = async (req, res, next) => {
         inquiry.status || '',
         inquiry.paymentStatus || '',
         inquiry.invoiceStatus || '',
+        inquiry.assignedTo?.email || '',
+        inquiry.labels.map(label => label.name).join('; '),
         inquiry.stripeCustomerId || '',
         inquiry.stripeInvoiceId || '',
         inquiry.submittedAt ? new Date(inquiry.submittedAt).toISOString() : '',
@@ -0,0 +1,218 @@
+import {
+  ADMIN_ROLES,
+  createAdmin,
+  findAdminByEmail
+} from '../models/admin.js'
+import {
+  createInvite,
+  listInvites,
+  findInviteById,
+  revokeInvite,
+  consumeInvite,
+  getInviteStatus,
+  toPublicInvite
+} from '../models/adminInvite.js'
+import { verifyInviteToken } from '../utils/jwt.js'
+import { validatePassword } from '../utils/passwordPolicy.js'
+import { sendMail } from '../utils/mailer.js'
+import { getFrontendUrl } from '../utils/frontendUrl.js'
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const INVITE_STATUSES = ['pending', 'accepted', 'revoked', 'expired']
+
+/**
+ * Get admin invites
+ * GET /api/admin/invites
+ */
+export const getAdminInvites = async (req, res, next) => {
+  try {
+    const { status = '' } = req.query
+
+    if (status && !INVITE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${INVITE_STATUSES.join(', ')}`
+      })
+    }
+
+    const invites = await listInvites({ status: status || undefined })
+
+    res.status(200).json({
+      success: true,
+      data: invites.map(toPublicInvite)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Invite an email address to become an admin
+ * Sends a single-use link; a previous pending invite for the same email is revoked
+ * POST /api/admin/invites
+ */
+export const createAdminInvite = async (req, res, next) => {
+  try {
+    const { email, role = 'viewer' } = req.body
+
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      })
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+      })
+    }
+
+    const existingAdmin = await findAdminByEmail(email.trim())
+    if (existingAdmin) {
+      return res.status(409).json({
+        success: false,
+        message: 'Admin with this email already exists'
+      })
+    }
+
+    const { token, invite } = await createInvite({
+      email: email.trim(),
+      role,
+      invitedBy: {
+        id: req.admin.id,
+        email: req.admin.email
+      }
+    })
+    const inviteUrl = `${getFrontendUrl()}/admin/accept-invite?token=${encodeURIComponent(token)}`
+
+    await sendMail({
+      to: invite.email,
+      subject: 'You have been invited to the admin dashboard',
+      text: [
+        `${req.admin.email} invited you to the admin dashboard as ${role}.`,
+        '',
+        `Choose your password: ${inviteUrl}`,
+        '',
+        `This link expires at ${invite.expiresAt.toISOString()} and can only be used once.`,
+        'If you were not expecting this invitation, you can ignore this email.'
+      ].join('\n')
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite sent',
+      data: toPublicInvite(invite)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Revoke a pending invite
+ * DELETE /api/admin/invites/:id
+ */
+export const revokeAdminInvite = async (req, res, next) => {
+  try {
+    const invite = await findInviteById(req.params.id)
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      })
+    }
+
+    const status = getInviteStatus(invite)
+    if (status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invite is already ${status}`
+      })
+    }
+
+    await revokeInvite(req.params.id, {
+      id: req.admin.id,
+      email: req.admin.email
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite revoked'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Accept an invite and create the admin account with the chosen password
+ * POST /api/admin/auth/accept-invite
+ */
+export const acceptInvite = async (req, res, next) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      })
+    }
+
+    let decoded
+    try {
+      decoded = verifyInviteToken(token)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+
+    // Check the password before consuming the invite so a rejected password does not burn the link
+    const policyError = validatePassword(password, { email: decoded.email })
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      })
+    }
+
+    const existingAdmin = await findAdminByEmail(decoded.email)
+    if (existingAdmin) {
+      return res.status(409).json({
+        success: false,
+        message: 'An admin account already exists for this email. Please log in.'
+      })
+    }
+
+    const invite = await consumeInvite(decoded.jti, token)
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invite link'
+      })
+    }
+
+    const admin = await createAdmin({
+      email: invite.email,
+      password,
+      role: invite.role
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created. You can now log in.',
+      data: {
+        id: admin._id.toString(),
+        email: admin.email,
+        role: admin.role
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,393 @@
+import {
+  ADMIN_ROLES,
+  createAdmin,
+  findAdminByEmail,
+  findAdminById,
+  listAdmins,
+  updateAdmin,
+  deleteAdmin,
+  countActiveOwners,
+  normalizeRole,
+  toPublicAdmin
+} from '../models/admin.js'
+import { revokeAllSessionsForAdmin } from '../models/adminSession.js'
+import { unlockLogin, listLoginEvents, listActiveLockouts } from '../models/loginThrottle.js'
+import { validatePassword } from '../utils/passwordPolicy.js'
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Check whether removing owner rights from this admin would leave no enabled owner
+ */
+async function isLastActiveOwner(admin) {
+  if (normalizeRole(admin.role) !== 'owner' || admin.disabled) {
+    return false
+  }
+  const owners = await countActiveOwners()
+  return owners <= 1
+}
+
+/**
+ * Get all admin users
+ * GET /api/admin/users
+ */
+export const getAdminUsers = async (req, res, next) => {
+  try {
+    const admins = await listAdmins()
+
+    res.status(200).json({
+      success: true,
+      data: admins.map(toPublicAdmin)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a single admin user by ID
+ * GET /api/admin/users/:id
+ */
+export const getAdminUserById = async (req, res, next) => {
+  try {
+    const admin = await findAdminById(req.params.id)
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toPublicAdmin(admin)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create an admin user
+ * POST /api/admin/users
+ */
+export const createAdminUser = async (req, res, next) => {
+  try {
+    const { email, password, role = 'viewer' } = req.body
+
+    if (typeof email !== 'string' || !emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      })
+    }
+
+    const policyError = validatePassword(password, { email })
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      })
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+      })
+    }
+
+    const existingAdmin = await findAdminByEmail(email.trim())
+    if (existingAdmin) {
+      return res.status(409).json({
+        success: false,
+        message: 'Admin with this email already exists'
+      })
+    }
+
+    const admin = await createAdmin({ email: email.trim(), password, role })
+    const createdAdmin = await findAdminById(admin._id.toString())
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: toPublicAdmin(createdAdmin)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update an admin user's email or role
+ * PATCH /api/admin/users/:id
+ */
+export const updateAdminUser = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { email, role } = req.body
+
+    const admin = await findAdminById(id)
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    const updates = {}
+
+    if (email !== undefined) {
+      if (typeof email !== 'string' || !emailRegex.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email format'
+        })
+      }
+
+      const existingAdmin = await findAdminByEmail(email.trim())
+      if (existingAdmin && !existingAdmin._id.equals(admin._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Admin with this email already exists'
+        })
+      }
+      updates.email = email.trim()
+    }
+
+    if (role !== undefined) {
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+        })
+      }
+
+      if (role !== 'owner') {
+        if (id === req.admin.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'You cannot change your own role'
+          })
+        }
+
+        if (await isLastActiveOwner(admin)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot demote the last active owner'
+          })
+        }
+      }
+      updates.role = role
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one field (email, role) must be provided for update'
+      })
+    }
+
+    const updatedAdmin = await updateAdmin(id, updates)
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: toPublicAdmin(updatedAdmin)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Disable an admin user (blocks login and existing tokens)
+ * PATCH /api/admin/users/:id/disable
+ */
+export const disableAdminUser = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      })
+    }
+
+    const admin = await findAdminById(id)
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot disable the last active owner'
+      })
+    }
+
+    const updatedAdmin = await updateAdmin(id, {
+      disabled: true,
+      disabledAt: new Date(),
+      disabledBy: {
+        id: req.admin.id,
+        email: req.admin.email
+      }
+    })
+    await revokeAllSessionsForAdmin(id, 'account_disabled')
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin disabled successfully',
+      data: toPublicAdmin(updatedAdmin)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Re-enable a disabled admin user
+ * PATCH /api/admin/users/:id/enable
+ */
+export const enableAdminUser = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const admin = await findAdminById(id)
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    const updatedAdmin = await updateAdmin(id, {
+      disabled: false,
+      disabledAt: null,
+      disabledBy: null
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin enabled successfully',
+      data: toPublicAdmin(updatedAdmin)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete an admin user
+ * DELETE /api/admin/users/:id
+ */
+export const deleteAdminUser = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      })
+    }
+
+    const admin = await findAdminById(id)
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active owner'
+      })
+    }
+
+    await deleteAdmin(id)
+    await revokeAllSessionsForAdmin(id, 'account_deleted')
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin deleted successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Unlock an admin account locked after too many failed logins
+ * PATCH /api/admin/users/:id/unlock
+ */
+export const unlockAdminUser = async (req, res, next) => {
+  try {
+    const admin = await findAdminById(req.params.id)
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    const unlocked = await unlockLogin(admin.email)
+
+    res.status(200).json({
+      success: true,
+      message: unlocked ? 'Admin account unlocked' : 'Admin account was not locked'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get recent login events and active lockouts
+ * Supports query params: ?email=&ip=&success=true|false&limit=
+ * GET /api/admin/users/login-events
+ */
+export const getLoginEvents = async (req, res, next) => {
+  try {
+    const { email = '', ip = '', success = '', limit = 100 } = req.query
+
+    if (typeof email !== 'string' || typeof ip !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'email and ip must be strings'
+      })
+    }
+
+    const limitNum = Math.min(parseInt(limit, 10) || 100, 500)
+    const successFilter = success === 'true' ? true : success === 'false' ? false : undefined
+
+    const [events, lockouts] = await Promise.all([
+      listLoginEvents({
+        email: email.trim() || undefined,
+        ip: ip.trim() || undefined,
+        success: successFilter,
+        limit: limitNum
+      }),
+      listActiveLockouts()
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        lockouts
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,140 @@
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  findApiKeyById,
+  revokeApiKey,
+  toPublicApiKey
+} from '../models/apiKey.js'
+
+/**
+ * Scopes each role may grant (a key can never do more than its creator)
+ */
+function grantableScopes(role) {
+  if (role === 'viewer') {
+    return API_KEY_SCOPES.filter(scope => scope.endsWith(':read'))
+  }
+  return API_KEY_SCOPES
+}
+
+/**
+ * Get API keys (owners see all keys, other admins see their own)
+ * GET /api/admin/api-keys
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await listApiKeys({
+      createdById: req.admin.role === 'owner' ? null : req.admin.id
+    })
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys.map(toPublicApiKey),
+      availableScopes: grantableScopes(req.admin.role)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create an API key
+ * The plain key is only returned in this response
+ * POST /api/admin/api-keys
+ */
+export const createAdminApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      })
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scopes array is required and must not be empty'
+      })
+    }
+
+    const allowedScopes = grantableScopes(req.admin.role)
+    const invalidScopes = scopes.filter(scope => !allowedScopes.includes(scope))
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid or unauthorized scope(s): ${invalidScopes.join(', ')}. Allowed: ${allowedScopes.join(', ')}`
+      })
+    }
+
+    let expiryDate = null
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt)
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry must be a valid date in the future'
+        })
+      }
+    }
+
+    const { key, apiKey } = await createApiKey({
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiryDate,
+      createdBy: {
+        id: req.admin.id,
+        email: req.admin.email
+      }
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...toPublicApiKey(apiKey),
+        key
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Revoke an API key (owners can revoke any key, other admins their own)
+ * DELETE /api/admin/api-keys/:id
+ */
+export const revokeAdminApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findApiKeyById(req.params.id)
+
+    if (!apiKey || (req.admin.role !== 'owner' && apiKey.createdBy.id !== req.admin.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      })
+    }
+
+    const revoked = await revokeApiKey(req.params.id, {
+      id: req.admin.id,
+      email: req.admin.email
+    })
+
+    if (!revoked) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
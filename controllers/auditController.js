@@ -0,0 +1,66 @@
+import { listAuditEntries } from '../models/auditLog.js'
+
+/**
+ * Get audit log entries with filtering and pagination
+ * GET /api/admin/audit
+ */
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      actorId = '',
+      actorEmail = '',
+      collection = '',
+      targetId = '',
+      action = '',
+      dateFrom = '',
+      dateTo = ''
+    } = req.query
+
+    const filters = { actorId, actorEmail, collection, targetId, action, dateFrom, dateTo }
+    const invalidFilter = Object.keys(filters).find(name => typeof filters[name] !== 'string')
+    if (invalidFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidFilter} must be a single value`
+      })
+    }
+
+    const pageNum = parseInt(page, 10) || 1
+    const limitNum = Math.min(parseInt(limit, 10) || 50, 200)
+
+    let endDate
+    if (dateTo) {
+      endDate = new Date(dateTo)
+      endDate.setHours(23, 59, 59, 999) // End of day
+    }
+
+    const { entries, total } = await listAuditEntries({
+      actorId: actorId.trim() || undefined,
+      actorEmail: actorEmail.trim() || undefined,
+      collection: collection.trim() || undefined,
+      targetId: targetId.trim() || undefined,
+      action: action.trim() || undefined,
+      dateFrom: dateFrom ? new Date(dateFrom) : undefined,
+      dateTo: endDate,
+      page: pageNum,
+      limit: limitNum
+    })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: entries,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
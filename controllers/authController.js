@@ -1,5 +1,46 @@
-import { findAdminByEmail, verifyPassword } from '../models/admin.js'
-import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../utils/jwt.js'
+import {
+  findAdminByEmail,
+  findAdminById,
+  verifyPassword,
+  needsPasswordRehash,
+  setAdminPassword,
+  createAdmin,
+  normalizeRole,
+  ADMIN_ROLES,
+  recordTwoFactorStep,
+  consumeRecoveryCode
+} from '../models/admin.js'
+import {
+  createSession,
+  findSessionById,
+  isSessionActive,
+  rotateSession,
+  revokeSession,
+  revokeAllSessionsForAdmin,
+  listActiveSessions
+} from '../models/adminSession.js'
+import { checkLoginThrottle, recordFailedLogin, recordSuccessfulLogin } from '../models/loginThrottle.js'
+import { createOidcLoginState, consumeOidcLoginState } from '../models/oidcLoginState.js'
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
+  getTokenExpiry
+} from '../utils/jwt.js'
+import { verifyTotp, normalizeRecoveryCode } from '../utils/totp.js'
+import {
+  getOidcConfig,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken
+} from '../utils/oidc.js'
+import { generateSecureToken, hashToken, tokenMatchesHash } from '../utils/tokens.js'
+import { getFrontendUrl } from '../utils/frontendUrl.js'
+import { ObjectId } from 'mongodb'
+import crypto from 'crypto'
 
 /**
  * Get cookie options based on environment
@@ -29,6 +70,29 @@ function getCookieOptions() {
   return options
 }
 
+/**
+ * Respond with 429 and Retry-After if the email or IP is throttled
+ * @returns {Promise<boolean>} True if the request was rejected
+ */
+async function rejectIfThrottled(req, res, email) {
+  const throttle = await checkLoginThrottle({ email, ip: req.ip })
+  if (!throttle.blocked) {
+    return false
+  }
+  
+  res.set('Retry-After', String(throttle.retryAfterSeconds))
+  res.status(429).json({
+    success: false,
+    message: throttle.locked
+      ? 'Too many failed login attempts. The account is temporarily locked.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    data: {
+      retryAfter: throttle.retryAfterSeconds
+    }
+  })
+  return true
+}
+
 /**
  * Admin login
  */
@@ -43,9 +107,21 @@ export const login = async (req, res, next) => {
       })
     }
     
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password must be strings'
+      })
+    }
+    
+    if (await rejectIfThrottled(req, res, email)) {
+      return
+    }
+    
     // Find admin
     const admin = await findAdminByEmail(email)
     if (!admin) {
+      await recordFailedLogin({ email, ip: req.ip, userAgent: req.get('user-agent'), reason: 'unknown_email' })
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -55,44 +131,241 @@ export const login = async (req, res, next) => {
     // Verify password
     const isPasswordValid = await verifyPassword(password, admin.password)
     if (!isPasswordValid) {
+      await recordFailedLogin({ email, ip: req.ip, userAgent: req.get('user-agent'), reason: 'invalid_password' })
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       })
     }
     
-    // Generate tokens
-    const tokenPayload = {
-      id: admin._id.toString(),
-      email: admin.email,
-      role: admin.role
+    if (admin.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'This admin account has been disabled'
+      })
     }
     
-    const accessToken = generateAccessToken(tokenPayload)
-    const refreshToken = generateRefreshToken(tokenPayload)
+    // Upgrade hashes created with an older bcrypt cost while we have the plain password
+    if (needsPasswordRehash(admin.password)) {
+      await setAdminPassword(admin._id.toString(), password, { changed: false })
+    }
     
-    // Get cookie options
-    const cookieOptions = getCookieOptions()
+    // With 2FA enabled, the password only unlocks the MFA verification step
+    if (admin.twoFactor?.enabled) {
+      const mfaToken = generateMfaToken({
+        id: admin._id.toString(),
+        email: admin.email
+      })
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken
+        }
+      })
+    }
     
-    // Set httpOnly cookies
-    res.cookie('accessToken', accessToken, {
-      ...cookieOptions,
-      maxAge: 15 * 60 * 1000 // 15 minutes
-    })
+    await recordSuccessfulLogin({ email: admin.email, ip: req.ip, userAgent: req.get('user-agent') })
+    await issueAuthTokens(req, res, admin, 'Login successful')
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Complete login with a TOTP code or a recovery code
+ * POST /api/admin/auth/login/mfa
+ */
+export const verifyMfaLogin = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body
+    
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA token and a verification code or recovery code are required'
+      })
+    }
     
-    res.cookie('refreshToken', refreshToken, cookieOptions)
+    let decoded
+    try {
+      decoded = verifyMfaToken(mfaToken)
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      })
+    }
+    
+    const admin = await findAdminById(decoded.id)
+    if (!admin || admin.disabled || !admin.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token. Please log in again.'
+      })
+    }
+    
+    if (await rejectIfThrottled(req, res, admin.email)) {
+      return
+    }
+    
+    let verified = false
+    if (code) {
+      const step = verifyTotp(admin.twoFactor.secret, code, {
+        lastUsedStep: admin.twoFactor.lastUsedStep ?? null
+      })
+      verified = step !== null && await recordTwoFactorStep(admin._id.toString(), step)
+    } else {
+      verified = await consumeRecoveryCode(admin, normalizeRecoveryCode(recoveryCode))
+    }
+    
+    if (!verified) {
+      await recordFailedLogin({ email: admin.email, ip: req.ip, userAgent: req.get('user-agent'), reason: 'invalid_mfa_code' })
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      })
+    }
+    
+    await recordSuccessfulLogin({ email: admin.email, ip: req.ip, userAgent: req.get('user-agent') })
+    await issueAuthTokens(req, res, admin, 'Login successful')
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Set the access and refresh token cookies
+ */
+function setAuthCookies(res, accessToken, refreshToken) {
+  // Get cookie options
+  const cookieOptions = getCookieOptions()
+  
+  // Set httpOnly cookies
+  res.cookie('accessToken', accessToken, {
+    ...cookieOptions,
+    maxAge: 15 * 60 * 1000 // 15 minutes
+  })
+  
+  res.cookie('refreshToken', refreshToken, cookieOptions)
+}
+
+/**
+ * Clear the access and refresh token cookies
+ */
+function clearAuthCookies(res) {
+  // Get cookie options to ensure proper clearing
+  const cookieOptions = getCookieOptions()
+  
+  // Clear cookies with same options used to set them
+  res.clearCookie('accessToken', cookieOptions)
+  res.clearCookie('refreshToken', cookieOptions)
+}
+
+/**
+ * Start a new session for an authenticated admin and set the httpOnly token cookies
+ * @returns {Promise<Object>} { tokenPayload, accessToken, refreshToken }
+ */
+async function startSession(req, res, admin) {
+  const sessionId = new ObjectId()
+  const tokenId = crypto.randomUUID()
+  
+  const tokenPayload = {
+    id: admin._id.toString(),
+    email: admin.email,
+    role: normalizeRole(admin.role),
+    sessionId: sessionId.toString()
+  }
+  
+  const accessToken = generateAccessToken(tokenPayload)
+  const refreshToken = generateRefreshToken({ ...tokenPayload, tokenId })
+  
+  await createSession({
+    _id: sessionId,
+    adminId: tokenPayload.id,
+    tokenId,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: getTokenExpiry(refreshToken)
+  })
+  
+  setAuthCookies(res, accessToken, refreshToken)
+  
+  return { tokenPayload, accessToken, refreshToken }
+}
+
+/**
+ * Issue access and refresh tokens for an authenticated admin
+ * Starts a new session, sets httpOnly cookies and returns the tokens in the response body
+ */
+async function issueAuthTokens(req, res, admin, message) {
+  const { tokenPayload, accessToken, refreshToken } = await startSession(req, res, admin)
+  
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      admin: {
+        id: tokenPayload.id,
+        email: tokenPayload.email,
+        role: tokenPayload.role
+      },
+      accessToken,
+      refreshToken
+    }
+  })
+}
+
+// Ties an SSO login to the browser that started it (holds a hash of the state parameter)
+const OIDC_STATE_COOKIE = 'oidcState'
+const OIDC_STATE_COOKIE_PATH = '/api/admin/auth/oidc'
+
+/**
+ * Options of the SSO state cookie
+ * SameSite lax: the cookie must come back with the provider's top-level redirect to the callback
+ */
+function getOidcStateCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: OIDC_STATE_COOKIE_PATH,
+    maxAge: 10 * 60 * 1000 // Same lifetime as the pending login state
+  }
+}
+
+/**
+ * Redirect the browser back to the admin login page with an SSO error code
+ */
+function redirectSsoError(res, code) {
+  res.redirect(`${getFrontendUrl()}/admin/login?error=${encodeURIComponent(code)}`)
+}
+
+/**
+ * Only allow returning to a path on the frontend (never to another host)
+ */
+function sanitizeReturnTo(returnTo) {
+  if (typeof returnTo !== 'string' || !returnTo.startsWith('/') || returnTo.startsWith('//')) {
+    return null
+  }
+  return returnTo
+}
+
+/**
+ * Single sign-on availability (used by the login page to show the SSO button)
+ * GET /api/admin/auth/oidc
+ */
+export const getOidcStatus = async (req, res, next) => {
+  try {
+    const config = getOidcConfig()
     
     res.status(200).json({
       success: true,
-      message: 'Login successful',
       data: {
-        admin: {
-          id: admin._id.toString(),
-          email: admin.email,
-          role: admin.role
-        },
-        accessToken,
-        refreshToken
+        enabled: Boolean(config),
+        providerName: config ? config.providerName : null
       }
     })
   } catch (error) {
@@ -100,17 +373,159 @@ export const login = async (req, res, next) => {
   }
 }
 
+/**
+ * Start an OIDC login: redirect to the identity provider
+ * GET /api/admin/auth/oidc/login
+ */
+export const oidcLogin = async (req, res, next) => {
+  try {
+    const config = getOidcConfig()
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      })
+    }
+    
+    const state = generateSecureToken()
+    const nonce = generateSecureToken()
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    
+    await createOidcLoginState({
+      state,
+      nonce,
+      codeVerifier,
+      returnTo: sanitizeReturnTo(req.query.returnTo),
+      ip: req.ip
+    })
+    
+    // The callback only accepts the state from the browser holding this cookie (login CSRF)
+    res.cookie(OIDC_STATE_COOKIE, hashToken(state), getOidcStateCookieOptions())
+    
+    const authorizationUrl = await buildAuthorizationUrl(config, {
+      state,
+      nonce,
+      codeChallenge,
+      loginHint: typeof req.query.loginHint === 'string' ? req.query.loginHint : undefined
+    })
+    
+    res.redirect(authorizationUrl)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * OIDC redirect endpoint: exchange the code, map the ID token to an admin and start a session
+ * Admins with local 2FA are sent to the login page's MFA step (mfaToken in the URL fragment)
+ * unless OIDC_TRUST_PROVIDER_MFA is set
+ * GET /api/admin/auth/oidc/callback
+ */
+export const oidcCallback = async (req, res, next) => {
+  try {
+    const config = getOidcConfig()
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      })
+    }
+    
+    const { code, state, error } = req.query
+    
+    const stateCookie = req.cookies?.[OIDC_STATE_COOKIE]
+    res.clearCookie(OIDC_STATE_COOKIE, { ...getOidcStateCookieOptions(), maxAge: undefined })
+    
+    const loginState = await consumeOidcLoginState(state)
+    if (!loginState || !tokenMatchesHash(state, stateCookie)) {
+      return redirectSsoError(res, 'sso_state_invalid')
+    }
+    
+    if (error || !code) {
+      return redirectSsoError(res, error === 'access_denied' ? 'sso_cancelled' : 'sso_failed')
+    }
+    
+    let claims
+    try {
+      const tokens = await exchangeAuthorizationCode(config, { code, codeVerifier: loginState.codeVerifier })
+      claims = await verifyIdToken(config, tokens.id_token, { nonce: loginState.nonce })
+    } catch (oidcError) {
+      console.error('OIDC login failed:', oidcError.message)
+      return redirectSsoError(res, 'sso_failed')
+    }
+    
+    const email = typeof claims[config.emailClaim] === 'string'
+      ? claims[config.emailClaim].trim().toLowerCase()
+      : null
+    if (!email || claims.email_verified === false) {
+      return redirectSsoError(res, 'sso_email_missing')
+    }
+    
+    if (config.allowedDomains.length > 0 && !config.allowedDomains.includes(email.split('@')[1])) {
+      return redirectSsoError(res, 'sso_domain_not_allowed')
+    }
+    
+    let admin = await findAdminByEmail(email)
+    if (!admin) {
+      if (!config.autoProvision || !ADMIN_ROLES.includes(config.defaultRole)) {
+        return redirectSsoError(res, 'sso_no_account')
+      }
+      
+      // SSO-only account: the random password is never shown, a password can be set later via reset
+      const created = await createAdmin({
+        email,
+        password: generateSecureToken(),
+        role: config.defaultRole
+      })
+      admin = await findAdminById(created._id.toString())
+    }
+    
+    if (admin.disabled) {
+      return redirectSsoError(res, 'account_disabled')
+    }
+    
+    // SSO replaces the password, not the second factor the admin enrolled
+    if (admin.twoFactor?.enabled && !config.trustProviderMfa) {
+      const mfaToken = generateMfaToken({
+        id: admin._id.toString(),
+        email: admin.email
+      })
+      const fragment = new URLSearchParams({ mfaToken })
+      if (loginState.returnTo) {
+        fragment.set('returnTo', loginState.returnTo)
+      }
+      return res.redirect(`${getFrontendUrl()}/admin/login#${fragment.toString()}`)
+    }
+    
+    await recordSuccessfulLogin({ email: admin.email, ip: req.ip, userAgent: req.get('user-agent') })
+    await startSession(req, res, admin)
+    
+    res.redirect(`${getFrontendUrl()}${loginState.returnTo || '/admin'}`)
+  } catch (error) {
+    next(error)
+  }
+}
+
 /**
  * Admin logout
+ * Revokes the current session so its refresh token can no longer be used
  */
 export const logout = async (req, res, next) => {
   try {
-    // Get cookie options to ensure proper clearing
-    const cookieOptions = getCookieOptions()
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken
     
-    // Clear cookies with same options used to set them
-    res.clearCookie('accessToken', cookieOptions)
-    res.clearCookie('refreshToken', cookieOptions)
+    if (refreshToken) {
+      try {
+        const decoded = verifyRefreshToken(refreshToken)
+        if (decoded.sid) {
+          await revokeSession(decoded.sid, 'logout')
+        }
+      } catch (error) {
+        // Expired or invalid token - nothing to revoke
+      }
+    }
+    
+    clearAuthCookies(res)
     
     res.status(200).json({
       success: true,
@@ -123,6 +538,7 @@ export const logout = async (req, res, next) => {
 
 /**
  * Refresh access token
+ * Rotates the refresh token; presenting an already-rotated token revokes the whole session
  */
 export const refreshToken = async (req, res, next) => {
   try {
@@ -136,38 +552,155 @@ export const refreshToken = async (req, res, next) => {
     }
     
     // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken)
+    let decoded
+    try {
+      decoded = verifyRefreshToken(refreshToken)
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message || 'Invalid refresh token'
+      })
+    }
     
-    // Generate new access token
-    const tokenPayload = {
-      id: decoded.id,
-      email: decoded.email,
-      role: decoded.role
+    const session = decoded.sid ? await findSessionById(decoded.sid) : null
+    if (!isSessionActive(session)) {
+      clearAuthCookies(res)
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.'
+      })
     }
     
-    const newAccessToken = generateAccessToken(tokenPayload)
+    const admin = await findAdminById(decoded.id)
+    if (!admin || admin.disabled) {
+      await revokeSession(decoded.sid, 'account_unavailable')
+      clearAuthCookies(res)
+      return res.status(401).json({
+        success: false,
+        message: 'Admin account not found'
+      })
+    }
     
-    // Get cookie options
-    const cookieOptions = getCookieOptions()
+    const tokenPayload = {
+      id: admin._id.toString(),
+      email: admin.email,
+      role: normalizeRole(admin.role),
+      sessionId: decoded.sid
+    }
+    const newTokenId = crypto.randomUUID()
+    const newRefreshToken = generateRefreshToken({ ...tokenPayload, tokenId: newTokenId })
     
-    // Set new access token cookie
-    res.cookie('accessToken', newAccessToken, {
-      ...cookieOptions,
-      maxAge: 15 * 60 * 1000 // 15 minutes
+    const rotated = await rotateSession(decoded.sid, decoded.jti, {
+      newTokenId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      expiresAt: getTokenExpiry(newRefreshToken)
     })
     
+    if (!rotated) {
+      // The token was valid but already rotated: it has been stolen or replayed
+      await revokeSession(decoded.sid, 'refresh_token_reuse')
+      console.warn('⚠️  Refresh token reuse detected, session revoked:', {
+        sessionId: decoded.sid,
+        adminId: decoded.id,
+        ip: req.ip
+      })
+      clearAuthCookies(res)
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked. Please log in again.'
+      })
+    }
+    
+    const newAccessToken = generateAccessToken(tokenPayload)
+    setAuthCookies(res, newAccessToken, newRefreshToken)
+    
     res.status(200).json({
       success: true,
       message: 'Token refreshed',
       data: {
-        accessToken: newAccessToken
+        accessToken: newAccessToken,
+        refreshToken: newRefreshToken
       }
     })
   } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: error.message || 'Invalid refresh token'
+    next(error)
+  }
+}
+
+/**
+ * List active sessions of the current admin
+ * GET /api/admin/auth/sessions
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.admin.id)
+    
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id.toString(),
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.admin.sessionId
+      }))
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Revoke one session of the current admin
+ * DELETE /api/admin/auth/sessions/:id
+ */
+export const revokeOwnSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'revoked_by_admin', req.admin.id)
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      })
+    }
+    
+    if (req.params.id === req.admin.sessionId) {
+      clearAuthCookies(res)
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Log out everywhere: revoke all sessions of the current admin
+ * POST /api/admin/auth/logout-all
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeAllSessionsForAdmin(req.admin.id, 'logout_all')
+    
+    clearAuthCookies(res)
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: revokedCount
+      }
     })
+  } catch (error) {
+    next(error)
   }
 }
 
@@ -2,6 +2,7 @@ import Stripe from 'stripe'
 import dotenv from 'dotenv'
 import { connectToDatabase } from '../config/database.js'
 import { ObjectId } from 'mongodb'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
 
 dotenv.config()
 
@@ -12,6 +13,7 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
 /**
  * Submit business billing information (post-payment)
  * This endpoint finalizes invoices after collecting business billing details
+ * The client token of the inquiry is checked by requireInquiryToken
  * POST /api/billing/business
  */
 export const submitBusinessBilling = async (req, res, next) => {
@@ -50,34 +52,34 @@ export const submitBusinessBilling = async (req, res, next) => {
 
     const { db } = await connectToDatabase()
 
-    // If inquiryId is provided, validate and update inquiry
-    let inquiry = null
-    if (inquiryId && ObjectId.isValid(inquiryId)) {
-      inquiry = await db.collection('inquiries').findOne({
-        _id: new ObjectId(inquiryId)
+    const inquiry = await db.collection('inquiries').findOne({
+      _id: new ObjectId(inquiryId)
+    })
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
       })
+    }
 
-      if (!inquiry) {
-        return res.status(404).json({
-          success: false,
-          message: 'Inquiry not found'
-        })
-      }
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
 
-      // Verify customer and invoice IDs match inquiry
-      if (inquiry.stripeCustomerId && inquiry.stripeCustomerId !== customerId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Customer ID mismatch'
-        })
-      }
+    // Verify customer and invoice IDs match inquiry
+    if (inquiry.stripeCustomerId && inquiry.stripeCustomerId !== customerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer ID mismatch'
+      })
+    }
 
-      if (inquiry.stripeInvoiceId && inquiry.stripeInvoiceId !== invoiceId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invoice ID mismatch'
-        })
-      }
+    if (inquiry.stripeInvoiceId && inquiry.stripeInvoiceId !== invoiceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice ID mismatch'
+      })
     }
 
     // Update Stripe customer with company name and address
@@ -144,20 +146,17 @@ export const submitBusinessBilling = async (req, res, next) => {
       })
     }
 
-    // Update inquiry if provided
-    if (inquiryId && ObjectId.isValid(inquiryId)) {
-      await db.collection('inquiries').updateOne(
-        { _id: new ObjectId(inquiryId) },
-        {
-          $set: {
-            invoiceStatus: 'finalized',
-            billingCollectedAt: new Date(),
-            updatedAt: new Date()
-          }
+    await db.collection('inquiries').updateOne(
+      { _id: inquiry._id },
+      {
+        $set: {
+          invoiceStatus: 'finalized',
+          billingCollectedAt: new Date(),
+          updatedAt: new Date()
         }
-      )
-      console.log('✅ Inquiry updated with billing info:', inquiryId)
-    }
+      }
+    )
+    console.log('✅ Inquiry updated with billing info:', inquiryId)
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,178 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { findAdminById, findAdminByCalendarFeedToken, setCalendarFeedToken } from '../models/admin.js'
+import { getAvailability } from '../models/consultationAvailability.js'
+import { generateSecureToken, hashToken } from '../utils/tokens.js'
+import { buildCalendar } from '../utils/ics.js'
+import {
+  getConsultationSchedule,
+  hasBookedConsultation,
+  buildConsultationEvent,
+  buildConsultationInvite
+} from '../utils/consultationCalendar.js'
+import { getZonedParts } from '../utils/timezone.js'
+
+// Consultations that ended less than this long ago stay in the feed
+const FEED_LOOKBACK_DAYS = 7
+
+function getFeedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+}
+
+function sendCalendar(res, content, filename = null) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8')
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  }
+  res.status(200).send(content)
+}
+
+/**
+ * Download the calendar invite of a paid consultation (admin)
+ * GET /api/admin/inquiries/:id/calendar.ics
+ */
+export const getInquiryCalendarInvite = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+    
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({
+      _id: new ObjectId(id)
+    })
+    
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+    
+    if (!hasBookedConsultation(inquiry)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This inquiry has no paid consultation with a scheduled date'
+      })
+    }
+    
+    sendCalendar(res, buildConsultationInvite(inquiry), `consultation-${id}.ics`)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the current admin's calendar feed status
+ * GET /api/admin/auth/calendar-feed
+ */
+export const getCalendarFeedStatus = async (req, res, next) => {
+  try {
+    const admin = await findAdminById(req.admin.id)
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(admin?.calendarFeed),
+        createdAt: admin?.calendarFeed?.createdAt || null
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create (or rotate) the current admin's secret calendar feed URL
+ * The URL is only shown once; creating a new one invalidates the previous URL
+ * POST /api/admin/auth/calendar-feed
+ */
+export const createCalendarFeed = async (req, res, next) => {
+  try {
+    const token = generateSecureToken()
+    await setCalendarFeedToken(req.admin.id, hashToken(token))
+    
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Subscribe to this URL in your calendar app; it will not be shown again.',
+      data: {
+        url: getFeedUrl(req, token)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Disable the current admin's calendar feed
+ * DELETE /api/admin/auth/calendar-feed
+ */
+export const deleteCalendarFeed = async (req, res, next) => {
+  try {
+    await setCalendarFeedToken(req.admin.id, null)
+    
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Calendar subscription feed of upcoming paid consultations
+ * Authenticated by the secret token in the URL (calendar apps cannot send headers)
+ * GET /api/calendar/feed/:token.ics
+ */
+export const getCalendarFeed = async (req, res, next) => {
+  try {
+    const admin = await findAdminByCalendarFeedToken(hashToken(req.params.token))
+    if (!admin || admin.disabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      })
+    }
+    
+    const since = new Date(Date.now() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+    const availability = await getAvailability()
+    
+    const { db } = await connectToDatabase()
+    const inquiries = await db.collection('inquiries')
+      .find({
+        selectedPath: 'consult',
+        paymentStatus: 'paid',
+        status: { $ne: 'cancelled' },
+        $or: [
+          { 'consultationDetails.slotStart': { $gte: since } },
+          // Consultations booked before slots were stored
+          {
+            'consultationDetails.slotStart': { $exists: false },
+            'consultationDetails.selectedDate': { $gte: getZonedParts(since, availability.timeZone).date }
+          }
+        ]
+      })
+      .toArray()
+    
+    const events = inquiries
+      .filter(inquiry => getConsultationSchedule(inquiry)?.end >= since)
+      .map(inquiry => buildConsultationEvent(inquiry))
+      .sort((a, b) => a.start - b.start)
+    
+    res.set('Cache-Control', 'private, max-age=300')
+    sendCalendar(res, buildCalendar({
+      events,
+      timeZone: availability.timeZone,
+      name: 'Consultations'
+    }))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,105 @@
+import { getAvailability, updateAvailability, CONSULTATION_DURATIONS } from '../models/consultationAvailability.js'
+import { getLockedBlocks } from '../models/slotLock.js'
+import {
+  parseConsultationDuration,
+  getRequestedDates,
+  getLockRange,
+  computeFreeSlots
+} from '../utils/consultationSlots.js'
+import { isValidDateString } from '../utils/timezone.js'
+
+const DEFAULT_RANGE_DAYS = 14
+const MAX_RANGE_DAYS = 31
+
+/**
+ * Get free consultation slots
+ * GET /api/consultations/availability?duration=60&from=2026-11-02&days=14
+ */
+export const getConsultationAvailability = async (req, res, next) => {
+  try {
+    const duration = parseConsultationDuration(req.query.duration || '60')
+    if (!duration) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid duration. Must be one of: ${CONSULTATION_DURATIONS.join(', ')}`
+      })
+    }
+    
+    if (req.query.from && !isValidDateString(req.query.from)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be a date in YYYY-MM-DD format'
+      })
+    }
+    
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_RANGE_DAYS, 1), MAX_RANGE_DAYS)
+    const now = new Date()
+    
+    const availability = await getAvailability()
+    const dates = getRequestedDates(availability, { from: req.query.from, days }, now)
+    
+    let slotsByDate = []
+    if (dates.length > 0) {
+      const { from, to } = getLockRange(availability, dates)
+      const lockedBlocks = await getLockedBlocks(from, to)
+      slotsByDate = computeFreeSlots(availability, lockedBlocks, { dates, duration, now })
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        timeZone: availability.timeZone,
+        duration,
+        days: slotsByDate
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get consultation availability settings (admin)
+ * GET /api/admin/consultations/availability
+ */
+export const getAdminAvailability = async (req, res, next) => {
+  try {
+    const availability = await getAvailability()
+    
+    res.status(200).json({
+      success: true,
+      data: availability
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update consultation availability settings (admin)
+ * Weekly hours, exceptions, buffer time and booking limits; omitted fields are kept
+ * PUT /api/admin/consultations/availability
+ */
+export const updateAdminAvailability = async (req, res, next) => {
+  try {
+    const { availability, error } = await updateAvailability(req.body || {}, {
+      id: req.admin.id,
+      email: req.admin.email
+    })
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: availability
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,244 @@
+import { connectToDatabase } from '../config/database.js'
+import {
+  listContacts,
+  findContactById,
+  updateContact,
+  addContactNote,
+  normalizeTags,
+  getCustomFieldsError,
+  MAX_CUSTOM_FIELDS,
+  MAX_NOTE_LENGTH
+} from '../models/contact.js'
+import { buildContactTimeline, backfillContacts } from '../utils/contacts.js'
+
+/**
+ * List contacts (admin)
+ * GET /api/admin/contacts?q=&tag=&page=1&limit=25
+ */
+export const getContacts = async (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+    const tag = typeof req.query.tag === 'string' ? req.query.tag.trim() : ''
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100)
+
+    const { contacts, total } = await listContacts({ q, tag, page, limit })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: contacts,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a contact with its lifetime value and record counts (admin)
+ * GET /api/admin/contacts/:id
+ */
+export const getContactById = async (req, res, next) => {
+  try {
+    const contact = await findContactById(req.params.id)
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const { lifetimeValue, unpricedPayments, counts } = await buildContactTimeline(db, contact)
+
+    res.status(200).json({
+      success: true,
+      data: { ...contact, lifetimeValue, unpricedPayments, counts }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the timeline of a contact: inquiries, quotes, payments, refunds, testimonials and notes, newest first (admin)
+ * Amounts are in the smallest currency unit (cents)
+ * GET /api/admin/contacts/:id/timeline
+ */
+export const getContactTimeline = async (req, res, next) => {
+  try {
+    const contact = await findContactById(req.params.id)
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const timeline = await buildContactTimeline(db, contact)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contactId: contact._id,
+        ...timeline
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update the name, tags or custom fields of a contact (admin)
+ * tags replaces the list; customFields is merged, a null value removes the field
+ * PATCH /api/admin/contacts/:id
+ */
+export const updateContactDetails = async (req, res, next) => {
+  try {
+    const { name, tags, customFields } = req.body
+    const changes = {}
+
+    if (name !== undefined) {
+      if (name !== null && typeof name !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'name must be a string'
+        })
+      }
+      changes.name = name?.trim() || null
+    }
+
+    if (tags !== undefined) {
+      const normalized = normalizeTags(tags)
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        })
+      }
+      changes.tags = normalized.tags
+    }
+
+    if (customFields !== undefined) {
+      const customFieldsError = getCustomFieldsError(customFields)
+      if (customFieldsError) {
+        return res.status(400).json({
+          success: false,
+          message: customFieldsError
+        })
+      }
+      changes.customFields = customFields
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update (name, tags or customFields)'
+      })
+    }
+
+    const contact = await findContactById(req.params.id)
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      })
+    }
+
+    if (changes.customFields) {
+      const fields = { ...contact.customFields, ...changes.customFields }
+      const count = Object.values(fields).filter(value => value !== null).length
+      if (count > MAX_CUSTOM_FIELDS) {
+        return res.status(400).json({
+          success: false,
+          message: `A contact can have at most ${MAX_CUSTOM_FIELDS} custom fields`
+        })
+      }
+    }
+
+    const updatedContact = await updateContact(req.params.id, changes)
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: updatedContact
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add a note to a contact (admin)
+ * POST /api/admin/contacts/:id/notes
+ */
+export const postContactNote = async (req, res, next) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : ''
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note text is required'
+      })
+    }
+
+    if (text.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Notes must be at most ${MAX_NOTE_LENGTH} characters`
+      })
+    }
+
+    const contact = await addContactNote(req.params.id, text, {
+      id: req.admin?.id || null,
+      email: req.admin?.email || null
+    })
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: contact
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create contacts for existing inquiries and testimonials (admin)
+ * Safe to run again; `npm run backfill-contacts` does the same from the command line
+ * POST /api/admin/contacts/backfill
+ */
+export const runContactBackfill = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+    const summary = await backfillContacts(db)
+
+    res.status(200).json({
+      success: true,
+      message: 'Contacts backfilled',
+      data: summary
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,6 +1,8 @@
 import { connectToDatabase } from '../config/database.js'
 import Stripe from 'stripe'
 import dotenv from 'dotenv'
+import { listJobRuns } from '../models/jobRun.js'
+import { INQUIRY_CLEANUP_JOB } from '../jobs/inquiryCleanup.js'
 
 dotenv.config()
 
@@ -27,7 +29,7 @@ export const getDashboardStats = async (req, res, next) => {
     ] = await Promise.all([
       db.collection('projects').countDocuments({}),
       db.collection('testimonials').countDocuments({}),
-      db.collection('inquiries').countDocuments({}),
+      db.collection('inquiries').countDocuments({ mergedInto: { $exists: false } }),
       db.collection('inquiries').countDocuments({ paymentStatus: 'paid' }),
       db.collection('blogs').countDocuments({}),
       db.collection('news').countDocuments({}),
@@ -36,7 +38,7 @@ export const getDashboardStats = async (req, res, next) => {
     
     // Get recent inquiries (latest 5)
     const recentInquiries = await db.collection('inquiries')
-      .find({})
+      .find({ mergedInto: { $exists: false } })
       .sort({ createdAt: -1 })
       .limit(5)
       .toArray()
@@ -48,6 +50,9 @@ export const getDashboardStats = async (req, res, next) => {
       .limit(5)
       .toArray()
     
+    // Last run of the abandoned inquiry cleanup job
+    const [lastCleanupRun] = await listJobRuns(INQUIRY_CLEANUP_JOB, 1)
+    
     // Calculate total revenue from Stripe
     let totalRevenue = 0
     let lastPaymentStatus = null
@@ -132,6 +137,9 @@ export const getDashboardStats = async (req, res, next) => {
           totalRevenue: totalRevenue,
           lastPaymentStatus: lastPaymentStatus,
           lastPaymentDate: lastPaymentDate
+        },
+        jobs: {
+          inquiryCleanup: lastCleanupRun || null
         }
       }
     })
@@ -2,6 +2,30 @@ import { connectToDatabase } from '../config/database.js'
 import { ObjectId } from 'mongodb'
 import Stripe from 'stripe'
 import dotenv from 'dotenv'
+import { getWizardActionError, getStatusAfterAction, getNextWizardStep } from '../utils/inquiryStateMachine.js'
+import { generateSecureToken, hashToken } from '../utils/tokens.js'
+import { verifyInquiryResumeToken, verifyInquiryAccessToken } from '../utils/jwt.js'
+import {
+  sendInquiryResumeEmail,
+  sendConsultationConfirmationEmail,
+  sendConsultationCancellationEmail
+} from '../utils/inquiryEmails.js'
+import { getAvailability, CONSULTATION_DURATIONS } from '../models/consultationAvailability.js'
+import { parseConsultationDuration, checkRequestedSlot, SLOT_ERRORS } from '../utils/consultationSlots.js'
+import { getConsultationSchedule } from '../utils/consultationCalendar.js'
+import { lockSlot, releaseSlot } from '../models/slotLock.js'
+import { getRefundPercent } from '../utils/refundPolicy.js'
+import { autoAssignInquiry } from '../utils/inquiryAssignment.js'
+import { getDuplicateFields, detectInquiryDuplicates } from '../utils/inquiryDuplicates.js'
+import { linkInquiryContact } from '../utils/contacts.js'
+import {
+  toInquiryDocument,
+  getInquiryDocuments,
+  toClientDocuments,
+  addInquiryDocuments,
+  discardUploadedFiles,
+  MAX_INQUIRY_DOCUMENTS
+} from '../utils/inquiryDocuments.js'
 
 dotenv.config()
 
@@ -9,8 +33,138 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2024-11-20.acacia',
 })
 
+const RESUME_LINK_COOLDOWN_SECONDS = 60
+// Client tokens kept per inquiry; older ones stop working when resume links are used repeatedly
+const MAX_CLIENT_TOKENS = 5
+const RESCHEDULE_MIN_HOURS = parseFloat(process.env.CONSULTATION_RESCHEDULE_MIN_HOURS) >= 0
+  ? parseFloat(process.env.CONSULTATION_RESCHEDULE_MIN_HOURS)
+  : 24
+const MAX_RESCHEDULES = parseInt(process.env.CONSULTATION_MAX_RESCHEDULES, 10) >= 0
+  ? parseInt(process.env.CONSULTATION_MAX_RESCHEDULES, 10)
+  : 2
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Shape an inquiry for public responses (never exposes the client token hashes or internal fields)
+ */
+function toClientInquiry(inquiry) {
+  const {
+    clientTokenHashes,
+    assignedTo,
+    assignmentHistory,
+    adminNotes,
+    labelIds,
+    reviewedBy,
+    mergedFrom,
+    normalizedEmail,
+    normalizedPhone,
+    normalizedAddress,
+    contactId,
+    documentUrls,
+    consultationConfirmationError,
+    ...publicInquiry
+  } = inquiry
+  return { ...publicInquiry, documents: toClientDocuments(inquiry) }
+}
+
+/**
+ * Load an inquiry and check that a wizard action is allowed in its current state
+ * Sends the 400/404/409 response itself and returns null when the request must stop
+ */
+async function loadInquiryForAction(db, inquiryId, action, res) {
+  if (!ObjectId.isValid(inquiryId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid inquiry ID format'
+    })
+    return null
+  }
+  
+  const inquiry = await db.collection('inquiries').findOne({
+    _id: new ObjectId(inquiryId)
+  })
+  
+  if (!inquiry) {
+    res.status(404).json({
+      success: false,
+      message: 'Inquiry not found'
+    })
+    return null
+  }
+  
+  const stateError = getWizardActionError(inquiry, action)
+  if (stateError) {
+    res.status(409).json({
+      success: false,
+      code: stateError.code,
+      message: stateError.message
+    })
+    return null
+  }
+  
+  return inquiry
+}
+
+/**
+ * Apply a wizard update only if the inquiry is still in the state it was checked in
+ * @returns {Promise<Object|null>} Updated inquiry, or null if it changed concurrently
+ */
+async function applyWizardUpdate(db, inquiry, action, updateData) {
+  return await db.collection('inquiries').findOneAndUpdate(
+    { _id: inquiry._id, status: inquiry.status },
+    {
+      $set: {
+        ...updateData,
+        status: getStatusAfterAction(inquiry, action),
+        updatedAt: new Date()
+      }
+    },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Respond with 409 when the inquiry changed between the state check and the update
+ */
+function rejectConcurrentUpdate(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'INQUIRY_CONFLICT',
+    message: 'This inquiry was updated in the meantime. Please reload and try again.'
+  })
+}
+
+/**
+ * Link a new inquiry to the contact of its email address; never fails the client's request
+ */
+async function linkContact(db, inquiry) {
+  try {
+    await linkInquiryContact(db, inquiry)
+  } catch (error) {
+    console.error('⚠️  Could not link inquiry to a contact:', {
+      inquiryId: inquiry._id.toString(),
+      error: error.message
+    })
+  }
+}
+
+/**
+ * Suggest likely duplicates of an inquiry to the team; never fails the client's request
+ */
+async function flagPossibleDuplicates(db, inquiry) {
+  try {
+    await detectInquiryDuplicates(db, inquiry)
+  } catch (error) {
+    console.error('⚠️  Could not check inquiry for duplicates:', {
+      inquiryId: inquiry._id.toString(),
+      error: error.message
+    })
+  }
+}
+
 /**
  * Create a new inquiry (Step 1: Identity)
+ * Returns the client token that every later wizard call must send in X-Inquiry-Token
  */
 export const createInquiryIdentity = async (req, res, next) => {
   try {
@@ -18,6 +172,8 @@ export const createInquiryIdentity = async (req, res, next) => {
     
     const { db } = await connectToDatabase()
     
+    const clientToken = generateSecureToken()
+    
     const newInquiry = {
       clientType: clientType || 'private',
       firstName: firstName?.trim() || '',
@@ -26,9 +182,11 @@ export const createInquiryIdentity = async (req, res, next) => {
       phone: phone?.trim() || '',
       step: 1,
       status: 'draft',
+      clientTokenHashes: [hashToken(clientToken)],
       createdAt: new Date(),
       updatedAt: new Date()
     }
+    Object.assign(newInquiry, getDuplicateFields(newInquiry))
     
     const result = await db.collection('inquiries').insertOne(newInquiry)
     
@@ -36,10 +194,16 @@ export const createInquiryIdentity = async (req, res, next) => {
       _id: result.insertedId
     })
     
+    await linkContact(db, createdInquiry)
+    await flagPossibleDuplicates(db, createdInquiry)
+    
     res.status(201).json({
       success: true,
       message: 'Identity information saved',
-      data: createdInquiry
+      data: {
+        ...toClientInquiry(createdInquiry),
+        clientToken
+      }
     })
   } catch (error) {
     next(error)
@@ -54,18 +218,26 @@ export const updateInquiryContext = async (req, res, next) => {
     const { inquiryId } = req.params
     const { address, selectedServices, budget, timeline, surface, description } = req.body
     
-    if (!ObjectId.isValid(inquiryId)) {
+    const { db } = await connectToDatabase()
+    
+    // Get uploaded files from Cloudinary (set by uploadInquiryDocumentsToCloudinary middleware)
+    const uploadedFiles = req.uploadedFiles?.documentFiles || []
+    
+    const inquiry = await loadInquiryForAction(db, inquiryId, 'context', res)
+    if (!inquiry) {
+      await discardUploadedFiles(uploadedFiles)
+      return
+    }
+    
+    // New uploads are added to the documents already attached (see the documents endpoints to remove one)
+    if (getInquiryDocuments(inquiry).length + uploadedFiles.length > MAX_INQUIRY_DOCUMENTS) {
+      await discardUploadedFiles(uploadedFiles)
       return res.status(400).json({
         success: false,
-        message: 'Invalid inquiry ID format'
+        message: `An inquiry can have at most ${MAX_INQUIRY_DOCUMENTS} documents`
       })
     }
     
-    const { db } = await connectToDatabase()
-    
-    // Get uploaded files from Cloudinary (set by uploadToCloudinary middleware)
-    const documentUrls = req.uploadedFiles?.documents || []
-    
     const updateData = {
       address: address?.trim() || '',
       selectedServices: Array.isArray(selectedServices) ? selectedServices : [],
@@ -73,31 +245,36 @@ export const updateInquiryContext = async (req, res, next) => {
       timeline: timeline || 'asap',
       surface: surface || '',
       description: description?.trim() || '',
-      documentUrls: documentUrls,
-      step: 2,
-      updatedAt: new Date()
+      step: Math.max(inquiry.step || 1, 2)
     }
+    updateData.normalizedAddress = getDuplicateFields(updateData).normalizedAddress
     
-    const result = await db.collection('inquiries').updateOne(
-      { _id: new ObjectId(inquiryId) },
-      { $set: updateData }
-    )
+    let updatedInquiry = await applyWizardUpdate(db, inquiry, 'context', updateData)
+    if (!updatedInquiry) {
+      await discardUploadedFiles(uploadedFiles)
+      return rejectConcurrentUpdate(res)
+    }
     
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Inquiry not found'
-      })
+    if (uploadedFiles.length > 0) {
+      const documents = uploadedFiles.map(file => toInquiryDocument(file, { type: 'client' }))
+      updatedInquiry = await addInquiryDocuments(db, inquiry._id, documents)
+      if (!updatedInquiry) {
+        await discardUploadedFiles(uploadedFiles)
+        return res.status(400).json({
+          success: false,
+          message: `An inquiry can have at most ${MAX_INQUIRY_DOCUMENTS} documents`
+        })
+      }
     }
     
-    const updatedInquiry = await db.collection('inquiries').findOne({
-      _id: new ObjectId(inquiryId)
-    })
+    if (updatedInquiry.normalizedAddress && updatedInquiry.normalizedAddress !== inquiry.normalizedAddress) {
+      await flagPossibleDuplicates(db, updatedInquiry)
+    }
     
     res.status(200).json({
       success: true,
       message: 'Project context saved',
-      data: updatedInquiry
+      data: toClientInquiry(updatedInquiry)
     })
   } catch (error) {
     next(error)
@@ -112,13 +289,6 @@ export const updateInquiryPath = async (req, res, next) => {
     const { inquiryId } = req.params
     const { selectedPath } = req.body
     
-    if (!ObjectId.isValid(inquiryId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid inquiry ID format'
-      })
-    }
-    
     if (!selectedPath || !['general', 'consult'].includes(selectedPath)) {
       return res.status(400).json({
         success: false,
@@ -128,32 +298,26 @@ export const updateInquiryPath = async (req, res, next) => {
     
     const { db } = await connectToDatabase()
     
+    const inquiry = await loadInquiryForAction(db, inquiryId, 'path', res)
+    if (!inquiry) {
+      return
+    }
+    
     const updateData = {
       selectedPath,
-      step: 3,
-      updatedAt: new Date()
+      // Consultation details only count once the consultation path is (re)selected and completed
+      step: selectedPath === inquiry.selectedPath ? Math.max(inquiry.step || 1, 3) : 3
     }
     
-    const result = await db.collection('inquiries').updateOne(
-      { _id: new ObjectId(inquiryId) },
-      { $set: updateData }
-    )
-    
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Inquiry not found'
-      })
+    const updatedInquiry = await applyWizardUpdate(db, inquiry, 'path', updateData)
+    if (!updatedInquiry) {
+      return rejectConcurrentUpdate(res)
     }
     
-    const updatedInquiry = await db.collection('inquiries').findOne({
-      _id: new ObjectId(inquiryId)
-    })
-    
     res.status(200).json({
       success: true,
       message: 'Path selected',
-      data: updatedInquiry
+      data: toClientInquiry(updatedInquiry)
     })
   } catch (error) {
     next(error)
@@ -167,53 +331,37 @@ export const submitGeneralInquiry = async (req, res, next) => {
   try {
     const { inquiryId } = req.params
     
-    if (!ObjectId.isValid(inquiryId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid inquiry ID format'
-      })
-    }
-    
     const { db } = await connectToDatabase()
     
-    const inquiry = await db.collection('inquiries').findOne({
-      _id: new ObjectId(inquiryId)
-    })
-    
+    const inquiry = await loadInquiryForAction(db, inquiryId, 'submit', res)
     if (!inquiry) {
-      return res.status(404).json({
-        success: false,
-        message: 'Inquiry not found'
-      })
-    }
-    
-    if (inquiry.selectedPath !== 'general') {
-      return res.status(400).json({
-        success: false,
-        message: 'This inquiry is not a general inquiry'
-      })
+      return
     }
     
     const updateData = {
       step: 4,
-      status: 'submitted',
-      submittedAt: new Date(),
-      updatedAt: new Date()
+      submittedAt: new Date()
     }
     
-    await db.collection('inquiries').updateOne(
-      { _id: new ObjectId(inquiryId) },
-      { $set: updateData }
-    )
+    const updatedInquiry = await applyWizardUpdate(db, inquiry, 'submit', updateData)
+    if (!updatedInquiry) {
+      return rejectConcurrentUpdate(res)
+    }
     
-    const updatedInquiry = await db.collection('inquiries').findOne({
-      _id: new ObjectId(inquiryId)
-    })
+    // Round-robin assignment to the admins who opted in; never fails the submission
+    try {
+      await autoAssignInquiry(db, updatedInquiry)
+    } catch (error) {
+      console.error('⚠️  Could not auto-assign inquiry:', {
+        inquiryId: inquiryId,
+        error: error.message
+      })
+    }
     
     res.status(200).json({
       success: true,
       message: 'General inquiry submitted successfully',
-      data: updatedInquiry
+      data: toClientInquiry(updatedInquiry)
     })
   } catch (error) {
     next(error)
@@ -228,47 +376,416 @@ export const updateConsultationDetails = async (req, res, next) => {
     const { inquiryId } = req.params
     const { duration, roadmapReport, format, selectedDate, selectedTime } = req.body
     
-    if (!ObjectId.isValid(inquiryId)) {
+    const durationMinutes = parseConsultationDuration(duration || '60')
+    if (!durationMinutes) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid inquiry ID format'
+        message: `Invalid duration. Must be one of: ${CONSULTATION_DURATIONS.join(', ')}`
       })
     }
     
     const { db } = await connectToDatabase()
     
+    const inquiry = await loadInquiryForAction(db, inquiryId, 'consultation', res)
+    if (!inquiry) {
+      return
+    }
+    
+    // The slot is only held once checkout starts; this rejects closed, past and taken slots early
+    const availability = await getAvailability()
+    const slot = await checkRequestedSlot(
+      availability,
+      { date: selectedDate, time: selectedTime, duration: durationMinutes },
+      { inquiryId: inquiry._id }
+    )
+    if (slot.error) {
+      return res.status(slot.code ? 409 : 400).json({
+        success: false,
+        ...(slot.code ? { code: slot.code } : {}),
+        message: slot.error
+      })
+    }
+    
     const updateData = {
       consultationDetails: {
-        duration: duration || '60',
+        duration: String(durationMinutes),
         roadmapReport: roadmapReport || false,
         format: format || 'online',
-        selectedDate: selectedDate || null,
-        selectedTime: selectedTime || null
+        selectedDate,
+        selectedTime,
+        timeZone: availability.timeZone,
+        slotStart: slot.start
       },
-      step: 4,
-      updatedAt: new Date()
+      step: 4
     }
     
-    const result = await db.collection('inquiries').updateOne(
-      { _id: new ObjectId(inquiryId) },
-      { $set: updateData }
+    const updatedInquiry = await applyWizardUpdate(db, inquiry, 'consultation', updateData)
+    if (!updatedInquiry) {
+      return rejectConcurrentUpdate(res)
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Consultation details saved',
+      data: toClientInquiry(updatedInquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Load a paid consultation that has not started yet for a reschedule or cancel action
+ * Sends the error response itself and returns null when the request must stop
+ * @returns {Promise<Object|null>} { inquiry, schedule }
+ */
+async function loadBookedConsultation(db, inquiryId, action, res) {
+  const inquiry = await loadInquiryForAction(db, inquiryId, action, res)
+  if (!inquiry) {
+    return null
+  }
+  
+  const schedule = getConsultationSchedule(inquiry)
+  if (inquiry.paymentStatus !== 'paid' || !schedule) {
+    res.status(409).json({
+      success: false,
+      code: SLOT_ERRORS.NOT_BOOKED,
+      message: 'This inquiry has no paid consultation booking'
+    })
+    return null
+  }
+  
+  if (schedule.start <= new Date()) {
+    res.status(409).json({
+      success: false,
+      code: SLOT_ERRORS.STARTED,
+      message: 'This consultation has already started'
+    })
+    return null
+  }
+  
+  return { inquiry, schedule }
+}
+
+/**
+ * Refund due if the client cancels now, from the refund policy and the amount paid in Checkout
+ * @returns {Promise<Object>} { hoursBeforeStart, percent, amount, amountPaid, currency, paymentIntentId }
+ */
+async function getCancellationRefund(inquiry, schedule) {
+  const hoursBeforeStart = (schedule.start.getTime() - Date.now()) / HOUR_MS
+  const percent = getRefundPercent(hoursBeforeStart)
+  
+  let amountPaid = null
+  let currency = 'eur'
+  let paymentIntentId = null
+  if (inquiry.stripeSessionId) {
+    const session = await stripe.checkout.sessions.retrieve(inquiry.stripeSessionId)
+    amountPaid = session.amount_total
+    currency = session.currency || currency
+    paymentIntentId = typeof session.payment_intent === 'string'
+      ? session.payment_intent
+      : session.payment_intent?.id || null
+  }
+  
+  return {
+    hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+    percent,
+    amount: amountPaid === null ? null : Math.round(amountPaid * percent / 100),
+    amountPaid,
+    currency,
+    paymentIntentId
+  }
+}
+
+/**
+ * Issue the refund for a client cancellation through Stripe
+ * A failed refund is recorded as such (and logged) for the team to process manually
+ * @returns {Promise<Object>} Refund record stored on the inquiry
+ */
+async function issueCancellationRefund(inquiry, refund) {
+  const record = {
+    percent: refund.percent,
+    amount: refund.amount ?? 0,
+    currency: refund.currency,
+    createdAt: new Date()
+  }
+  
+  if (refund.percent === 0 || refund.amount === 0) {
+    return { ...record, status: 'none' }
+  }
+  
+  try {
+    if (!refund.paymentIntentId) {
+      throw new Error('No Stripe payment found for this inquiry')
+    }
+    
+    // The idempotency key makes a retried cancellation reuse the first refund
+    const stripeRefund = await stripe.refunds.create(
+      {
+        payment_intent: refund.paymentIntentId,
+        amount: refund.amount,
+        reason: 'requested_by_customer',
+        metadata: { inquiryId: inquiry._id.toString() }
+      },
+      { idempotencyKey: `consultation-cancel-${inquiry._id}` }
     )
     
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    return { ...record, id: stripeRefund.id, status: stripeRefund.status }
+  } catch (error) {
+    console.error('⚠️  Consultation refund failed, to be processed manually:', {
+      inquiryId: inquiry._id.toString(),
+      amount: refund.amount,
+      error: error.message
+    })
+    return { ...record, status: 'failed', error: error.message }
+  }
+}
+
+/**
+ * Preview a cancellation: refund due now and whether the session can still be moved
+ * GET /api/inquiries/:inquiryId/consultation/cancellation
+ */
+export const getConsultationCancellation = async (req, res, next) => {
+  try {
+    const { inquiryId } = req.params
+    
+    const { db } = await connectToDatabase()
+    
+    const booking = await loadBookedConsultation(db, inquiryId, 'cancel', res)
+    if (!booking) {
+      return
+    }
+    
+    const { inquiry, schedule } = booking
+    const refund = await getCancellationRefund(inquiry, schedule)
+    const reschedulesLeft = Math.max(MAX_RESCHEDULES - (inquiry.rescheduleCount || 0), 0)
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        slotStart: schedule.start,
+        timeZone: schedule.timeZone,
+        hoursBeforeStart: refund.hoursBeforeStart,
+        refundPercent: refund.percent,
+        refundAmount: refund.amount,
+        amountPaid: refund.amountPaid,
+        currency: refund.currency,
+        canReschedule: reschedulesLeft > 0 && refund.hoursBeforeStart >= RESCHEDULE_MIN_HOURS,
+        reschedulesLeft
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Move a paid consultation to another available slot
+ * Allowed up to CONSULTATION_MAX_RESCHEDULES times and until CONSULTATION_RESCHEDULE_MIN_HOURS before the session
+ * POST /api/inquiries/:inquiryId/consultation/reschedule
+ */
+export const rescheduleConsultation = async (req, res, next) => {
+  try {
+    const { inquiryId } = req.params
+    const { selectedDate, selectedTime } = req.body
+    
+    const { db } = await connectToDatabase()
+    
+    const booking = await loadBookedConsultation(db, inquiryId, 'reschedule', res)
+    if (!booking) {
+      return
+    }
+    
+    const { inquiry, schedule } = booking
+    
+    if ((inquiry.rescheduleCount || 0) >= MAX_RESCHEDULES) {
+      return res.status(409).json({
         success: false,
-        message: 'Inquiry not found'
+        code: SLOT_ERRORS.RESCHEDULE_LIMIT,
+        message: MAX_RESCHEDULES === 0
+          ? 'Consultations cannot be rescheduled'
+          : `This consultation has already been rescheduled ${MAX_RESCHEDULES} time(s)`
       })
     }
     
-    const updatedInquiry = await db.collection('inquiries').findOne({
-      _id: new ObjectId(inquiryId)
+    if (schedule.start.getTime() - Date.now() < RESCHEDULE_MIN_HOURS * HOUR_MS) {
+      return res.status(409).json({
+        success: false,
+        code: SLOT_ERRORS.RESCHEDULE_TOO_LATE,
+        message: `Consultations can only be rescheduled up to ${RESCHEDULE_MIN_HOURS} hours before the session`
+      })
+    }
+    
+    const availability = await getAvailability()
+    const slot = await checkRequestedSlot(
+      availability,
+      { date: selectedDate, time: selectedTime, duration: schedule.duration },
+      { inquiryId: inquiry._id }
+    )
+    if (slot.error) {
+      return res.status(slot.code ? 409 : 400).json({
+        success: false,
+        ...(slot.code ? { code: slot.code } : {}),
+        message: slot.error
+      })
+    }
+    
+    if (slot.start.getTime() === schedule.start.getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The consultation is already booked at this time'
+      })
+    }
+    
+    const locked = await lockSlot({
+      inquiryId: inquiry._id,
+      start: slot.start,
+      durationMinutes: schedule.duration,
+      bufferMinutes: availability.bufferMinutes,
+      state: 'booked'
     })
+    if (!locked) {
+      return res.status(409).json({
+        success: false,
+        code: SLOT_ERRORS.UNAVAILABLE,
+        message: 'This time slot was just booked by someone else. Please choose another time.'
+      })
+    }
+    
+    // Compare-and-set on the reschedule count so concurrent requests cannot both succeed
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      {
+        _id: inquiry._id,
+        status: inquiry.status,
+        rescheduleCount: inquiry.rescheduleCount ?? { $exists: false }
+      },
+      {
+        $set: {
+          'consultationDetails.selectedDate': selectedDate,
+          'consultationDetails.selectedTime': selectedTime,
+          'consultationDetails.timeZone': availability.timeZone,
+          'consultationDetails.slotStart': slot.start,
+          updatedAt: new Date()
+        },
+        $inc: { rescheduleCount: 1, calendarSequence: 1 },
+        $push: {
+          rescheduleHistory: { from: schedule.start, to: slot.start, at: new Date() }
+        }
+      },
+      { returnDocument: 'after' }
+    )
+    
+    if (!updatedInquiry) {
+      // Put the lock back on the slot the inquiry has now
+      const current = await db.collection('inquiries').findOne({ _id: inquiry._id })
+      const currentSchedule = current && getConsultationSchedule(current)
+      if (currentSchedule && current.status !== 'cancelled') {
+        await lockSlot({
+          inquiryId: inquiry._id,
+          start: currentSchedule.start,
+          durationMinutes: currentSchedule.duration,
+          bufferMinutes: availability.bufferMinutes,
+          state: 'booked'
+        })
+      } else {
+        await releaseSlot(inquiry._id, { includeBooked: true })
+      }
+      return rejectConcurrentUpdate(res)
+    }
+    
+    if (updatedInquiry.email) {
+      try {
+        await sendConsultationConfirmationEmail(updatedInquiry, { rescheduled: true })
+      } catch (error) {
+        console.error('⚠️  Could not send reschedule confirmation:', {
+          inquiryId: inquiryId,
+          error: error.message
+        })
+      }
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Consultation details saved',
-      data: updatedInquiry
+      message: 'Consultation rescheduled',
+      data: toClientInquiry(updatedInquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Cancel a paid consultation and refund it according to CONSULTATION_REFUND_POLICY
+ * POST /api/inquiries/:inquiryId/consultation/cancel
+ */
+export const cancelConsultation = async (req, res, next) => {
+  try {
+    const { inquiryId } = req.params
+    const { reason } = req.body
+    
+    const { db } = await connectToDatabase()
+    
+    const booking = await loadBookedConsultation(db, inquiryId, 'cancel', res)
+    if (!booking) {
+      return
+    }
+    
+    const { inquiry, schedule } = booking
+    const refund = await getCancellationRefund(inquiry, schedule)
+    
+    // Cancel first so a retried request cannot refund twice
+    const cancelledInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id, status: inquiry.status, paymentStatus: 'paid' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellation: {
+            by: 'client',
+            at: new Date(),
+            reason: typeof reason === 'string' ? reason.trim().slice(0, 1000) : '',
+            hoursBeforeStart: refund.hoursBeforeStart
+          },
+          updatedAt: new Date()
+        },
+        $inc: { calendarSequence: 1 }
+      },
+      { returnDocument: 'after' }
+    )
+    if (!cancelledInquiry) {
+      return rejectConcurrentUpdate(res)
+    }
+    
+    await releaseSlot(inquiry._id, { includeBooked: true })
+    
+    const refundRecord = await issueCancellationRefund(inquiry, refund)
+    let paymentStatus = 'paid'
+    if (refundRecord.status !== 'failed' && refundRecord.amount > 0) {
+      paymentStatus = refundRecord.amount >= refund.amountPaid ? 'refunded' : 'partially_refunded'
+    }
+    
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id },
+      { $set: { refund: refundRecord, paymentStatus } },
+      { returnDocument: 'after' }
+    )
+    
+    if (updatedInquiry.email) {
+      try {
+        await sendConsultationCancellationEmail(updatedInquiry)
+      } catch (error) {
+        console.error('⚠️  Could not send cancellation confirmation:', {
+          inquiryId: inquiryId,
+          error: error.message
+        })
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: refundRecord.status === 'failed'
+        ? 'Consultation cancelled. The refund could not be issued automatically and will be processed by our team.'
+        : 'Consultation cancelled',
+      data: toClientInquiry(updatedInquiry)
     })
   } catch (error) {
     next(error)
@@ -303,7 +820,7 @@ export const getInquiryById = async (req, res, next) => {
     
     res.status(200).json({
       success: true,
-      data: inquiry
+      data: toClientInquiry(inquiry)
     })
   } catch (error) {
     next(error)
@@ -311,19 +828,224 @@ export const getInquiryById = async (req, res, next) => {
 }
 
 /**
- * Get all inquiries (admin)
+ * Email the client a link to continue a draft inquiry later
+ * POST /api/inquiries/:inquiryId/resume-link
  */
-export const getAllInquiries = async (req, res, next) => {
+export const sendResumeLink = async (req, res, next) => {
   try {
+    const { inquiryId } = req.params
+    
     const { db } = await connectToDatabase()
-    const inquiries = await db.collection('inquiries')
-      .find({})
-      .sort({ createdAt: -1 })
-      .toArray()
+    const inquiry = await db.collection('inquiries').findOne({
+      _id: new ObjectId(inquiryId)
+    })
+    
+    const nextStep = inquiry ? getNextWizardStep(inquiry) : null
+    if (!nextStep) {
+      return res.status(409).json({
+        success: false,
+        code: 'INQUIRY_LOCKED',
+        message: 'This inquiry has already been submitted'
+      })
+    }
+    
+    if (!inquiry.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This inquiry has no email address'
+      })
+    }
+    
+    const lastSentAt = inquiry.resumeLinkSentAt ? inquiry.resumeLinkSentAt.getTime() : 0
+    const retryAfter = Math.ceil((lastSentAt + RESUME_LINK_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000)
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({
+        success: false,
+        message: 'A link was just sent. Please check your inbox or try again in a minute.'
+      })
+    }
+    
+    await sendInquiryResumeEmail(inquiry)
+    
+    await db.collection('inquiries').updateOne(
+      { _id: inquiry._id },
+      { $set: { resumeLinkSentAt: new Date() } }
+    )
     
     res.status(200).json({
       success: true,
-      data: inquiries
+      message: 'A link to continue your inquiry has been sent by email'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Exchange a resume link token for the draft's current state, next step and a new client token
+ * POST /api/inquiries/resume
+ */
+export const resumeInquiry = async (req, res, next) => {
+  try {
+    const { token } = req.body
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      })
+    }
+    
+    let decoded
+    try {
+      decoded = verifyInquiryResumeToken(token)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+    
+    if (!ObjectId.isValid(decoded.sub)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired resume link'
+      })
+    }
+    
+    const { db } = await connectToDatabase()
+    let inquiry = await db.collection('inquiries').findOne({
+      _id: new ObjectId(decoded.sub)
+    })
+    
+    // The link is bound to the email it was sent to
+    if (!inquiry || inquiry.email !== decoded.email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+    
+    // Links to a merged inquiry continue the inquiry it was merged into
+    if (inquiry.mergedInto) {
+      inquiry = await db.collection('inquiries').findOne({ _id: inquiry.mergedInto })
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        })
+      }
+    }
+    
+    const nextStep = getNextWizardStep(inquiry)
+    if (!nextStep) {
+      return res.status(409).json({
+        success: false,
+        code: 'INQUIRY_LOCKED',
+        message: 'This inquiry has already been submitted'
+      })
+    }
+    
+    const clientToken = generateSecureToken()
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id },
+      {
+        $push: {
+          clientTokenHashes: { $each: [hashToken(clientToken)], $slice: -MAX_CLIENT_TOKENS }
+        },
+        $set: { resumedAt: new Date() }
+      },
+      { returnDocument: 'after' }
+    )
+    
+    res.status(200).json({
+      success: true,
+      message: 'Inquiry resumed',
+      data: {
+        inquiry: toClientInquiry(updatedInquiry),
+        nextStep,
+        clientToken
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Exchange the link of a message notification for a new client token
+ * Unlike resume links, this also works once the inquiry has been submitted or paid
+ * POST /api/inquiries/access
+ */
+export const accessInquiry = async (req, res, next) => {
+  try {
+    const { token } = req.body
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      })
+    }
+    
+    let decoded
+    try {
+      decoded = verifyInquiryAccessToken(token)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+    
+    if (!ObjectId.isValid(decoded.sub)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link'
+      })
+    }
+    
+    const { db } = await connectToDatabase()
+    
+    // The link is bound to the email it was sent to
+    const linkedInquiry = await db.collection('inquiries').findOne(
+      { _id: new ObjectId(decoded.sub), email: decoded.email },
+      { projection: { _id: 1, mergedInto: 1 } }
+    )
+    if (!linkedInquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+    
+    // Links to a merged inquiry open the inquiry it was merged into
+    const clientToken = generateSecureToken()
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: linkedInquiry.mergedInto || linkedInquiry._id },
+      {
+        $push: {
+          clientTokenHashes: { $each: [hashToken(clientToken)], $slice: -MAX_CLIENT_TOKENS }
+        }
+      },
+      { returnDocument: 'after' }
+    )
+    
+    if (!updatedInquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        inquiry: toClientInquiry(updatedInquiry),
+        nextStep: getNextWizardStep(updatedInquiry),
+        clientToken
+      }
     })
   } catch (error) {
     next(error)
@@ -361,15 +1083,10 @@ export const submitBillingInfo = async (req, res, next) => {
     }
     
     const { db } = await connectToDatabase()
-    const inquiry = await db.collection('inquiries').findOne({
-      _id: new ObjectId(inquiryId)
-    })
     
+    const inquiry = await loadInquiryForAction(db, inquiryId, 'billing', res)
     if (!inquiry) {
-      return res.status(404).json({
-        success: false,
-        message: 'Inquiry not found'
-      })
+      return
     }
     
     // Get the Stripe customer ID
@@ -442,11 +1159,11 @@ export const submitBillingInfo = async (req, res, next) => {
     }
     
     // Update inquiry with billing collected and invoice finalized
+    // (the status itself is only moved to paid by the payment confirmation)
     await db.collection('inquiries').updateOne(
       { _id: new ObjectId(inquiryId) },
       {
         $set: {
-          status: 'paid',
           invoiceStatus: 'finalized',
           billingCollectedAt: new Date(),
           updatedAt: new Date()
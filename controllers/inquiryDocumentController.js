@@ -0,0 +1,388 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { getWizardActionError } from '../utils/inquiryStateMachine.js'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
+import {
+  toInquiryDocument,
+  getInquiryDocuments,
+  toClientDocuments,
+  normalizeDocumentName,
+  addInquiryDocuments,
+  deleteInquiryDocumentFile,
+  discardUploadedFiles,
+  convertLegacyDocuments,
+  MAX_INQUIRY_DOCUMENTS
+} from '../utils/inquiryDocuments.js'
+
+/**
+ * Documents attached to inquiries
+ * Clients use their inquiry token (X-Inquiry-Token) and may change their documents while the
+ * wizard is still editable; admins see every document and add internal ones the client never sees.
+ */
+
+/**
+ * Load an inquiry for an admin document request; answers the request when it cannot continue
+ */
+async function loadAdminInquiry(db, req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid inquiry ID format'
+    })
+    return null
+  }
+
+  const inquiry = await db.collection('inquiries').findOne({ _id: new ObjectId(req.params.id) })
+
+  if (!inquiry) {
+    res.status(404).json({
+      success: false,
+      message: 'Inquiry not found'
+    })
+    return null
+  }
+
+  if (inquiry.mergedInto) {
+    sendMergedInquiryResponse(req, res, inquiry)
+    return null
+  }
+
+  return inquiry
+}
+
+/**
+ * Load an inquiry whose documents the client wants to change; only while the wizard is editable
+ */
+async function loadClientInquiry(db, req, res) {
+  const inquiry = await db.collection('inquiries').findOne({ _id: new ObjectId(req.params.inquiryId) })
+
+  const stateError = getWizardActionError(inquiry, 'context')
+  if (stateError) {
+    res.status(409).json({
+      success: false,
+      code: stateError.code,
+      message: stateError.message
+    })
+    return null
+  }
+
+  return inquiry
+}
+
+/**
+ * Add the uploaded files to an inquiry; the files are removed again when the inquiry is full
+ */
+async function addUploadedDocuments(db, req, res, inquiry, uploadedBy, visibility) {
+  const files = req.uploadedFiles?.documentFiles || []
+
+  if (files.length === 0) {
+    res.status(400).json({
+      success: false,
+      message: 'At least one file is required in "documents"'
+    })
+    return null
+  }
+
+  const updatedInquiry = getInquiryDocuments(inquiry).length + files.length <= MAX_INQUIRY_DOCUMENTS
+    ? await addInquiryDocuments(db, inquiry._id, files.map(file => toInquiryDocument(file, uploadedBy, visibility)))
+    : null
+
+  if (!updatedInquiry) {
+    await discardUploadedFiles(files)
+    res.status(400).json({
+      success: false,
+      message: `An inquiry can have at most ${MAX_INQUIRY_DOCUMENTS} documents`
+    })
+    return null
+  }
+
+  return updatedInquiry
+}
+
+/**
+ * Rename a document; returns the updated inquiry, or null once the request was answered
+ */
+async function renameDocument(db, req, res, inquiry, { clientOnly = false } = {}) {
+  const { name, error } = normalizeDocumentName(req.body.name)
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error
+    })
+    return null
+  }
+
+  // Documents still stored as URLs are converted first so their IDs can be matched
+  await convertLegacyDocuments(db, inquiry)
+
+  const updatedInquiry = ObjectId.isValid(req.params.documentId) && await db.collection('inquiries').findOneAndUpdate(
+    {
+      _id: inquiry._id,
+      documents: {
+        $elemMatch: {
+          id: new ObjectId(req.params.documentId),
+          // Internal documents are never matched by client requests
+          ...(clientOnly ? { visibility: { $ne: 'internal' } } : {})
+        }
+      }
+    },
+    { $set: { 'documents.$.name': name, 'documents.$.renamedAt': new Date(), updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+
+  if (!updatedInquiry) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    })
+    return null
+  }
+
+  return updatedInquiry
+}
+
+/**
+ * Delete a document and its stored file; returns the updated inquiry, or null once the request was answered
+ * The file is deleted first, so a document is never left pointing to a missing file
+ */
+async function deleteDocument(db, req, res, inquiry, { clientOnly = false } = {}) {
+  const { documents = [] } = await convertLegacyDocuments(db, inquiry)
+  const document = ObjectId.isValid(req.params.documentId)
+    ? documents.find(candidate => candidate.id.equals(req.params.documentId)
+      && !(clientOnly && candidate.visibility === 'internal'))
+    : null
+
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    })
+    return null
+  }
+
+  const deleted = await deleteInquiryDocumentFile(document)
+  if (!deleted) {
+    res.status(502).json({
+      success: false,
+      message: 'The file could not be deleted from storage. Please try again.'
+    })
+    return null
+  }
+
+  return await db.collection('inquiries').findOneAndUpdate(
+    { _id: inquiry._id },
+    { $pull: { documents: { id: document.id } }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * List the documents of an inquiry (client)
+ * GET /api/inquiries/:inquiryId/documents
+ */
+export const getClientInquiryDocuments = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: new ObjectId(req.params.inquiryId) })
+
+    res.status(200).json({
+      success: true,
+      data: toClientDocuments(inquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add documents to an inquiry (client, multipart with up to 10 files in "documents")
+ * POST /api/inquiries/:inquiryId/documents
+ */
+export const postClientInquiryDocuments = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadClientInquiry(db, req, res)
+    if (!inquiry) {
+      await discardUploadedFiles(req.uploadedFiles?.documentFiles || [])
+      return
+    }
+
+    const updatedInquiry = await addUploadedDocuments(db, req, res, inquiry, { type: 'client' }, 'client')
+    if (!updatedInquiry) {
+      return
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents added',
+      data: toClientDocuments(updatedInquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Rename a document of an inquiry (client)
+ * PATCH /api/inquiries/:inquiryId/documents/:documentId
+ */
+export const renameClientInquiryDocument = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadClientInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const updatedInquiry = await renameDocument(db, req, res, inquiry, { clientOnly: true })
+    if (!updatedInquiry) {
+      return
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document renamed',
+      data: toClientDocuments(updatedInquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a document of an inquiry and its file (client)
+ * DELETE /api/inquiries/:inquiryId/documents/:documentId
+ */
+export const deleteClientInquiryDocument = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadClientInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const updatedInquiry = await deleteDocument(db, req, res, inquiry, { clientOnly: true })
+    if (!updatedInquiry) {
+      return
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted',
+      data: toClientDocuments(updatedInquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * List all documents of an inquiry, internal ones included (admin)
+ * GET /api/admin/inquiries/:id/documents
+ */
+export const getAdminInquiryDocuments = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadAdminInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    res.status(200).json({
+      success: true,
+      data: getInquiryDocuments(inquiry)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Attach internal documents to an inquiry; the client does not see them (admin)
+ * POST /api/admin/inquiries/:id/documents
+ */
+export const postAdminInquiryDocuments = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadAdminInquiry(db, req, res)
+    if (!inquiry) {
+      await discardUploadedFiles(req.uploadedFiles?.documentFiles || [])
+      return
+    }
+
+    const uploadedBy = { type: 'admin', id: req.admin?.id || null, email: req.admin?.email || null }
+    const updatedInquiry = await addUploadedDocuments(db, req, res, inquiry, uploadedBy, 'internal')
+    if (!updatedInquiry) {
+      return
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents added',
+      data: updatedInquiry.documents
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Rename a document of an inquiry (admin)
+ * PATCH /api/admin/inquiries/:id/documents/:documentId
+ */
+export const renameAdminInquiryDocument = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadAdminInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const updatedInquiry = await renameDocument(db, req, res, inquiry)
+    if (!updatedInquiry) {
+      return
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document renamed',
+      data: updatedInquiry.documents
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a document of an inquiry and its file (admin)
+ * DELETE /api/admin/inquiries/:id/documents/:documentId
+ */
+export const deleteAdminInquiryDocument = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadAdminInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const updatedInquiry = await deleteDocument(db, req, res, inquiry)
+    if (!updatedInquiry) {
+      return
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted',
+      data: updatedInquiry.documents
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,257 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { listDuplicateGroups, updateDuplicateGroupStatus, DUPLICATE_GROUP_STATUSES } from '../models/duplicateGroup.js'
+import { runInquiryDuplicateScan } from '../jobs/inquiryDuplicateScan.js'
+import {
+  getMergeBlocker,
+  mergeInquiries,
+  sendMergedInquiryResponse,
+  MAX_MERGE_SOURCES
+} from '../utils/inquiryMerge.js'
+
+// Inquiry fields shown for each member of a duplicate group
+const GROUP_MEMBER_PROJECTION = {
+  firstName: 1,
+  lastName: 1,
+  email: 1,
+  phone: 1,
+  address: 1,
+  clientType: 1,
+  status: 1,
+  paymentStatus: 1,
+  assignedTo: 1,
+  mergedInto: 1,
+  createdAt: 1
+}
+
+/**
+ * List suggested duplicate groups with a summary of their inquiries (admin)
+ * GET /api/admin/inquiries/duplicates?status=open&page=1&limit=25
+ */
+export const getDuplicateGroups = async (req, res, next) => {
+  try {
+    const { status = 'open' } = req.query
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100)
+
+    if (status !== 'all' && !DUPLICATE_GROUP_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: all, ${DUPLICATE_GROUP_STATUSES.join(', ')}`
+      })
+    }
+
+    const { groups, total } = await listDuplicateGroups({
+      status: status === 'all' ? null : status,
+      page,
+      limit
+    })
+
+    const { db } = await connectToDatabase()
+    const inquiryIds = groups.flatMap(group => group.inquiryIds)
+    const inquiries = await db.collection('inquiries')
+      .find({ _id: { $in: inquiryIds } })
+      .project(GROUP_MEMBER_PROJECTION)
+      .toArray()
+    const inquiriesById = new Map(inquiries.map(inquiry => [inquiry._id.toString(), inquiry]))
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: groups.map(group => ({
+          ...group,
+          inquiries: group.inquiryIds
+            .map(id => inquiriesById.get(id.toString()))
+            .filter(Boolean)
+        })),
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Dismiss a suggested duplicate group, or reopen it (admin)
+ * PATCH /api/admin/inquiries/duplicates/:id
+ */
+export const updateDuplicateGroup = async (req, res, next) => {
+  try {
+    const { status } = req.body
+
+    if (!['open', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be open or dismissed'
+      })
+    }
+
+    const group = await updateDuplicateGroupStatus(req.params.id, status, {
+      id: req.admin.id,
+      email: req.admin.email
+    })
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate group not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'dismissed' ? 'Duplicate group dismissed' : 'Duplicate group reopened',
+      data: group
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Scan all inquiries for duplicates now instead of waiting for the scheduled scan (admin)
+ * POST /api/admin/inquiries/duplicates/scan
+ */
+export const scanDuplicateInquiries = async (req, res, next) => {
+  try {
+    const run = await runInquiryDuplicateScan()
+
+    if (run.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: `Duplicate scan failed: ${run.error}`
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Duplicate scan finished',
+      data: run
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Merge duplicate inquiries into this one (admin)
+ * Documents, notes, services, payment references, messages and client tokens move to this inquiry;
+ * the merged inquiries are replaced by tombstones that redirect to it.
+ * POST /api/admin/inquiries/:id/merge
+ */
+export const mergeAdminInquiries = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { sourceIds } = req.body
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceIds array is required and must not be empty'
+      })
+    }
+
+    const uniqueIds = [...new Set(sourceIds.map(String))]
+    if (uniqueIds.length > MAX_MERGE_SOURCES) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_MERGE_SOURCES} inquiries can be merged at once`
+      })
+    }
+
+    if (uniqueIds.some(sourceId => !ObjectId.isValid(sourceId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format in sourceIds'
+      })
+    }
+
+    if (uniqueIds.includes(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An inquiry cannot be merged into itself'
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const survivor = await db.collection('inquiries').findOne({
+      _id: new ObjectId(id)
+    })
+
+    if (!survivor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+
+    if (survivor.mergedInto) {
+      return sendMergedInquiryResponse(req, res, survivor)
+    }
+
+    if (survivor.anonymizedAt) {
+      return res.status(409).json({
+        success: false,
+        code: 'INQUIRY_MERGE_BLOCKED',
+        message: 'Inquiries cannot be merged into an anonymized inquiry'
+      })
+    }
+
+    const sources = await db.collection('inquiries')
+      .find({ _id: { $in: uniqueIds.map(sourceId => new ObjectId(sourceId)) } })
+      .toArray()
+
+    if (sources.length !== uniqueIds.length) {
+      const found = new Set(sources.map(source => source._id.toString()))
+      return res.status(404).json({
+        success: false,
+        message: `Inquiries not found: ${uniqueIds.filter(sourceId => !found.has(sourceId)).join(', ')}`
+      })
+    }
+
+    const blockers = sources.map(source => getMergeBlocker(source)).filter(Boolean)
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'INQUIRY_MERGE_BLOCKED',
+        message: blockers.join('. ')
+      })
+    }
+
+    const result = await mergeInquiries(db, survivor, sources, {
+      id: req.admin?.id || null,
+      email: req.admin?.email || null
+    })
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        code: 'INQUIRY_CONFLICT',
+        message: 'This inquiry was updated in the meantime. Please reload and try again.'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.skippedIds.length > 0
+        ? `${result.mergedIds.length} inquiries merged; ${result.skippedIds.length} changed in the meantime and were left in place`
+        : `${result.mergedIds.length} inquiries merged`,
+      data: result
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,238 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
+import {
+  normalizeLabel,
+  listInquiryLabels,
+  findInquiryLabelsByIds,
+  createInquiryLabel,
+  findOrCreateInquiryLabels,
+  updateInquiryLabel,
+  deleteInquiryLabel,
+  countInquiriesByLabel,
+  attachInquiryLabels,
+  MAX_INQUIRY_LABELS
+} from '../models/inquiryLabel.js'
+
+/**
+ * Colored labels on inquiries (admin)
+ * Labels are shared by all inquiries; renaming or recoloring one changes it everywhere.
+ */
+
+/**
+ * List all labels with the number of inquiries carrying each one
+ * GET /api/admin/inquiries/labels
+ */
+export const getInquiryLabels = async (req, res, next) => {
+  try {
+    const [labels, counts] = await Promise.all([listInquiryLabels(), countInquiriesByLabel()])
+
+    res.status(200).json({
+      success: true,
+      data: labels.map(label => ({ ...label, inquiries: counts.get(label._id.toString()) || 0 }))
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a label
+ * POST /api/admin/inquiries/labels
+ */
+export const postInquiryLabel = async (req, res, next) => {
+  try {
+    const { name, color, error } = normalizeLabel({ name: req.body.name ?? '', color: req.body.color })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const label = await createInquiryLabel({
+      name,
+      color,
+      createdBy: { id: req.admin?.id || null, email: req.admin?.email || null }
+    })
+
+    if (!label) {
+      return res.status(409).json({
+        success: false,
+        code: 'LABEL_EXISTS',
+        message: 'A label with this name already exists'
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Label created',
+      data: label
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Rename or recolor a label
+ * PATCH /api/admin/inquiries/labels/:id
+ */
+export const updateInquiryLabelById = async (req, res, next) => {
+  try {
+    if (req.body.name === undefined && req.body.color === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide name and/or color'
+      })
+    }
+
+    const { error, ...changes } = normalizeLabel({ name: req.body.name, color: req.body.color })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const label = await updateInquiryLabel(req.params.id, changes)
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      })
+    }
+
+    if (label.duplicate) {
+      return res.status(409).json({
+        success: false,
+        code: 'LABEL_EXISTS',
+        message: 'A label with this name already exists'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Label updated',
+      data: label
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a label and remove it from every inquiry
+ * DELETE /api/admin/inquiries/labels/:id
+ */
+export const deleteInquiryLabelById = async (req, res, next) => {
+  try {
+    const result = await deleteInquiryLabel(req.params.id)
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Label deleted',
+      data: { _id: result.label._id, inquiries: result.inquiries }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Replace the labels of an inquiry
+ * Labels are given by ID or by name; unknown names create new labels with the default color.
+ * PUT /api/admin/inquiries/:id/labels
+ */
+export const setAdminInquiryLabels = async (req, res, next) => {
+  try {
+    const { labels } = req.body
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    if (!Array.isArray(labels) || !labels.every(label => typeof label === 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'labels must be an array of label IDs or names'
+      })
+    }
+
+    const ids = labels.filter(label => /^[0-9a-f]{24}$/i.test(label))
+    const names = []
+    for (const label of labels.filter(label => !ids.includes(label))) {
+      const { name, error } = normalizeLabel({ name: label })
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        })
+      }
+      names.push(name)
+    }
+
+    if (new Set([...ids, ...names].map(label => label.toLowerCase())).size > MAX_INQUIRY_LABELS) {
+      return res.status(400).json({
+        success: false,
+        message: `An inquiry can have at most ${MAX_INQUIRY_LABELS} labels`
+      })
+    }
+
+    const labelsById = await findInquiryLabelsByIds(ids.map(id => new ObjectId(id)))
+    const unknownId = ids.find(id => !labelsById.has(id.toLowerCase()))
+    if (unknownId) {
+      return res.status(400).json({
+        success: false,
+        message: `Label not found: ${unknownId}`
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: new ObjectId(req.params.id) })
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    const labelIds = [
+      ...[...labelsById.values()].map(label => label._id),
+      ...(await findOrCreateInquiryLabels(names, { id: req.admin?.id || null, email: req.admin?.email || null }))
+        .map(label => label._id)
+    ].filter((labelId, index, all) => all.findIndex(other => other.equals(labelId)) === index)
+
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id },
+      { $set: { labelIds, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+
+    await attachInquiryLabels([updatedInquiry])
+
+    res.status(200).json({
+      success: true,
+      message: 'Labels updated',
+      data: updatedInquiry.labels
+    })
+  } catch (error) {
+    next(error)
+  }
+}
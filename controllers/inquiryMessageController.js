@@ -0,0 +1,276 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import {
+  createInquiryMessage,
+  listInquiryMessages,
+  markInquiryMessagesRead,
+  MAX_MESSAGE_LENGTH
+} from '../models/inquiryMessage.js'
+import { deleteFileFromCloudinary } from '../middleware/upload.js'
+import { sendInquiryMessageEmail, sendAdminMessageNotificationEmail } from '../utils/inquiryEmails.js'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
+
+/**
+ * Message threads between the team and inquiry clients
+ * Clients use their inquiry token (X-Inquiry-Token); admins use the admin API.
+ */
+
+/**
+ * Message as shown to the client: the admin who sent or read it stays internal
+ */
+function toClientMessage(message) {
+  return {
+    _id: message._id,
+    senderType: message.senderType,
+    body: message.body,
+    attachments: message.attachments || [],
+    createdAt: message.createdAt,
+    readAt: message.readAt || null
+  }
+}
+
+/**
+ * Attachments uploaded by uploadInquiryDocumentsToCloudinary, with the original file details
+ */
+function getUploadedAttachments(req) {
+  const urls = req.uploadedFiles?.documents || []
+  return urls.map((url, index) => ({
+    url,
+    name: req.files[index].originalname,
+    contentType: req.files[index].mimetype,
+    size: req.files[index].size
+  }))
+}
+
+/**
+ * Remove the attachments of a rejected message from storage
+ */
+async function discardAttachments(attachments) {
+  await Promise.all(attachments.map(attachment => deleteFileFromCloudinary(attachment.url)))
+}
+
+/**
+ * Validate a new message; uploaded attachments are removed again when it is rejected
+ * @returns {Promise<string|null>} Error message or null if the message is valid
+ */
+async function getMessageError(body, attachments) {
+  let error = null
+  if (body !== undefined && typeof body !== 'string') {
+    error = 'Message body must be a string'
+  } else if (!body?.trim() && attachments.length === 0) {
+    error = 'Message body or an attachment is required'
+  } else if (body && body.trim().length > MAX_MESSAGE_LENGTH) {
+    error = `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+  }
+
+  if (error) {
+    await discardAttachments(attachments)
+  }
+  return error
+}
+
+/**
+ * Get the message thread of an inquiry and mark the team's messages as read (client)
+ * GET /api/inquiries/:inquiryId/messages
+ */
+export const getClientInquiryMessages = async (req, res, next) => {
+  try {
+    const { inquiryId } = req.params
+
+    await markInquiryMessagesRead(inquiryId, 'client')
+    const messages = await listInquiryMessages(inquiryId)
+
+    res.status(200).json({
+      success: true,
+      data: messages.map(toClientMessage)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Reply in the message thread of an inquiry (client)
+ * Notifies the assigned admin by email
+ * POST /api/inquiries/:inquiryId/messages
+ */
+export const postClientInquiryMessage = async (req, res, next) => {
+  try {
+    const { inquiryId } = req.params
+    const attachments = getUploadedAttachments(req)
+
+    const error = await getMessageError(req.body.body, attachments)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const message = await createInquiryMessage({
+      inquiryId,
+      senderType: 'client',
+      body: req.body.body?.trim() || '',
+      attachments
+    })
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: new ObjectId(inquiryId) },
+      { $set: { lastMessageAt: message.createdAt, lastMessageFrom: 'client' } },
+      { returnDocument: 'after' }
+    )
+
+    if (inquiry?.assignedTo?.email) {
+      try {
+        await sendAdminMessageNotificationEmail(inquiry, message)
+      } catch (mailError) {
+        console.error('⚠️  Could not notify the assignee of a client message:', {
+          inquiryId: inquiryId,
+          error: mailError.message
+        })
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: toClientMessage(message)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the message thread of an inquiry and mark the client's messages as read (admin)
+ * API keys read the thread without marking it as read
+ * GET /api/admin/inquiries/:id/messages
+ */
+export const getAdminInquiryMessages = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne(
+      { _id: new ObjectId(id) },
+      { projection: { _id: 1, mergedInto: 1 } }
+    )
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    if (!req.admin.apiKey) {
+      await markInquiryMessagesRead(id, 'admin', {
+        id: req.admin.id,
+        email: req.admin.email
+      })
+    }
+    const messages = await listInquiryMessages(id)
+
+    res.status(200).json({
+      success: true,
+      data: messages
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Reply to the client in the message thread of an inquiry (admin)
+ * The client is notified by email with a link back to the thread
+ * POST /api/admin/inquiries/:id/messages
+ */
+export const postAdminInquiryMessage = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const attachments = getUploadedAttachments(req)
+
+    if (!ObjectId.isValid(id)) {
+      await discardAttachments(attachments)
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    const error = await getMessageError(req.body.body, attachments)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({
+      _id: new ObjectId(id)
+    })
+
+    if (!inquiry) {
+      await discardAttachments(attachments)
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+
+    if (inquiry.mergedInto) {
+      await discardAttachments(attachments)
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    const message = await createInquiryMessage({
+      inquiryId: id,
+      senderType: 'admin',
+      sender: {
+        id: req.admin.id,
+        email: req.admin.email
+      },
+      body: req.body.body?.trim() || '',
+      attachments
+    })
+
+    await db.collection('inquiries').updateOne(
+      { _id: inquiry._id },
+      { $set: { lastMessageAt: message.createdAt, lastMessageFrom: 'admin' } }
+    )
+
+    let notified = false
+    if (inquiry.email) {
+      try {
+        await sendInquiryMessageEmail(inquiry)
+        notified = true
+      } catch (mailError) {
+        console.error('⚠️  Could not notify the client of a new message:', {
+          inquiryId: id,
+          error: mailError.message
+        })
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: notified ? 'Message sent and client notified' : 'Message sent',
+      data: message
+    })
+  } catch (error) {
+    next(error)
+  }
+}
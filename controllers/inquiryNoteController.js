@@ -0,0 +1,283 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
+import {
+  resolveMentions,
+  notifyNoteMentions,
+  buildAdminNote,
+  normalizeNoteText,
+  sortAdminNotes,
+  ensureAdminNoteIds
+} from '../utils/inquiryNotes.js'
+
+/**
+ * Internal notes on inquiries (admin)
+ * Any owner or editor can add and pin notes; only the author or an owner can edit or delete one.
+ * Admins mentioned with @ receive an email.
+ */
+
+/**
+ * Load an inquiry for a note request; answers the request when it cannot continue
+ */
+async function loadInquiry(db, req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid inquiry ID format'
+    })
+    return null
+  }
+
+  const inquiry = await db.collection('inquiries').findOne({ _id: new ObjectId(req.params.id) })
+
+  if (!inquiry) {
+    res.status(404).json({
+      success: false,
+      message: 'Inquiry not found'
+    })
+    return null
+  }
+
+  if (inquiry.mergedInto) {
+    sendMergedInquiryResponse(req, res, inquiry)
+    return null
+  }
+
+  return await ensureAdminNoteIds(db, inquiry)
+}
+
+/**
+ * Find the note of the request; answers the request when it does not exist
+ */
+function findNote(req, res, inquiry) {
+  const note = ObjectId.isValid(req.params.noteId)
+    ? (inquiry.adminNotes || []).find(candidate => candidate.id.equals(req.params.noteId))
+    : null
+
+  if (!note) {
+    res.status(404).json({
+      success: false,
+      message: 'Note not found'
+    })
+    return null
+  }
+
+  return note
+}
+
+function canChangeNote(admin, note) {
+  return admin.role === 'owner' || (Boolean(note.author?.id) && note.author.id === admin.id)
+}
+
+function getAuthor(req) {
+  return {
+    id: req.admin?.id || null,
+    email: req.admin?.email || null
+  }
+}
+
+/**
+ * List the notes of an inquiry, pinned notes first
+ * GET /api/admin/inquiries/:id/notes
+ */
+export const getAdminInquiryNotes = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sortAdminNotes(inquiry.adminNotes || [])
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add a note to an inquiry
+ * POST /api/admin/inquiries/:id/notes
+ */
+export const postAdminInquiryNote = async (req, res, next) => {
+  try {
+    const { text, error } = normalizeNoteText(req.body.text)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const author = getAuthor(req)
+    const note = buildAdminNote(text, author, await resolveMentions(text, author))
+
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id },
+      { $push: { adminNotes: note }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+
+    await notifyNoteMentions(updatedInquiry, note, note.mentions)
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: note
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Edit the text of a note (author or owner) or pin and unpin it
+ * The previous text is kept in the note's history; newly mentioned admins are emailed.
+ * PATCH /api/admin/inquiries/:id/notes/:noteId
+ */
+export const updateAdminInquiryNote = async (req, res, next) => {
+  try {
+    const { pinned } = req.body
+
+    if (req.body.text === undefined && pinned === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide text and/or pinned'
+      })
+    }
+
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'pinned must be a boolean'
+      })
+    }
+
+    const { text, error } = req.body.text !== undefined ? normalizeNoteText(req.body.text) : {}
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const note = findNote(req, res, inquiry)
+    if (!note) {
+      return
+    }
+
+    const now = new Date()
+    const by = getAuthor(req)
+    const $set = { updatedAt: now }
+    const update = { $set }
+    let mentions = note.mentions || []
+
+    if (text !== undefined && text !== note.text) {
+      if (!canChangeNote(req.admin, note)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the author of a note or an owner can edit it'
+        })
+      }
+
+      mentions = await resolveMentions(text, note.author || {})
+      $set['adminNotes.$.text'] = text
+      $set['adminNotes.$.mentions'] = mentions
+      $set['adminNotes.$.updatedAt'] = now
+      $set['adminNotes.$.updatedBy'] = by
+      update.$push = { 'adminNotes.$.history': { text: note.text, editedAt: now, editedBy: by } }
+    }
+
+    if (pinned !== undefined && pinned !== Boolean(note.pinned)) {
+      $set['adminNotes.$.pinned'] = pinned
+      $set['adminNotes.$.pinnedAt'] = pinned ? now : null
+      $set['adminNotes.$.pinnedBy'] = pinned ? by : null
+    }
+
+    // Only apply if nobody edited the note since it was read
+    const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id, adminNotes: { $elemMatch: { id: note.id, text: note.text } } },
+      update,
+      { returnDocument: 'after' }
+    )
+
+    if (!updatedInquiry) {
+      return res.status(409).json({
+        success: false,
+        code: 'NOTE_CONFLICT',
+        message: 'This note was changed or deleted in the meantime. Please reload and try again.'
+      })
+    }
+
+    const updatedNote = updatedInquiry.adminNotes.find(candidate => candidate.id.equals(note.id))
+
+    // Only the admins the edit adds are emailed
+    const alreadyMentioned = new Set((note.mentions || []).map(mention => mention.id))
+    await notifyNoteMentions(updatedInquiry, updatedNote, mentions.filter(mention => !alreadyMentioned.has(mention.id)))
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated',
+      data: updatedNote
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a note (author or owner)
+ * DELETE /api/admin/inquiries/:id/notes/:noteId
+ */
+export const deleteAdminInquiryNote = async (req, res, next) => {
+  try {
+    const { db } = await connectToDatabase()
+
+    const inquiry = await loadInquiry(db, req, res)
+    if (!inquiry) {
+      return
+    }
+
+    const note = findNote(req, res, inquiry)
+    if (!note) {
+      return
+    }
+
+    if (!canChangeNote(req.admin, note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author of a note or an owner can delete it'
+      })
+    }
+
+    await db.collection('inquiries').updateOne(
+      { _id: inquiry._id },
+      { $pull: { adminNotes: { id: note.id } }, $set: { updatedAt: new Date() } }
+    )
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted',
+      data: { id: note.id }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,177 @@
+import {
+  findAdminByEmail,
+  findAdminById,
+  verifyPassword,
+  setAdminPassword
+} from '../models/admin.js'
+import { createPasswordResetToken, findPasswordResetToken, consumePasswordResetToken } from '../models/passwordReset.js'
+import { revokeAllSessionsForAdmin } from '../models/adminSession.js'
+import { unlockLogin } from '../models/loginThrottle.js'
+import { validatePassword } from '../utils/passwordPolicy.js'
+import { sendMail } from '../utils/mailer.js'
+import { getFrontendUrl } from '../utils/frontendUrl.js'
+
+/**
+ * Request a password reset link
+ * Always responds the same way so the endpoint cannot be used to discover admin emails
+ * POST /api/admin/auth/forgot-password
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      })
+    }
+
+    const admin = await findAdminByEmail(email.trim())
+
+    if (admin && !admin.disabled) {
+      const { token, expiresAt } = await createPasswordResetToken(admin._id.toString(), { ip: req.ip })
+      const resetUrl = `${getFrontendUrl()}/admin/reset-password?token=${encodeURIComponent(token)}`
+
+      await sendMail({
+        to: admin.email,
+        subject: 'Reset your admin password',
+        text: [
+          'A password reset was requested for your admin account.',
+          '',
+          `Reset your password: ${resetUrl}`,
+          '',
+          `This link expires at ${expiresAt.toISOString()} and can only be used once.`,
+          'If you did not request this, you can ignore this email.'
+        ].join('\n')
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Reset a password with a token from a reset link
+ * Signs the admin out of every device
+ * POST /api/admin/auth/reset-password
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      })
+    }
+
+    // The link is only used up once the new password passes the policy
+    const resetRequest = typeof token === 'string' ? await findPasswordResetToken(token) : null
+    const admin = resetRequest && await findAdminById(resetRequest.adminId.toString())
+    if (!admin || admin.disabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      })
+    }
+
+    const policyError = validatePassword(password, { email: admin.email })
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      })
+    }
+
+    if (!await consumePasswordResetToken(token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      })
+    }
+
+    await setAdminPassword(admin._id.toString(), password)
+    await revokeAllSessionsForAdmin(admin._id.toString(), 'password_reset')
+    // Proving control of the mailbox is enough to lift a failed-login lockout
+    await unlockLogin(admin.email)
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Change the current admin's password
+ * Keeps the current session and signs out every other device
+ * PUT /api/admin/auth/password
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      })
+    }
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password must be strings'
+      })
+    }
+
+    const admin = await findAdminById(req.admin.id)
+
+    const isPasswordValid = await verifyPassword(currentPassword, admin.password)
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      })
+    }
+
+    const policyError = validatePassword(newPassword, { email: admin.email })
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      })
+    }
+
+    if (await verifyPassword(newPassword, admin.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      })
+    }
+
+    await setAdminPassword(req.admin.id, newPassword)
+    const revokedCount = await revokeAllSessionsForAdmin(req.admin.id, 'password_changed', {
+      exceptSessionId: req.admin.sessionId
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions: revokedCount
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,628 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import {
+  normalizeQuoteContent,
+  createQuote,
+  listQuotes,
+  findQuoteById,
+  updateDraftQuote,
+  markQuoteSent,
+  recordQuoteView,
+  respondToQuote,
+  QUOTE_STATUSES,
+  QUOTE_ERRORS,
+  MAX_RESPONSE_NAME_LENGTH
+} from '../models/quote.js'
+import { INQUIRY_STATE_ERRORS } from '../utils/inquiryStateMachine.js'
+import { INQUIRY_MERGED } from '../utils/inquiryMerge.js'
+import { generateSecureToken, hashToken } from '../utils/tokens.js'
+import { sendQuoteEmail, sendQuoteResponseNotificationEmail } from '../utils/inquiryEmails.js'
+import { createQuoteDepositCheckout } from '../utils/quoteDeposits.js'
+
+/**
+ * Quotes (fee proposals) for reviewed inquiries
+ * Admins prepare and send them through the admin API; clients open, accept or decline them
+ * with the quote token from the emailed link (X-Quote-Token).
+ */
+
+const MAX_DECLINE_REASON_LENGTH = 2000
+
+/**
+ * Quote as shown to the client: no token hash, admin details or network details of the answer
+ */
+function toClientQuote(quote) {
+  return {
+    _id: quote._id,
+    version: quote.version,
+    status: quote.status,
+    currency: quote.currency,
+    lineItems: quote.lineItems,
+    vatRate: quote.vatRate,
+    subtotal: quote.subtotal,
+    vatAmount: quote.vatAmount,
+    total: quote.total,
+    depositPercent: quote.depositPercent,
+    depositAmount: quote.depositAmount,
+    validUntil: quote.validUntil,
+    notes: quote.notes,
+    sentAt: quote.sentAt,
+    acceptance: quote.acceptance ? { name: quote.acceptance.name, at: quote.acceptance.at } : null,
+    decline: quote.decline ? { name: quote.decline.name, at: quote.decline.at, reason: quote.decline.reason } : null,
+    deposit: quote.deposit
+      ? { status: quote.deposit.status, amount: quote.deposit.amount, currency: quote.deposit.currency, paidAt: quote.deposit.paidAt || null }
+      : null
+  }
+}
+
+function toAdminQuote(quote) {
+  const { accessTokenHash, ...rest } = quote
+  return rest
+}
+
+/**
+ * Error response when quotes cannot be prepared or sent for an inquiry
+ */
+function getInquiryQuoteError(inquiry) {
+  if (!inquiry) {
+    return { status: 404, body: { success: false, message: 'Inquiry not found' } }
+  }
+  if (inquiry.mergedInto) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        code: INQUIRY_MERGED,
+        message: 'This inquiry was merged into another inquiry',
+        mergedInto: inquiry.mergedInto.toString()
+      }
+    }
+  }
+  if (inquiry.status !== 'reviewed') {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        code: INQUIRY_STATE_ERRORS.INVALID_STATUS,
+        message: `Quotes can only be prepared for reviewed inquiries (status: ${inquiry.status || 'draft'})`
+      }
+    }
+  }
+  return null
+}
+
+function getResponseName(body) {
+  const name = typeof body?.name === 'string' ? body.name.trim() : ''
+  if (!name) {
+    return { error: 'Please type your full name' }
+  }
+  if (name.length > MAX_RESPONSE_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_RESPONSE_NAME_LENGTH} characters` }
+  }
+  return { name }
+}
+
+function sendQuoteNotOpen(res, quote) {
+  return res.status(409).json({
+    success: false,
+    code: quote.status === 'expired' ? QUOTE_ERRORS.EXPIRED : QUOTE_ERRORS.NOT_OPEN,
+    message: quote.status === 'expired'
+      ? 'This quote has expired. Please contact us for an updated proposal.'
+      : `This quote can no longer be answered (status: ${quote.status})`
+  })
+}
+
+/**
+ * Notify the inquiry's assignee (or the admin who sent the quote) of the client's answer
+ */
+async function notifyQuoteResponse(inquiry, quote) {
+  const to = inquiry.assignedTo?.email || quote.sentBy?.email
+  if (!to) {
+    return
+  }
+
+  try {
+    await sendQuoteResponseNotificationEmail(to, inquiry, quote)
+  } catch (mailError) {
+    console.error('⚠️  Could not notify the team of a quote answer:', {
+      quoteId: quote._id,
+      error: mailError.message
+    })
+  }
+}
+
+/**
+ * List quotes (admin)
+ * GET /api/admin/quotes?inquiryId=&status=&page=1&limit=25
+ */
+export const getQuotes = async (req, res, next) => {
+  try {
+    const { inquiryId, status } = req.query
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100)
+
+    if (inquiryId && !ObjectId.isValid(inquiryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    if (status && !QUOTE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${QUOTE_STATUSES.join(', ')}`
+      })
+    }
+
+    const { quotes, total } = await listQuotes({ inquiryId, status, page, limit })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: quotes,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a quote (admin)
+ * GET /api/admin/quotes/:id
+ */
+export const getQuoteById = async (req, res, next) => {
+  try {
+    const quote = await findQuoteById(req.params.id)
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toAdminQuote(quote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a draft quote for a reviewed inquiry (admin)
+ * Amounts are in cents; the quote gets the next version number of the inquiry
+ * POST /api/admin/quotes
+ */
+export const createAdminQuote = async (req, res, next) => {
+  try {
+    const { inquiryId } = req.body
+
+    if (!ObjectId.isValid(inquiryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    const { content, error } = normalizeQuoteContent(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: new ObjectId(inquiryId) })
+
+    const inquiryError = getInquiryQuoteError(inquiry)
+    if (inquiryError) {
+      return res.status(inquiryError.status).json(inquiryError.body)
+    }
+
+    const quote = await createQuote({
+      inquiryId,
+      content,
+      createdBy: { id: req.admin?.id || null, email: req.admin?.email || null }
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created',
+      data: toAdminQuote(quote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Replace the line items, VAT rate, validity, deposit or notes of a draft quote (admin)
+ * PATCH /api/admin/quotes/:id
+ */
+export const updateAdminQuote = async (req, res, next) => {
+  try {
+    const quote = await findQuoteById(req.params.id)
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      })
+    }
+
+    if (quote.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        code: QUOTE_ERRORS.NOT_EDITABLE,
+        message: `Only draft quotes can be changed (status: ${quote.status}); create a revision instead`
+      })
+    }
+
+    // Fields left out keep their current value
+    const { content, error } = normalizeQuoteContent({
+      lineItems: quote.lineItems,
+      vatRate: quote.vatRate,
+      validUntil: quote.validUntil.toISOString(),
+      depositPercent: quote.depositPercent,
+      notes: quote.notes,
+      currency: quote.currency,
+      ...req.body
+    })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const updatedQuote = await updateDraftQuote(req.params.id, content)
+    if (!updatedQuote) {
+      return res.status(409).json({
+        success: false,
+        code: QUOTE_ERRORS.NOT_EDITABLE,
+        message: 'The quote was sent or replaced in the meantime'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote updated successfully',
+      data: toAdminQuote(updatedQuote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a new draft version from an existing quote, with optional changes (admin)
+ * The original stays as it is until the new version is sent; validUntil starts a new validity period
+ * POST /api/admin/quotes/:id/revise
+ */
+export const reviseAdminQuote = async (req, res, next) => {
+  try {
+    const original = await findQuoteById(req.params.id)
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      })
+    }
+
+    const { content, error } = normalizeQuoteContent({
+      lineItems: original.lineItems,
+      vatRate: original.vatRate,
+      depositPercent: original.depositPercent,
+      notes: original.notes,
+      currency: original.currency,
+      ...req.body
+    })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: original.inquiryId })
+
+    const inquiryError = getInquiryQuoteError(inquiry)
+    if (inquiryError) {
+      return res.status(inquiryError.status).json(inquiryError.body)
+    }
+
+    const quote = await createQuote({
+      inquiryId: original.inquiryId,
+      content,
+      createdBy: { id: req.admin?.id || null, email: req.admin?.email || null },
+      revisionOf: original._id
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${quote.version} created`,
+      data: toAdminQuote(quote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Email a quote to the client with a new private link (admin)
+ * Sending again replaces the link; other open versions of the inquiry are superseded
+ * POST /api/admin/quotes/:id/send
+ */
+export const sendAdminQuote = async (req, res, next) => {
+  try {
+    const quote = await findQuoteById(req.params.id)
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      })
+    }
+
+    if (!['draft', 'sent'].includes(quote.status)) {
+      return res.status(409).json({
+        success: false,
+        code: quote.status === 'expired' ? QUOTE_ERRORS.EXPIRED : QUOTE_ERRORS.NOT_OPEN,
+        message: `This quote can no longer be sent (status: ${quote.status})`
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: quote.inquiryId })
+
+    const inquiryError = getInquiryQuoteError(inquiry)
+    if (inquiryError) {
+      return res.status(inquiryError.status).json(inquiryError.body)
+    }
+
+    if (!inquiry.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The inquiry has no email address'
+      })
+    }
+
+    const token = generateSecureToken()
+    const sentQuote = await markQuoteSent(req.params.id, hashToken(token), {
+      id: req.admin?.id || null,
+      email: req.admin?.email || null
+    })
+
+    if (!sentQuote) {
+      return res.status(409).json({
+        success: false,
+        code: QUOTE_ERRORS.NOT_OPEN,
+        message: 'The quote expired or was answered in the meantime'
+      })
+    }
+
+    await sendQuoteEmail(inquiry, sentQuote, token)
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote sent to the client',
+      data: toAdminQuote(sentQuote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a quote with its client token; the first view is recorded
+ * GET /api/quotes/:quoteId
+ */
+export const getClientQuote = async (req, res, next) => {
+  try {
+    if (!req.quote.viewedAt) {
+      await recordQuoteView(req.quote._id)
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toClientQuote(req.quote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Accept a quote with the client's typed name; the time, IP address and browser are recorded
+ * When the quote asks for a deposit, a Stripe Checkout session is opened and its URL returned
+ * POST /api/quotes/:quoteId/accept
+ */
+export const acceptClientQuote = async (req, res, next) => {
+  try {
+    const { name, error } = getResponseName(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    if (req.quote.status !== 'sent') {
+      return sendQuoteNotOpen(res, req.quote)
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: req.quote.inquiryId })
+    if (!inquiry || inquiry.status !== 'reviewed') {
+      return res.status(409).json({
+        success: false,
+        code: QUOTE_ERRORS.NOT_OPEN,
+        message: 'This quote can no longer be accepted. Please contact us.'
+      })
+    }
+
+    const quote = await respondToQuote(req.quote._id, 'accepted', {
+      name,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    })
+    if (!quote) {
+      return sendQuoteNotOpen(res, await findQuoteById(req.quote._id.toString()))
+    }
+
+    await db.collection('inquiries').updateOne(
+      { _id: inquiry._id },
+      { $set: { acceptedQuoteId: quote._id, updatedAt: new Date() } }
+    )
+    await notifyQuoteResponse(inquiry, quote)
+
+    // The acceptance stands even if Stripe is unavailable; the client can retry the deposit
+    let deposit = null
+    if (quote.depositAmount > 0) {
+      try {
+        const checkout = await createQuoteDepositCheckout(quote, inquiry)
+        deposit = checkout.url ? checkout : null
+      } catch (stripeError) {
+        console.error('⚠️  Could not open the deposit checkout:', {
+          quoteId: quote._id,
+          error: stripeError.message
+        })
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: quote.depositAmount > 0 && !deposit
+        ? 'Quote accepted. The deposit payment could not be started, please try again.'
+        : 'Quote accepted',
+      data: {
+        quote: toClientQuote(quote),
+        deposit
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Decline a quote with the client's typed name and an optional reason
+ * POST /api/quotes/:quoteId/decline
+ */
+export const declineClientQuote = async (req, res, next) => {
+  try {
+    const { name, error } = getResponseName(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      })
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : ''
+    if (reason.length > MAX_DECLINE_REASON_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be at most ${MAX_DECLINE_REASON_LENGTH} characters`
+      })
+    }
+
+    if (req.quote.status !== 'sent') {
+      return sendQuoteNotOpen(res, req.quote)
+    }
+
+    const quote = await respondToQuote(req.quote._id, 'declined', {
+      name,
+      reason: reason || null,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    })
+    if (!quote) {
+      return sendQuoteNotOpen(res, await findQuoteById(req.quote._id.toString()))
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: quote.inquiryId })
+    if (inquiry) {
+      await notifyQuoteResponse(inquiry, quote)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote declined',
+      data: toClientQuote(quote)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Open (or reopen) the deposit checkout of an accepted quote
+ * POST /api/quotes/:quoteId/deposit
+ */
+export const startClientQuoteDeposit = async (req, res, next) => {
+  try {
+    const quote = req.quote
+
+    if (quote.status !== 'accepted' || !(quote.depositAmount > 0)) {
+      return res.status(409).json({
+        success: false,
+        code: quote.status !== 'accepted' ? QUOTE_ERRORS.NOT_OPEN : QUOTE_ERRORS.NO_DEPOSIT,
+        message: quote.status !== 'accepted' ? 'Only accepted quotes have a deposit' : 'This quote has no deposit'
+      })
+    }
+
+    if (quote.deposit?.status === 'paid') {
+      return res.status(409).json({
+        success: false,
+        code: QUOTE_ERRORS.NOT_OPEN,
+        message: 'The deposit was already paid'
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne({ _id: quote.inquiryId })
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+
+    const checkout = await createQuoteDepositCheckout(quote, inquiry)
+    if (checkout.error) {
+      return res.status(400).json({
+        success: false,
+        message: checkout.error
+      })
+    }
+    if (checkout.conflict) {
+      return res.status(409).json({
+        success: false,
+        code: QUOTE_ERRORS.NOT_OPEN,
+        message: 'A deposit payment is already in progress'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: checkout
+    })
+  } catch (error) {
+    console.error('Stripe error:', error)
+    next(error)
+  }
+}
@@ -2,6 +2,16 @@ import Stripe from 'stripe'
 import dotenv from 'dotenv'
 import { connectToDatabase } from '../config/database.js'
 import { ObjectId } from 'mongodb'
+import { getFrontendUrl } from '../utils/frontendUrl.js'
+import { getWizardActionError, getTransitionError } from '../utils/inquiryStateMachine.js'
+import { getAvailability } from '../models/consultationAvailability.js'
+import { lockSlot, confirmSlot, releaseSlot } from '../models/slotLock.js'
+import { checkRequestedSlot, parseConsultationDuration, SLOT_ERRORS } from '../utils/consultationSlots.js'
+import { hasBookedConsultation } from '../utils/consultationCalendar.js'
+import { sendConsultationConfirmationEmail } from '../utils/inquiryEmails.js'
+import { linkInquiryContact } from '../utils/contacts.js'
+import { getCheckoutEmail, buildCheckoutSessionConfig } from '../utils/stripeCheckout.js'
+import { isQuoteDepositSession, applyQuoteDepositSession } from '../utils/quoteDeposits.js'
 
 dotenv.config()
 
@@ -9,12 +19,162 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2024-11-20.acacia',
 })
 
+// How long a consultation slot stays held for an open checkout (Stripe requires at least 30 minutes)
+const SLOT_HOLD_MINUTES = Math.max(parseInt(process.env.CONSULTATION_SLOT_HOLD_MINUTES, 10) || 30, 30)
+// Extra time for the checkout.session.expired webhook to arrive before the hold lapses on its own
+const SLOT_HOLD_GRACE_MINUTES = 5
+
+/**
+ * Turn the slot held for an inquiry's checkout into a booking
+ * If the hold lapsed before the payment arrived, the slot is taken again when still free;
+ * otherwise the double booking is logged for the team to resolve with the client
+ */
+async function bookConsultationSlot(inquiry) {
+  const details = inquiry.consultationDetails
+  if (!details?.slotStart) {
+    return
+  }
+
+  if (await confirmSlot(inquiry._id) > 0) {
+    return
+  }
+
+  const availability = await getAvailability()
+  const booked = await lockSlot({
+    inquiryId: inquiry._id,
+    start: details.slotStart,
+    durationMinutes: parseInt(details.duration, 10),
+    bufferMinutes: availability.bufferMinutes,
+    state: 'booked'
+  })
+  if (!booked) {
+    console.warn('⚠️  Paid consultation slot is no longer free:', {
+      inquiryId: inquiry._id.toString(),
+      slotStart: details.slotStart
+    })
+  }
+}
+
+/**
+ * Email the client their booking confirmation with the calendar invite, once per inquiry
+ * A failed email is logged and never fails the payment confirmation; the claim is released
+ * so the next confirmation of the payment (webhook retry or session check) sends it again
+ */
+async function sendConsultationConfirmation(db, inquiry) {
+  if (!inquiry.email || !hasBookedConsultation(inquiry)) {
+    return
+  }
+  
+  const claimedAt = new Date()
+  const claimed = await db.collection('inquiries').updateOne(
+    { _id: inquiry._id, consultationConfirmationSentAt: { $exists: false } },
+    { $set: { consultationConfirmationSentAt: claimedAt } }
+  )
+  if (claimed.modifiedCount === 0) {
+    return
+  }
+  
+  try {
+    await sendConsultationConfirmationEmail(inquiry)
+  } catch (error) {
+    console.error('⚠️  Could not send consultation confirmation:', {
+      inquiryId: inquiry._id.toString(),
+      error: error.message
+    })
+    await db.collection('inquiries').updateOne(
+      { _id: inquiry._id, consultationConfirmationSentAt: claimedAt },
+      {
+        $unset: { consultationConfirmationSentAt: '' },
+        $set: { consultationConfirmationError: { message: error.message, at: new Date() } }
+      }
+    )
+    return
+  }
+  
+  await db.collection('inquiries').updateOne(
+    { _id: inquiry._id, consultationConfirmationError: { $exists: true } },
+    { $unset: { consultationConfirmationError: '' } }
+  )
+}
+
+/**
+ * Record a confirmed payment on an inquiry
+ * The payment is always recorded; the status only moves to paid where the state machine
+ * allows it, so a late or repeated confirmation never moves an inquiry backwards
+ * @returns {Promise<Object|null>} Update result, or null if the inquiry does not exist, was refunded or merged
+ */
+async function markInquiryPaid(db, inquiryId, fields = {}) {
+  const inquiry = await db.collection('inquiries').findOne({
+    _id: new ObjectId(inquiryId)
+  })
+  
+  if (!inquiry) {
+    return null
+  }
+  
+  // Merging is refused while a payment is in progress, so this is a repeated confirmation
+  if (inquiry.mergedInto) {
+    console.warn('⚠️  Payment confirmation ignored for a merged inquiry:', {
+      inquiryId: inquiryId,
+      mergedInto: inquiry.mergedInto.toString()
+    })
+    return null
+  }
+  
+  // A client cancellation settled the payment; a late confirmation must not book the slot again
+  if (inquiry.refund) {
+    console.warn('⚠️  Payment confirmation ignored for a cancelled consultation:', {
+      inquiryId: inquiryId,
+      paymentStatus: inquiry.paymentStatus
+    })
+    return null
+  }
+  
+  const updateData = {
+    paymentStatus: 'paid',
+    paidAt: inquiry.paidAt || new Date(),
+    ...fields,
+    updatedAt: new Date()
+  }
+  
+  const stateError = getTransitionError(inquiry, 'paid', 'system')
+  if (stateError) {
+    console.warn('⚠️  Payment recorded without status change:', {
+      inquiryId: inquiryId,
+      status: inquiry.status,
+      reason: stateError.message
+    })
+  } else {
+    updateData.status = 'paid'
+  }
+  
+  const result = await db.collection('inquiries').updateOne(
+    { _id: inquiry._id },
+    { $set: updateData }
+  )
+  
+  await bookConsultationSlot(inquiry)
+  await sendConsultationConfirmation(db, { ...inquiry, ...updateData })
+  
+  // The payer's contact record gets the Stripe customer; never fails the payment confirmation
+  try {
+    await linkInquiryContact(db, { ...inquiry, ...updateData }, { stripeCustomerId: updateData.stripeCustomerId })
+  } catch (error) {
+    console.error('⚠️  Could not link payment to a contact:', {
+      inquiryId: inquiryId,
+      error: error.message
+    })
+  }
+  
+  return result
+}
+
 /**
  * Create Stripe checkout session for consultation
  */
 export const createCheckoutSession = async (req, res, next) => {
   try {
-    const { inquiryId, duration, roadmapReport } = req.body
+    const { inquiryId } = req.body
     
     if (!ObjectId.isValid(inquiryId)) {
       return res.status(400).json({
@@ -35,23 +195,56 @@ export const createCheckoutSession = async (req, res, next) => {
       })
     }
     
+    const stateError = getWizardActionError(inquiry, 'checkout')
+    if (stateError) {
+      return res.status(409).json({
+        success: false,
+        code: stateError.code,
+        message: stateError.message
+      })
+    }
+    
     // Validate email is present and properly formatted (REQUIRED for Stripe automatic emails)
-    if (!inquiry.email || typeof inquiry.email !== 'string' || !inquiry.email.trim()) {
+    const { customerEmail, error: emailError } = getCheckoutEmail(inquiry.email)
+    if (emailError) {
       return res.status(400).json({
         success: false,
-        message: 'Inquiry email is required for payment processing and receipt delivery'
+        message: emailError
       })
     }
     
-    // Normalize email (lowercase, trim) for Stripe
-    const customerEmail = inquiry.email.trim().toLowerCase()
-    
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(customerEmail)) {
+    // The consultation details saved in step 4 decide the slot and the price
+    const details = inquiry.consultationDetails
+    const durationMinutes = parseConsultationDuration(details?.duration || req.body.duration)
+    if (!details?.selectedDate || !details?.selectedTime || !durationMinutes) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid email format in inquiry. Please provide a valid email address.'
+        message: 'Please select a consultation date and time first'
+      })
+    }
+    const duration = String(durationMinutes)
+    const roadmapReport = details.roadmapReport ?? req.body.roadmapReport
+    
+    // Hold the slot for as long as the checkout session is open
+    const availability = await getAvailability()
+    const slot = await checkRequestedSlot(
+      availability,
+      { date: details.selectedDate, time: details.selectedTime, duration: durationMinutes },
+      { inquiryId: inquiry._id }
+    )
+    const checkoutExpiresAt = new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000)
+    const held = !slot.error && await lockSlot({
+      inquiryId: inquiry._id,
+      start: slot.start,
+      durationMinutes,
+      bufferMinutes: availability.bufferMinutes,
+      expiresAt: new Date(checkoutExpiresAt.getTime() + SLOT_HOLD_GRACE_MINUTES * 60 * 1000)
+    })
+    if (!held) {
+      return res.status(409).json({
+        success: false,
+        code: SLOT_ERRORS.UNAVAILABLE,
+        message: slot.error || 'This time slot is no longer available. Please choose another one.'
       })
     }
     
@@ -96,62 +289,35 @@ export const createCheckoutSession = async (req, res, next) => {
     }
     
     // Get frontend URL for redirects
-    // In production, use FRONTEND_URLS from env, otherwise default to localhost for development
-    const getFrontendUrl = () => {
-      if (process.env.FRONTEND_URLS) {
-        // Get first URL from comma-separated list and remove trailing slash
-        const url = process.env.FRONTEND_URLS.split(',')[0].trim()
-        return url.endsWith('/') ? url.slice(0, -1) : url
-      }
-      // For local development, check if we're in production mode
-      if (process.env.NODE_ENV === 'production') {
-        return 'https://architecture-portfolio-mu.vercel.app'
-      }
-      return 'http://localhost:3000'
-    }
-    
     const frontendUrl = getFrontendUrl()
     
     // Get clientType from inquiry to configure billing address collection
     const clientType = inquiry.clientType || 'private'
     
     // Create checkout session configuration based on client type
-    // For French invoicing compliance:
-    // - Private: Collect personal billing address (no company)
-    // - Business: Collect company billing address (with company name)
-    const sessionConfig = {
-      mode: 'payment',
-      payment_method_types: ['card'],
-      
-      // CRITICAL: Force customer creation to enable automatic email sending
-      customer_creation: 'always',
-      customer_email: customerEmail, // Use normalized email
-      
-      // Billing address collection: 'required' ensures Stripe prompts for billing address
-      // This is important for AVS (Address Verification System) checks and compliance
-      billing_address_collection: 'required',
-      
-      // Enable tax ID collection so Checkout asks for VAT when supported
-      tax_id_collection: {
-        enabled: true,
-        // Require when clientType is business in supported countries
-        required: clientType === 'business' ? 'if_supported' : 'never'
-      },
-      
-      line_items: lineItems,
-      
-      success_url: `${frontendUrl}/inquiry/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${frontendUrl}/inquiry/cancel`,
-      
+    const sessionConfig = buildCheckoutSessionConfig({
+      customerEmail,
+      clientType,
+      lineItems,
+      // The slot hold ends with the session (checkout.session.expired releases it)
+      expiresAt: checkoutExpiresAt,
+      successUrl: `${frontendUrl}/inquiry/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${frontendUrl}/inquiry/cancel`,
       metadata: {
         inquiryId: inquiryId,
         duration: duration,
         roadmapReport: roadmapReport ? 'true' : 'false',
         clientType: clientType, // Store client type in metadata
-      },
-    }
+      }
+    })
     
-    const session = await stripe.checkout.sessions.create(sessionConfig)
+    let session
+    try {
+      session = await stripe.checkout.sessions.create(sessionConfig)
+    } catch (stripeError) {
+      await releaseSlot(inquiry._id)
+      throw stripeError
+    }
     
     // Log customer creation for debugging (only in development)
     if (process.env.NODE_ENV !== 'production') {
@@ -176,11 +342,26 @@ export const createCheckoutSession = async (req, res, next) => {
           stripeCustomerId: session.customer || null, // might be null until completed
           stripeInvoiceId: session.invoice || null,
           paymentStatus: 'pending',
+          status: 'payment_pending',
           updatedAt: new Date()
         } 
       }
     )
     
+    // The previous session can no longer be paid; once replaced, its expiry leaves the slot held
+    if (inquiry.stripeSessionId && inquiry.stripeSessionId !== session.id) {
+      try {
+        await stripe.checkout.sessions.expire(inquiry.stripeSessionId)
+      } catch (expireError) {
+        // Already expired or completed
+        console.warn('⚠️  Could not expire previous checkout session:', {
+          inquiryId: inquiryId,
+          sessionId: inquiry.stripeSessionId,
+          error: expireError.message
+        })
+      }
+    }
+    
     res.status(200).json({
       success: true,
       data: {
@@ -204,28 +385,29 @@ export const getCheckoutSession = async (req, res, next) => {
     const session = await stripe.checkout.sessions.retrieve(sessionId)
     const inquiryId = session.metadata?.inquiryId
     
-    // If payment is paid, automatically update the inquiry in database
-    // This acts as a backup if the webhook failed
-    if (session.payment_status === 'paid' && inquiryId && ObjectId.isValid(inquiryId)) {
+    // Quote deposits update their quote, never the inquiry's own payment
+    if (session.payment_status === 'paid' && isQuoteDepositSession(session)) {
       try {
         const { db } = await connectToDatabase()
-        const updateResult = await db.collection('inquiries').updateOne(
-          { _id: new ObjectId(inquiryId) },
-          { 
-            $set: { 
-              paymentStatus: 'paid',
-              status: 'paid',
-              paidAt: new Date(),
-              updatedAt: new Date()
-            } 
-          }
-        )
+        await applyQuoteDepositSession(db, session, 'paid')
+      } catch (updateError) {
+        console.error('⚠️  Error auto-updating quote deposit:', updateError)
+      }
+    } else if (session.payment_status === 'paid' && inquiryId && ObjectId.isValid(inquiryId)) {
+      // If payment is paid, automatically update the inquiry in database
+      // This acts as a backup if the webhook failed
+      try {
+        const { db } = await connectToDatabase()
+        const updateResult = await markInquiryPaid(db, inquiryId, {
+          amountPaid: session.amount_total,
+          currency: session.currency
+        })
         
         console.log('✅ Auto-updated inquiry from session check:', {
           sessionId: sessionId,
           inquiryId: inquiryId,
-          matchedCount: updateResult.matchedCount,
-          modifiedCount: updateResult.modifiedCount
+          matchedCount: updateResult?.matchedCount || 0,
+          modifiedCount: updateResult?.modifiedCount || 0
         })
       } catch (updateError) {
         console.error('⚠️  Error auto-updating inquiry:', updateError)
@@ -277,6 +459,21 @@ export const handleWebhook = async (req, res, next) => {
   try {
     const { db } = await connectToDatabase()
     
+    // Quote deposit sessions carry the inquiry ID too, but only update their quote
+    if (event.type.startsWith('checkout.session.') && isQuoteDepositSession(event.data.object)) {
+      const depositSession = event.data.object
+      const depositStatus = {
+        'checkout.session.completed': depositSession.payment_status === 'paid' ? 'paid' : 'pending',
+        'checkout.session.async_payment_succeeded': 'paid',
+        'checkout.session.async_payment_failed': 'failed',
+        'checkout.session.expired': 'expired'
+      }[event.type]
+      if (depositStatus) {
+        await applyQuoteDepositSession(db, depositSession, depositStatus)
+      }
+      return res.json({ received: true })
+    }
+    
     // Handle the event
     switch (event.type) {
       case 'checkout.session.completed': {
@@ -308,23 +505,31 @@ export const handleWebhook = async (req, res, next) => {
         // Persist customer & invoice IDs and mark as paid
         // For business clients, invoice status is 'billing_pending' until billing info is collected
         // For private clients, invoice can be finalized immediately
-        await db.collection('inquiries').updateOne(
-          { _id: new ObjectId(inquiryId) },
-          {
-            $set: {
-              paymentStatus: paymentStatus === 'paid' ? 'paid' : 'pending',
-              status: paymentStatus === 'paid' ? 'paid' : 'pending',
-              stripeCustomerId: customerId || null,
-              stripeInvoiceId: invoiceId || null,
-              // Invoice status: business clients need billing info before finalization
-              invoiceStatus: paymentStatus === 'paid' && clientType === 'business'
-                ? 'billing_pending'
-                : paymentStatus === 'paid' ? 'finalized' : 'pending',
-              paidAt: paymentStatus === 'paid' ? new Date() : undefined,
-              updatedAt: new Date()
+        if (paymentStatus === 'paid') {
+          await markInquiryPaid(db, inquiryId, {
+            amountPaid: session.amount_total,
+            currency: session.currency,
+            stripeCustomerId: customerId || null,
+            stripeInvoiceId: invoiceId || null,
+            invoiceStatus: clientType === 'business' ? 'billing_pending' : 'finalized'
+          })
+        } else {
+          // Async payment methods: the inquiry stays payment_pending until
+          // checkout.session.async_payment_succeeded arrives; the slot stays reserved meanwhile
+          await confirmSlot(inquiryId)
+          await db.collection('inquiries').updateOne(
+            { _id: new ObjectId(inquiryId) },
+            {
+              $set: {
+                paymentStatus: 'pending',
+                stripeCustomerId: customerId || null,
+                stripeInvoiceId: invoiceId || null,
+                invoiceStatus: 'pending',
+                updatedAt: new Date()
+              }
             }
-          }
-        )
+          )
+        }
 
         if (paymentStatus === 'paid') {
           console.log('✅ Payment completed - Inquiry updated:', {
@@ -355,20 +560,13 @@ export const handleWebhook = async (req, res, next) => {
         const asyncClientType = asyncSession.metadata?.clientType || 'private'
         
         if (asyncInquiryId && ObjectId.isValid(asyncInquiryId)) {
-          await db.collection('inquiries').updateOne(
-            { _id: new ObjectId(asyncInquiryId) },
-            { 
-              $set: { 
-                paymentStatus: 'paid',
-                status: 'paid',
-                stripeCustomerId: asyncCustomerId || null,
-                stripeInvoiceId: asyncInvoiceId || null,
-                invoiceStatus: asyncClientType === 'business' ? 'billing_pending' : 'finalized',
-                paidAt: new Date(),
-                updatedAt: new Date()
-              } 
-            }
-          )
+          await markInquiryPaid(db, asyncInquiryId, {
+            amountPaid: asyncSession.amount_total,
+            currency: asyncSession.currency,
+            stripeCustomerId: asyncCustomerId || null,
+            stripeInvoiceId: asyncInvoiceId || null,
+            invoiceStatus: asyncClientType === 'business' ? 'billing_pending' : 'finalized'
+          })
           console.log('✅ Async payment completed for inquiry:', {
             inquiryId: asyncInquiryId,
             clientType: asyncClientType,
@@ -377,6 +575,42 @@ export const handleWebhook = async (req, res, next) => {
         }
         break
       
+      case 'checkout.session.expired': {
+        // Checkout abandoned: free the consultation slot it was holding
+        // A session replaced by a newer checkout leaves the slot to the newer one
+        const expiredSessionId = event.data.object.id
+        const expiredInquiryId = event.data.object.metadata?.inquiryId
+        if (expiredInquiryId && ObjectId.isValid(expiredInquiryId)) {
+          const expiredInquiry = await db.collection('inquiries').findOne(
+            { _id: new ObjectId(expiredInquiryId) },
+            { projection: { stripeSessionId: 1 } }
+          )
+          const isCurrentSession = expiredInquiry?.stripeSessionId === expiredSessionId
+          const released = isCurrentSession ? await releaseSlot(expiredInquiryId) : 0
+          console.log('⌛ Checkout session expired:', {
+            sessionId: expiredSessionId,
+            inquiryId: expiredInquiryId,
+            superseded: !isCurrentSession,
+            releasedBlocks: released
+          })
+        }
+        break
+      }
+      
+      case 'checkout.session.async_payment_failed': {
+        // The reservation made when checkout completed is released with the failed payment
+        const failedInquiryId = event.data.object.metadata?.inquiryId
+        if (failedInquiryId && ObjectId.isValid(failedInquiryId)) {
+          await releaseSlot(failedInquiryId, { includeBooked: true })
+          await db.collection('inquiries').updateOne(
+            { _id: new ObjectId(failedInquiryId), paymentStatus: { $ne: 'paid' } },
+            { $set: { paymentStatus: 'failed', updatedAt: new Date() } }
+          )
+          console.log('❌ Async payment failed for inquiry:', failedInquiryId)
+        }
+        break
+      }
+      
       case 'invoice.finalized':
         // Log invoice finalization for tracking
         const finalizedInvoice = event.data.object
@@ -453,18 +687,11 @@ export const verifyPaymentStatus = async (req, res, next) => {
     })
     
     // Update if payment is completed
-    if (session.payment_status === 'paid' && inquiry.paymentStatus !== 'paid') {
-      await db.collection('inquiries').updateOne(
-        { _id: new ObjectId(inquiryId) },
-        { 
-          $set: { 
-            paymentStatus: 'paid',
-            status: 'paid',
-            paidAt: new Date(),
-            updatedAt: new Date()
-          } 
-        }
-      )
+    if (session.payment_status === 'paid' && inquiry.paymentStatus !== 'paid' && !inquiry.refund) {
+      await markInquiryPaid(db, inquiryId, {
+        amountPaid: session.amount_total,
+        currency: session.currency
+      })
       
       return res.status(200).json({
         success: true,
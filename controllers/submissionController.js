@@ -0,0 +1,351 @@
+import { issueFormChallenge, getSubmissionProtectionConfig, PROTECTED_FORMS } from '../utils/formChallenge.js'
+import {
+  listQuarantinedSubmissions,
+  findQuarantinedSubmissionById,
+  reviewQuarantinedSubmission,
+  recordSubmissionRelease,
+  revertSubmissionRelease,
+  deleteQuarantinedSubmission,
+  loadQuarantinedFiles,
+  deleteQuarantinedFiles,
+  QUARANTINE_STATUSES
+} from '../models/quarantinedSubmission.js'
+import { validateInquiryIdentity, validateCreateTestimonial, validateCreateApplication } from '../middleware/validation.js'
+import { createInquiryIdentity } from './inquiryController.js'
+import { createTestimonial } from './testimonialsController.js'
+import { createApplication } from './careerController.js'
+import { uploadCareerFiles, deleteFileFromCloudinary } from '../middleware/upload.js'
+import { sendInquiryResumeEmail } from '../utils/inquiryEmails.js'
+
+// Handlers a released submission goes through: the ones its public route runs after the abuse checks
+// (uploadFiles: what the route's upload middleware does with the files)
+const RELEASE_HANDLERS = {
+  inquiry: { collection: 'inquiries', handlers: [validateInquiryIdentity, createInquiryIdentity] },
+  testimonial: { collection: 'testimonials', handlers: [validateCreateTestimonial, createTestimonial] },
+  career: {
+    collection: 'career_applications',
+    uploadFiles: uploadCareerFiles,
+    handlers: [validateCreateApplication, createApplication]
+  }
+}
+
+/**
+ * Run Express handlers on a stored request and capture the response they send
+ * @returns {Promise<Object>} { status, body }
+ */
+function runHandlers(handlers, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      set() {
+        return this
+      },
+      setHeader() {},
+      json(body) {
+        resolve({ status: this.statusCode, body })
+        return this
+      }
+    }
+
+    let index = 0
+    const next = error => {
+      if (error) {
+        return reject(error)
+      }
+      const handler = handlers[index++]
+      if (!handler) {
+        return reject(new Error('The submission handlers sent no response'))
+      }
+      Promise.resolve(handler(req, res, next)).catch(reject)
+    }
+    next()
+  })
+}
+
+/**
+ * Create the inquiry, testimonial or application of a released submission, as its public route would
+ * The stored files are uploaded to Cloudinary first; they are removed again if the submission is refused.
+ * @param {Object} submission - Quarantined submission
+ * @returns {Promise<Object>} { status, body } of the create handler
+ */
+async function createReleasedSubmission(submission) {
+  const { handlers, uploadFiles } = RELEASE_HANDLERS[submission.form]
+
+  const storedFiles = (submission.files || []).filter(file => file.fileId)
+  const uploadedFiles = uploadFiles && storedFiles.length > 0
+    ? await uploadFiles(await loadQuarantinedFiles(storedFiles))
+    : {}
+
+  const req = {
+    body: { ...submission.fields },
+    uploadedFiles: Object.keys(uploadedFiles).length > 0 ? uploadedFiles : undefined,
+    ip: submission.ip,
+    headers: {},
+    get: () => undefined
+  }
+
+  let created
+  try {
+    created = await runHandlers(handlers, req)
+  } finally {
+    if (!created || created.status >= 400) {
+      await Promise.all(Object.values(uploadedFiles).map(url => deleteFileFromCloudinary(url)))
+    }
+  }
+
+  return created
+}
+
+/**
+ * Delete the stored files of a quarantined submission; a failure is logged, never thrown
+ */
+async function removeStoredFiles(submission) {
+  try {
+    await deleteQuarantinedFiles(submission.files || [])
+  } catch (error) {
+    console.error('⚠️  Could not delete quarantined files:', {
+      submissionId: submission._id.toString(),
+      error: error.message
+    })
+  }
+}
+
+/**
+ * Get a proof-of-work challenge for a public form
+ * Forms fetch it when they are opened and send the solved challenge with the submission
+ * GET /api/challenges?form=career
+ */
+export const getFormChallenge = async (req, res, next) => {
+  try {
+    const { form } = req.query
+    
+    if (!PROTECTED_FORMS.includes(form)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid form. Must be one of: ${PROTECTED_FORMS.join(', ')}`
+      })
+    }
+    
+    if (!getSubmissionProtectionConfig().enabled) {
+      return res.status(200).json({
+        success: true,
+        data: { enabled: false }
+      })
+    }
+    
+    res.set('Cache-Control', 'no-store')
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: true,
+        ...issueFormChallenge(form)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * List quarantined submissions (admin)
+ * GET /api/admin/quarantine?form=career&status=pending&page=1&limit=25
+ */
+export const getQuarantinedSubmissions = async (req, res, next) => {
+  try {
+    const { form = '', status = 'pending' } = req.query
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100)
+    
+    if (form && !PROTECTED_FORMS.includes(form)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid form. Must be one of: ${PROTECTED_FORMS.join(', ')}`
+      })
+    }
+    
+    if (status !== 'all' && !QUARANTINE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: all, ${QUARANTINE_STATUSES.join(', ')}`
+      })
+    }
+    
+    const { submissions, total } = await listQuarantinedSubmissions({
+      form: form || null,
+      status: status === 'all' ? null : status,
+      page,
+      limit
+    })
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        data: submissions,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a quarantined submission (admin)
+ * GET /api/admin/quarantine/:id
+ */
+export const getQuarantinedSubmissionById = async (req, res, next) => {
+  try {
+    const submission = await findQuarantinedSubmissionById(req.params.id)
+    
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined submission not found'
+      })
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: submission
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Review a quarantined submission (admin)
+ * released: genuine, the inquiry, testimonial or application is created from the stored payload
+ * (an inquiry's sender is emailed a link to continue it); rejected: spam
+ * PATCH /api/admin/quarantine/:id
+ */
+export const updateQuarantinedSubmission = async (req, res, next) => {
+  try {
+    const { status } = req.body
+    
+    if (!['released', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be released or rejected'
+      })
+    }
+    
+    const submission = await findQuarantinedSubmissionById(req.params.id)
+    
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined submission not found'
+      })
+    }
+    
+    const reviewed = await reviewQuarantinedSubmission(req.params.id, status, {
+      id: req.admin.id,
+      email: req.admin.email
+    })
+    
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        code: 'SUBMISSION_ALREADY_REVIEWED',
+        message: `This submission was already ${submission.status === 'released' ? 'released' : 'reviewed'}`
+      })
+    }
+    
+    if (status === 'rejected') {
+      return res.status(200).json({
+        success: true,
+        message: 'Submission rejected',
+        data: reviewed
+      })
+    }
+    
+    let created
+    try {
+      created = await createReleasedSubmission(submission)
+    } catch (error) {
+      await revertSubmissionRelease(submission, error.message)
+      throw error
+    }
+    
+    // Validation or duplicate checks of the public route refused the submission
+    if (created.status >= 400) {
+      const reverted = await revertSubmissionRelease(submission, created.body?.message || 'The submission was refused')
+      return res.status(409).json({
+        success: false,
+        code: 'SUBMISSION_RELEASE_FAILED',
+        message: `The submission could not be created: ${created.body?.message || 'it was refused'}`,
+        data: reverted
+      })
+    }
+    
+    const createdDocument = created.body.data
+    const released = await recordSubmissionRelease(submission._id, {
+      collection: RELEASE_HANDLERS[submission.form].collection,
+      id: createdDocument._id
+    })
+    
+    // The files now live on Cloudinary with the created application
+    await removeStoredFiles(submission)
+    
+    // The sender never received the inquiry's client token; the resume link gives them access
+    if (submission.form === 'inquiry' && createdDocument.email) {
+      try {
+        await sendInquiryResumeEmail(createdDocument)
+      } catch (emailError) {
+        console.error('⚠️  Could not send resume link for released inquiry:', {
+          submissionId: submission._id.toString(),
+          inquiryId: createdDocument._id.toString(),
+          error: emailError.message
+        })
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Submission released',
+      data: released
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a quarantined submission (admin)
+ * DELETE /api/admin/quarantine/:id
+ */
+export const removeQuarantinedSubmission = async (req, res, next) => {
+  try {
+    const submission = await findQuarantinedSubmissionById(req.params.id)
+    const deleted = submission && await deleteQuarantinedSubmission(req.params.id)
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined submission not found'
+      })
+    }
+    
+    // Files of a released submission were already moved to Cloudinary
+    if (submission.status !== 'released') {
+      await removeStoredFiles(submission)
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Quarantined submission deleted'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
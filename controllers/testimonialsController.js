@@ -1,5 +1,6 @@
 import { connectToDatabase } from '../config/database.js'
 import { ObjectId } from 'mongodb'
+import { linkTestimonialContact, removeUnusedContact } from '../utils/contacts.js'
 
 /**
  * Get all testimonials (PUBLIC - only returns approved testimonials)
@@ -120,6 +121,16 @@ export const createTestimonial = async (req, res, next) => {
       _id: result.insertedId
     })
     
+    // The contact record never fails the submission
+    try {
+      await linkTestimonialContact(db, createdTestimonial)
+    } catch (contactError) {
+      console.error('⚠️  Could not link testimonial to a contact:', {
+        testimonialId: result.insertedId.toString(),
+        error: contactError.message
+      })
+    }
+    
     res.status(201).json({
       success: true,
       message: 'Testimonial created successfully',
@@ -263,17 +274,19 @@ export const deleteTestimonial = async (req, res, next) => {
     }
     
     const { db } = await connectToDatabase()
-    const result = await db.collection('testimonials').deleteOne({
+    const testimonial = await db.collection('testimonials').findOneAndDelete({
       _id: new ObjectId(id)
     })
     
-    if (result.deletedCount === 0) {
+    if (!testimonial) {
       return res.status(404).json({
         success: false,
         message: 'Testimonial not found'
       })
     }
     
+    await removeUnusedContact(db, testimonial.contactId)
+    
     res.status(200).json({
       success: true,
       message: 'Testimonial deleted successfully'
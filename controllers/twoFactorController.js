@@ -0,0 +1,224 @@
+import {
+  findAdminById,
+  verifyPassword,
+  setPendingTwoFactorSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  recordTwoFactorStep
+} from '../models/admin.js'
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from '../utils/totp.js'
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Architect Portfolio Admin'
+
+/**
+ * Start 2FA enrollment for the current admin
+ * Returns the secret and the otpauth URI to render as a QR code
+ * POST /api/admin/auth/2fa/enroll
+ */
+export const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const admin = await findAdminById(req.admin.id)
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      })
+    }
+
+    const secret = generateTotpSecret()
+    await setPendingTwoFactorSecret(req.admin.id, secret)
+
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      accountName: admin.email,
+      issuer: TOTP_ISSUER
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrPayload: otpauthUrl
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * Returns the one-time recovery codes (only shown once)
+ * POST /api/admin/auth/2fa/confirm
+ */
+export const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body
+    const admin = await findAdminById(req.admin.id)
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      })
+    }
+
+    const pendingSecret = admin.twoFactor?.pendingSecret
+    if (!pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending enrollment. Start enrollment first.'
+      })
+    }
+
+    const step = verifyTotp(pendingSecret, code)
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    await enableTwoFactor(req.admin.id, {
+      secret: pendingSecret,
+      recoveryCodes: recoveryCodes.map(normalizeRecoveryCode),
+      lastUsedStep: step
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Disable 2FA for the current admin (requires password and a current code)
+ * POST /api/admin/auth/2fa/disable
+ */
+export const disableOwnTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and verification code are required'
+      })
+    }
+
+    const admin = await findAdminById(req.admin.id)
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      })
+    }
+
+    const isPasswordValid = await verifyPassword(password, admin.password)
+    const step = verifyTotp(admin.twoFactor.secret, code, {
+      lastUsedStep: admin.twoFactor.lastUsedStep ?? null
+    })
+
+    if (!isPasswordValid || step === null || !await recordTwoFactorStep(req.admin.id, step)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      })
+    }
+
+    await disableTwoFactor(req.admin.id)
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Regenerate recovery codes (invalidates the previous ones)
+ * POST /api/admin/auth/2fa/recovery-codes
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body
+    const admin = await findAdminById(req.admin.id)
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      })
+    }
+
+    const step = verifyTotp(admin.twoFactor.secret, code, {
+      lastUsedStep: admin.twoFactor.lastUsedStep ?? null
+    })
+    if (step === null || !await recordTwoFactorStep(req.admin.id, step)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    await replaceRecoveryCodes(req.admin.id, recoveryCodes.map(normalizeRecoveryCode))
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Reset another admin's 2FA (owner only), e.g. after a lost device
+ * DELETE /api/admin/users/:id/2fa
+ */
+export const resetAdminTwoFactor = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const admin = await findAdminById(id)
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      })
+    }
+
+    await disableTwoFactor(id)
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset. The admin can enroll again after logging in.'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,14 @@
+import { getPublicJwks } from '../utils/jwt.js'
+
+/**
+ * Get the public keys used to sign admin access tokens
+ * GET /.well-known/jwks.json
+ */
+export const getJwks = async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300')
+    res.status(200).json(getPublicJwks())
+  } catch (error) {
+    next(error)
+  }
+}
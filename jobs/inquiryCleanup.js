@@ -0,0 +1,291 @@
+import { connectToDatabase } from '../config/database.js'
+import Stripe from 'stripe'
+import dotenv from 'dotenv'
+import { getTransitionError, getNextWizardStep } from '../utils/inquiryStateMachine.js'
+import { sendInquiryResumeEmail } from '../utils/inquiryEmails.js'
+import { deleteFileFromCloudinary } from '../middleware/upload.js'
+import { recordJobRun } from '../models/jobRun.js'
+import { releaseSlot } from '../models/slotLock.js'
+import { listInquiryMessages, deleteInquiryMessages } from '../models/inquiryMessage.js'
+import { removeUnusedContact } from '../utils/contacts.js'
+import { getInquiryDocuments, deleteInquiryDocumentFile } from '../utils/inquiryDocuments.js'
+
+dotenv.config()
+
+/**
+ * Abandoned inquiry cleanup job
+ * Each run:
+ * 1. marks checkouts left in paymentStatus "pending" as "abandoned" and returns the inquiry to draft
+ * 2. emails a "continue your inquiry" reminder for drafts that have been idle (at most INQUIRY_REMINDER_MAX)
+ * 3. anonymizes or deletes drafts past the retention window, with their uploaded documents and messages
+ * and records a summary in `job_runs` (shown on the admin dashboard).
+ */
+
+export const INQUIRY_CLEANUP_JOB = 'inquiry_cleanup'
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: '2024-11-20.acacia',
+})
+
+const HOUR_MS = 60 * 60 * 1000
+// Inquiries handled per step and run, the rest is picked up by the next run
+const BATCH_SIZE = 100
+
+function readNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name])
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue
+}
+
+/**
+ * Read the job settings from the environment
+ * @returns {Object} Settings
+ */
+export function getInquiryCleanupConfig() {
+  return {
+    intervalMinutes: readNumber('INQUIRY_CLEANUP_INTERVAL_MINUTES', 60),
+    reminderAfterHours: readNumber('INQUIRY_REMINDER_AFTER_HOURS', 24),
+    reminderIntervalHours: readNumber('INQUIRY_REMINDER_INTERVAL_HOURS', 72),
+    maxReminders: Math.min(readNumber('INQUIRY_REMINDER_MAX', 2), 2),
+    checkoutAbandonHours: readNumber('INQUIRY_CHECKOUT_ABANDON_HOURS', 24),
+    retentionDays: readNumber('INQUIRY_DRAFT_RETENTION_DAYS', 90),
+    retentionMode: process.env.INQUIRY_RETENTION_MODE === 'delete' ? 'delete' : 'anonymize'
+  }
+}
+
+/**
+ * Mark stale checkouts as abandoned
+ * Sessions that Stripe reports as paid are left alone (the webhook or verify-payment will record them);
+ * open sessions are expired so the client cannot pay for an inquiry that went back to draft.
+ */
+async function abandonStaleCheckouts(db, config, now) {
+  const result = { abandoned: 0, skippedPaid: 0, errors: 0 }
+  const cutoff = new Date(now.getTime() - config.checkoutAbandonHours * HOUR_MS)
+
+  const inquiries = await db.collection('inquiries')
+    .find({
+      paymentStatus: 'pending',
+      status: { $in: ['draft', 'payment_pending', 'consultation_pending_payment'] },
+      updatedAt: { $lt: cutoff }
+    })
+    .limit(BATCH_SIZE)
+    .toArray()
+
+  for (const inquiry of inquiries) {
+    try {
+      if (inquiry.stripeSessionId) {
+        const session = await stripe.checkout.sessions.retrieve(inquiry.stripeSessionId)
+        if (session.payment_status === 'paid') {
+          result.skippedPaid++
+          continue
+        }
+        if (session.status === 'open') {
+          await stripe.checkout.sessions.expire(inquiry.stripeSessionId)
+        }
+      }
+
+      const update = { paymentStatus: 'abandoned', abandonedAt: now }
+      if (!getTransitionError(inquiry, 'draft', 'system')) {
+        update.status = 'draft'
+      }
+
+      // Compare-and-set so a payment confirmed in the meantime is never overwritten
+      const updated = await db.collection('inquiries').findOneAndUpdate(
+        { _id: inquiry._id, status: inquiry.status, paymentStatus: 'pending' },
+        { $set: update }
+      )
+      if (updated) {
+        await releaseSlot(inquiry._id)
+        result.abandoned++
+      }
+    } catch (error) {
+      console.error(`Inquiry cleanup: could not abandon checkout for ${inquiry._id}:`, error.message)
+      result.errors++
+    }
+  }
+
+  return result
+}
+
+/**
+ * Send reminder emails for idle drafts
+ * Job writes do not touch updatedAt, so reminders never extend a draft's retention.
+ */
+async function sendDraftReminders(db, config, now) {
+  const result = { sent: 0, errors: 0 }
+  if (config.maxReminders === 0) {
+    return result
+  }
+
+  const idleCutoff = new Date(now.getTime() - config.reminderAfterHours * HOUR_MS)
+  const reminderCutoff = new Date(now.getTime() - config.reminderIntervalHours * HOUR_MS)
+  const retentionCutoff = new Date(now.getTime() - config.retentionDays * 24 * HOUR_MS)
+
+  const inquiries = await db.collection('inquiries')
+    .find({
+      status: 'draft',
+      email: { $nin: ['', null] },
+      anonymizedAt: { $exists: false },
+      updatedAt: { $lt: idleCutoff, $gte: retentionCutoff },
+      $and: [
+        { $or: [{ remindersSent: { $exists: false } }, { remindersSent: { $lt: config.maxReminders } }] },
+        { $or: [{ lastReminderAt: { $exists: false } }, { lastReminderAt: { $lt: reminderCutoff } }] }
+      ]
+    })
+    .limit(BATCH_SIZE)
+    .toArray()
+
+  for (const inquiry of inquiries) {
+    if (!getNextWizardStep(inquiry)) {
+      continue
+    }
+
+    // Claim the reminder first so overlapping runs (several instances) never send it twice
+    const claimed = await db.collection('inquiries').findOneAndUpdate(
+      { _id: inquiry._id, remindersSent: inquiry.remindersSent ?? { $exists: false } },
+      { $inc: { remindersSent: 1 }, $set: { lastReminderAt: now } }
+    )
+    if (!claimed) {
+      continue
+    }
+
+    try {
+      await sendInquiryResumeEmail(inquiry, { reminder: true })
+      result.sent++
+    } catch (error) {
+      console.error(`Inquiry cleanup: could not send reminder for ${inquiry._id}:`, error.message)
+      result.errors++
+    }
+  }
+
+  return result
+}
+
+/**
+ * Anonymize or delete drafts past the retention window
+ * Uploaded documents are deleted first; an inquiry whose documents could not all be deleted
+ * is kept as is and retried on the next run.
+ */
+async function purgeExpiredDrafts(db, config, now) {
+  const result = { anonymized: 0, deleted: 0, documentsDeleted: 0, errors: 0 }
+  const cutoff = new Date(now.getTime() - config.retentionDays * 24 * HOUR_MS)
+
+  const inquiries = await db.collection('inquiries')
+    .find({
+      status: 'draft',
+      paymentStatus: { $ne: 'paid' },
+      anonymizedAt: { $exists: false },
+      updatedAt: { $lt: cutoff }
+    })
+    .limit(BATCH_SIZE)
+    .toArray()
+
+  for (const inquiry of inquiries) {
+    try {
+      // Message attachments are removed with the thread (drafts rarely have one)
+      const messages = await listInquiryMessages(inquiry._id)
+      const attachmentUrls = messages.flatMap(message => (message.attachments || []).map(attachment => attachment.url))
+      const deletions = await Promise.all([
+        ...getInquiryDocuments(inquiry).map(document => deleteInquiryDocumentFile(document)),
+        ...attachmentUrls.map(url => deleteFileFromCloudinary(url))
+      ])
+      result.documentsDeleted += deletions.filter(Boolean).length
+      if (deletions.includes(false)) {
+        result.errors++
+        continue
+      }
+      await deleteInquiryMessages(inquiry._id)
+
+      if (config.retentionMode === 'delete') {
+        const deleted = await db.collection('inquiries').deleteOne({ _id: inquiry._id, status: 'draft' })
+        result.deleted += deleted.deletedCount
+        await removeUnusedContact(db, inquiry.contactId)
+        continue
+      }
+
+      // Keep the non-personal answers so statistics stay meaningful
+      const anonymized = await db.collection('inquiries').updateOne(
+        { _id: inquiry._id, status: 'draft' },
+        {
+          $set: {
+            firstName: '',
+            lastName: '',
+            email: '',
+            phone: '',
+            address: '',
+            description: '',
+            documents: [],
+            clientTokenHashes: [],
+            normalizedEmail: null,
+            normalizedPhone: null,
+            normalizedAddress: null,
+            anonymizedAt: now
+          },
+          $unset: { billingInfo: '', consultationDetails: '', contactId: '', documentUrls: '' }
+        }
+      )
+      result.anonymized += anonymized.modifiedCount
+      await removeUnusedContact(db, inquiry.contactId)
+    } catch (error) {
+      console.error(`Inquiry cleanup: could not purge ${inquiry._id}:`, error.message)
+      result.errors++
+    }
+  }
+
+  return result
+}
+
+/**
+ * Run the cleanup once and record the run
+ * @returns {Promise<Object>} Recorded run (status, summary, error)
+ */
+export async function runInquiryCleanup() {
+  const startedAt = new Date()
+  const config = getInquiryCleanupConfig()
+
+  try {
+    const { db } = await connectToDatabase()
+
+    const checkouts = await abandonStaleCheckouts(db, config, startedAt)
+    const reminders = await sendDraftReminders(db, config, startedAt)
+    const retention = await purgeExpiredDrafts(db, config, startedAt)
+
+    return await recordJobRun({
+      job: INQUIRY_CLEANUP_JOB,
+      startedAt,
+      summary: { retentionMode: config.retentionMode, checkouts, reminders, retention }
+    })
+  } catch (error) {
+    console.error('Inquiry cleanup failed:', error)
+    return await recordJobRun({ job: INQUIRY_CLEANUP_JOB, startedAt, error })
+  }
+}
+
+/**
+ * Run the cleanup every INQUIRY_CLEANUP_INTERVAL_MINUTES (0 disables the schedule)
+ * @returns {NodeJS.Timeout|null} Interval timer
+ */
+export function startInquiryCleanupJob() {
+  const { intervalMinutes } = getInquiryCleanupConfig()
+  if (intervalMinutes === 0) {
+    return null
+  }
+
+  let running = false
+  const timer = setInterval(async () => {
+    // Skip a tick rather than running twice at the same time
+    if (running) {
+      return
+    }
+    running = true
+    try {
+      await runInquiryCleanup()
+    } catch (error) {
+      console.error('Inquiry cleanup could not be recorded:', error)
+    } finally {
+      running = false
+    }
+  }, intervalMinutes * 60 * 1000)
+
+  timer.unref()
+  return timer
+}
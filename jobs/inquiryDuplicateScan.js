@@ -0,0 +1,121 @@
+import { connectToDatabase } from '../config/database.js'
+import dotenv from 'dotenv'
+import { recordJobRun } from '../models/jobRun.js'
+import { recordDuplicateGroup } from '../models/duplicateGroup.js'
+import {
+  getDuplicateFields,
+  groupDuplicateInquiries,
+  DUPLICATE_CANDIDATE_QUERY
+} from '../utils/inquiryDuplicates.js'
+
+dotenv.config()
+
+/**
+ * Duplicate inquiry scan
+ * Each run:
+ * 1. stores the normalized email, phone and address on inquiries that do not have them yet
+ *    (inquiries created before duplicate detection, or whose details changed)
+ * 2. groups all inquiries that share an email or phone or have similar addresses
+ * 3. records each group as a suggestion for review (groups dismissed before are not suggested again)
+ * and records a summary in `job_runs`.
+ */
+
+export const INQUIRY_DUPLICATE_SCAN_JOB = 'inquiry_duplicate_scan'
+
+function readNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name])
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue
+}
+
+/**
+ * Store normalized matching fields where they are missing or out of date
+ * @returns {Promise<Array<Object>>} Inquiries with their normalized fields
+ */
+async function refreshDuplicateFields(db) {
+  const inquiries = await db.collection('inquiries')
+    .find(DUPLICATE_CANDIDATE_QUERY)
+    .project({ email: 1, phone: 1, address: 1, normalizedEmail: 1, normalizedPhone: 1, normalizedAddress: 1 })
+    .toArray()
+
+  const updates = []
+  for (const inquiry of inquiries) {
+    const fields = getDuplicateFields(inquiry)
+    const changed = Object.keys(fields).some(field => (inquiry[field] ?? null) !== fields[field])
+    if (changed) {
+      // Job writes do not touch updatedAt (it drives draft reminders and retention)
+      updates.push({ updateOne: { filter: { _id: inquiry._id }, update: { $set: fields } } })
+      Object.assign(inquiry, fields)
+    }
+  }
+
+  if (updates.length > 0) {
+    await db.collection('inquiries').bulkWrite(updates, { ordered: false })
+  }
+
+  return { inquiries, refreshed: updates.length }
+}
+
+/**
+ * Run the scan once and record the run
+ * @returns {Promise<Object>} Recorded run (status, summary, error)
+ */
+export async function runInquiryDuplicateScan() {
+  const startedAt = new Date()
+
+  try {
+    const { db } = await connectToDatabase()
+
+    const { inquiries, refreshed } = await refreshDuplicateFields(db)
+    const groups = groupDuplicateInquiries(inquiries)
+
+    let suggested = 0
+    let dismissed = 0
+    for (const group of groups) {
+      const recorded = await recordDuplicateGroup({ ...group, source: 'scan' })
+      if (recorded) {
+        suggested++
+      } else {
+        dismissed++
+      }
+    }
+
+    return await recordJobRun({
+      job: INQUIRY_DUPLICATE_SCAN_JOB,
+      startedAt,
+      summary: { scanned: inquiries.length, refreshed, groups: groups.length, suggested, dismissed }
+    })
+  } catch (error) {
+    console.error('Inquiry duplicate scan failed:', error)
+    return await recordJobRun({ job: INQUIRY_DUPLICATE_SCAN_JOB, startedAt, error })
+  }
+}
+
+/**
+ * Run the scan every INQUIRY_DUPLICATE_SCAN_INTERVAL_HOURS (0 disables the schedule)
+ * @returns {NodeJS.Timeout|null} Interval timer
+ */
+export function startInquiryDuplicateScanJob() {
+  const intervalHours = readNumber('INQUIRY_DUPLICATE_SCAN_INTERVAL_HOURS', 24)
+  if (intervalHours === 0) {
+    return null
+  }
+
+  let running = false
+  const timer = setInterval(async () => {
+    // Skip a tick rather than running twice at the same time
+    if (running) {
+      return
+    }
+    running = true
+    try {
+      await runInquiryDuplicateScan()
+    } catch (error) {
+      console.error('Inquiry duplicate scan could not be recorded:', error)
+    } finally {
+      running = false
+    }
+  }, intervalHours * 60 * 60 * 1000)
+
+  timer.unref()
+  return timer
+}
@@ -0,0 +1,171 @@
+import { getSubmissionProtectionConfig, checkFormChallenge } from '../utils/formChallenge.js'
+import { incrementSubmissionCounter, consumeFormChallenge } from '../models/submissionThrottle.js'
+import { createQuarantinedSubmission, saveQuarantinedFiles } from '../models/quarantinedSubmission.js'
+
+/**
+ * Abuse protection for public submission endpoints
+ * Runs in two steps around the upload middleware so junk submissions never reach Cloudinary:
+ *
+ * guardSubmission(form) - before multer, needs only headers:
+ *   per-IP rate limit (429), solved form challenge in X-Form-Challenge / X-Form-Solution (400),
+ *   minimum form-fill time (measured from the challenge's issue time)
+ * screenSubmission(form) - after multer (files are still in memory) and before Cloudinary:
+ *   honeypot field, per-email rate limit
+ *
+ * Submissions flagged by the fill time, the honeypot or the email limit are quarantined for
+ * admin review and answered with 202 instead of being stored. The whole payload is kept so a released
+ * submission is created exactly as if it had not been flagged; uploaded files are kept in MongoDB and
+ * only sent to Cloudinary on release. Files of honeypot hits are dropped (only described).
+ */
+
+export const SUBMISSION_ERRORS = {
+  RATE_LIMITED: 'SUBMISSION_RATE_LIMITED',
+  CHALLENGE_INVALID: 'SUBMISSION_CHALLENGE_INVALID',
+  UNDER_REVIEW: 'SUBMISSION_UNDER_REVIEW'
+}
+
+/**
+ * Check the source of a submission before its body is parsed
+ * @param {string} form - Protected form (inquiry, testimonial, career)
+ * @returns {Function} Express middleware
+ */
+export function guardSubmission(form) {
+  return async (req, res, next) => {
+    try {
+      const config = getSubmissionProtectionConfig()
+      if (!config.enabled) {
+        return next()
+      }
+
+      const ipCounter = await incrementSubmissionCounter(`${form}:ip:${req.ip}`, config.ipWindowMinutes * 60)
+      if (config.ipLimit > 0 && ipCounter.count > config.ipLimit) {
+        const retryAfterSeconds = Math.max(Math.ceil((ipCounter.resetAt.getTime() - Date.now()) / 1000), 1)
+        res.set('Retry-After', String(retryAfterSeconds))
+        return res.status(429).json({
+          success: false,
+          code: SUBMISSION_ERRORS.RATE_LIMITED,
+          message: 'Too many submissions. Please try again later.',
+          retryAfterSeconds
+        })
+      }
+
+      const { challenge, error } = checkFormChallenge(form, req.get('x-form-challenge'), req.get('x-form-solution'))
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          code: SUBMISSION_ERRORS.CHALLENGE_INVALID,
+          message: error
+        })
+      }
+
+      // Each challenge is good for one submission
+      if (!await consumeFormChallenge(challenge.jti, new Date(challenge.exp * 1000))) {
+        return res.status(400).json({
+          success: false,
+          code: SUBMISSION_ERRORS.CHALLENGE_INVALID,
+          message: 'This form challenge was already used. Please reload the form and try again.'
+        })
+      }
+
+      const fillSeconds = Math.floor(Date.now() / 1000) - challenge.iat
+      req.submissionScreening = {
+        form,
+        fillSeconds,
+        flags: fillSeconds < config.minFillSeconds ? ['too_fast'] : []
+      }
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+function listFiles(files) {
+  if (!files) {
+    return []
+  }
+  // multer gives an array (.array) or an object of arrays (.fields)
+  return Array.isArray(files) ? files : Object.values(files).flat()
+}
+
+function describeFile(file) {
+  return {
+    field: file.fieldname,
+    name: file.originalname,
+    contentType: file.mimetype,
+    size: file.size
+  }
+}
+
+/**
+ * Check the parsed submission and quarantine it if it was flagged
+ * Must run after guardSubmission and the body parser (multer for multipart forms)
+ * @param {string} form - Protected form (inquiry, testimonial, career)
+ * @param {Object} options - emailField: body field holding the sender's email
+ * @returns {Function} Express middleware
+ */
+export function screenSubmission(form, { emailField = 'email' } = {}) {
+  return async (req, res, next) => {
+    try {
+      const config = getSubmissionProtectionConfig()
+      if (!config.enabled) {
+        return next()
+      }
+
+      const screening = req.submissionScreening || { form, fillSeconds: null, flags: [] }
+      const body = req.body || {}
+      const flags = [...screening.flags]
+
+      // The honeypot field is hidden from people; only bots fill it in
+      const { [config.honeypotField]: honeypot, ...fields } = body
+      if (honeypot !== undefined && String(honeypot).trim() !== '') {
+        flags.push('honeypot')
+      }
+
+      const email = typeof body[emailField] === 'string' ? body[emailField].trim().toLowerCase() : ''
+      if (email && config.emailLimit > 0) {
+        const emailCounter = await incrementSubmissionCounter(`${form}:email:${email}`, config.emailWindowHours * 3600)
+        if (emailCounter.count > config.emailLimit) {
+          flags.push('email_rate_limit')
+        }
+      }
+
+      if (flags.length === 0) {
+        req.body = fields
+        return next()
+      }
+
+      // Stored now: the files only live in memory until the request ends
+      const uploads = listFiles(req.files)
+      const files = flags.includes('honeypot')
+        ? uploads.map(describeFile)
+        : await saveQuarantinedFiles(uploads)
+
+      const submission = await createQuarantinedSubmission({
+        form,
+        flags,
+        fields,
+        files,
+        email: email || null,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+        fillSeconds: screening.fillSeconds
+      })
+
+      console.warn('🚫 Submission quarantined:', {
+        form,
+        flags,
+        submissionId: submission._id.toString()
+      })
+
+      res.status(202).json({
+        success: true,
+        code: SUBMISSION_ERRORS.UNDER_REVIEW,
+        message: 'Thank you. Your submission has been received and will be reviewed by our team.'
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+}
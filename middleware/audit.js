@@ -0,0 +1,95 @@
+import { diffDocuments, recordAuditEntries, loadAuditTargets } from '../models/auditLog.js'
+
+/**
+ * Audit middleware
+ * Records an `audit_log` entry for a successful admin mutation or export.
+ * The target documents are loaded before the handler runs and again once the response
+ * has been sent, so the entry contains a before/after diff without touching the controllers.
+ * Must run after authenticateAdmin
+ * @param {string} action - create, update, delete, publish, unpublish, export, ...
+ * @param {string} collection - MongoDB collection of the target documents
+ * @param {Object} options - bulkIdsField: body field holding the target IDs of a bulk operation,
+ *   targetId: fixed target ID (singleton settings documents),
+ *   relatedIdsField: body field holding IDs of other documents the operation involves (recorded in
+ *   the entry's details, e.g. the inquiries merged into the target)
+ * @returns {Function} Express middleware
+ */
+export function audit(action, collection, { bulkIdsField = null, targetId = null, relatedIdsField = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      let targetIds = []
+      if (bulkIdsField) {
+        targetIds = Array.isArray(req.body?.[bulkIdsField]) ? req.body[bulkIdsField].map(String) : []
+      } else if (targetId) {
+        targetIds = [targetId]
+      } else if (req.params.id) {
+        targetIds = [req.params.id]
+      }
+
+      const before = action === 'export' ? new Map() : await loadAuditTargets(collection, targetIds)
+
+      // Capture the JSON body so the ID of a created document can be read from it
+      let responseBody = null
+      const json = res.json.bind(res)
+      res.json = body => {
+        responseBody = body
+        return json(body)
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          return
+        }
+        writeAuditEntries({ req, action, collection, targetIds, before, responseBody, relatedIdsField })
+          .catch(error => console.error('Failed to write audit log entry:', error))
+      })
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+async function writeAuditEntries({ req, action, collection, targetIds, before, responseBody, relatedIdsField }) {
+  const entry = {
+    action,
+    actor: {
+      id: req.admin.id,
+      email: req.admin.email,
+      role: req.admin.role,
+      apiKeyId: req.admin.apiKey?.id || null
+    },
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    collection
+  }
+
+  if (action === 'export') {
+    return await recordAuditEntries([{ ...entry, details: { query: req.query } }])
+  }
+
+  const ids = [...targetIds]
+  const createdId = responseBody?.data?._id || responseBody?.data?.id
+  if (ids.length === 0 && createdId) {
+    ids.push(createdId.toString())
+  }
+
+  const after = action === 'delete' ? new Map() : await loadAuditTargets(collection, ids)
+
+  let details = targetIds.length > 1 ? { bulk: true, count: targetIds.length } : null
+  if (relatedIdsField && Array.isArray(req.body?.[relatedIdsField])) {
+    details = { ...details, [relatedIdsField]: req.body[relatedIdsField].map(String) }
+  }
+
+  const entries = ids
+    .filter(id => before.has(id) || after.has(id))
+    .map(id => ({
+      ...entry,
+      targetId: id,
+      changes: diffDocuments(before.get(id) || null, after.get(id) || null, collection),
+      details
+    }))
+
+  await recordAuditEntries(entries)
+}
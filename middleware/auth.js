@@ -1,9 +1,49 @@
 import { verifyAccessToken, extractTokenFromHeader } from '../utils/jwt.js'
-import { findAdminById } from '../models/admin.js'
+import { findAdminById, normalizeRole } from '../models/admin.js'
+import { findSessionById, isSessionActive } from '../models/adminSession.js'
+import { findActiveApiKey, touchApiKey } from '../models/apiKey.js'
+
+/**
+ * Authenticate a request made with an `Authorization: ApiKey <key>` header
+ * The request acts as the admin who created the key, restricted to the key's scopes
+ */
+async function authenticateApiKey(req, res, next, key) {
+  const apiKey = await findActiveApiKey(key)
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    })
+  }
+  
+  const admin = await findAdminById(apiKey.createdBy.id)
+  if (!admin || admin.disabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'The admin account that owns this API key is no longer active'
+    })
+  }
+  
+  await touchApiKey(apiKey._id, req.ip)
+  
+  req.admin = {
+    id: admin._id.toString(),
+    email: admin.email,
+    role: normalizeRole(admin.role),
+    sessionId: null,
+    apiKey: {
+      id: apiKey._id.toString(),
+      name: apiKey.name,
+      scopes: apiKey.scopes
+    }
+  }
+  
+  next()
+}
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches admin info to request
+ * Verifies JWT token (Bearer header or cookie) or API key and attaches admin info to request
  */
 export async function authenticateAdmin(req, res, next) {
   try {
@@ -12,6 +52,10 @@ export async function authenticateAdmin(req, res, next) {
     
     // Try Authorization header first
     const authHeader = req.headers.authorization
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      return await authenticateApiKey(req, res, next, authHeader.substring(7).trim())
+    }
+    
     if (authHeader) {
       token = extractTokenFromHeader(authHeader)
     }
@@ -31,6 +75,17 @@ export async function authenticateAdmin(req, res, next) {
     // Verify token
     const decoded = verifyAccessToken(token)
     
+    // Tokens are tied to a session; a revoked session (logout, "log out everywhere") cuts access immediately
+    if (decoded.sid) {
+      const session = await findSessionById(decoded.sid)
+      if (!isSessionActive(session)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired or revoked. Please log in again.'
+        })
+      }
+    }
+    
     // Verify admin still exists
     const admin = await findAdminById(decoded.id)
     if (!admin) {
@@ -40,11 +95,19 @@ export async function authenticateAdmin(req, res, next) {
       })
     }
     
+    if (admin.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'This admin account has been disabled'
+      })
+    }
+    
     // Attach admin info to request
     req.admin = {
       id: admin._id.toString(),
       email: admin.email,
-      role: admin.role
+      role: normalizeRole(admin.role),
+      sessionId: decoded.sid || null
     }
     
     next()
@@ -56,3 +119,84 @@ export async function authenticateAdmin(req, res, next) {
   }
 }
 
+
+/**
+ * Role-based authorization middleware
+ * Must run after authenticateAdmin
+ * @param {...string} allowedRoles - Roles allowed to access the route (owner, editor, viewer)
+ * @returns {Function} Express middleware
+ */
+export function authorize(...allowedRoles) {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required. Please log in.'
+      })
+    }
+    
+    if (!allowedRoles.includes(req.admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      })
+    }
+    
+    next()
+  }
+}
+
+/**
+ * API key scope middleware for a resource router
+ * GET/HEAD requests need `<resource>:read`, other methods need `<resource>:write`.
+ * Requests authenticated with a session token are not affected.
+ * Must run after authenticateAdmin
+ * @param {string} resource - Resource name (projects, inquiries, ...)
+ * @returns {Function} Express middleware
+ */
+export function requireResourceScope(resource) {
+  return (req, res, next) => {
+    const access = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write'
+    return requireScope(`${resource}:${access}`)(req, res, next)
+  }
+}
+
+/**
+ * API key scope middleware for specific scopes (e.g. 'export')
+ * Requests authenticated with a session token are not affected.
+ * Must run after authenticateAdmin
+ * @param {...string} scopes - Scopes the API key must all have
+ * @returns {Function} Express middleware
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!req.admin?.apiKey) {
+      return next()
+    }
+    
+    const missing = scopes.filter(scope => !req.admin.apiKey.scopes.includes(scope))
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing required scope(s): ${missing.join(', ')}`
+      })
+    }
+    
+    next()
+  }
+}
+
+/**
+ * Reject requests authenticated with an API key
+ * For account and security endpoints that must only be used interactively
+ * Must run after authenticateAdmin
+ */
+export function denyApiKeys(req, res, next) {
+  if (req.admin?.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be used with an API key'
+    })
+  }
+  next()
+}
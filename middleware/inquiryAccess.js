@@ -0,0 +1,54 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { hashToken } from '../utils/tokens.js'
+import { sendMergedInquiryResponse } from '../utils/inquiryMerge.js'
+
+/**
+ * Inquiry capability token middleware
+ * Public inquiry endpoints require the secret client token returned when the inquiry was created,
+ * sent in the X-Inquiry-Token header. Only SHA-256 hashes of the tokens are stored on the inquiry
+ * (`clientTokenHashes`). The inquiry ID is read from the route (:inquiryId) or the body (inquiryId).
+ * Requests for a merged inquiry are redirected to the inquiry it was merged into, which accepts the same tokens.
+ */
+export async function requireInquiryToken(req, res, next) {
+  try {
+    const inquiryId = req.params.inquiryId || req.body?.inquiryId
+    const token = req.get('x-inquiry-token')
+
+    if (!ObjectId.isValid(inquiryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      })
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Inquiry token is required'
+      })
+    }
+
+    const { db } = await connectToDatabase()
+    const inquiry = await db.collection('inquiries').findOne(
+      { _id: new ObjectId(inquiryId), clientTokenHashes: hashToken(token) },
+      { projection: { _id: 1, mergedInto: 1 } }
+    )
+
+    // Same response for unknown inquiries and wrong tokens so IDs cannot be probed
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      })
+    }
+
+    if (inquiry.mergedInto) {
+      return sendMergedInquiryResponse(req, res, inquiry)
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,36 @@
+import { hashToken } from '../utils/tokens.js'
+import { findQuoteByToken } from '../models/quote.js'
+
+/**
+ * Quote capability token middleware
+ * Public quote endpoints require the token from the link emailed with the quote, sent in the
+ * X-Quote-Token header. Only its SHA-256 hash is stored on the quote (`accessTokenHash`), and
+ * sending the quote again replaces it. The quote is made available as `req.quote`.
+ */
+export async function requireQuoteToken(req, res, next) {
+  try {
+    const token = req.get('x-quote-token')
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Quote token is required'
+      })
+    }
+
+    const quote = await findQuoteByToken(req.params.quoteId, hashToken(token))
+
+    // Same response for unknown quotes and wrong tokens so IDs cannot be probed
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      })
+    }
+
+    req.quote = quote
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
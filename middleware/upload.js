@@ -35,76 +35,61 @@ const upload = multer({
   }
 })
 
-// Middleware to upload files to Cloudinary (for career applications)
-export const uploadToCloudinary = async (req, res, next) => {
-  try {
-    if (!req.files || Object.keys(req.files).length === 0) {
-      return next()
+// Upload the CV and portfolio of a career application (multer memory files) to Cloudinary
+// Resolves { cv, portfolio } with the URL of each uploaded file
+export async function uploadCareerFiles(files) {
+  const uploadPromises = []
+
+  for (const field of ['cv', 'portfolio']) {
+    const file = files?.[field]?.[0]
+    if (!file) {
+      continue
     }
 
-    const uploadPromises = []
+    uploadPromises.push(new Promise((resolve, reject) => {
+      const uploadOptions = {
+        folder: 'architect-portfolio/career',
+        resource_type: 'raw',
+        public_id: `${field}_${Date.now()}_${file.originalname.replace(/\.[^/.]+$/, '')}`,
+      }
 
-    // Upload CV if present
-    if (req.files.cv && req.files.cv[0]) {
-      const cvFile = req.files.cv[0]
-      const uploadPromise = new Promise((resolve, reject) => {
-        const uploadOptions = {
-          folder: 'architect-portfolio/career',
-          resource_type: 'raw',
-          public_id: `cv_${Date.now()}_${cvFile.originalname.replace(/\.[^/.]+$/, '')}`,
-        }
-        
-        cloudinary.uploader.upload_stream(
-          uploadOptions,
-          (error, result) => {
-            if (error) {
-              console.error('CV upload error:', error)
-              reject(error)
-            } else {
-              resolve({ field: 'cv', url: result.secure_url })
-            }
+      cloudinary.uploader.upload_stream(
+        uploadOptions,
+        (error, result) => {
+          if (error) {
+            console.error(`${field === 'cv' ? 'CV' : 'Portfolio'} upload error:`, error)
+            reject(error)
+          } else {
+            resolve({ field, url: result.secure_url })
           }
-        ).end(cvFile.buffer)
-      })
-      uploadPromises.push(uploadPromise)
-    }
-
-    // Upload Portfolio if present
-    if (req.files.portfolio && req.files.portfolio[0]) {
-      const portfolioFile = req.files.portfolio[0]
-      const uploadPromise = new Promise((resolve, reject) => {
-        const uploadOptions = {
-          folder: 'architect-portfolio/career',
-          resource_type: 'raw',
-          public_id: `portfolio_${Date.now()}_${portfolioFile.originalname.replace(/\.[^/.]+$/, '')}`,
         }
-        
-        cloudinary.uploader.upload_stream(
-          uploadOptions,
-          (error, result) => {
-            if (error) {
-              console.error('Portfolio upload error:', error)
-              reject(error)
-            } else {
-              resolve({ field: 'portfolio', url: result.secure_url })
-            }
-          }
-        ).end(portfolioFile.buffer)
-      })
-      uploadPromises.push(uploadPromise)
+      ).end(file.buffer)
+    }))
+  }
+
+  const results = await Promise.all(uploadPromises)
+
+  const uploadedFiles = {}
+  results.forEach(result => {
+    uploadedFiles[result.field] = result.url
+  })
+  return uploadedFiles
+}
+
+// Middleware to upload files to Cloudinary (for career applications)
+export const uploadToCloudinary = async (req, res, next) => {
+  try {
+    if (!req.files || Object.keys(req.files).length === 0) {
+      return next()
     }
 
-    if (uploadPromises.length === 0) {
+    const uploadedFiles = await uploadCareerFiles(req.files)
+    if (Object.keys(uploadedFiles).length === 0) {
       return next()
     }
 
-    const results = await Promise.all(uploadPromises)
-    
     // Attach URLs to request
-    req.uploadedFiles = {}
-    results.forEach(result => {
-      req.uploadedFiles[result.field] = result.url
-    })
+    req.uploadedFiles = uploadedFiles
 
     next()
   } catch (error) {
@@ -154,11 +139,14 @@ const uploadInquiry = multer({
 // Middleware for inquiry document uploads
 export const uploadInquiryDocuments = uploadInquiry.array('documents', 10)
 
+// Middleware for inquiry message attachments (uploaded with uploadInquiryDocumentsToCloudinary)
+export const uploadInquiryMessageAttachments = uploadInquiry.array('attachments', 5)
+
 // Middleware to upload inquiry documents to Cloudinary
 export const uploadInquiryDocumentsToCloudinary = async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
-      req.uploadedFiles = { documents: [] }
+      req.uploadedFiles = { documents: [], documentFiles: [] }
       return next()
     }
 
@@ -170,8 +158,9 @@ export const uploadInquiryDocumentsToCloudinary = async (req, res, next) => {
         
         // Generate unique public_id
         const timestamp = Date.now()
+        const random = Math.random().toString(36).substring(2, 9)
         const originalName = file.originalname.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9]/g, '_')
-        const publicId = `inquiry_${timestamp}_${originalName}`
+        const publicId = `inquiry_${timestamp}_${random}_${originalName}`
         
         const uploadOptions = {
           folder: 'architect-portfolio/inquiries',
@@ -192,18 +181,26 @@ export const uploadInquiryDocumentsToCloudinary = async (req, res, next) => {
               console.error('Document upload error:', error)
               reject(error)
             } else {
-              resolve(result.secure_url)
+              resolve({
+                url: result.secure_url,
+                publicId: result.public_id,
+                resourceType: resourceType,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size
+              })
             }
           }
         ).end(file.buffer)
       })
     })
 
-    const urls = await Promise.all(uploadPromises)
+    const files = await Promise.all(uploadPromises)
     
-    // Attach URLs to request
+    // Attach URLs (and the file details for inquiry documents) to request
     req.uploadedFiles = {
-      documents: urls
+      documents: files.map(file => file.url),
+      documentFiles: files
     }
 
     next()
@@ -413,8 +410,9 @@ export function extractPublicIdFromUrl(url) {
 }
 
 // Helper function to delete image from Cloudinary
-export async function deleteImageFromCloudinary(url) {
-  const publicId = extractPublicIdFromUrl(url)
+// Files whose public_id and resource type were stored (inquiry documents) pass them instead of relying on the URL
+export async function deleteImageFromCloudinary(url, { publicId: storedPublicId = null, resourceType = 'image' } = {}) {
+  const publicId = storedPublicId || extractPublicIdFromUrl(url)
   if (!publicId) {
     console.warn('Could not extract public_id from URL:', url)
     return false
@@ -422,7 +420,7 @@ export async function deleteImageFromCloudinary(url) {
 
   try {
     const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: 'image'
+      resource_type: resourceType
     })
     
     if (result.result === 'ok' || result.result === 'not found') {
@@ -437,6 +435,37 @@ export async function deleteImageFromCloudinary(url) {
   }
 }
 
+// Helper function to delete any uploaded file (image or raw document) from Cloudinary
+// The resource type is read from the URL; raw files keep their extension in the public_id
+export async function deleteFileFromCloudinary(url) {
+  const match = typeof url === 'string'
+    ? url.match(/\/(image|raw|video)\/upload\/(?:v\d+\/)?(.+)$/)
+    : null
+  if (!match) {
+    console.warn('Could not extract public_id from URL:', url)
+    return false
+  }
+
+  const resourceType = match[1]
+  const publicId = resourceType === 'raw' ? match[2] : match[2].replace(/\.[^/.]+$/, '')
+
+  try {
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType
+    })
+
+    if (result.result === 'ok' || result.result === 'not found') {
+      return true
+    }
+
+    console.warn('Failed to delete file from Cloudinary:', result)
+    return false
+  } catch (error) {
+    console.error('Error deleting file from Cloudinary:', error)
+    return false
+  }
+}
+
 // Multer for blog cover image
 const uploadBlogCover = multer({
   storage: memoryStorage,
@@ -7,18 +7,65 @@ import bcrypt from 'bcryptjs'
  * Handles admin authentication and database operations
  */
 
+// bcrypt cost for new hashes; older hashes with fewer rounds are upgraded on next login
+const PASSWORD_HASH_ROUNDS = 12
+
+/**
+ * Available admin roles, from most to least privileged
+ * - owner: full access, including deletes, exports and user management
+ * - editor: can create and update content and inquiries
+ * - viewer: read-only access
+ */
+export const ADMIN_ROLES = ['owner', 'editor', 'viewer']
+
+/**
+ * Normalize a stored role to one of ADMIN_ROLES
+ * Accounts created before roles existed were stored with role 'admin' and keep full access
+ * @param {string} role - Role stored on the admin document
+ * @returns {string} Normalized role
+ */
+export function normalizeRole(role) {
+  if (role === 'admin') {
+    return 'owner'
+  }
+  return ADMIN_ROLES.includes(role) ? role : 'viewer'
+}
+
+/**
+ * Shape an admin document for API responses (never exposes the password hash)
+ * @param {Object} admin - Admin document
+ * @returns {Object} Public admin representation
+ */
+export function toPublicAdmin(admin) {
+  return {
+    id: admin._id.toString(),
+    email: admin.email,
+    role: normalizeRole(admin.role),
+    disabled: Boolean(admin.disabled),
+    twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+    calendarFeedEnabled: Boolean(admin.calendarFeed),
+    autoAssign: Boolean(admin.autoAssign),
+    createdAt: admin.createdAt,
+    updatedAt: admin.updatedAt
+  }
+}
+
 /**
  * Create a new admin user
  * @param {Object} adminData - Admin data (email, password, role)
  * @returns {Promise<Object>} Created admin document
  */
 export async function createAdmin(adminData) {
-  const { email, password, role = 'admin' } = adminData
+  const { email, password, role = 'viewer' } = adminData
   
   if (!email || !password) {
     throw new Error('Email and password are required')
   }
   
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`)
+  }
+  
   const { db } = await connectToDatabase()
   
   // Check if admin already exists
@@ -28,13 +75,13 @@ export async function createAdmin(adminData) {
   }
   
   // Hash password
-  const saltRounds = 10
-  const hashedPassword = await bcrypt.hash(password, saltRounds)
+  const hashedPassword = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS)
   
   const newAdmin = {
     email: email.toLowerCase(),
     password: hashedPassword,
     role: role,
+    disabled: false,
     createdAt: new Date(),
     updatedAt: new Date()
   }
@@ -84,3 +131,315 @@ export async function verifyPassword(plainPassword, hashedPassword) {
   return await bcrypt.compare(plainPassword, hashedPassword)
 }
 
+/**
+ * Check whether a password hash uses fewer rounds than the current cost
+ * @param {string} hashedPassword - Hashed password from database
+ * @returns {boolean} True if the hash should be upgraded
+ */
+export function needsPasswordRehash(hashedPassword) {
+  return bcrypt.getRounds(hashedPassword) < PASSWORD_HASH_ROUNDS
+}
+
+/**
+ * Set a new password for an admin
+ * @param {string} adminId - Admin ID
+ * @param {string} plainPassword - New plain text password (already validated)
+ * @param {Object} options - changed: false when only upgrading the hash of the same password
+ * @returns {Promise<void>}
+ */
+export async function setAdminPassword(adminId, plainPassword, { changed = true } = {}) {
+  const { db } = await connectToDatabase()
+  const hashedPassword = await bcrypt.hash(plainPassword, PASSWORD_HASH_ROUNDS)
+  
+  const updateData = {
+    password: hashedPassword,
+    updatedAt: new Date()
+  }
+  if (changed) {
+    updateData.passwordChangedAt = new Date()
+  }
+  
+  await db.collection('admins').updateOne(
+    { _id: new ObjectId(adminId) },
+    { $set: updateData }
+  )
+}
+
+
+/**
+ * List all admins
+ * @returns {Promise<Array>} Admin documents sorted by creation date
+ */
+export async function listAdmins() {
+  const { db } = await connectToDatabase()
+  return await db.collection('admins')
+    .find({})
+    .sort({ createdAt: 1 })
+    .toArray()
+}
+
+/**
+ * Update an admin
+ * @param {string} adminId - Admin ID
+ * @param {Object} updates - Fields to set (email, role, disabled)
+ * @returns {Promise<Object|null>} Updated admin document or null if not found
+ */
+export async function updateAdmin(adminId, updates) {
+  const { db } = await connectToDatabase()
+  
+  if (!ObjectId.isValid(adminId)) {
+    return null
+  }
+  
+  const updateData = { ...updates, updatedAt: new Date() }
+  if (updateData.email) {
+    updateData.email = updateData.email.toLowerCase()
+  }
+  
+  return await db.collection('admins').findOneAndUpdate(
+    { _id: new ObjectId(adminId) },
+    { $set: updateData },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Delete an admin
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<boolean>} True if an admin was deleted
+ */
+export async function deleteAdmin(adminId) {
+  const { db } = await connectToDatabase()
+  
+  if (!ObjectId.isValid(adminId)) {
+    return false
+  }
+  
+  const result = await db.collection('admins').deleteOne({ _id: new ObjectId(adminId) })
+  return result.deletedCount > 0
+}
+
+/**
+ * Count enabled owners (legacy 'admin' role counts as owner)
+ * @returns {Promise<number>} Number of enabled owners
+ */
+export async function countActiveOwners() {
+  const { db } = await connectToDatabase()
+  return await db.collection('admins').countDocuments({
+    role: { $in: ['owner', 'admin'] },
+    disabled: { $ne: true }
+  })
+}
+
+/**
+ * Store a pending TOTP secret while the admin confirms enrollment
+ * @param {string} adminId - Admin ID
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {Promise<void>}
+ */
+export async function setPendingTwoFactorSecret(adminId, secret) {
+  const { db } = await connectToDatabase()
+  await db.collection('admins').updateOne(
+    { _id: new ObjectId(adminId) },
+    {
+      $set: {
+        'twoFactor.pendingSecret': secret,
+        'twoFactor.pendingCreatedAt': new Date(),
+        updatedAt: new Date()
+      }
+    }
+  )
+}
+
+/**
+ * Enable two-factor authentication with a confirmed secret
+ * @param {string} adminId - Admin ID
+ * @param {Object} options - secret, recoveryCodes (plain text, hashed before storing), lastUsedStep
+ * @returns {Promise<void>}
+ */
+export async function enableTwoFactor(adminId, { secret, recoveryCodes, lastUsedStep }) {
+  const { db } = await connectToDatabase()
+  const recoveryCodeHashes = await hashRecoveryCodes(recoveryCodes)
+  
+  await db.collection('admins').updateOne(
+    { _id: new ObjectId(adminId) },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secret,
+          recoveryCodes: recoveryCodeHashes,
+          lastUsedStep,
+          enabledAt: new Date()
+        },
+        updatedAt: new Date()
+      }
+    }
+  )
+}
+
+/**
+ * Replace the recovery codes of an admin with 2FA enabled
+ * @param {string} adminId - Admin ID
+ * @param {Array<string>} recoveryCodes - Plain-text recovery codes
+ * @returns {Promise<void>}
+ */
+export async function replaceRecoveryCodes(adminId, recoveryCodes) {
+  const { db } = await connectToDatabase()
+  const recoveryCodeHashes = await hashRecoveryCodes(recoveryCodes)
+  
+  await db.collection('admins').updateOne(
+    { _id: new ObjectId(adminId) },
+    {
+      $set: {
+        'twoFactor.recoveryCodes': recoveryCodeHashes,
+        updatedAt: new Date()
+      }
+    }
+  )
+}
+
+/**
+ * Remove two-factor authentication from an admin (disable or owner reset)
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<boolean>} True if the admin exists
+ */
+export async function disableTwoFactor(adminId) {
+  const { db } = await connectToDatabase()
+  
+  if (!ObjectId.isValid(adminId)) {
+    return false
+  }
+  
+  const result = await db.collection('admins').updateOne(
+    { _id: new ObjectId(adminId) },
+    {
+      $unset: { twoFactor: '' },
+      $set: { updatedAt: new Date() }
+    }
+  )
+  return result.matchedCount > 0
+}
+
+/**
+ * Record the last accepted TOTP time step so a code cannot be replayed
+ * Only one of several concurrent requests with the same code can record its step.
+ * @param {string} adminId - Admin ID
+ * @param {number} step - Accepted time step
+ * @returns {Promise<boolean>} False if this step (or a later one) was already used
+ */
+export async function recordTwoFactorStep(adminId, step) {
+  const { db } = await connectToDatabase()
+  const result = await db.collection('admins').updateOne(
+    { _id: new ObjectId(adminId), 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Consume a recovery code if it matches one of the stored hashes
+ * @param {Object} admin - Admin document
+ * @param {string} code - Normalized recovery code
+ * @returns {Promise<boolean>} True if the code was valid and has been removed
+ */
+export async function consumeRecoveryCode(admin, code) {
+  const hashes = admin.twoFactor?.recoveryCodes || []
+  
+  for (const hash of hashes) {
+    if (await bcrypt.compare(code, hash)) {
+      const { db } = await connectToDatabase()
+      // $pull on the exact hash makes the code single-use even under concurrent requests
+      const result = await db.collection('admins').updateOne(
+        { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      )
+      return result.modifiedCount > 0
+    }
+  }
+  
+  return false
+}
+
+/**
+ * Set or remove the calendar feed token of an admin (only its hash is stored)
+ * @param {string} adminId - Admin ID
+ * @param {string|null} tokenHash - SHA-256 hash of the feed token, or null to disable the feed
+ * @returns {Promise<void>}
+ */
+export async function setCalendarFeedToken(adminId, tokenHash) {
+  const { db } = await connectToDatabase()
+  const update = tokenHash
+    ? { $set: { calendarFeed: { tokenHash, createdAt: new Date() }, updatedAt: new Date() } }
+    : { $unset: { calendarFeed: '' }, $set: { updatedAt: new Date() } }
+  
+  await db.collection('admins').updateOne({ _id: new ObjectId(adminId) }, update)
+}
+
+/**
+ * Find the admin a calendar feed token belongs to
+ * @param {string} tokenHash - SHA-256 hash of the feed token
+ * @returns {Promise<Object|null>} Admin document or null
+ */
+export async function findAdminByCalendarFeedToken(tokenHash) {
+  const { db } = await connectToDatabase()
+  return await db.collection('admins').findOne({ 'calendarFeed.tokenHash': tokenHash })
+}
+
+/**
+ * Opt an admin in or out of automatic inquiry assignment
+ * @param {string} adminId - Admin ID
+ * @param {boolean} enabled - Whether new inquiries may be assigned to the admin
+ * @returns {Promise<Object|null>} Updated admin document or null if not found
+ */
+export async function setAutoAssign(adminId, enabled) {
+  const { db } = await connectToDatabase()
+  return await db.collection('admins').findOneAndUpdate(
+    { _id: new ObjectId(adminId) },
+    { $set: { autoAssign: Boolean(enabled), updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Pick the next admin for automatic inquiry assignment (round-robin)
+ * Enabled owners and editors who opted in take turns in order of their last automatic assignment.
+ * The turn is claimed atomically, so concurrent submissions go to different admins.
+ * @returns {Promise<Object|null>} Admin document, or null if nobody opted in
+ */
+export async function claimNextAutoAssignee() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('admins')
+  
+  // A few attempts in case another submission claimed the same admin first
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const [candidate] = await collection
+      .find({
+        autoAssign: true,
+        disabled: { $ne: true },
+        role: { $in: ['owner', 'admin', 'editor'] }
+      })
+      .sort({ lastAutoAssignedAt: 1, createdAt: 1 })
+      .limit(1)
+      .toArray()
+    
+    if (!candidate) {
+      return null
+    }
+    
+    const claimed = await collection.findOneAndUpdate(
+      { _id: candidate._id, lastAutoAssignedAt: candidate.lastAutoAssignedAt ?? { $exists: false } },
+      { $set: { lastAutoAssignedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+    if (claimed) {
+      return claimed
+    }
+  }
+  
+  return null
+}
+
+async function hashRecoveryCodes(recoveryCodes) {
+  return await Promise.all(recoveryCodes.map(code => bcrypt.hash(code, 10)))
+}
@@ -0,0 +1,158 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { generateInviteToken } from '../utils/jwt.js'
+import { hashToken, tokenMatchesHash } from '../utils/tokens.js'
+
+/**
+ * Admin Invite Model
+ * Pending invitations in `admin_invites`. The invite link carries a signed token whose
+ * jti is the invite ID; only its SHA-256 hash is stored, and the invite can be accepted once.
+ */
+
+export const INVITE_TTL_HOURS = parseInt(process.env.ADMIN_INVITE_TTL_HOURS, 10) || 72
+
+/**
+ * Derive the status of an invite
+ * @param {Object} invite - Invite document
+ * @returns {string} pending, accepted, revoked or expired
+ */
+export function getInviteStatus(invite) {
+  if (invite.acceptedAt) {
+    return 'accepted'
+  }
+  if (invite.revokedAt) {
+    return 'revoked'
+  }
+  if (invite.expiresAt <= new Date()) {
+    return 'expired'
+  }
+  return 'pending'
+}
+
+/**
+ * Shape an invite document for API responses (never exposes the token hash)
+ * @param {Object} invite - Invite document
+ * @returns {Object} Public invite representation
+ */
+export function toPublicInvite(invite) {
+  return {
+    id: invite._id.toString(),
+    email: invite.email,
+    role: invite.role,
+    status: getInviteStatus(invite),
+    invitedBy: invite.invitedBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    acceptedAt: invite.acceptedAt,
+    revokedAt: invite.revokedAt
+  }
+}
+
+/**
+ * Create an invite, revoking any pending invite for the same email
+ * @param {Object} inviteData - email, role, invitedBy ({ id, email })
+ * @returns {Promise<Object>} { token (plain, sent by email), invite (document) }
+ */
+export async function createInvite({ email, role, invitedBy }) {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('admin_invites')
+  const now = new Date()
+  const normalizedEmail = email.toLowerCase()
+
+  await collection.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'superseded' } }
+  )
+
+  const inviteId = new ObjectId()
+  const expiresAt = new Date(now.getTime() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+  const token = generateInviteToken({ inviteId: inviteId.toString(), email: normalizedEmail, role }, expiresAt)
+
+  const invite = {
+    _id: inviteId,
+    email: normalizedEmail,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    createdAt: now,
+    expiresAt,
+    acceptedAt: null,
+    revokedAt: null
+  }
+
+  await collection.insertOne(invite)
+  return { token, invite }
+}
+
+/**
+ * List invites
+ * @param {Object} filters - status (pending, accepted, revoked, expired)
+ * @returns {Promise<Array>} Invite documents, newest first
+ */
+export async function listInvites({ status } = {}) {
+  const { db } = await connectToDatabase()
+
+  const invites = await db.collection('admin_invites')
+    .find({})
+    .sort({ createdAt: -1 })
+    .toArray()
+
+  return status ? invites.filter(invite => getInviteStatus(invite) === status) : invites
+}
+
+/**
+ * Find an invite by ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object|null>} Invite document or null
+ */
+export async function findInviteById(inviteId) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(inviteId)) {
+    return null
+  }
+
+  return await db.collection('admin_invites').findOne({ _id: new ObjectId(inviteId) })
+}
+
+/**
+ * Revoke a pending invite
+ * @param {string} inviteId - Invite ID
+ * @param {Object} revokedBy - { id, email }
+ * @returns {Promise<boolean>} True if a pending invite was revoked
+ */
+export async function revokeInvite(inviteId, revokedBy) {
+  const { db } = await connectToDatabase()
+
+  const result = await db.collection('admin_invites').updateOne(
+    { _id: new ObjectId(inviteId), acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked', revokedBy } }
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Accept an invite (atomically marks it as used)
+ * @param {string} inviteId - Invite ID (jti of the verified invite token)
+ * @param {string} token - Plain invite token
+ * @returns {Promise<Object|null>} Invite document, or null if unknown, used, revoked or expired
+ */
+export async function consumeInvite(inviteId, token) {
+  const invite = await findInviteById(inviteId)
+  if (!invite || !tokenMatchesHash(token, invite.tokenHash)) {
+    return null
+  }
+
+  const { db } = await connectToDatabase()
+
+  return await db.collection('admin_invites').findOneAndUpdate(
+    {
+      _id: invite._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { acceptedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
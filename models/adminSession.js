@@ -0,0 +1,192 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Admin Session Model
+ * One document per login. The refresh token is rotated on every refresh; the session
+ * document tracks the current token ID so a replayed (already rotated) token can be detected.
+ */
+
+/**
+ * Build a short human-readable device label from a user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device label, e.g. "Chrome on macOS"
+ */
+export function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ]
+  const systems = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ]
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  if (!browser && !system) {
+    return 'Unknown device'
+  }
+  return [browser || 'Unknown browser', system].filter(Boolean).join(' on ')
+}
+
+/**
+ * Create a new session
+ * @param {Object} sessionData - _id, adminId, tokenId, ip, userAgent, expiresAt
+ * @returns {Promise<Object>} Created session document
+ */
+export async function createSession({ _id, adminId, tokenId, ip, userAgent, expiresAt }) {
+  const { db } = await connectToDatabase()
+
+  const session = {
+    _id: _id || new ObjectId(),
+    adminId: new ObjectId(adminId),
+    currentTokenId: tokenId,
+    device: describeDevice(userAgent),
+    ip: ip || null,
+    userAgent: userAgent || null,
+    createdAt: new Date(),
+    lastUsedAt: new Date(),
+    expiresAt,
+    revokedAt: null,
+    revokedReason: null
+  }
+
+  await db.collection('admin_sessions').insertOne(session)
+  return session
+}
+
+/**
+ * Find a session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session document or null
+ */
+export async function findSessionById(sessionId) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(sessionId)) {
+    return null
+  }
+
+  return await db.collection('admin_sessions').findOne({ _id: new ObjectId(sessionId) })
+}
+
+/**
+ * Check whether a session is still usable
+ * @param {Object|null} session - Session document
+ * @returns {boolean} True if the session exists, is not revoked and has not expired
+ */
+export function isSessionActive(session) {
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date())
+}
+
+/**
+ * Rotate the refresh token of a session
+ * Only succeeds if the presented token is still the current one (atomic compare-and-set)
+ * @param {string} sessionId - Session ID
+ * @param {string} presentedTokenId - jti of the refresh token being used
+ * @param {Object} rotation - newTokenId, ip, userAgent, expiresAt
+ * @returns {Promise<Object|null>} Updated session, or null if the token was already rotated
+ */
+export async function rotateSession(sessionId, presentedTokenId, { newTokenId, ip, userAgent, expiresAt }) {
+  const { db } = await connectToDatabase()
+
+  return await db.collection('admin_sessions').findOneAndUpdate(
+    {
+      _id: new ObjectId(sessionId),
+      currentTokenId: presentedTokenId,
+      revokedAt: null
+    },
+    {
+      $set: {
+        currentTokenId: newTokenId,
+        ip: ip || null,
+        userAgent: userAgent || null,
+        device: describeDevice(userAgent),
+        lastUsedAt: new Date(),
+        expiresAt
+      }
+    },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked (logout, reuse_detected, ...)
+ * @param {string} [adminId] - Restrict to sessions of this admin
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+export async function revokeSession(sessionId, reason, adminId = null) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(sessionId)) {
+    return false
+  }
+
+  const filter = { _id: new ObjectId(sessionId), revokedAt: null }
+  if (adminId) {
+    filter.adminId = new ObjectId(adminId)
+  }
+
+  const result = await db.collection('admin_sessions').updateOne(filter, {
+    $set: {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }
+  })
+  return result.modifiedCount > 0
+}
+
+/**
+ * Revoke every active session of an admin
+ * @param {string} adminId - Admin ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {Object} options - exceptSessionId: keep this session (e.g. the one changing the password)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessionsForAdmin(adminId, reason, { exceptSessionId = null } = {}) {
+  const { db } = await connectToDatabase()
+
+  const filter = { adminId: new ObjectId(adminId), revokedAt: null }
+  if (exceptSessionId && ObjectId.isValid(exceptSessionId)) {
+    filter._id = { $ne: new ObjectId(exceptSessionId) }
+  }
+
+  const result = await db.collection('admin_sessions').updateMany(
+    filter,
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: reason
+      }
+    }
+  )
+  return result.modifiedCount
+}
+
+/**
+ * List active sessions of an admin
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<Array>} Active sessions, most recently used first
+ */
+export async function listActiveSessions(adminId) {
+  const { db } = await connectToDatabase()
+
+  return await db.collection('admin_sessions')
+    .find({
+      adminId: new ObjectId(adminId),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastUsedAt: -1 })
+    .toArray()
+}
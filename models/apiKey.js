@@ -0,0 +1,172 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import crypto from 'crypto'
+import { generateSecureToken, hashToken, tokenMatchesHash } from '../utils/tokens.js'
+
+/**
+ * API Key Model
+ * Named, scoped keys for machine access to admin endpoints.
+ * Keys look like `apk_<prefix>_<secret>`; only the prefix (for lookup and display)
+ * and a SHA-256 hash of the whole key are stored.
+ */
+
+/**
+ * Scopes an API key can be granted
+ * <resource>:read allows GET requests, <resource>:write allows mutations,
+ * export is required in addition to :read for CSV exports
+ */
+export const API_KEY_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'blogs:read',
+  'blogs:write',
+  'news:read',
+  'news:write',
+  'testimonials:read',
+  'testimonials:write',
+  'career:read',
+  'career:write',
+  'inquiries:read',
+  'inquiries:write',
+  'contacts:read',
+  'contacts:write',
+  'dashboard:read',
+  'export'
+]
+
+/**
+ * Shape an API key document for API responses (never exposes the hash)
+ * @param {Object} apiKey - API key document
+ * @returns {Object} Public API key representation
+ */
+export function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt
+  }
+}
+
+/**
+ * Create an API key
+ * @param {Object} keyData - name, scopes, expiresAt (Date or null), createdBy ({ id, email })
+ * @returns {Promise<Object>} { key (plain, shown once), apiKey (document) }
+ */
+export async function createApiKey({ name, scopes, expiresAt = null, createdBy }) {
+  const { db } = await connectToDatabase()
+
+  const prefix = crypto.randomBytes(4).toString('hex')
+  const key = `apk_${prefix}_${generateSecureToken()}`
+
+  const apiKey = {
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes,
+    createdBy,
+    createdAt: new Date(),
+    expiresAt,
+    lastUsedAt: null,
+    lastUsedIp: null,
+    revokedAt: null
+  }
+
+  const result = await db.collection('api_keys').insertOne(apiKey)
+  return { key, apiKey: { _id: result.insertedId, ...apiKey } }
+}
+
+/**
+ * Find a usable API key from its plain value
+ * @param {string} key - Plain API key from the Authorization header
+ * @returns {Promise<Object|null>} API key document, or null if unknown, revoked or expired
+ */
+export async function findActiveApiKey(key) {
+  const match = /^apk_([0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(key || '')
+  if (!match) {
+    return null
+  }
+
+  const { db } = await connectToDatabase()
+  const apiKey = await db.collection('api_keys').findOne({ prefix: match[1], revokedAt: null })
+
+  if (!apiKey || !tokenMatchesHash(key, apiKey.keyHash)) {
+    return null
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return null
+  }
+
+  return apiKey
+}
+
+/**
+ * Record that an API key was used
+ * @param {ObjectId} apiKeyId - API key ID
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ */
+export async function touchApiKey(apiKeyId, ip) {
+  const { db } = await connectToDatabase()
+  await db.collection('api_keys').updateOne(
+    { _id: apiKeyId },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } }
+  )
+}
+
+/**
+ * List API keys
+ * @param {Object} filters - createdById (restrict to keys created by this admin)
+ * @returns {Promise<Array>} API key documents, newest first
+ */
+export async function listApiKeys({ createdById = null } = {}) {
+  const { db } = await connectToDatabase()
+
+  const query = {}
+  if (createdById) {
+    query['createdBy.id'] = createdById
+  }
+
+  return await db.collection('api_keys')
+    .find(query)
+    .sort({ createdAt: -1 })
+    .toArray()
+}
+
+/**
+ * Find an API key by ID
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<Object|null>} API key document or null
+ */
+export async function findApiKeyById(apiKeyId) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(apiKeyId)) {
+    return null
+  }
+
+  return await db.collection('api_keys').findOne({ _id: new ObjectId(apiKeyId) })
+}
+
+/**
+ * Revoke an API key
+ * @param {string} apiKeyId - API key ID
+ * @param {Object} revokedBy - { id, email }
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+export async function revokeApiKey(apiKeyId, revokedBy) {
+  const { db } = await connectToDatabase()
+
+  const result = await db.collection('api_keys').updateOne(
+    { _id: new ObjectId(apiKeyId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } }
+  )
+  return result.modifiedCount > 0
+}
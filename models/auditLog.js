@@ -0,0 +1,164 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Audit Log Model
+ * One entry per admin mutation (or export) in `audit_log`: who did it, from where,
+ * which document was affected and what changed.
+ */
+
+// Fields whose values are never copied into the audit log; a change is still recorded
+const REDACTED_FIELDS = ['password', 'passwordHash', 'twoFactor', 'keyHash', 'tokenHash', 'accessTokenHash', 'calendarFeed']
+// Collections holding credentials: only these fields are copied, any other change is recorded as redacted
+const AUDITED_FIELDS = {
+  admins: ['email', 'role', 'disabled', 'autoAssign', 'passwordChangedAt', 'lastAutoAssignedAt', 'createdAt'],
+  api_keys: ['name', 'prefix', 'scopes', 'createdBy', 'createdAt', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'revokedAt', 'revokedBy'],
+  admin_invites: ['email', 'role', 'invitedBy', 'createdAt', 'expiresAt', 'acceptedAt', 'revokedAt', 'revokedReason', 'revokedBy']
+}
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['_id', 'updatedAt']
+
+function redact(field, value, collection) {
+  const redacted = AUDITED_FIELDS[collection]
+    ? !AUDITED_FIELDS[collection].includes(field)
+    : REDACTED_FIELDS.includes(field)
+  return redacted && value !== undefined ? '[redacted]' : value
+}
+
+function serialize(value) {
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+/**
+ * Compute a field-level diff between two versions of a document
+ * @param {Object|null} before - Document before the change (null for creations)
+ * @param {Object|null} after - Document after the change (null for deletions)
+ * @param {string} collection - Collection of the document (decides which fields are redacted)
+ * @returns {Object} { field: { before, after } } for every top-level field that changed
+ */
+export function diffDocuments(before, after, collection) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  const changes = {}
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue
+    }
+    const oldValue = before ? before[field] : undefined
+    const newValue = after ? after[field] : undefined
+    if (serialize(oldValue) !== serialize(newValue)) {
+      changes[field] = {
+        before: redact(field, oldValue, collection) ?? null,
+        after: redact(field, newValue, collection) ?? null
+      }
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Write audit entries
+ * @param {Array<Object>} entries - action, actor, ip, userAgent, collection, targetId, changes, details
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEntries(entries) {
+  if (entries.length === 0) {
+    return
+  }
+
+  const { db } = await connectToDatabase()
+  const createdAt = new Date()
+
+  await db.collection('audit_log').insertMany(
+    entries.map(entry => ({
+      action: entry.action,
+      actor: entry.actor,
+      ip: entry.ip || null,
+      userAgent: entry.userAgent || null,
+      collection: entry.collection,
+      targetId: entry.targetId ? entry.targetId.toString() : null,
+      changes: entry.changes || {},
+      details: entry.details || null,
+      createdAt
+    }))
+  )
+}
+
+/**
+ * List audit entries
+ * @param {Object} filters - actorId, actorEmail, collection, targetId, action, dateFrom, dateTo, page, limit
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function listAuditEntries({
+  actorId,
+  actorEmail,
+  collection,
+  targetId,
+  action,
+  dateFrom,
+  dateTo,
+  page = 1,
+  limit = 50
+} = {}) {
+  const { db } = await connectToDatabase()
+
+  const query = {}
+  if (actorId) {
+    query['actor.id'] = actorId
+  }
+  if (actorEmail) {
+    query['actor.email'] = actorEmail.toLowerCase()
+  }
+  if (collection) {
+    query.collection = collection
+  }
+  if (targetId) {
+    query.targetId = targetId
+  }
+  if (action) {
+    query.action = action
+  }
+  if (dateFrom || dateTo) {
+    query.createdAt = {}
+    if (dateFrom) {
+      query.createdAt.$gte = dateFrom
+    }
+    if (dateTo) {
+      query.createdAt.$lte = dateTo
+    }
+  }
+
+  const auditLog = db.collection('audit_log')
+  const [entries, total] = await Promise.all([
+    auditLog.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    auditLog.countDocuments(query)
+  ])
+
+  return { entries, total }
+}
+
+/**
+ * Load the current version of audited documents
+ * @param {string} collection - Collection name
+ * @param {Array<string>} ids - Document IDs (invalid IDs are ignored)
+ * @returns {Promise<Map>} Map of ID string to document
+ */
+export async function loadAuditTargets(collection, ids) {
+  // Settings documents use fixed string IDs
+  const documentIds = ids.map(id => ObjectId.isValid(id) ? new ObjectId(id) : id)
+  if (documentIds.length === 0) {
+    return new Map()
+  }
+
+  const { db } = await connectToDatabase()
+  const documents = await db.collection(collection)
+    .find({ _id: { $in: documentIds } })
+    .toArray()
+
+  return new Map(documents.map(document => [document._id.toString(), document]))
+}
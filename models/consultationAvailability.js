@@ -0,0 +1,195 @@
+import { connectToDatabase } from '../config/database.js'
+import {
+  WEEKDAYS,
+  isValidTimeZone,
+  isValidDateString,
+  isValidTimeString,
+  timeToMinutes
+} from '../utils/timezone.js'
+
+/**
+ * Consultation Availability Model
+ * A single settings document in `consultation_settings` (_id "availability") managed by admins:
+ * weekly opening hours, date exceptions (holidays or special hours), buffer time between
+ * sessions and booking limits. Times are wall-clock times in `timeZone`.
+ */
+
+export const AVAILABILITY_SETTINGS_ID = 'availability'
+
+// Bookable session lengths in minutes
+export const CONSULTATION_DURATIONS = [30, 60, 90]
+
+// Slot locks are taken in blocks of this many minutes; slot times and buffers must align to it
+export const SLOT_BLOCK_MINUTES = 15
+
+const DEFAULT_HOURS = [{ start: '09:00', end: '18:00' }]
+
+export const DEFAULT_AVAILABILITY = {
+  timeZone: process.env.CONSULTATION_TIME_ZONE || 'Europe/Paris',
+  weeklyHours: {
+    monday: DEFAULT_HOURS,
+    tuesday: DEFAULT_HOURS,
+    wednesday: DEFAULT_HOURS,
+    thursday: DEFAULT_HOURS,
+    friday: DEFAULT_HOURS,
+    saturday: [],
+    sunday: []
+  },
+  // [{ date: "2026-12-25", hours: [], reason: "Christmas" }], empty hours = closed all day
+  exceptions: [],
+  bufferMinutes: 15,
+  slotIntervalMinutes: 30,
+  minNoticeHours: 24,
+  maxAdvanceDays: 60
+}
+
+/**
+ * Get the availability settings (defaults until an admin saves them)
+ * @returns {Promise<Object>} Availability settings
+ */
+export async function getAvailability() {
+  const { db } = await connectToDatabase()
+  const settings = await db.collection('consultation_settings').findOne({ _id: AVAILABILITY_SETTINGS_ID })
+
+  if (!settings) {
+    return { ...DEFAULT_AVAILABILITY }
+  }
+
+  const { _id, updatedAt, updatedBy, ...availability } = settings
+  return { ...DEFAULT_AVAILABILITY, ...availability }
+}
+
+function validateHours(hours, label) {
+  if (!Array.isArray(hours)) {
+    return `${label} must be an array of { start, end } ranges`
+  }
+
+  const ranges = []
+  for (const range of hours) {
+    if (!range || !isValidTimeString(range.start) || !isValidTimeString(range.end)) {
+      return `${label}: start and end must be HH:mm times`
+    }
+    const start = timeToMinutes(range.start)
+    const end = timeToMinutes(range.end)
+    if (start >= end) {
+      return `${label}: ${range.start}-${range.end} must end after it starts`
+    }
+    if (start % SLOT_BLOCK_MINUTES !== 0 || end % SLOT_BLOCK_MINUTES !== 0) {
+      return `${label}: times must be multiples of ${SLOT_BLOCK_MINUTES} minutes`
+    }
+    ranges.push([start, end])
+  }
+
+  ranges.sort((a, b) => a[0] - b[0])
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i][0] < ranges[i - 1][1]) {
+      return `${label}: ranges must not overlap`
+    }
+  }
+  return null
+}
+
+function validateMinutes(value, field, { max, multipleOf = 1, min = 0 }) {
+  if (!Number.isInteger(value) || value < min || value > max || value % multipleOf !== 0) {
+    return multipleOf > 1
+      ? `${field} must be a multiple of ${multipleOf} between ${min} and ${max}`
+      : `${field} must be a whole number between ${min} and ${max}`
+  }
+  return null
+}
+
+/**
+ * Validate availability settings
+ * @param {Object} availability - Complete settings (after merging the update)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateAvailability(availability) {
+  if (!isValidTimeZone(availability.timeZone)) {
+    return 'timeZone must be a valid IANA time zone (e.g. Europe/Paris)'
+  }
+
+  if (!availability.weeklyHours || typeof availability.weeklyHours !== 'object') {
+    return 'weeklyHours must be an object with one entry per weekday'
+  }
+  for (const weekday of WEEKDAYS) {
+    const error = validateHours(availability.weeklyHours[weekday] || [], `weeklyHours.${weekday}`)
+    if (error) {
+      return error
+    }
+  }
+  const unknownDay = Object.keys(availability.weeklyHours).find(day => !WEEKDAYS.includes(day))
+  if (unknownDay) {
+    return `weeklyHours: unknown weekday "${unknownDay}"`
+  }
+
+  if (!Array.isArray(availability.exceptions)) {
+    return 'exceptions must be an array'
+  }
+  const exceptionDates = new Set()
+  for (const exception of availability.exceptions) {
+    if (!exception || !isValidDateString(exception.date)) {
+      return 'Every exception needs a date in YYYY-MM-DD format'
+    }
+    if (exceptionDates.has(exception.date)) {
+      return `Duplicate exception for ${exception.date}`
+    }
+    exceptionDates.add(exception.date)
+    const error = validateHours(exception.hours || [], `exceptions ${exception.date}`)
+    if (error) {
+      return error
+    }
+  }
+
+  return validateMinutes(availability.bufferMinutes, 'bufferMinutes', { max: 120, multipleOf: SLOT_BLOCK_MINUTES })
+    || validateMinutes(availability.slotIntervalMinutes, 'slotIntervalMinutes', { min: SLOT_BLOCK_MINUTES, max: 120, multipleOf: SLOT_BLOCK_MINUTES })
+    || validateMinutes(availability.minNoticeHours, 'minNoticeHours', { max: 24 * 30 })
+    || validateMinutes(availability.maxAdvanceDays, 'maxAdvanceDays', { min: 1, max: 365 })
+}
+
+/**
+ * Save availability settings
+ * Only the given fields change; the result is validated as a whole
+ * @param {Object} changes - Fields to update
+ * @param {Object} updatedBy - { id, email } of the admin
+ * @returns {Promise<Object>} { availability } or { error }
+ */
+export async function updateAvailability(changes, updatedBy) {
+  const current = await getAvailability()
+  const allowedFields = Object.keys(DEFAULT_AVAILABILITY)
+
+  const availability = { ...current }
+  for (const field of allowedFields) {
+    if (changes[field] !== undefined) {
+      availability[field] = changes[field]
+    }
+  }
+
+  const error = validateAvailability(availability)
+  if (error) {
+    return { error }
+  }
+
+  // Keep only the fields that are used
+  availability.weeklyHours = Object.fromEntries(
+    WEEKDAYS.map(weekday => [
+      weekday,
+      (availability.weeklyHours[weekday] || []).map(({ start, end }) => ({ start, end }))
+    ])
+  )
+  availability.exceptions = availability.exceptions
+    .map(exception => ({
+      date: exception.date,
+      hours: (exception.hours || []).map(({ start, end }) => ({ start, end })),
+      reason: typeof exception.reason === 'string' ? exception.reason.trim() : ''
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+
+  const { db } = await connectToDatabase()
+  await db.collection('consultation_settings').updateOne(
+    { _id: AVAILABILITY_SETTINGS_ID },
+    { $set: { ...availability, updatedAt: new Date(), updatedBy } },
+    { upsert: true }
+  )
+
+  return { availability }
+}
@@ -0,0 +1,278 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Contact Model
+ * One document per person in `contacts`, keyed by normalized email (see normalizeEmail).
+ * Inquiries and testimonials point at their contact with `contactId`; Stripe customers are
+ * collected in `stripeCustomerIds`. Admins add tags, custom fields and notes.
+ */
+
+export const MAX_CONTACT_TAGS = 20
+export const MAX_TAG_LENGTH = 40
+export const MAX_CUSTOM_FIELDS = 50
+export const MAX_NOTE_LENGTH = 5000
+
+const DUPLICATE_KEY_ERROR = 11000
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/
+
+let indexesReady = null
+
+async function getCollection() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('contacts')
+
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      collection.createIndex({ email: 1 }, { unique: true }),
+      collection.createIndex({ stripeCustomerIds: 1 }),
+      collection.createIndex({ tags: 1 }),
+      collection.createIndex({ lastSeenAt: -1 })
+    ]).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return collection
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Normalize a list of tags (trimmed, lowercase, unique)
+ * @param {Array<string>} tags
+ * @returns {Object} { tags } or { error }
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be an array of strings' }
+  }
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+  if (normalized.length > MAX_CONTACT_TAGS) {
+    return { error: `A contact can have at most ${MAX_CONTACT_TAGS} tags` }
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` }
+  }
+
+  return { tags: normalized }
+}
+
+/**
+ * Check custom field changes
+ * Values are strings, numbers or booleans; null removes the field
+ * @param {Object} customFields - { key: value }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function getCustomFieldsError(customFields) {
+  if (!customFields || typeof customFields !== 'object' || Array.isArray(customFields)) {
+    return 'customFields must be an object'
+  }
+
+  for (const [key, value] of Object.entries(customFields)) {
+    if (!CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+      return `Invalid custom field name "${key}" (letters, digits, _ and -, at most 40 characters)`
+    }
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      return `Custom field "${key}" must be a string, number, boolean or null`
+    }
+    if (typeof value === 'string' && value.length > 1000) {
+      return `Custom field "${key}" must be at most 1000 characters`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Create or update the contact of an email address
+ * Known details are never overwritten; new phone numbers, sources and Stripe customers are added.
+ * @param {Object} details - email (normalized key), rawEmail, name, phone, clientType,
+ *   source ('inquiry', 'testimonial', 'stripe'), stripeCustomerId, seenAt
+ * @returns {Promise<Object>} Contact
+ */
+export async function upsertContact({
+  email,
+  rawEmail = null,
+  name = null,
+  phone = null,
+  clientType = null,
+  source,
+  stripeCustomerId = null,
+  seenAt = new Date()
+}) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  // Caller values come from public forms: $literal keeps a value such as "$notes" from being read as a field path
+  const addToList = (field, value) => ({
+    $setUnion: [{ $ifNull: [`$${field}`, []] }, value ? [{ $literal: value }] : []]
+  })
+
+  const update = [{
+    $set: {
+      email: { $literal: email },
+      name: { $ifNull: ['$name', { $literal: name || null }] },
+      clientType: { $ifNull: ['$clientType', { $literal: clientType || null }] },
+      emails: addToList('emails', rawEmail || email),
+      phones: addToList('phones', phone),
+      sources: addToList('sources', source),
+      stripeCustomerIds: addToList('stripeCustomerIds', stripeCustomerId),
+      tags: { $ifNull: ['$tags', []] },
+      customFields: { $ifNull: ['$customFields', { $literal: {} }] },
+      notes: { $ifNull: ['$notes', []] },
+      firstSeenAt: { $min: [{ $ifNull: ['$firstSeenAt', seenAt] }, seenAt] },
+      lastSeenAt: { $max: [{ $ifNull: ['$lastSeenAt', seenAt] }, seenAt] },
+      createdAt: { $ifNull: ['$createdAt', now] },
+      updatedAt: now
+    }
+  }]
+
+  // Two attempts: concurrent upserts of a new email race on the unique index
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      return await collection.findOneAndUpdate(
+        { email },
+        update,
+        { upsert: true, returnDocument: 'after' }
+      )
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR || attempt === 1) {
+        throw error
+      }
+    }
+  }
+}
+
+/**
+ * List contacts, most recently seen first
+ * @param {Object} filters - q (name, email or phone), tag, page, limit
+ * @returns {Promise<Object>} { contacts, total }
+ */
+export async function listContacts({ q = '', tag = '', page = 1, limit = 25 } = {}) {
+  const collection = await getCollection()
+
+  const query = {}
+  if (q) {
+    const pattern = escapeRegex(q)
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { emails: { $regex: pattern, $options: 'i' } },
+      { phones: { $regex: pattern, $options: 'i' } }
+    ]
+  }
+  if (tag) {
+    query.tags = tag.toLowerCase()
+  }
+
+  const [contacts, total] = await Promise.all([
+    collection
+      .find(query)
+      .project({ notes: 0 })
+      .sort({ lastSeenAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(query)
+  ])
+
+  return { contacts, total }
+}
+
+/**
+ * Find a contact by ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>} Contact or null
+ */
+export async function findContactById(contactId) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(contactId)) {
+    return null
+  }
+
+  return await collection.findOne({ _id: new ObjectId(contactId) })
+}
+
+/**
+ * Update the details, tags and custom fields of a contact
+ * @param {string} contactId - Contact ID
+ * @param {Object} changes - name, tags (replaces the list), customFields (merged; null removes a field)
+ * @returns {Promise<Object|null>} Updated contact, or null if not found
+ */
+export async function updateContact(contactId, { name, tags, customFields } = {}) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(contactId)) {
+    return null
+  }
+
+  const $set = { updatedAt: new Date() }
+  const $unset = {}
+  if (name !== undefined) {
+    $set.name = name
+  }
+  if (tags !== undefined) {
+    $set.tags = tags
+  }
+  for (const [key, value] of Object.entries(customFields || {})) {
+    if (value === null) {
+      $unset[`customFields.${key}`] = ''
+    } else {
+      $set[`customFields.${key}`] = value
+    }
+  }
+
+  return await collection.findOneAndUpdate(
+    { _id: new ObjectId(contactId) },
+    { $set, ...(Object.keys($unset).length > 0 ? { $unset } : {}) },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Add a note to a contact
+ * @param {string} contactId - Contact ID
+ * @param {string} text - Note text
+ * @param {Object} author - { id, email } of the admin
+ * @returns {Promise<Object|null>} Updated contact, or null if not found
+ */
+export async function addContactNote(contactId, text, author) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(contactId)) {
+    return null
+  }
+
+  return await collection.findOneAndUpdate(
+    { _id: new ObjectId(contactId) },
+    {
+      $push: { notes: { id: new ObjectId(), text, author, createdAt: new Date() } },
+      $set: { updatedAt: new Date() }
+    },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Delete a contact that has no admin data (notes, tags or custom fields)
+ * Used when the last inquiry or testimonial of a contact is deleted or anonymized
+ * @param {ObjectId} contactId - Contact ID
+ * @returns {Promise<boolean>} True if the contact was deleted
+ */
+export async function deleteContactWithoutAdminData(contactId) {
+  const collection = await getCollection()
+
+  const result = await collection.deleteOne({
+    _id: new ObjectId(contactId),
+    notes: { $size: 0 },
+    tags: { $size: 0 },
+    customFields: {}
+  })
+  return result.deletedCount > 0
+}
@@ -0,0 +1,177 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Duplicate Group Model
+ * Suggested groups of likely duplicate inquiries in `inquiry_duplicate_groups`, found when an
+ * inquiry is submitted or by the duplicate scan. Each group keeps the reasons it was suggested
+ * ({ type: 'email' | 'phone' | 'address', value, score?, inquiryIds }).
+ *
+ * Statuses: open (to review) → dismissed (not duplicates) or merged (the inquiries were merged)
+ */
+
+export const DUPLICATE_GROUP_STATUSES = ['open', 'dismissed', 'merged']
+
+let indexesReady = null
+
+async function getCollection() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('inquiry_duplicate_groups')
+
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      collection.createIndex({ inquiryIds: 1 }),
+      collection.createIndex({ status: 1, updatedAt: -1 })
+    ]).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return collection
+}
+
+function reasonKey(reason) {
+  return [reason.type, reason.value, ...reason.inquiryIds.map(id => id.toString()).sort()].join('|')
+}
+
+function mergeReasons(...reasonLists) {
+  const reasons = new Map()
+  for (const reason of reasonLists.flat()) {
+    reasons.set(reasonKey(reason), reason)
+  }
+  return [...reasons.values()]
+}
+
+/**
+ * Record a suggested group of duplicates
+ * Open groups sharing an inquiry with it are folded into one. Nothing is recorded when a
+ * dismissed group already covers all of the inquiries.
+ * @param {Object} group - inquiryIds (ObjectIds), reasons, source ('submission' or 'scan')
+ * @returns {Promise<Object|null>} Open group, or null if the duplicates were dismissed before
+ */
+export async function recordDuplicateGroup({ inquiryIds, reasons, source }) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  const related = await collection.find({ inquiryIds: { $in: inquiryIds } }).toArray()
+
+  const ids = new Set(inquiryIds.map(id => id.toString()))
+  const dismissed = related.some(group =>
+    group.status === 'dismissed' && [...ids].every(id => group.inquiryIds.some(groupId => groupId.toString() === id))
+  )
+  if (dismissed) {
+    return null
+  }
+
+  const openGroups = related.filter(group => group.status === 'open')
+  const allIds = new Map(inquiryIds.map(id => [id.toString(), id]))
+  for (const group of openGroups) {
+    for (const id of group.inquiryIds) {
+      allIds.set(id.toString(), id)
+    }
+  }
+  const allReasons = mergeReasons(...openGroups.map(group => group.reasons), reasons)
+
+  if (openGroups.length === 0) {
+    const document = {
+      inquiryIds: [...allIds.values()],
+      reasons: allReasons,
+      status: 'open',
+      source,
+      createdAt: now,
+      updatedAt: now
+    }
+    const result = await collection.insertOne(document)
+    return { _id: result.insertedId, ...document }
+  }
+
+  const [kept, ...folded] = openGroups
+  if (folded.length > 0) {
+    await collection.deleteMany({ _id: { $in: folded.map(group => group._id) }, status: 'open' })
+  }
+
+  return await collection.findOneAndUpdate(
+    { _id: kept._id },
+    { $set: { inquiryIds: [...allIds.values()], reasons: allReasons, updatedAt: now } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * List duplicate groups, most recently updated first
+ * @param {Object} filters - status, page, limit
+ * @returns {Promise<Object>} { groups, total }
+ */
+export async function listDuplicateGroups({ status = 'open', page = 1, limit = 25 } = {}) {
+  const collection = await getCollection()
+  const query = status ? { status } : {}
+
+  const [groups, total] = await Promise.all([
+    collection
+      .find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(query)
+  ])
+
+  return { groups, total }
+}
+
+/**
+ * Record the review of a duplicate group
+ * @param {string} groupId - Group ID
+ * @param {string} status - open or dismissed
+ * @param {Object} reviewer - { id, email } of the admin
+ * @returns {Promise<Object|null>} Updated group or null if not found
+ */
+export async function updateDuplicateGroupStatus(groupId, status, reviewer) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(groupId)) {
+    return null
+  }
+
+  return await collection.findOneAndUpdate(
+    { _id: new ObjectId(groupId) },
+    { $set: { status, reviewedBy: reviewer, reviewedAt: new Date(), updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Replace merged inquiries by the surviving one in the groups that contain them
+ * Groups left with a single inquiry are marked as merged.
+ * @param {Array<ObjectId>} mergedIds - Inquiries merged into the survivor
+ * @param {ObjectId} survivorId - Surviving inquiry
+ * @returns {Promise<number>} Number of groups updated
+ */
+export async function applyInquiryMergeToGroups(mergedIds, survivorId) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  const groups = await collection.find({ inquiryIds: { $in: mergedIds } }).project({ _id: 1 }).toArray()
+  if (groups.length === 0) {
+    return 0
+  }
+  const groupIds = groups.map(group => group._id)
+
+  // Two updates: $addToSet and $pull cannot change the same array at once
+  await collection.updateMany(
+    { _id: { $in: groupIds } },
+    { $addToSet: { inquiryIds: survivorId }, $set: { updatedAt: now } }
+  )
+  await collection.updateMany(
+    { _id: { $in: groupIds } },
+    { $pull: { inquiryIds: { $in: mergedIds } } }
+  )
+  await collection.updateMany(
+    { _id: { $in: groupIds }, status: 'open', 'inquiryIds.1': { $exists: false } },
+    { $set: { status: 'merged', mergedAt: now } }
+  )
+
+  return groupIds.length
+}
@@ -0,0 +1,232 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Inquiry Label Model
+ * Free-form colored labels ("VIP", "needs site visit"...) in `inquiry_labels`. Names are unique
+ * regardless of case (`key`). Inquiries list their labels in `labelIds`.
+ */
+
+export const MAX_LABEL_LENGTH = 40
+export const MAX_INQUIRY_LABELS = 10
+export const DEFAULT_LABEL_COLOR = '#6b7280'
+
+const DUPLICATE_KEY_ERROR = 11000
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+
+let indexesReady = null
+
+async function getCollection() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('inquiry_labels')
+
+  if (!indexesReady) {
+    indexesReady = collection.createIndex({ key: 1 }, { unique: true }).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return collection
+}
+
+function toLabelKey(name) {
+  return name.toLowerCase()
+}
+
+/**
+ * Check a label name and color
+ * @param {Object} label - name, color (#rrggbb); fields left undefined are not checked
+ * @returns {Object} { name, color } (trimmed, lowercase color) or { error }
+ */
+export function normalizeLabel({ name, color } = {}) {
+  const result = {}
+
+  if (name !== undefined) {
+    const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : ''
+    if (!trimmed) {
+      return { error: 'Label name is required' }
+    }
+    if (trimmed.length > MAX_LABEL_LENGTH) {
+      return { error: `Label names must be at most ${MAX_LABEL_LENGTH} characters` }
+    }
+    result.name = trimmed
+  }
+
+  if (color !== undefined) {
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+      return { error: 'color must be a hex color such as #d97706' }
+    }
+    result.color = color.toLowerCase()
+  }
+
+  return result
+}
+
+/**
+ * List all labels by name
+ * @returns {Promise<Array>} Labels
+ */
+export async function listInquiryLabels() {
+  const collection = await getCollection()
+  return await collection.find({}).sort({ key: 1 }).toArray()
+}
+
+/**
+ * Find labels by ID
+ * @param {Array<ObjectId>} labelIds - Label IDs
+ * @returns {Promise<Map>} Label ID (string) → label
+ */
+export async function findInquiryLabelsByIds(labelIds) {
+  const collection = await getCollection()
+  if (labelIds.length === 0) {
+    return new Map()
+  }
+
+  const labels = await collection.find({ _id: { $in: labelIds } }).toArray()
+  return new Map(labels.map(label => [label._id.toString(), label]))
+}
+
+/**
+ * Set `labels` ({ _id, name, color }) on inquiries from their labelIds
+ * @param {Array<Object>} inquiries - Inquiry documents (changed in place)
+ * @returns {Promise<Array<Object>>} The same inquiries
+ */
+export async function attachInquiryLabels(inquiries) {
+  const labelsById = await findInquiryLabelsByIds(inquiries.flatMap(inquiry => inquiry.labelIds || []))
+
+  for (const inquiry of inquiries) {
+    inquiry.labels = (inquiry.labelIds || [])
+      .map(labelId => labelsById.get(labelId.toString()))
+      .filter(Boolean)
+      .map(({ _id, name, color }) => ({ _id, name, color }))
+  }
+
+  return inquiries
+}
+
+/**
+ * Create a label
+ * @param {Object} label - name, color (normalized), createdBy ({ id, email })
+ * @returns {Promise<Object|null>} Created label, or null if the name is taken
+ */
+export async function createInquiryLabel({ name, color = DEFAULT_LABEL_COLOR, createdBy }) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  const label = { name, key: toLabelKey(name), color, createdBy, createdAt: now, updatedAt: now }
+  try {
+    const result = await collection.insertOne(label)
+    return { _id: result.insertedId, ...label }
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Find the labels with the given names, creating the missing ones with the default color
+ * @param {Array<string>} names - Normalized label names
+ * @param {Object} createdBy - { id, email } of the admin
+ * @returns {Promise<Array>} Labels, in the order of the names
+ */
+export async function findOrCreateInquiryLabels(names, createdBy) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  for (const name of names) {
+    await collection.updateOne(
+      { key: toLabelKey(name) },
+      { $setOnInsert: { name, key: toLabelKey(name), color: DEFAULT_LABEL_COLOR, createdBy, createdAt: now, updatedAt: now } },
+      { upsert: true }
+    ).catch(error => {
+      // Another request created the same label at the same time
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error
+      }
+    })
+  }
+
+  const labels = await collection.find({ key: { $in: names.map(toLabelKey) } }).toArray()
+  return names.map(name => labels.find(label => label.key === toLabelKey(name)))
+}
+
+/**
+ * Rename or recolor a label
+ * @param {string} labelId - Label ID
+ * @param {Object} changes - name, color (normalized)
+ * @returns {Promise<Object|null>} Updated label, null if not found, or { duplicate: true } if the name is taken
+ */
+export async function updateInquiryLabel(labelId, { name, color }) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(labelId)) {
+    return null
+  }
+
+  const $set = { updatedAt: new Date() }
+  if (name !== undefined) {
+    $set.name = name
+    $set.key = toLabelKey(name)
+  }
+  if (color !== undefined) {
+    $set.color = color
+  }
+
+  try {
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(labelId) },
+      { $set },
+      { returnDocument: 'after' }
+    )
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return { duplicate: true }
+    }
+    throw error
+  }
+}
+
+/**
+ * Delete a label and remove it from every inquiry
+ * @param {string} labelId - Label ID
+ * @returns {Promise<Object|null>} { label, inquiries } (number of inquiries it was removed from), or null if not found
+ */
+export async function deleteInquiryLabel(labelId) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(labelId)) {
+    return null
+  }
+
+  const label = await collection.findOneAndDelete({ _id: new ObjectId(labelId) })
+  if (!label) {
+    return null
+  }
+
+  const { db } = await connectToDatabase()
+  const result = await db.collection('inquiries').updateMany(
+    { labelIds: label._id },
+    { $pull: { labelIds: label._id } }
+  )
+
+  return { label, inquiries: result.modifiedCount }
+}
+
+/**
+ * Number of inquiries carrying each label
+ * @returns {Promise<Map>} Label ID (string) → count
+ */
+export async function countInquiriesByLabel() {
+  const { db } = await connectToDatabase()
+  const counts = await db.collection('inquiries').aggregate([
+    { $match: { labelIds: { $exists: true, $ne: [] }, mergedInto: { $exists: false } } },
+    { $unwind: '$labelIds' },
+    { $group: { _id: '$labelIds', count: { $sum: 1 } } }
+  ]).toArray()
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]))
+}
@@ -0,0 +1,151 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Inquiry Message Model
+ * Conversation between the team and the client of an inquiry in `inquiry_messages`,
+ * one document per message. A message is read once the other side has opened the thread
+ * (`readAt`, plus `readBy` for messages read by an admin).
+ */
+
+export const MESSAGE_SENDERS = ['admin', 'client']
+export const MAX_MESSAGE_LENGTH = 5000
+
+let indexesReady = null
+
+async function getCollection() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('inquiry_messages')
+
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      collection.createIndex({ inquiryId: 1, createdAt: 1 }),
+      // Unread counts in the admin inquiry list
+      collection.createIndex({ inquiryId: 1, senderType: 1, readAt: 1 })
+    ]).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return collection
+}
+
+/**
+ * Add a message to an inquiry's thread
+ * @param {Object} message - inquiryId, senderType ('admin' or 'client'), sender ({ id, email } for admins),
+ *   body, attachments ([{ url, name, contentType, size }])
+ * @returns {Promise<Object>} Created message
+ */
+export async function createInquiryMessage({ inquiryId, senderType, sender = null, body, attachments = [] }) {
+  if (!MESSAGE_SENDERS.includes(senderType)) {
+    throw new Error(`Invalid sender type. Must be one of: ${MESSAGE_SENDERS.join(', ')}`)
+  }
+
+  const collection = await getCollection()
+  const message = {
+    inquiryId: new ObjectId(inquiryId),
+    senderType,
+    sender,
+    body,
+    attachments,
+    readAt: null,
+    createdAt: new Date()
+  }
+
+  const result = await collection.insertOne(message)
+  return { _id: result.insertedId, ...message }
+}
+
+/**
+ * List the messages of an inquiry, oldest first
+ * @param {string} inquiryId - Inquiry ID
+ * @returns {Promise<Array>} Messages
+ */
+export async function listInquiryMessages(inquiryId) {
+  const collection = await getCollection()
+  return await collection
+    .find({ inquiryId: new ObjectId(inquiryId) })
+    .sort({ createdAt: 1 })
+    .toArray()
+}
+
+/**
+ * Mark the messages the other side sent as read
+ * @param {string} inquiryId - Inquiry ID
+ * @param {string} readerType - 'admin' (marks client messages) or 'client' (marks admin messages)
+ * @param {Object|null} reader - { id, email } of the admin reading the thread
+ * @returns {Promise<number>} Number of messages marked as read
+ */
+export async function markInquiryMessagesRead(inquiryId, readerType, reader = null) {
+  const collection = await getCollection()
+  const result = await collection.updateMany(
+    {
+      inquiryId: new ObjectId(inquiryId),
+      senderType: readerType === 'admin' ? 'client' : 'admin',
+      readAt: null
+    },
+    { $set: { readAt: new Date(), ...(reader ? { readBy: reader } : {}) } }
+  )
+  return result.modifiedCount
+}
+
+/**
+ * Count unread messages per inquiry
+ * @param {Array<ObjectId>} inquiryIds - Inquiry IDs
+ * @param {string} readerType - 'admin' (counts unread client messages) or 'client'
+ * @returns {Promise<Map<string, number>>} Unread count per inquiry ID (inquiries without unread messages are absent)
+ */
+export async function countUnreadInquiryMessages(inquiryIds, readerType) {
+  if (inquiryIds.length === 0) {
+    return new Map()
+  }
+
+  const collection = await getCollection()
+  const counts = await collection.aggregate([
+    {
+      $match: {
+        inquiryId: { $in: inquiryIds },
+        senderType: readerType === 'admin' ? 'client' : 'admin',
+        readAt: null
+      }
+    },
+    { $group: { _id: '$inquiryId', count: { $sum: 1 } } }
+  ]).toArray()
+
+  return new Map(counts.map(row => [row._id.toString(), row.count]))
+}
+
+/**
+ * Delete the thread of an inquiry
+ * @param {string} inquiryId - Inquiry ID
+ * @returns {Promise<Array<string>>} URLs of the deleted messages' attachments (to remove from storage)
+ */
+export async function deleteInquiryMessages(inquiryId) {
+  const collection = await getCollection()
+  const inquiryObjectId = new ObjectId(inquiryId)
+
+  const messages = await collection
+    .find({ inquiryId: inquiryObjectId })
+    .project({ attachments: 1 })
+    .toArray()
+  await collection.deleteMany({ inquiryId: inquiryObjectId })
+
+  return messages.flatMap(message => (message.attachments || []).map(attachment => attachment.url))
+}
+
+/**
+ * Move the threads of merged inquiries to the surviving inquiry
+ * @param {Array<ObjectId>} fromInquiryIds - Merged inquiries
+ * @param {ObjectId} toInquiryId - Surviving inquiry
+ * @returns {Promise<number>} Number of messages moved
+ */
+export async function moveInquiryMessages(fromInquiryIds, toInquiryId) {
+  const collection = await getCollection()
+  const result = await collection.updateMany(
+    { inquiryId: { $in: fromInquiryIds.map(id => new ObjectId(id)) } },
+    { $set: { inquiryId: new ObjectId(toInquiryId) } }
+  )
+  return result.modifiedCount
+}
@@ -0,0 +1,46 @@
+import { connectToDatabase } from '../config/database.js'
+
+/**
+ * Job Run Model
+ * One document per run of a scheduled job in `job_runs`, with the job's summary
+ * (what it did) or the error it failed with.
+ */
+
+/**
+ * Record a finished job run
+ * @param {Object} run - job, startedAt, summary, error
+ * @returns {Promise<Object>} Stored run
+ */
+export async function recordJobRun({ job, startedAt, summary = null, error = null }) {
+  const { db } = await connectToDatabase()
+  const finishedAt = new Date()
+
+  const run = {
+    job,
+    status: error ? 'failed' : 'succeeded',
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    summary,
+    error: error ? error.message : null
+  }
+
+  const result = await db.collection('job_runs').insertOne(run)
+  return { _id: result.insertedId, ...run }
+}
+
+/**
+ * Get the most recent runs of a job
+ * @param {string} job - Job name
+ * @param {number} limit - Maximum number of runs
+ * @returns {Promise<Array>} Runs, newest first
+ */
+export async function listJobRuns(job, limit = 10) {
+  const { db } = await connectToDatabase()
+
+  return await db.collection('job_runs')
+    .find({ job })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray()
+}
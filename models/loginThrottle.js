@@ -0,0 +1,198 @@
+import { connectToDatabase } from '../config/database.js'
+
+/**
+ * Login Throttle Model
+ * Tracks failed admin logins per email and per IP in `login_throttles`
+ * and keeps an event log of login attempts in `login_events`.
+ *
+ * After BACKOFF_AFTER failures each new attempt must wait an exponentially growing delay;
+ * after MAX_FAILURES (per email) or MAX_IP_FAILURES (per IP) the key is locked for LOCKOUT_MINUTES.
+ * Counters reset after FAILURE_WINDOW_MINUTES without failures.
+ */
+
+const BACKOFF_AFTER = parseInt(process.env.LOGIN_BACKOFF_AFTER, 10) || 3
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+const FAILURE_WINDOW_MINUTES = 60
+const BASE_DELAY_SECONDS = 1
+
+function throttleKeys({ email, ip }) {
+  const keys = []
+  if (email) {
+    keys.push({ key: `email:${email.toLowerCase()}`, maxFailures: MAX_FAILURES })
+  }
+  if (ip) {
+    keys.push({ key: `ip:${ip}`, maxFailures: MAX_IP_FAILURES })
+  }
+  return keys
+}
+
+/**
+ * Check whether a login attempt is currently allowed
+ * @param {Object} attempt - email, ip
+ * @returns {Promise<Object>} { blocked, retryAfterSeconds, locked }
+ */
+export async function checkLoginThrottle({ email, ip }) {
+  const { db } = await connectToDatabase()
+  const keys = throttleKeys({ email, ip }).map(({ key }) => key)
+
+  const throttles = await db.collection('login_throttles')
+    .find({ _id: { $in: keys } })
+    .toArray()
+
+  const now = Date.now()
+  let retryAfterMs = 0
+  let locked = false
+
+  for (const throttle of throttles) {
+    const blockedUntil = throttle.blockedUntil ? throttle.blockedUntil.getTime() : 0
+    if (blockedUntil > now) {
+      retryAfterMs = Math.max(retryAfterMs, blockedUntil - now)
+      locked = locked || Boolean(throttle.lockedUntil && throttle.lockedUntil.getTime() > now)
+    }
+  }
+
+  return {
+    blocked: retryAfterMs > 0,
+    retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+    locked
+  }
+}
+
+/**
+ * Record a failed login and compute the next allowed attempt time
+ * @param {Object} attempt - email, ip, userAgent, reason
+ * @returns {Promise<void>}
+ */
+export async function recordFailedLogin({ email, ip, userAgent = null, reason }) {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('login_throttles')
+  const now = new Date()
+
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000)
+
+  for (const { key, maxFailures } of throttleKeys({ email, ip })) {
+    // One atomic increment, so parallel failures are all counted; a stale counter starts over
+    const { failures } = await collection.findOneAndUpdate(
+      { _id: key },
+      [{
+        $set: {
+          failures: {
+            $cond: [{ $gte: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1]
+          },
+          lastFailureAt: now
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    )
+
+    let blockedUntil = null
+    let lockedUntil = null
+    if (failures >= maxFailures) {
+      lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000)
+      blockedUntil = lockedUntil
+    } else if (failures >= BACKOFF_AFTER) {
+      const delaySeconds = BASE_DELAY_SECONDS * 2 ** (failures - BACKOFF_AFTER)
+      blockedUntil = new Date(now.getTime() + delaySeconds * 1000)
+    }
+
+    // $max keeps the longer block when a parallel failure already set one
+    if (blockedUntil) {
+      await collection.updateOne(
+        { _id: key },
+        { $max: lockedUntil ? { blockedUntil, lockedUntil } : { blockedUntil } }
+      )
+    }
+  }
+
+  await db.collection('login_events').insertOne({
+    email: email ? email.toLowerCase() : null,
+    ip: ip || null,
+    userAgent,
+    success: false,
+    reason,
+    createdAt: now
+  })
+}
+
+/**
+ * Record a successful login and reset the email counter
+ * The IP counter is kept so one valid account cannot be used to clear an attacker's IP history
+ * @param {Object} attempt - email, ip, userAgent
+ * @returns {Promise<void>}
+ */
+export async function recordSuccessfulLogin({ email, ip, userAgent = null }) {
+  const { db } = await connectToDatabase()
+
+  await db.collection('login_throttles').deleteOne({ _id: `email:${email.toLowerCase()}` })
+  await db.collection('login_events').insertOne({
+    email: email.toLowerCase(),
+    ip: ip || null,
+    userAgent,
+    success: true,
+    reason: null,
+    createdAt: new Date()
+  })
+}
+
+/**
+ * Clear the lockout and failure counter of an account
+ * @param {string} email - Admin email
+ * @returns {Promise<boolean>} True if a throttle entry was removed
+ */
+export async function unlockLogin(email) {
+  const { db } = await connectToDatabase()
+  const result = await db.collection('login_throttles').deleteOne({ _id: `email:${email.toLowerCase()}` })
+  return result.deletedCount > 0
+}
+
+/**
+ * List recent login events
+ * @param {Object} filters - email, ip, success (boolean), limit
+ * @returns {Promise<Array>} Events, newest first
+ */
+export async function listLoginEvents({ email, ip, success, limit = 100 } = {}) {
+  const { db } = await connectToDatabase()
+
+  const query = {}
+  if (email) {
+    query.email = email.toLowerCase()
+  }
+  if (ip) {
+    query.ip = ip
+  }
+  if (typeof success === 'boolean') {
+    query.success = success
+  }
+
+  return await db.collection('login_events')
+    .find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray()
+}
+
+/**
+ * List currently locked accounts and IPs
+ * @returns {Promise<Array>} Active lockouts
+ */
+export async function listActiveLockouts() {
+  const { db } = await connectToDatabase()
+
+  const lockouts = await db.collection('login_throttles')
+    .find({ lockedUntil: { $gt: new Date() } })
+    .sort({ lockedUntil: -1 })
+    .toArray()
+
+  return lockouts.map(lockout => {
+    const [type, ...rest] = lockout._id.split(':')
+    return {
+      type,
+      value: rest.join(':'),
+      failures: lockout.failures,
+      lastFailureAt: lockout.lastFailureAt,
+      lockedUntil: lockout.lockedUntil
+    }
+  })
+}
@@ -0,0 +1,47 @@
+import { connectToDatabase } from '../config/database.js'
+
+/**
+ * OIDC Login State Model
+ * Pending single sign-on attempts in `oidc_login_states`, keyed by the `state` parameter.
+ * Holds the nonce and PKCE verifier until the provider redirects back; each state can be used once.
+ */
+
+const LOGIN_STATE_TTL_MINUTES = 10
+
+/**
+ * Store a pending SSO login
+ * @param {Object} stateData - state, nonce, codeVerifier, returnTo, ip
+ * @returns {Promise<void>}
+ */
+export async function createOidcLoginState({ state, nonce, codeVerifier, returnTo = null, ip = null }) {
+  const { db } = await connectToDatabase()
+  const now = new Date()
+
+  await db.collection('oidc_login_states').insertOne({
+    _id: state,
+    nonce,
+    codeVerifier,
+    returnTo,
+    ip,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + LOGIN_STATE_TTL_MINUTES * 60 * 1000)
+  })
+}
+
+/**
+ * Consume a pending SSO login (atomically removes it)
+ * @param {string} state - state parameter returned by the provider
+ * @returns {Promise<Object|null>} Login state, or null if unknown, used or expired
+ */
+export async function consumeOidcLoginState(state) {
+  if (!state || typeof state !== 'string') {
+    return null
+  }
+
+  const { db } = await connectToDatabase()
+
+  return await db.collection('oidc_login_states').findOneAndDelete({
+    _id: state,
+    expiresAt: { $gt: new Date() }
+  })
+}
@@ -0,0 +1,75 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { generateSecureToken, hashToken } from '../utils/tokens.js'
+
+/**
+ * Password Reset Model
+ * Single-use reset tokens stored as SHA-256 hashes in `admin_password_resets`
+ */
+
+const RESET_TOKEN_TTL_MINUTES = 60
+
+/**
+ * Create a reset token for an admin, invalidating any outstanding ones
+ * @param {string} adminId - Admin ID
+ * @param {Object} context - ip of the requester
+ * @returns {Promise<Object>} Plain token and expiry date
+ */
+export async function createPasswordResetToken(adminId, { ip = null } = {}) {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('admin_password_resets')
+  const now = new Date()
+
+  await collection.updateMany(
+    { adminId: new ObjectId(adminId), usedAt: null },
+    { $set: { usedAt: now, invalidatedReason: 'superseded' } }
+  )
+
+  const token = generateSecureToken()
+  const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+
+  await collection.insertOne({
+    adminId: new ObjectId(adminId),
+    tokenHash: hashToken(token),
+    requestedIp: ip,
+    createdAt: now,
+    expiresAt,
+    usedAt: null
+  })
+
+  return { token, expiresAt }
+}
+
+/**
+ * Find a usable reset token without consuming it
+ * @param {string} token - Plain token from the reset link
+ * @returns {Promise<Object|null>} Reset document, or null if invalid, expired or already used
+ */
+export async function findPasswordResetToken(token) {
+  const { db } = await connectToDatabase()
+
+  return await db.collection('admin_password_resets').findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+/**
+ * Consume a reset token (atomically marks it as used)
+ * @param {string} token - Plain token from the reset link
+ * @returns {Promise<Object|null>} Reset document, or null if invalid, expired or already used
+ */
+export async function consumePasswordResetToken(token) {
+  const { db } = await connectToDatabase()
+
+  return await db.collection('admin_password_resets').findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
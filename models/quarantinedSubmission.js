@@ -0,0 +1,231 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId, GridFSBucket } from 'mongodb'
+
+/**
+ * Quarantined Submission Model
+ * Public form submissions flagged by the abuse checks, kept in `quarantined_submissions`
+ * for admin review instead of being stored with the genuine ones. The request body is kept in
+ * `fields`. Uploaded files are described in `files` ({ field, name, contentType, size, fileId }) and
+ * kept in the `quarantined_files` GridFS bucket; they only go to Cloudinary once the submission is released.
+ *
+ * Review statuses: pending → released (genuine: the inquiry, testimonial or application is created,
+ * see `release`) or rejected (spam). A rejected submission can still be released.
+ */
+
+export const QUARANTINE_STATUSES = ['pending', 'released', 'rejected']
+
+// Statuses each review decision can be made from
+const REVIEWABLE_FROM = {
+  released: ['pending', 'rejected'],
+  rejected: ['pending']
+}
+
+async function getFileBucket() {
+  const { db } = await connectToDatabase()
+  return new GridFSBucket(db, { bucketName: 'quarantined_files' })
+}
+
+/**
+ * Keep the uploaded files of a flagged submission until it is reviewed
+ * @param {Array<Object>} files - multer memory files
+ * @returns {Promise<Array<Object>>} Stored files ({ field, name, contentType, size, fileId })
+ */
+export async function saveQuarantinedFiles(files) {
+  const bucket = await getFileBucket()
+
+  return await Promise.all(files.map(file => new Promise((resolve, reject) => {
+    const stream = bucket.openUploadStream(file.originalname, {
+      metadata: { field: file.fieldname, contentType: file.mimetype }
+    })
+    stream.once('error', reject)
+    stream.once('finish', () => resolve({
+      field: file.fieldname,
+      name: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      fileId: stream.id
+    }))
+    stream.end(file.buffer)
+  })))
+}
+
+/**
+ * Read back the stored files of a quarantined submission
+ * @param {Array<Object>} files - Stored files (submission.files)
+ * @returns {Promise<Object>} multer-like files by field ({ [field]: [{ fieldname, originalname, mimetype, size, buffer }] })
+ */
+export async function loadQuarantinedFiles(files) {
+  const bucket = await getFileBucket()
+  const byField = {}
+
+  for (const file of files.filter(candidate => candidate.fileId)) {
+    const chunks = []
+    for await (const chunk of bucket.openDownloadStream(file.fileId)) {
+      chunks.push(chunk)
+    }
+    byField[file.field] = [...(byField[file.field] || []), {
+      fieldname: file.field,
+      originalname: file.name,
+      mimetype: file.contentType,
+      size: file.size,
+      buffer: Buffer.concat(chunks)
+    }]
+  }
+
+  return byField
+}
+
+/**
+ * Delete the stored files of a quarantined submission
+ * @param {Array<Object>} files - Stored files (submission.files)
+ * @returns {Promise<void>}
+ */
+export async function deleteQuarantinedFiles(files) {
+  const bucket = await getFileBucket()
+  await Promise.all(files.filter(file => file.fileId).map(file => bucket.delete(file.fileId)))
+}
+
+/**
+ * Quarantine a flagged submission
+ * @param {Object} submission - form, flags, fields (request body),
+ *   files ([{ field, name, contentType, size, fileId }], see saveQuarantinedFiles), email, ip, userAgent, fillSeconds
+ * @returns {Promise<Object>} Stored submission
+ */
+export async function createQuarantinedSubmission(submission) {
+  const { db } = await connectToDatabase()
+
+  const document = {
+    ...submission,
+    status: 'pending',
+    createdAt: new Date()
+  }
+
+  const result = await db.collection('quarantined_submissions').insertOne(document)
+  return { _id: result.insertedId, ...document }
+}
+
+/**
+ * List quarantined submissions, newest first
+ * @param {Object} filters - form, status, page, limit
+ * @returns {Promise<Object>} { submissions, total }
+ */
+export async function listQuarantinedSubmissions({ form = null, status = null, page = 1, limit = 25 } = {}) {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('quarantined_submissions')
+
+  const query = {}
+  if (form) {
+    query.form = form
+  }
+  if (status) {
+    query.status = status
+  }
+
+  const [submissions, total] = await Promise.all([
+    collection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(query)
+  ])
+
+  return { submissions, total }
+}
+
+/**
+ * Find a quarantined submission by ID
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<Object|null>} Submission or null
+ */
+export async function findQuarantinedSubmissionById(submissionId) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(submissionId)) {
+    return null
+  }
+
+  return await db.collection('quarantined_submissions').findOne({ _id: new ObjectId(submissionId) })
+}
+
+/**
+ * Record the review of a quarantined submission
+ * Only applies while the submission is in a status the decision can be made from, so a
+ * submission is never released twice.
+ * @param {string} submissionId - Submission ID
+ * @param {string} status - released or rejected
+ * @param {Object} reviewer - { id, email } of the admin
+ * @returns {Promise<Object|null>} Updated submission, or null if not found or already reviewed that way
+ */
+export async function reviewQuarantinedSubmission(submissionId, status, reviewer) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(submissionId)) {
+    return null
+  }
+
+  return await db.collection('quarantined_submissions').findOneAndUpdate(
+    { _id: new ObjectId(submissionId), status: { $in: REVIEWABLE_FROM[status] } },
+    { $set: { status, reviewedBy: reviewer, reviewedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Record what a released submission created
+ * @param {ObjectId} submissionId - Submission ID
+ * @param {Object} release - { collection, id } of the created document
+ * @returns {Promise<Object|null>} Updated submission
+ */
+export async function recordSubmissionRelease(submissionId, release) {
+  const { db } = await connectToDatabase()
+
+  return await db.collection('quarantined_submissions').findOneAndUpdate(
+    { _id: submissionId },
+    { $set: { release: { ...release, releasedAt: new Date() } }, $unset: { releaseError: '' } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Restore the review of a submission whose release failed
+ * @param {Object} submission - Submission as it was before the release
+ * @param {string} message - Why the submission could not be created
+ * @returns {Promise<Object|null>} Updated submission
+ */
+export async function revertSubmissionRelease(submission, message) {
+  const { db } = await connectToDatabase()
+
+  const $set = { status: submission.status, releaseError: { message, at: new Date() } }
+  const $unset = {}
+  for (const field of ['reviewedBy', 'reviewedAt']) {
+    if (submission[field]) {
+      $set[field] = submission[field]
+    } else {
+      $unset[field] = ''
+    }
+  }
+
+  return await db.collection('quarantined_submissions').findOneAndUpdate(
+    { _id: submission._id, status: 'released' },
+    { $set, ...(Object.keys($unset).length > 0 ? { $unset } : {}) },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Delete a quarantined submission
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<boolean>} True if a submission was deleted
+ */
+export async function deleteQuarantinedSubmission(submissionId) {
+  const { db } = await connectToDatabase()
+
+  if (!ObjectId.isValid(submissionId)) {
+    return false
+  }
+
+  const result = await db.collection('quarantined_submissions').deleteOne({ _id: new ObjectId(submissionId) })
+  return result.deletedCount > 0
+}
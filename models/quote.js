@@ -0,0 +1,402 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+
+/**
+ * Quote Model
+ * Itemized fee proposals for an inquiry in `quotes`. Each new quote of an inquiry gets the next
+ * `version`; sending one supersedes the inquiry's other open versions. Amounts are in the smallest
+ * currency unit (cents). Clients open a sent quote with the token emailed to them (only its hash,
+ * `accessTokenHash`, is stored) and accept or decline it, which records when, from where and
+ * under which typed name. An accepted quote can ask for a deposit paid through Stripe Checkout.
+ */
+
+export const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'expired', 'superseded']
+export const DEPOSIT_STATUSES = ['pending', 'paid', 'failed', 'expired']
+
+/**
+ * Error codes returned (with HTTP 409) when a request does not fit the quote's status
+ */
+export const QUOTE_ERRORS = {
+  NOT_EDITABLE: 'QUOTE_NOT_EDITABLE',
+  NOT_OPEN: 'QUOTE_NOT_OPEN',
+  EXPIRED: 'QUOTE_EXPIRED',
+  NO_DEPOSIT: 'QUOTE_NO_DEPOSIT'
+}
+
+export const MAX_LINE_ITEMS = 50
+export const MAX_QUOTE_NOTES_LENGTH = 5000
+export const MAX_RESPONSE_NAME_LENGTH = 200
+
+// Validity of a quote when no validUntil is given
+const DEFAULT_VALIDITY_DAYS = Math.max(parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 30, 1)
+const QUOTE_CURRENCIES = ['eur']
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+let indexesReady = null
+
+async function getCollection() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('quotes')
+
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      collection.createIndex({ inquiryId: 1, version: -1 }),
+      collection.createIndex({ status: 1, validUntil: 1 }),
+      collection.createIndex({ 'deposit.sessionId': 1 }, { sparse: true })
+    ]).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return collection
+}
+
+/**
+ * Mark sent quotes past their validity date as expired
+ * Runs before quotes are read, so their status is always current
+ */
+async function expireOverdueQuotes(collection, filter = {}) {
+  await collection.updateMany(
+    { ...filter, status: 'sent', validUntil: { $lt: new Date() } },
+    { $set: { status: 'expired', updatedAt: new Date() } }
+  )
+}
+
+function parseValidUntil(value, now) {
+  if (value === undefined || value === null || value === '') {
+    return new Date(now.getTime() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+  }
+  if (typeof value !== 'string') {
+    return null
+  }
+  // A date without time is valid until the end of that day (UTC)
+  const date = new Date(DATE_ONLY_PATTERN.test(value) ? `${value}T23:59:59.999Z` : value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Check and compute the content of a quote
+ * @param {Object} input - lineItems ([{ description, quantity, unitAmount }]), vatRate (percent),
+ *   validUntil (ISO date, defaults to QUOTE_VALIDITY_DAYS from now), depositPercent (0-100), notes, currency
+ * @param {Date} now - Current time
+ * @returns {Object} { content } with the computed totals, or { error }
+ */
+export function normalizeQuoteContent(input, now = new Date()) {
+  const { lineItems, vatRate = 0, validUntil, depositPercent = 0, notes = '', currency = 'eur' } = input || {}
+
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return { error: 'lineItems must be a non-empty array' }
+  }
+  if (lineItems.length > MAX_LINE_ITEMS) {
+    return { error: `A quote can have at most ${MAX_LINE_ITEMS} line items` }
+  }
+
+  const items = []
+  for (const [index, item] of lineItems.entries()) {
+    const description = typeof item?.description === 'string' ? item.description.trim() : ''
+    const quantity = item?.quantity ?? 1
+    if (!description || description.length > 500) {
+      return { error: `Line item ${index + 1}: description is required (at most 500 characters)` }
+    }
+    if (typeof quantity !== 'number' || !(quantity > 0) || Math.abs(Math.round(quantity * 100) - quantity * 100) > 1e-6) {
+      return { error: `Line item ${index + 1}: quantity must be a positive number with at most 2 decimals` }
+    }
+    if (!Number.isInteger(item.unitAmount) || item.unitAmount < 0) {
+      return { error: `Line item ${index + 1}: unitAmount must be a non-negative integer in cents` }
+    }
+    items.push({ description, quantity, unitAmount: item.unitAmount, amount: Math.round(quantity * item.unitAmount) })
+  }
+
+  if (typeof vatRate !== 'number' || vatRate < 0 || vatRate > 100) {
+    return { error: 'vatRate must be a percentage between 0 and 100' }
+  }
+  if (typeof depositPercent !== 'number' || depositPercent < 0 || depositPercent > 100) {
+    return { error: 'depositPercent must be a percentage between 0 and 100' }
+  }
+  if (!QUOTE_CURRENCIES.includes(currency)) {
+    return { error: `currency must be one of: ${QUOTE_CURRENCIES.join(', ')}` }
+  }
+  if (typeof notes !== 'string' || notes.length > MAX_QUOTE_NOTES_LENGTH) {
+    return { error: `notes must be a string of at most ${MAX_QUOTE_NOTES_LENGTH} characters` }
+  }
+
+  const validUntilDate = parseValidUntil(validUntil, now)
+  if (!validUntilDate) {
+    return { error: 'validUntil must be an ISO date' }
+  }
+  if (validUntilDate <= now) {
+    return { error: 'validUntil must be in the future' }
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0)
+  const vatAmount = Math.round(subtotal * vatRate / 100)
+  const total = subtotal + vatAmount
+  const depositAmount = Math.round(total * depositPercent / 100)
+
+  // Stripe Checkout does not accept charges under 0.50
+  if (depositAmount > 0 && depositAmount < 50) {
+    return { error: 'The deposit must be at least 0.50' }
+  }
+
+  return {
+    content: {
+      currency,
+      lineItems: items,
+      vatRate,
+      subtotal,
+      vatAmount,
+      total,
+      depositPercent,
+      depositAmount,
+      validUntil: validUntilDate,
+      notes: notes.trim()
+    }
+  }
+}
+
+/**
+ * Create a draft quote with the next version number of the inquiry
+ * @param {Object} details - inquiryId, content (from normalizeQuoteContent), createdBy ({ id, email }),
+ *   revisionOf (ID of the quote it revises)
+ * @returns {Promise<Object>} Created quote
+ */
+export async function createQuote({ inquiryId, content, createdBy, revisionOf = null }) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  const latest = await collection.findOne(
+    { inquiryId: new ObjectId(inquiryId) },
+    { sort: { version: -1 }, projection: { version: 1 } }
+  )
+
+  const quote = {
+    inquiryId: new ObjectId(inquiryId),
+    version: (latest?.version || 0) + 1,
+    status: 'draft',
+    ...content,
+    revisionOf: revisionOf ? new ObjectId(revisionOf) : null,
+    accessTokenHash: null,
+    createdBy,
+    sentAt: null,
+    sentBy: null,
+    viewedAt: null,
+    acceptance: null,
+    decline: null,
+    deposit: null,
+    createdAt: now,
+    updatedAt: now
+  }
+
+  const result = await collection.insertOne(quote)
+  return { _id: result.insertedId, ...quote }
+}
+
+/**
+ * List quotes, newest first
+ * @param {Object} filters - inquiryId, status, page, limit
+ * @returns {Promise<Object>} { quotes, total }
+ */
+export async function listQuotes({ inquiryId = null, status = null, page = 1, limit = 25 } = {}) {
+  const collection = await getCollection()
+
+  const query = {}
+  if (inquiryId) {
+    query.inquiryId = new ObjectId(inquiryId)
+  }
+  await expireOverdueQuotes(collection, query)
+  if (status) {
+    query.status = status
+  }
+
+  const [quotes, total] = await Promise.all([
+    collection
+      .find(query)
+      .project({ accessTokenHash: 0 })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(query)
+  ])
+
+  return { quotes, total }
+}
+
+/**
+ * Find a quote by ID
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object|null>} Quote or null
+ */
+export async function findQuoteById(quoteId) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(quoteId)) {
+    return null
+  }
+
+  await expireOverdueQuotes(collection, { _id: new ObjectId(quoteId) })
+  return await collection.findOne({ _id: new ObjectId(quoteId) })
+}
+
+/**
+ * Find a sent (or answered) quote by ID and client token hash
+ * @param {string} quoteId - Quote ID
+ * @param {string} tokenHash - Hash of the client token
+ * @returns {Promise<Object|null>} Quote or null
+ */
+export async function findQuoteByToken(quoteId, tokenHash) {
+  const collection = await getCollection()
+
+  if (!ObjectId.isValid(quoteId)) {
+    return null
+  }
+
+  await expireOverdueQuotes(collection, { _id: new ObjectId(quoteId) })
+  return await collection.findOne({ _id: new ObjectId(quoteId), accessTokenHash: tokenHash })
+}
+
+/**
+ * Replace the content of a draft quote
+ * @param {string} quoteId - Quote ID
+ * @param {Object} content - From normalizeQuoteContent
+ * @returns {Promise<Object|null>} Updated quote, or null if it is not a draft (any more)
+ */
+export async function updateDraftQuote(quoteId, content) {
+  const collection = await getCollection()
+
+  return await collection.findOneAndUpdate(
+    { _id: new ObjectId(quoteId), status: 'draft' },
+    { $set: { ...content, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Send a quote (or send it again with a new token); the inquiry's other open versions are superseded
+ * @param {string} quoteId - Quote ID
+ * @param {string} tokenHash - Hash of the new client token (earlier links stop working)
+ * @param {Object} sentBy - { id, email } of the admin
+ * @returns {Promise<Object|null>} Sent quote, or null if it is no longer a draft or sent
+ */
+export async function markQuoteSent(quoteId, tokenHash, sentBy) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  const quote = await collection.findOneAndUpdate(
+    { _id: new ObjectId(quoteId), status: { $in: ['draft', 'sent'] }, validUntil: { $gt: now } },
+    { $set: { status: 'sent', accessTokenHash: tokenHash, sentAt: now, sentBy, updatedAt: now } },
+    { returnDocument: 'after' }
+  )
+
+  if (quote) {
+    await collection.updateMany(
+      { inquiryId: quote.inquiryId, _id: { $ne: quote._id }, status: { $in: ['draft', 'sent'] } },
+      { $set: { status: 'superseded', supersededBy: quote._id, updatedAt: now } }
+    )
+  }
+
+  return quote
+}
+
+/**
+ * Record the first time the client opened a quote
+ * @param {ObjectId} quoteId - Quote ID
+ * @returns {Promise<void>}
+ */
+export async function recordQuoteView(quoteId) {
+  const collection = await getCollection()
+  await collection.updateOne({ _id: quoteId, viewedAt: null }, { $set: { viewedAt: new Date() } })
+}
+
+/**
+ * Record the client's answer to a sent quote that is still valid
+ * @param {ObjectId} quoteId - Quote ID
+ * @param {string} status - 'accepted' or 'declined'
+ * @param {Object} response - { name, ip, userAgent, reason (declines) }
+ * @returns {Promise<Object|null>} Updated quote, or null if it was no longer open
+ */
+export async function respondToQuote(quoteId, status, response) {
+  const collection = await getCollection()
+  const now = new Date()
+  const field = status === 'accepted' ? 'acceptance' : 'decline'
+
+  return await collection.findOneAndUpdate(
+    { _id: quoteId, status: 'sent', validUntil: { $gt: now } },
+    { $set: { status, [field]: { ...response, at: now }, updatedAt: now } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Attach a new deposit checkout session to an accepted quote
+ * Only one deposit can be in progress; a paid deposit is never replaced.
+ * @param {ObjectId} quoteId - Quote ID
+ * @param {Object} deposit - { sessionId, amount, currency }
+ * @param {string|null} previousSessionId - Session the caller saw (null for the first one)
+ * @returns {Promise<Object|null>} Updated quote, or null if the deposit changed concurrently
+ */
+export async function startQuoteDeposit(quoteId, deposit, previousSessionId = null) {
+  const collection = await getCollection()
+  const now = new Date()
+
+  return await collection.findOneAndUpdate(
+    {
+      _id: quoteId,
+      status: 'accepted',
+      ...(previousSessionId ? { 'deposit.sessionId': previousSessionId, 'deposit.status': { $ne: 'paid' } } : { deposit: null })
+    },
+    { $set: { deposit: { ...deposit, status: 'pending', createdAt: now }, updatedAt: now } },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Update the deposit of the quote whose checkout session this is
+ * A paid deposit stays paid.
+ * @param {string} sessionId - Stripe Checkout session ID
+ * @param {string} status - One of DEPOSIT_STATUSES
+ * @param {Object} fields - Extra deposit fields (paidAt, stripeCustomerId, amountPaid)
+ * @returns {Promise<Object|null>} Updated quote, or null if nothing changed
+ */
+export async function updateQuoteDeposit(sessionId, status, fields = {}) {
+  const collection = await getCollection()
+
+  const $set = { 'deposit.status': status, updatedAt: new Date() }
+  for (const [key, value] of Object.entries(fields)) {
+    $set[`deposit.${key}`] = value
+  }
+
+  return await collection.findOneAndUpdate(
+    { 'deposit.sessionId': sessionId, 'deposit.status': { $nin: ['paid', status] } },
+    { $set },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Move the quotes of merged inquiries to the surviving inquiry
+ * @param {Array<ObjectId>} fromIds - Merged inquiry IDs
+ * @param {ObjectId} toId - Surviving inquiry ID
+ * @returns {Promise<number>} Number of quotes moved
+ */
+export async function moveQuotes(fromIds, toId) {
+  const collection = await getCollection()
+  const result = await collection.updateMany(
+    { inquiryId: { $in: fromIds } },
+    [{ $set: { inquiryId: toId, mergedFrom: '$inquiryId' } }]
+  )
+  return result.modifiedCount
+}
+
+/**
+ * Delete the quotes of an inquiry
+ * @param {string} inquiryId - Inquiry ID
+ * @returns {Promise<number>} Number of quotes deleted
+ */
+export async function deleteQuotes(inquiryId) {
+  const collection = await getCollection()
+  const result = await collection.deleteMany({ inquiryId: new ObjectId(inquiryId) })
+  return result.deletedCount
+}
@@ -0,0 +1,169 @@
+import { connectToDatabase } from '../config/database.js'
+import { ObjectId } from 'mongodb'
+import { SLOT_BLOCK_MINUTES } from './consultationAvailability.js'
+
+/**
+ * Slot Lock Model
+ * Consultation bookings in `consultation_slot_locks`, one document per block of
+ * SLOT_BLOCK_MINUTES covered by a session and its trailing buffer. A unique index on
+ * `blockStart` makes taking a slot atomic: two clients can never hold overlapping sessions.
+ *
+ * Locks are "held" while a checkout is open (with an expiry) and "booked" once paid.
+ */
+
+const MINUTE_MS = 60 * 1000
+const DUPLICATE_KEY_ERROR = 11000
+
+let indexesReady = null
+
+async function getCollection() {
+  const { db } = await connectToDatabase()
+  const collection = db.collection('consultation_slot_locks')
+
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      collection.createIndex({ blockStart: 1 }, { unique: true }),
+      collection.createIndex({ inquiryId: 1 }),
+      // Expired holds are removed by MongoDB; booked locks have no expiresAt
+      collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+    ]).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return collection
+}
+
+/**
+ * Start times of the blocks a session occupies (the session plus the buffer after it)
+ * @param {Date} start - Session start
+ * @param {number} durationMinutes - Session length
+ * @param {number} bufferMinutes - Buffer after the session
+ * @returns {Array<Date>} Block start times
+ */
+export function getSlotBlocks(start, durationMinutes, bufferMinutes) {
+  const blocks = []
+  const blockCount = Math.ceil((durationMinutes + bufferMinutes) / SLOT_BLOCK_MINUTES)
+  for (let i = 0; i < blockCount; i++) {
+    blocks.push(new Date(start.getTime() + i * SLOT_BLOCK_MINUTES * MINUTE_MS))
+  }
+  return blocks
+}
+
+/**
+ * Blocks taken (booked or held and not expired) in a time range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} options - excludeInquiryId: ignore the blocks held by this inquiry
+ * @returns {Promise<Set<number>>} Block start times in milliseconds
+ */
+export async function getLockedBlocks(from, to, { excludeInquiryId = null } = {}) {
+  const collection = await getCollection()
+  const locks = await collection
+    .find({
+      blockStart: { $gte: from, $lt: to },
+      $or: [{ state: 'booked' }, { expiresAt: { $gt: new Date() } }],
+      ...(excludeInquiryId ? { inquiryId: { $ne: new ObjectId(excludeInquiryId) } } : {})
+    })
+    .project({ blockStart: 1 })
+    .toArray()
+
+  return new Set(locks.map(lock => lock.blockStart.getTime()))
+}
+
+/**
+ * Take a slot for an inquiry, or move the inquiry's current slot
+ * Blocks the inquiry already owns are kept, so a booking can move to an overlapping time;
+ * its other blocks are released once the new slot is secured. Each inquiry holds at most one slot.
+ * @param {Object} slot - inquiryId, start, durationMinutes, bufferMinutes, state ('held' or 'booked'), expiresAt (holds only)
+ * @returns {Promise<boolean>} false if another booking overlaps the slot (the current slot is then kept)
+ */
+export async function lockSlot({ inquiryId, start, durationMinutes, bufferMinutes, state = 'held', expiresAt = null }) {
+  const collection = await getCollection()
+  const inquiryObjectId = new ObjectId(inquiryId)
+  const blocks = getSlotBlocks(start, durationMinutes, bufferMinutes)
+  const now = new Date()
+
+  // Holds past their expiry that the TTL monitor has not removed yet
+  await collection.deleteMany({ blockStart: { $in: blocks }, state: 'held', expiresAt: { $lte: now } })
+
+  const ownedBlocks = await collection
+    .find({ inquiryId: inquiryObjectId, blockStart: { $in: blocks } })
+    .project({ blockStart: 1 })
+    .toArray()
+  const owned = new Set(ownedBlocks.map(lock => lock.blockStart.getTime()))
+
+  const lockId = new ObjectId()
+  const lockFields = {
+    lockId,
+    inquiryId: inquiryObjectId,
+    sessionStart: start,
+    state,
+    ...(state === 'booked' ? { bookedAt: now } : {})
+  }
+  const missingBlocks = blocks.filter(blockStart => !owned.has(blockStart.getTime()))
+
+  try {
+    if (missingBlocks.length > 0) {
+      await collection.insertMany(
+        missingBlocks.map(blockStart => ({
+          blockStart,
+          ...lockFields,
+          createdAt: now,
+          ...(state === 'held' ? { expiresAt } : {})
+        })),
+        { ordered: true }
+      )
+    }
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error
+    }
+    // Another booking owns at least one block: undo the blocks inserted before the conflict
+    await collection.deleteMany({ lockId })
+    return false
+  }
+
+  // Re-tag the blocks that were already owned and release the rest of the previous slot
+  await collection.updateMany(
+    { inquiryId: inquiryObjectId, blockStart: { $in: blocks }, lockId: { $ne: lockId } },
+    state === 'held'
+      ? { $set: { ...lockFields, expiresAt } }
+      : { $set: lockFields, $unset: { expiresAt: '' } }
+  )
+  await collection.deleteMany({ inquiryId: inquiryObjectId, lockId: { $ne: lockId } })
+
+  return true
+}
+
+/**
+ * Turn an inquiry's held slot into a booking (payment received)
+ * @param {string|ObjectId} inquiryId
+ * @returns {Promise<number>} Number of blocks confirmed (0 if the hold expired)
+ */
+export async function confirmSlot(inquiryId) {
+  const collection = await getCollection()
+  const result = await collection.updateMany(
+    { inquiryId: new ObjectId(inquiryId), state: 'held' },
+    { $set: { state: 'booked', bookedAt: new Date() }, $unset: { expiresAt: '' } }
+  )
+  return result.modifiedCount
+}
+
+/**
+ * Release an inquiry's held slot (checkout expired or payment failed)
+ * Booked slots are kept; they are only released by an admin cancellation.
+ * @param {string|ObjectId} inquiryId
+ * @param {Object} options - includeBooked: also release a booked slot
+ * @returns {Promise<number>} Number of blocks released
+ */
+export async function releaseSlot(inquiryId, { includeBooked = false } = {}) {
+  const collection = await getCollection()
+  const result = await collection.deleteMany({
+    inquiryId: new ObjectId(inquiryId),
+    ...(includeBooked ? {} : { state: 'held' })
+  })
+  return result.deletedCount
+}
@@ -0,0 +1,92 @@
+import { connectToDatabase } from '../config/database.js'
+
+/**
+ * Submission Throttle Model
+ * Fixed-window counters of public form submissions (per IP and per email) in
+ * `submission_throttles`, and the form challenges already used in `form_challenges_used`.
+ * Both collections expire their documents with TTL indexes.
+ */
+
+const DUPLICATE_KEY_ERROR = 11000
+
+let indexesReady = null
+
+async function getCollections() {
+  const { db } = await connectToDatabase()
+  const throttles = db.collection('submission_throttles')
+  const usedChallenges = db.collection('form_challenges_used')
+
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      throttles.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+      usedChallenges.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+    ]).catch(error => {
+      indexesReady = null
+      throw error
+    })
+  }
+  await indexesReady
+
+  return { throttles, usedChallenges }
+}
+
+/**
+ * Count a submission in the current window of a key
+ * @param {string} key - Counter key, e.g. "career:ip:203.0.113.7"
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<Object>} { count, resetAt } for the current window, including this submission
+ */
+export async function incrementSubmissionCounter(key, windowSeconds) {
+  const { throttles } = await getCollections()
+
+  // Two attempts: a concurrent request may start the new window first
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const now = new Date()
+
+    const counter = await throttles.findOneAndUpdate(
+      { _id: key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { returnDocument: 'after' }
+    )
+    if (counter) {
+      return { count: counter.count, resetAt: counter.expiresAt }
+    }
+
+    // No window yet, or the previous one ended before the TTL monitor removed it
+    const resetAt = new Date(now.getTime() + windowSeconds * 1000)
+    try {
+      await throttles.replaceOne(
+        { _id: key, expiresAt: { $lte: now } },
+        { count: 1, expiresAt: resetAt },
+        { upsert: true }
+      )
+      return { count: 1, resetAt }
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error
+      }
+    }
+  }
+
+  throw new Error(`Could not update submission counter ${key}`)
+}
+
+/**
+ * Mark a form challenge as used
+ * @param {string} challengeId - Challenge ID (jti of the challenge token)
+ * @param {Date} expiresAt - Expiry of the challenge token (the record is kept until then)
+ * @returns {Promise<boolean>} False if the challenge was already used
+ */
+export async function consumeFormChallenge(challengeId, expiresAt) {
+  const { usedChallenges } = await getCollections()
+
+  try {
+    await usedChallenges.insertOne({ _id: challengeId, usedAt: new Date(), expiresAt })
+    return true
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return false
+    }
+    throw error
+  }
+}
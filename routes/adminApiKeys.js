@@ -0,0 +1,24 @@
+import express from 'express'
+import {
+  getApiKeys,
+  createAdminApiKey,
+  revokeAdminApiKey
+} from '../controllers/apiKeyController.js'
+import { authenticateAdmin, denyApiKeys } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+
+const router = express.Router()
+
+// All routes require admin authentication (API keys cannot manage API keys)
+router.use(authenticateAdmin, denyApiKeys)
+
+// GET API keys
+router.get('/', getApiKeys)
+
+// POST create API key
+router.post('/', audit('create', 'api_keys'), createAdminApiKey)
+
+// DELETE revoke API key
+router.delete('/:id', audit('revoke', 'api_keys'), revokeAdminApiKey)
+
+export default router
@@ -0,0 +1,13 @@
+import express from 'express'
+import { getAuditLog } from '../controllers/auditController.js'
+import { authenticateAdmin, authorize, denyApiKeys } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// All routes require an authenticated owner (not available to API keys)
+router.use(authenticateAdmin, denyApiKeys, authorize('owner'))
+
+// GET audit log entries
+router.get('/', getAuditLog)
+
+export default router
@@ -8,13 +8,14 @@ import {
   publishBlog,
   unpublishBlog
 } from '../controllers/blogController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, authorize, requireResourceScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
 import { uploadBlogCoverMulter, uploadBlogCoverToCloudinary, handleUploadError } from '../middleware/upload.js'
 
 const router = express.Router()
 
-// All routes require admin authentication
-router.use(authenticateAdmin)
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('blogs'))
 
 // GET all blogs (admin)
 router.get('/', getAdminBlogs)
@@ -25,6 +26,8 @@ router.get('/:id', getAdminBlogById)
 // POST create blog (admin) - supports file uploads
 router.post(
   '/',
+  authorize('owner', 'editor'),
+  audit('create', 'blogs'),
   uploadBlogCoverMulter,
   handleUploadError,
   uploadBlogCoverToCloudinary,
@@ -34,6 +37,8 @@ router.post(
 // PUT update blog (admin) - supports file uploads
 router.put(
   '/:id',
+  authorize('owner', 'editor'),
+  audit('update', 'blogs'),
   uploadBlogCoverMulter,
   handleUploadError,
   uploadBlogCoverToCloudinary,
@@ -41,12 +46,12 @@ router.put(
 )
 
 // DELETE blog (admin)
-router.delete('/:id', deleteBlog)
+router.delete('/:id', authorize('owner'), audit('delete', 'blogs'), deleteBlog)
 
 // PATCH publish blog (admin)
-router.patch('/:id/publish', publishBlog)
+router.patch('/:id/publish', authorize('owner', 'editor'), audit('publish', 'blogs'), publishBlog)
 
 // PATCH unpublish blog (admin)
-router.patch('/:id/unpublish', unpublishBlog)
+router.patch('/:id/unpublish', authorize('owner', 'editor'), audit('unpublish', 'blogs'), unpublishBlog)
 
 export default router
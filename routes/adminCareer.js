@@ -7,18 +7,19 @@ import {
   exportAdminApplications,
   downloadAdminApplicationFile
 } from '../controllers/adminCareerController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, authorize, requireResourceScope, requireScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
 
 const router = express.Router()
 
-// All routes require admin authentication
-router.use(authenticateAdmin)
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('career'))
 
 // GET all applications (with filtering, pagination, search)
 router.get('/', getAdminApplications)
 
 // GET export applications to CSV
-router.get('/export', exportAdminApplications)
+router.get('/export', authorize('owner', 'editor'), requireScope('export'), audit('export', 'career_applications'), exportAdminApplications)
 
 // GET a single application by ID
 router.get('/:id', getAdminApplicationById)
@@ -27,9 +28,9 @@ router.get('/:id', getAdminApplicationById)
 router.get('/:id/download', downloadAdminApplicationFile)
 
 // PATCH update application status
-router.patch('/:id/status', updateAdminApplicationStatus)
+router.patch('/:id/status', authorize('owner', 'editor'), audit('update', 'career_applications'), updateAdminApplicationStatus)
 
 // PATCH bulk update application status
-router.patch('/bulk-status', bulkUpdateAdminApplicationStatus)
+router.patch('/bulk-status', authorize('owner', 'editor'), audit('update', 'career_applications', { bulkIdsField: 'ids' }), bulkUpdateAdminApplicationStatus)
 
 export default router
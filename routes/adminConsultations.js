@@ -0,0 +1,23 @@
+import express from 'express'
+import { getAdminAvailability, updateAdminAvailability } from '../controllers/consultationController.js'
+import { authenticateAdmin, authorize, requireResourceScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+import { AVAILABILITY_SETTINGS_ID } from '../models/consultationAvailability.js'
+
+const router = express.Router()
+
+// All routes require admin authentication (API keys need the inquiries scope)
+router.use(authenticateAdmin, requireResourceScope('inquiries'))
+
+// GET availability settings (admin)
+router.get('/availability', getAdminAvailability)
+
+// PUT update availability settings (admin)
+router.put(
+  '/availability',
+  authorize('owner', 'editor'),
+  audit('update', 'consultation_settings', { targetId: AVAILABILITY_SETTINGS_ID }),
+  updateAdminAvailability
+)
+
+export default router
@@ -0,0 +1,37 @@
+import express from 'express'
+import {
+  getContacts,
+  getContactById,
+  getContactTimeline,
+  updateContactDetails,
+  postContactNote,
+  runContactBackfill
+} from '../controllers/contactController.js'
+import { authenticateAdmin, authorize, requireResourceScope, denyApiKeys } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+
+const router = express.Router()
+
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('contacts'))
+
+// GET all contacts (admin) - search by name, email or phone, filter by tag
+router.get('/', getContacts)
+
+// POST create contacts for existing inquiries and testimonials (admin)
+// Declared before /:id so "backfill" is not treated as a contact ID
+router.post('/backfill', authorize('owner'), denyApiKeys, runContactBackfill)
+
+// GET single contact with lifetime value (admin)
+router.get('/:id', getContactById)
+
+// GET contact timeline: inquiries, payments, testimonials and notes (admin)
+router.get('/:id/timeline', getContactTimeline)
+
+// PATCH update contact name, tags and custom fields (admin)
+router.patch('/:id', authorize('owner', 'editor'), audit('update', 'contacts'), updateContactDetails)
+
+// POST add a note to a contact (admin)
+router.post('/:id/notes', authorize('owner', 'editor'), audit('update', 'contacts'), postContactNote)
+
+export default router
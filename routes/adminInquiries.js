@@ -5,31 +5,155 @@ import {
   updateAdminInquiryStatus,
   bulkUpdateAdminInquiryStatus,
   deleteAdminInquiry,
-  exportAdminInquiries
+  exportAdminInquiries,
+  updateAdminInquiryAssignee,
+  getInquiryWorkload
 } from '../controllers/adminInquiryController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, authorize, requireResourceScope, requireScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+import { getInquiryCalendarInvite } from '../controllers/calendarController.js'
+import { getAdminInquiryMessages, postAdminInquiryMessage } from '../controllers/inquiryMessageController.js'
+import {
+  getAdminInquiryDocuments,
+  postAdminInquiryDocuments,
+  renameAdminInquiryDocument,
+  deleteAdminInquiryDocument
+} from '../controllers/inquiryDocumentController.js'
+import {
+  getAdminInquiryNotes,
+  postAdminInquiryNote,
+  updateAdminInquiryNote,
+  deleteAdminInquiryNote
+} from '../controllers/inquiryNoteController.js'
+import {
+  getInquiryLabels,
+  postInquiryLabel,
+  updateInquiryLabelById,
+  deleteInquiryLabelById,
+  setAdminInquiryLabels
+} from '../controllers/inquiryLabelController.js'
+import {
+  getDuplicateGroups,
+  updateDuplicateGroup,
+  scanDuplicateInquiries,
+  mergeAdminInquiries
+} from '../controllers/inquiryDuplicateController.js'
+import {
+  uploadInquiryDocuments,
+  uploadInquiryMessageAttachments,
+  uploadInquiryDocumentsToCloudinary,
+  handleUploadError
+} from '../middleware/upload.js'
 
 const router = express.Router()
 
-// All routes require admin authentication
-router.use(authenticateAdmin)
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('inquiries'))
 
 // GET all inquiries (admin) - with filtering, pagination, search
 router.get('/', getAdminInquiries)
 
+// GET export inquiries to CSV (admin)
+// Declared before /:id so "export" is not treated as an inquiry ID
+router.get('/export', authorize('owner', 'editor'), requireScope('export'), audit('export', 'inquiries'), exportAdminInquiries)
+
+// GET open inquiries per admin (admin)
+router.get('/workload', getInquiryWorkload)
+
+// GET suggested duplicate groups (admin)
+router.get('/duplicates', getDuplicateGroups)
+
+// POST scan all inquiries for duplicates now (admin)
+router.post('/duplicates/scan', authorize('owner', 'editor'), scanDuplicateInquiries)
+
+// PATCH dismiss or reopen a duplicate group (admin)
+router.patch('/duplicates/:id', authorize('owner', 'editor'), audit('update', 'inquiry_duplicate_groups'), updateDuplicateGroup)
+
+// GET all labels with their usage (admin)
+router.get('/labels', getInquiryLabels)
+
+// POST create a label (admin)
+router.post('/labels', authorize('owner', 'editor'), audit('create', 'inquiry_labels'), postInquiryLabel)
+
+// PATCH rename or recolor a label (admin)
+router.patch('/labels/:id', authorize('owner', 'editor'), audit('update', 'inquiry_labels'), updateInquiryLabelById)
+
+// DELETE remove a label from every inquiry (admin)
+router.delete('/labels/:id', authorize('owner', 'editor'), audit('delete', 'inquiry_labels'), deleteInquiryLabelById)
+
 // GET single inquiry by ID (admin)
 router.get('/:id', getAdminInquiryById)
 
+// GET calendar invite of a paid consultation (admin)
+router.get('/:id/calendar.ics', getInquiryCalendarInvite)
+
+// GET message thread with the client (marks the client's messages as read)
+router.get('/:id/messages', getAdminInquiryMessages)
+
+// POST reply to the client (multipart, up to 5 files in "attachments")
+router.post(
+  '/:id/messages',
+  authorize('owner', 'editor'),
+  uploadInquiryMessageAttachments,
+  handleUploadError,
+  uploadInquiryDocumentsToCloudinary,
+  audit('update', 'inquiries'),
+  postAdminInquiryMessage
+)
+
+// GET all documents of the inquiry, internal ones included (admin)
+router.get('/:id/documents', getAdminInquiryDocuments)
+
+// POST attach internal documents (multipart, up to 10 files in "documents"; hidden from the client)
+router.post(
+  '/:id/documents',
+  authorize('owner', 'editor'),
+  uploadInquiryDocuments,
+  handleUploadError,
+  uploadInquiryDocumentsToCloudinary,
+  audit('update', 'inquiries'),
+  postAdminInquiryDocuments
+)
+
+// PATCH rename a document (admin)
+router.patch('/:id/documents/:documentId', authorize('owner', 'editor'), audit('update', 'inquiries'), renameAdminInquiryDocument)
+
+// DELETE remove a document and its file (admin)
+router.delete('/:id/documents/:documentId', authorize('owner', 'editor'), audit('update', 'inquiries'), deleteAdminInquiryDocument)
+
+// GET internal notes, pinned first (admin)
+router.get('/:id/notes', getAdminInquiryNotes)
+
+// POST add a note; @mentioned admins are emailed (admin)
+router.post('/:id/notes', authorize('owner', 'editor'), audit('update', 'inquiries'), postAdminInquiryNote)
+
+// PATCH edit (author or owner) or pin a note (admin)
+router.patch('/:id/notes/:noteId', authorize('owner', 'editor'), audit('update', 'inquiries'), updateAdminInquiryNote)
+
+// DELETE remove a note (author or owner)
+router.delete('/:id/notes/:noteId', authorize('owner', 'editor'), audit('update', 'inquiries'), deleteAdminInquiryNote)
+
+// PUT replace the labels of an inquiry (label IDs or names; unknown names are created)
+router.put('/:id/labels', authorize('owner', 'editor'), audit('update', 'inquiries'), setAdminInquiryLabels)
+
 // PATCH update inquiry status (admin)
-router.patch('/:id/status', updateAdminInquiryStatus)
+router.patch('/:id/status', authorize('owner', 'editor'), audit('update', 'inquiries'), updateAdminInquiryStatus)
+
+// PATCH assign, reassign or unassign an inquiry (admin)
+router.patch('/:id/assignee', authorize('owner', 'editor'), audit('update', 'inquiries'), updateAdminInquiryAssignee)
+
+// POST merge duplicate inquiries (sourceIds) into this one (admin)
+router.post(
+  '/:id/merge',
+  authorize('owner', 'editor'),
+  audit('merge', 'inquiries', { relatedIdsField: 'sourceIds' }),
+  mergeAdminInquiries
+)
 
 // PATCH bulk update inquiry status (admin)
-router.patch('/bulk-status', bulkUpdateAdminInquiryStatus)
+router.patch('/bulk-status', authorize('owner', 'editor'), audit('update', 'inquiries', { bulkIdsField: 'ids' }), bulkUpdateAdminInquiryStatus)
 
 // DELETE inquiry (admin)
-router.delete('/:id', deleteAdminInquiry)
-
-// GET export inquiries to CSV (admin)
-router.get('/export', exportAdminInquiries)
+router.delete('/:id', authorize('owner'), audit('delete', 'inquiries'), deleteAdminInquiry)
 
 export default router
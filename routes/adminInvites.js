@@ -0,0 +1,24 @@
+import express from 'express'
+import {
+  getAdminInvites,
+  createAdminInvite,
+  revokeAdminInvite
+} from '../controllers/adminInviteController.js'
+import { authenticateAdmin, authorize, denyApiKeys } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+
+const router = express.Router()
+
+// All routes require an authenticated owner (not available to API keys)
+router.use(authenticateAdmin, denyApiKeys, authorize('owner'))
+
+// GET invites
+router.get('/', getAdminInvites)
+
+// POST invite an admin
+router.post('/', audit('create', 'admin_invites'), createAdminInvite)
+
+// DELETE revoke a pending invite
+router.delete('/:id', audit('revoke', 'admin_invites'), revokeAdminInvite)
+
+export default router
@@ -8,13 +8,14 @@ import {
   publishNews,
   unpublishNews
 } from '../controllers/newsController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, authorize, requireResourceScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
 import { uploadNewsCoverMulter, uploadNewsCoverToCloudinary, handleUploadError } from '../middleware/upload.js'
 
 const router = express.Router()
 
-// All routes require admin authentication
-router.use(authenticateAdmin)
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('news'))
 
 // GET all news (admin)
 router.get('/', getAdminNews)
@@ -25,6 +26,8 @@ router.get('/:id', getAdminNewsById)
 // POST create news (admin) - supports file uploads
 router.post(
   '/',
+  authorize('owner', 'editor'),
+  audit('create', 'news'),
   uploadNewsCoverMulter,
   handleUploadError,
   uploadNewsCoverToCloudinary,
@@ -34,6 +37,8 @@ router.post(
 // PUT update news (admin) - supports file uploads
 router.put(
   '/:id',
+  authorize('owner', 'editor'),
+  audit('update', 'news'),
   uploadNewsCoverMulter,
   handleUploadError,
   uploadNewsCoverToCloudinary,
@@ -41,12 +46,12 @@ router.put(
 )
 
 // DELETE news (admin)
-router.delete('/:id', deleteNews)
+router.delete('/:id', authorize('owner'), audit('delete', 'news'), deleteNews)
 
 // PATCH publish news (admin)
-router.patch('/:id/publish', publishNews)
+router.patch('/:id/publish', authorize('owner', 'editor'), audit('publish', 'news'), publishNews)
 
 // PATCH unpublish news (admin)
-router.patch('/:id/unpublish', unpublishNews)
+router.patch('/:id/unpublish', authorize('owner', 'editor'), audit('unpublish', 'news'), unpublishNews)
 
 export default router
@@ -9,13 +9,14 @@ import {
   unpublishProject,
   deleteProjectImage
 } from '../controllers/projectController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, authorize, requireResourceScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
 import { uploadProjectImagesMulter, uploadProjectImagesToCloudinary, handleUploadError } from '../middleware/upload.js'
 
 const router = express.Router()
 
-// All routes require admin authentication
-router.use(authenticateAdmin)
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('projects'))
 
 // GET all projects (admin)
 router.get('/', getAdminProjects)
@@ -26,6 +27,8 @@ router.get('/:id', getAdminProjectById)
 // POST create project (admin) - supports file uploads
 router.post(
   '/',
+  authorize('owner', 'editor'),
+  audit('create', 'projects'),
   uploadProjectImagesMulter,
   handleUploadError,
   uploadProjectImagesToCloudinary,
@@ -35,6 +38,8 @@ router.post(
 // PUT update project (admin) - supports file uploads
 router.put(
   '/:id',
+  authorize('owner', 'editor'),
+  audit('update', 'projects'),
   uploadProjectImagesMulter,
   handleUploadError,
   uploadProjectImagesToCloudinary,
@@ -42,15 +47,15 @@ router.put(
 )
 
 // DELETE project image (admin) - deletes from Cloudinary
-router.delete('/:id/image', deleteProjectImage)
+router.delete('/:id/image', authorize('owner', 'editor'), audit('update', 'projects'), deleteProjectImage)
 
 // DELETE project (admin)
-router.delete('/:id', deleteProject)
+router.delete('/:id', authorize('owner'), audit('delete', 'projects'), deleteProject)
 
 // PATCH publish project (admin)
-router.patch('/:id/publish', publishProject)
+router.patch('/:id/publish', authorize('owner', 'editor'), audit('publish', 'projects'), publishProject)
 
 // PATCH unpublish project (admin)
-router.patch('/:id/unpublish', unpublishProject)
+router.patch('/:id/unpublish', authorize('owner', 'editor'), audit('unpublish', 'projects'), unpublishProject)
 
 export default router
@@ -0,0 +1,28 @@
+import express from 'express'
+import {
+  getQuarantinedSubmissions,
+  getQuarantinedSubmissionById,
+  updateQuarantinedSubmission,
+  removeQuarantinedSubmission
+} from '../controllers/submissionController.js'
+import { authenticateAdmin, authorize, denyApiKeys } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+
+const router = express.Router()
+
+// All routes require an authenticated admin (not available to API keys)
+router.use(authenticateAdmin, denyApiKeys)
+
+// GET quarantined submissions (pending by default)
+router.get('/', getQuarantinedSubmissions)
+
+// GET single quarantined submission
+router.get('/:id', getQuarantinedSubmissionById)
+
+// PATCH release or reject a quarantined submission
+router.patch('/:id', authorize('owner', 'editor'), audit('update', 'quarantined_submissions'), updateQuarantinedSubmission)
+
+// DELETE quarantined submission
+router.delete('/:id', authorize('owner'), audit('delete', 'quarantined_submissions'), removeQuarantinedSubmission)
+
+export default router
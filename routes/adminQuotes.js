@@ -0,0 +1,36 @@
+import express from 'express'
+import {
+  getQuotes,
+  getQuoteById,
+  createAdminQuote,
+  updateAdminQuote,
+  reviseAdminQuote,
+  sendAdminQuote
+} from '../controllers/quoteController.js'
+import { authenticateAdmin, authorize, requireResourceScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+
+const router = express.Router()
+
+// Quotes belong to inquiries: API keys need the inquiries scope
+router.use(authenticateAdmin, requireResourceScope('inquiries'))
+
+// GET all quotes (admin) - filter by inquiry and status
+router.get('/', getQuotes)
+
+// GET single quote (admin)
+router.get('/:id', getQuoteById)
+
+// POST create a draft quote for a reviewed inquiry (admin)
+router.post('/', authorize('owner', 'editor'), audit('create', 'quotes'), createAdminQuote)
+
+// PATCH update a draft quote (admin)
+router.patch('/:id', authorize('owner', 'editor'), audit('update', 'quotes'), updateAdminQuote)
+
+// POST create the next version of a quote (admin)
+router.post('/:id/revise', authorize('owner', 'editor'), audit('revise', 'quotes'), reviseAdminQuote)
+
+// POST email a quote to the client (admin)
+router.post('/:id/send', authorize('owner', 'editor'), audit('send', 'quotes'), sendAdminQuote)
+
+export default router
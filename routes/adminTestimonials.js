@@ -4,20 +4,21 @@ import {
   approveTestimonial,
   rejectTestimonial
 } from '../controllers/adminTestimonialsController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, authorize, requireResourceScope } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
 
 const router = express.Router()
 
-// All routes require admin authentication
-router.use(authenticateAdmin)
+// All routes require admin authentication (API keys need the matching scope)
+router.use(authenticateAdmin, requireResourceScope('testimonials'))
 
 // GET all testimonials (with filtering)
 router.get('/', getAllTestimonialsAdmin)
 
 // PATCH approve testimonial
-router.patch('/:id/approve', approveTestimonial)
+router.patch('/:id/approve', authorize('owner', 'editor'), audit('approve', 'testimonials'), approveTestimonial)
 
 // PATCH reject testimonial
-router.patch('/:id/reject', rejectTestimonial)
+router.patch('/:id/reject', authorize('owner', 'editor'), audit('reject', 'testimonials'), rejectTestimonial)
 
 export default router
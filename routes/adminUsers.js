@@ -0,0 +1,52 @@
+import express from 'express'
+import {
+  getAdminUsers,
+  getAdminUserById,
+  createAdminUser,
+  updateAdminUser,
+  disableAdminUser,
+  enableAdminUser,
+  deleteAdminUser,
+  unlockAdminUser,
+  getLoginEvents
+} from '../controllers/adminUserController.js'
+import { resetAdminTwoFactor } from '../controllers/twoFactorController.js'
+import { authenticateAdmin, authorize, denyApiKeys } from '../middleware/auth.js'
+import { audit } from '../middleware/audit.js'
+
+const router = express.Router()
+
+// All routes require an authenticated owner (not available to API keys)
+router.use(authenticateAdmin, denyApiKeys, authorize('owner'))
+
+// GET all admin users
+router.get('/', getAdminUsers)
+
+// GET recent login events and active lockouts
+router.get('/login-events', getLoginEvents)
+
+// GET single admin user by ID
+router.get('/:id', getAdminUserById)
+
+// POST create admin user
+router.post('/', audit('create', 'admins'), createAdminUser)
+
+// PATCH update admin user (email, role)
+router.patch('/:id', audit('update', 'admins'), updateAdminUser)
+
+// PATCH disable admin user
+router.patch('/:id/disable', audit('disable', 'admins'), disableAdminUser)
+
+// PATCH enable admin user
+router.patch('/:id/enable', audit('enable', 'admins'), enableAdminUser)
+
+// PATCH unlock admin user after failed login lockout
+router.patch('/:id/unlock', audit('unlock', 'admins'), unlockAdminUser)
+
+// DELETE reset admin user's two-factor authentication
+router.delete('/:id/2fa', audit('update', 'admins'), resetAdminTwoFactor)
+
+// DELETE admin user
+router.delete('/:id', audit('delete', 'admins'), deleteAdminUser)
+
+export default router
@@ -1,16 +1,66 @@
 import express from 'express'
-import { login, logout, refreshToken, getCurrentAdmin } from '../controllers/authController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import {
+  login,
+  verifyMfaLogin,
+  logout,
+  refreshToken,
+  getCurrentAdmin,
+  getSessions,
+  revokeOwnSession,
+  logoutAll,
+  getOidcStatus,
+  oidcLogin,
+  oidcCallback
+} from '../controllers/authController.js'
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableOwnTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js'
+import { forgotPassword, resetPassword, changePassword } from '../controllers/passwordController.js'
+import { acceptInvite } from '../controllers/adminInviteController.js'
+import { getCalendarFeedStatus, createCalendarFeed, deleteCalendarFeed } from '../controllers/calendarController.js'
+import { updateOwnAutoAssign } from '../controllers/adminInquiryController.js'
+import { authenticateAdmin, authorize, denyApiKeys } from '../middleware/auth.js'
 
 const router = express.Router()
 
 // Public routes
 router.post('/login', login)
+router.post('/login/mfa', verifyMfaLogin)
 router.post('/logout', logout)
 router.post('/refresh', refreshToken)
+router.post('/forgot-password', forgotPassword)
+router.post('/reset-password', resetPassword)
+router.post('/accept-invite', acceptInvite)
+
+// Single sign-on (OpenID Connect authorization code + PKCE)
+router.get('/oidc', getOidcStatus)
+router.get('/oidc/login', oidcLogin)
+router.get('/oidc/callback', oidcCallback)
 
 // Protected routes
 router.get('/me', authenticateAdmin, getCurrentAdmin)
+router.put('/password', authenticateAdmin, denyApiKeys, changePassword)
 
-export default router
+// Session management (current admin)
+router.get('/sessions', authenticateAdmin, denyApiKeys, getSessions)
+router.delete('/sessions/:id', authenticateAdmin, denyApiKeys, revokeOwnSession)
+router.post('/logout-all', authenticateAdmin, denyApiKeys, logoutAll)
+
+// Two-factor authentication (current admin)
+router.post('/2fa/enroll', authenticateAdmin, denyApiKeys, enrollTwoFactor)
+router.post('/2fa/confirm', authenticateAdmin, denyApiKeys, confirmTwoFactor)
+router.post('/2fa/disable', authenticateAdmin, denyApiKeys, disableOwnTwoFactor)
+router.post('/2fa/recovery-codes', authenticateAdmin, denyApiKeys, regenerateRecoveryCodes)
 
+// Calendar subscription feed of booked consultations (current admin)
+router.get('/calendar-feed', authenticateAdmin, denyApiKeys, getCalendarFeedStatus)
+router.post('/calendar-feed', authenticateAdmin, denyApiKeys, createCalendarFeed)
+router.delete('/calendar-feed', authenticateAdmin, denyApiKeys, deleteCalendarFeed)
+
+// Round-robin assignment of new inquiries (current admin)
+router.put('/auto-assign', authenticateAdmin, denyApiKeys, authorize('owner', 'editor'), updateOwnAutoAssign)
+
+export default router
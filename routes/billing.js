@@ -1,9 +1,11 @@
 import express from 'express'
 import { submitBusinessBilling } from '../controllers/billingController.js'
+import { requireInquiryToken } from '../middleware/inquiryAccess.js'
 
 const router = express.Router()
 
 // POST submit business billing information (post-payment)
-router.post('/business', submitBusinessBilling)
+// Requires the client token of the inquiry in body.inquiryId (X-Inquiry-Token header)
+router.post('/business', requireInquiryToken, submitBusinessBilling)
 
 export default router
@@ -0,0 +1,9 @@
+import express from 'express'
+import { getCalendarFeed } from '../controllers/calendarController.js'
+
+const router = express.Router()
+
+// GET consultations feed for calendar apps (secret per-admin URL)
+router.get('/feed/:token.ics', getCalendarFeed)
+
+export default router
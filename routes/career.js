@@ -8,6 +8,7 @@ import {
 } from '../controllers/careerController.js'
 import { validateCreateApplication } from '../middleware/validation.js'
 import { uploadMultiple, uploadToCloudinary, handleUploadError } from '../middleware/upload.js'
+import { guardSubmission, screenSubmission } from '../middleware/abuseProtection.js'
 
 const router = express.Router()
 
@@ -18,10 +19,13 @@ router.get('/', getAllApplications)
 router.get('/:id', getApplicationById)
 
 // POST create a new application (with file uploads)
+// Abuse checks run before the files are parsed and before they are sent to Cloudinary
 router.post(
   '/',
+  guardSubmission('career'),
   uploadMultiple,
   handleUploadError,
+  screenSubmission('career'),
   uploadToCloudinary,
   validateCreateApplication,
   createApplication
@@ -0,0 +1,9 @@
+import express from 'express'
+import { getFormChallenge } from '../controllers/submissionController.js'
+
+const router = express.Router()
+
+// GET proof-of-work challenge for a public form (inquiry, testimonial, career)
+router.get('/', getFormChallenge)
+
+export default router
@@ -0,0 +1,9 @@
+import express from 'express'
+import { getConsultationAvailability } from '../controllers/consultationController.js'
+
+const router = express.Router()
+
+// GET free consultation slots for a duration (30, 60 or 90 minutes)
+router.get('/availability', getConsultationAvailability)
+
+export default router
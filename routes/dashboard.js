@@ -1,11 +1,11 @@
 import express from 'express'
 import { getDashboardStats } from '../controllers/dashboardController.js'
-import { authenticateAdmin } from '../middleware/auth.js'
+import { authenticateAdmin, requireResourceScope } from '../middleware/auth.js'
 
 const router = express.Router()
 
 // All dashboard routes require authentication
-router.get('/stats', authenticateAdmin, getDashboardStats)
+router.get('/stats', authenticateAdmin, requireResourceScope('dashboard'), getDashboardStats)
 
 export default router
 
@@ -6,26 +6,52 @@ import {
   submitGeneralInquiry,
   updateConsultationDetails,
   getInquiryById,
-  getAllInquiries,
-  submitBillingInfo
+  submitBillingInfo,
+  sendResumeLink,
+  resumeInquiry,
+  getConsultationCancellation,
+  rescheduleConsultation,
+  cancelConsultation,
+  accessInquiry
 } from '../controllers/inquiryController.js'
+import { getClientInquiryMessages, postClientInquiryMessage } from '../controllers/inquiryMessageController.js'
+import {
+  getClientInquiryDocuments,
+  postClientInquiryDocuments,
+  renameClientInquiryDocument,
+  deleteClientInquiryDocument
+} from '../controllers/inquiryDocumentController.js'
 import { validateInquiryIdentity, validateInquiryContext } from '../middleware/validation.js'
-import { uploadInquiryDocuments, uploadInquiryDocumentsToCloudinary, handleUploadError } from '../middleware/upload.js'
+import {
+  uploadInquiryDocuments,
+  uploadInquiryMessageAttachments,
+  uploadInquiryDocumentsToCloudinary,
+  handleUploadError
+} from '../middleware/upload.js'
+import { requireInquiryToken } from '../middleware/inquiryAccess.js'
+import { guardSubmission, screenSubmission } from '../middleware/abuseProtection.js'
 
 const router = express.Router()
 
-// GET all inquiries (admin)
-router.get('/', getAllInquiries)
+// Inquiries are listed through the authenticated /api/admin/inquiries routes only.
+// Every route below except creation, resume and access requires the client token (X-Inquiry-Token header).
 
 // GET inquiry by ID
-router.get('/:inquiryId', getInquiryById)
+router.get('/:inquiryId', requireInquiryToken, getInquiryById)
 
 // POST create inquiry identity (Step 1)
-router.post('/', validateInquiryIdentity, createInquiryIdentity)
+router.post('/', guardSubmission('inquiry'), screenSubmission('inquiry'), validateInquiryIdentity, createInquiryIdentity)
+
+// POST exchange a resume link token for the draft and a new client token
+router.post('/resume', resumeInquiry)
+
+// POST exchange a message notification link for a new client token
+router.post('/access', accessInquiry)
 
 // PUT update inquiry context (Step 2)
 router.put(
   '/:inquiryId/context',
+  requireInquiryToken,
   uploadInquiryDocuments,
   handleUploadError,
   uploadInquiryDocumentsToCloudinary,
@@ -33,17 +59,61 @@ router.put(
   updateInquiryContext
 )
 
+// GET documents attached to the inquiry
+router.get('/:inquiryId/documents', requireInquiryToken, getClientInquiryDocuments)
+
+// POST add documents (multipart, up to 10 files in "documents"; while the wizard is editable)
+router.post(
+  '/:inquiryId/documents',
+  requireInquiryToken,
+  uploadInquiryDocuments,
+  handleUploadError,
+  uploadInquiryDocumentsToCloudinary,
+  postClientInquiryDocuments
+)
+
+// PATCH rename a document
+router.patch('/:inquiryId/documents/:documentId', requireInquiryToken, renameClientInquiryDocument)
+
+// DELETE remove a document and its file
+router.delete('/:inquiryId/documents/:documentId', requireInquiryToken, deleteClientInquiryDocument)
+
 // PUT update inquiry path (Step 3)
-router.put('/:inquiryId/path', updateInquiryPath)
+router.put('/:inquiryId/path', requireInquiryToken, updateInquiryPath)
 
 // PUT update consultation details (Step 4 - Consultation)
-router.put('/:inquiryId/consultation', updateConsultationDetails)
+router.put('/:inquiryId/consultation', requireInquiryToken, updateConsultationDetails)
+
+// GET refund and reschedule options of a paid consultation
+router.get('/:inquiryId/consultation/cancellation', requireInquiryToken, getConsultationCancellation)
+
+// POST move a paid consultation to another slot
+router.post('/:inquiryId/consultation/reschedule', requireInquiryToken, rescheduleConsultation)
+
+// POST cancel a paid consultation (refunded according to the cancellation policy)
+router.post('/:inquiryId/consultation/cancel', requireInquiryToken, cancelConsultation)
 
 // POST submit general inquiry (Step 4 - General)
-router.post('/:inquiryId/submit', submitGeneralInquiry)
+router.post('/:inquiryId/submit', requireInquiryToken, submitGeneralInquiry)
+
+// POST email a link to continue the inquiry later
+router.post('/:inquiryId/resume-link', requireInquiryToken, sendResumeLink)
 
 // POST submit billing information (post-payment for business clients)
-router.post('/:inquiryId/billing-info', submitBillingInfo)
+router.post('/:inquiryId/billing-info', requireInquiryToken, submitBillingInfo)
+
+// GET message thread with the team (marks the team's messages as read)
+router.get('/:inquiryId/messages', requireInquiryToken, getClientInquiryMessages)
+
+// POST reply to the team (multipart, up to 5 files in "attachments")
+router.post(
+  '/:inquiryId/messages',
+  requireInquiryToken,
+  uploadInquiryMessageAttachments,
+  handleUploadError,
+  uploadInquiryDocumentsToCloudinary,
+  postClientInquiryMessage
+)
 
 export default router
 
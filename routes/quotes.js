@@ -0,0 +1,26 @@
+import express from 'express'
+import {
+  getClientQuote,
+  acceptClientQuote,
+  declineClientQuote,
+  startClientQuoteDeposit
+} from '../controllers/quoteController.js'
+import { requireQuoteToken } from '../middleware/quoteAccess.js'
+
+const router = express.Router()
+
+// Every route requires the quote token from the emailed link (X-Quote-Token header).
+
+// GET quote by ID
+router.get('/:quoteId', requireQuoteToken, getClientQuote)
+
+// POST accept a quote (returns the deposit checkout URL when a deposit is due)
+router.post('/:quoteId/accept', requireQuoteToken, acceptClientQuote)
+
+// POST decline a quote
+router.post('/:quoteId/decline', requireQuoteToken, declineClientQuote)
+
+// POST open the deposit checkout of an accepted quote again
+router.post('/:quoteId/deposit', requireQuoteToken, startClientQuoteDeposit)
+
+export default router
@@ -4,17 +4,18 @@ import {
   getCheckoutSession,
   verifyPaymentStatus
 } from '../controllers/stripeController.js'
+import { requireInquiryToken } from '../middleware/inquiryAccess.js'
 
 const router = express.Router()
 
 // Create checkout session
-router.post('/create-checkout-session', createCheckoutSession)
+router.post('/create-checkout-session', requireInquiryToken, createCheckoutSession)
 
 // Get checkout session status
 router.get('/session/:sessionId', getCheckoutSession)
 
 // Manually verify payment status for an inquiry (useful for debugging)
-router.get('/verify-payment/:inquiryId', verifyPaymentStatus)
+router.get('/verify-payment/:inquiryId', requireInquiryToken, verifyPaymentStatus)
 
 export default router
 
@@ -10,6 +10,7 @@ import {
   validateCreateTestimonial,
   validateUpdateTestimonial
 } from '../middleware/validation.js'
+import { guardSubmission, screenSubmission } from '../middleware/abuseProtection.js'
 
 const router = express.Router()
 
@@ -20,7 +21,7 @@ router.get('/', getAllTestimonials)
 router.get('/:id', getTestimonialById)
 
 // POST create a new testimonial
-router.post('/', validateCreateTestimonial, createTestimonial)
+router.post('/', guardSubmission('testimonial'), screenSubmission('testimonial'), validateCreateTestimonial, createTestimonial)
 
 // PUT update a testimonial
 router.put('/:id', validateUpdateTestimonial, updateTestimonial)
@@ -0,0 +1,9 @@
+import express from 'express'
+import { getJwks } from '../controllers/wellKnownController.js'
+
+const router = express.Router()
+
+// GET JSON Web Key Set for verifying access tokens
+router.get('/jwks.json', getJwks)
+
+export default router
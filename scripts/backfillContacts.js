@@ -0,0 +1,29 @@
+/**
+ * Create contacts for existing inquiries and testimonials and link them
+ * Also fetches the amount of paid inquiries recorded before amounts were stored (for lifetime value).
+ * Safe to run more than once.
+ * 
+ * Usage: node scripts/backfillContacts.js
+ */
+
+import { connectToDatabase } from '../config/database.js'
+import { backfillContacts } from '../utils/contacts.js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+async function main() {
+  console.log('🔄 Backfilling contacts...')
+  
+  const { db } = await connectToDatabase()
+  const summary = await backfillContacts(db)
+  
+  console.log('✅ Contact backfill finished')
+  console.log(JSON.stringify(summary, null, 2))
+  process.exit(summary.errors > 0 ? 1 : 0)
+}
+
+main().catch(error => {
+  console.error('❌ Contact backfill failed:', error)
+  process.exit(1)
+})
@@ -1,5 +1,7 @@
 /**
- * Script to create the first admin user
+ * Script to create the first admin user (created as an owner)
+ * Further admins should be invited through /api/admin/invites so their password never
+ * ends up in shell history
  * Usage: node scripts/createAdmin.js <email> <password>
  */
 
@@ -25,7 +27,7 @@ async function main() {
     console.log('✅ Connected to database')
     
     // Create admin
-    const admin = await createAdmin({ email, password, role: 'admin' })
+    const admin = await createAdmin({ email, password, role: 'owner' })
     console.log('✅ Admin created successfully!')
     console.log('Admin ID:', admin._id)
     console.log('Email:', admin.email)
@@ -0,0 +1,29 @@
+/**
+ * Convert the `documentUrls` of existing inquiries into document objects
+ * (id, original filename, mime type, Cloudinary public_id...). Sizes of older files are unknown.
+ * Safe to run more than once.
+ * 
+ * Usage: node scripts/migrateInquiryDocuments.js
+ */
+
+import { connectToDatabase } from '../config/database.js'
+import { migrateInquiryDocuments } from '../utils/inquiryDocuments.js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+async function main() {
+  console.log('🔄 Migrating inquiry documents...')
+  
+  const { db } = await connectToDatabase()
+  const summary = await migrateInquiryDocuments(db)
+  
+  console.log('✅ Inquiry document migration finished')
+  console.log(JSON.stringify(summary, null, 2))
+  process.exit(summary.errors > 0 ? 1 : 0)
+}
+
+main().catch(error => {
+  console.error('❌ Inquiry document migration failed:', error)
+  process.exit(1)
+})
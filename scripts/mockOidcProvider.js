@@ -0,0 +1,188 @@
+/**
+ * Minimal OpenID Connect provider for testing admin single sign-on locally
+ * Supports discovery, the authorization code flow with PKCE (S256), a token endpoint and JWKS.
+ * Codes and signing keys live in memory only; do not use outside development.
+ *
+ * Usage: node scripts/mockOidcProvider.js
+ * Then set in .env:
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=admin-panel
+ *   OIDC_REDIRECT_URI=http://localhost:5000/api/admin/auth/oidc/callback
+ *
+ * Environment (optional): MOCK_OIDC_PORT (4010), MOCK_OIDC_CLIENT_ID (admin-panel),
+ * MOCK_OIDC_CLIENT_SECRET (none, public client), MOCK_OIDC_EMAIL (skip the login form and sign in as this email)
+ */
+
+import express from 'express'
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4010
+const ISSUER = `http://localhost:${PORT}`
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'admin-panel'
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || null
+const CODE_TTL_MS = 60 * 1000
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const KEY_ID = `mock-${crypto.randomBytes(4).toString('hex')}`
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, email, expiresAt }
+const authorizationCodes = new Map()
+
+const app = express()
+app.use(express.urlencoded({ extended: false }))
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+function issueCode(params, email) {
+  const code = crypto.randomBytes(24).toString('base64url')
+  authorizationCodes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    email: email.trim().toLowerCase(),
+    expiresAt: Date.now() + CODE_TTL_MS
+  })
+
+  const redirect = new URL(params.redirect_uri)
+  redirect.searchParams.set('code', code)
+  redirect.searchParams.set('state', params.state)
+  return redirect.toString()
+}
+
+function validateAuthorizationRequest(params) {
+  if (params.response_type !== 'code') {
+    return 'unsupported response_type (only "code")'
+  }
+  if (params.client_id !== CLIENT_ID) {
+    return `unknown client_id (expected "${CLIENT_ID}")`
+  }
+  if (!params.redirect_uri || !params.state || !params.nonce) {
+    return 'redirect_uri, state and nonce are required'
+  }
+  if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+    return 'PKCE with code_challenge_method=S256 is required'
+  }
+  return null
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+    scopes_supported: ['openid', 'email', 'profile']
+  })
+})
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+  })
+})
+
+// Login form (or immediate sign-in with MOCK_OIDC_EMAIL)
+app.get('/authorize', (req, res) => {
+  const error = validateAuthorizationRequest(req.query)
+  if (error) {
+    return res.status(400).send(escapeHtml(error))
+  }
+
+  if (process.env.MOCK_OIDC_EMAIL) {
+    return res.redirect(issueCode(req.query, process.env.MOCK_OIDC_EMAIL))
+  }
+
+  const hiddenFields = ['response_type', 'client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n')
+
+  res.send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+    <h1>Mock identity provider</h1>
+    <form method="post" action="/authorize">
+      ${hiddenFields}
+      <label>Email <input type="email" name="email" value="${escapeHtml(req.query.login_hint)}" required autofocus></label>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`)
+})
+
+app.post('/authorize', (req, res) => {
+  const error = validateAuthorizationRequest(req.body)
+  if (error || !req.body.email) {
+    return res.status(400).send(escapeHtml(error || 'email is required'))
+  }
+  res.redirect(issueCode(req.body, req.body.email))
+})
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id
+  let clientSecret = req.body.client_secret || null
+
+  const authHeader = req.headers.authorization || ''
+  if (authHeader.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authHeader.substring(6), 'base64').toString('utf8').split(':')
+    clientId = decodeURIComponent(id)
+    clientSecret = decodeURIComponent(secret || '')
+  }
+
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' })
+  }
+
+  if (req.body.grant_type !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' })
+  }
+
+  const entry = authorizationCodes.get(req.body.code)
+  authorizationCodes.delete(req.body.code)
+
+  if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId || entry.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' })
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url')
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' })
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(entry.email).digest('hex').slice(0, 24),
+      email: entry.email,
+      email_verified: true,
+      name: entry.email.split('@')[0],
+      nonce: entry.nonce
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: clientId,
+      expiresIn: '5m'
+    }
+  )
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  })
+})
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`)
+})
@@ -0,0 +1,31 @@
+/**
+ * Run the abandoned inquiry cleanup once (reminders, abandoned checkouts, retention)
+ * The server runs it on a schedule; use this for cron-based deployments or to test settings.
+ * 
+ * Usage: node scripts/runInquiryCleanup.js
+ */
+
+import { runInquiryCleanup } from '../jobs/inquiryCleanup.js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+async function main() {
+  console.log('🔄 Running inquiry cleanup...')
+  
+  const run = await runInquiryCleanup()
+  
+  if (run.status === 'failed') {
+    console.error(`❌ Inquiry cleanup failed: ${run.error}`)
+    process.exit(1)
+  }
+  
+  console.log(`✅ Inquiry cleanup finished in ${run.durationMs}ms`)
+  console.log(JSON.stringify(run.summary, null, 2))
+  process.exit(0)
+}
+
+main().catch(error => {
+  console.error('❌ Inquiry cleanup could not run:', error)
+  process.exit(1)
+})
@@ -0,0 +1,31 @@
+/**
+ * Run the duplicate inquiry scan once (normalized contact fields and suggested duplicate groups)
+ * The server runs it on a schedule; use this for cron-based deployments or after importing inquiries.
+ * 
+ * Usage: node scripts/runInquiryDuplicateScan.js
+ */
+
+import { runInquiryDuplicateScan } from '../jobs/inquiryDuplicateScan.js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+async function main() {
+  console.log('🔄 Scanning inquiries for duplicates...')
+  
+  const run = await runInquiryDuplicateScan()
+  
+  if (run.status === 'failed') {
+    console.error(`❌ Duplicate scan failed: ${run.error}`)
+    process.exit(1)
+  }
+  
+  console.log(`✅ Duplicate scan finished in ${run.durationMs}ms`)
+  console.log(JSON.stringify(run.summary, null, 2))
+  process.exit(0)
+}
+
+main().catch(error => {
+  console.error('❌ Duplicate scan could not run:', error)
+  process.exit(1)
+})
@@ -18,9 +18,25 @@ import blogsRoutes from './routes/blogs.js'
 import adminNewsRoutes from './routes/adminNews.js'
 import newsRoutes from './routes/news.js'
 import adminInquiriesRoutes from './routes/adminInquiries.js'
+import adminUsersRoutes from './routes/adminUsers.js'
+import adminApiKeysRoutes from './routes/adminApiKeys.js'
+import adminAuditRoutes from './routes/adminAudit.js'
+import adminInvitesRoutes from './routes/adminInvites.js'
+import wellKnownRoutes from './routes/wellKnown.js'
+import consultationsRoutes from './routes/consultations.js'
+import adminConsultationsRoutes from './routes/adminConsultations.js'
+import calendarRoutes from './routes/calendar.js'
+import challengesRoutes from './routes/challenges.js'
+import adminQuarantineRoutes from './routes/adminQuarantine.js'
+import adminContactsRoutes from './routes/adminContacts.js'
+import adminQuotesRoutes from './routes/adminQuotes.js'
+import quotesRoutes from './routes/quotes.js'
 import { connectToDatabase } from './config/database.js'
 import { requestLogger } from './middleware/logger.js'
 import { errorHandler, notFound } from './middleware/errorHandler.js'
+import { getSigningKeysError } from './utils/jwt.js'
+import { startInquiryCleanupJob } from './jobs/inquiryCleanup.js'
+import { startInquiryDuplicateScanJob } from './jobs/inquiryDuplicateScan.js'
 
 // Load environment variables
 dotenv.config()
@@ -28,6 +44,9 @@ dotenv.config()
 const app = express()
 const PORT = process.env.PORT || 5000
 
+// Trust the first proxy (Render) so req.ip is the client address, not the load balancer
+app.set('trust proxy', 1)
+
 // Configure CORS with multiple allowed origins
 function getAllowedOrigins() {
   const origins = []
@@ -100,7 +119,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Inquiry-Token', 'X-Form-Challenge', 'X-Form-Solution', 'X-Quote-Token']
 }))
 
 // Log allowed origins on startup
@@ -124,12 +143,19 @@ app.get('/health', (req, res) => {
   })
 })
 
+// Public keys for verifying access tokens
+app.use('/.well-known', wellKnownRoutes)
+
 // API Routes
 app.use('/api/testimonials', testimonialsRoutes)
 app.use('/api/career', careerRoutes)
 app.use('/api/inquiries', inquiriesRoutes)
 app.use('/api/stripe', stripeRoutes)
 app.use('/api/billing', billingRoutes)
+app.use('/api/consultations', consultationsRoutes)
+app.use('/api/calendar', calendarRoutes)
+app.use('/api/challenges', challengesRoutes)
+app.use('/api/quotes', quotesRoutes)
 app.use('/api/admin/auth', authRoutes)
 app.use('/api/admin/dashboard', dashboardRoutes)
 app.use('/api/admin/testimonials', adminTestimonialsRoutes)
@@ -141,6 +167,14 @@ app.use('/api/blogs', blogsRoutes)
 app.use('/api/admin/news', adminNewsRoutes)
 app.use('/api/news', newsRoutes)
 app.use('/api/admin/inquiries', adminInquiriesRoutes)
+app.use('/api/admin/users', adminUsersRoutes)
+app.use('/api/admin/api-keys', adminApiKeysRoutes)
+app.use('/api/admin/audit', adminAuditRoutes)
+app.use('/api/admin/invites', adminInvitesRoutes)
+app.use('/api/admin/consultations', adminConsultationsRoutes)
+app.use('/api/admin/quarantine', adminQuarantineRoutes)
+app.use('/api/admin/contacts', adminContactsRoutes)
+app.use('/api/admin/quotes', adminQuotesRoutes)
 
 // 404 handler (must be after all routes)
 app.use(notFound)
@@ -150,6 +184,13 @@ app.use(errorHandler)
 
 // Start server
 async function startServer() {
+  // Never run in production with the publicly known development secrets
+  const signingKeysError = getSigningKeysError()
+  if (signingKeysError) {
+    console.error(`❌ ${signingKeysError}`)
+    process.exit(1)
+  }
+
   try {
     // Connect to database with retry logic
     let retries = 3
@@ -177,6 +218,12 @@ async function startServer() {
       console.log(`📡 API endpoints available at http://localhost:${PORT}/api`)
       console.log(`🌐 Allowed CORS origins: ${allowedOrigins.join(', ')}`)
     })
+    
+    // Reminders, abandoned checkouts and draft retention
+    startInquiryCleanupJob()
+    
+    // Suggested duplicate inquiries
+    startInquiryDuplicateScanJob()
   } catch (error) {
     console.error('Failed to start server:', error)
     console.error('\n💡 Troubleshooting tips:')
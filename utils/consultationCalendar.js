@@ -0,0 +1,122 @@
+import { buildCalendar } from './ics.js'
+import { getFrontendUrl } from './frontendUrl.js'
+import { zonedTimeToUtc, isValidDateString, isValidTimeString } from './timezone.js'
+import { DEFAULT_AVAILABILITY } from '../models/consultationAvailability.js'
+
+/**
+ * Calendar entries for booked consultations
+ * Turns paid consultation inquiries into iCalendar events for invites and the admin feed.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@architect-portfolio.local'
+const ORGANIZER_NAME = process.env.CONSULTATION_ORGANIZER_NAME || 'Joseph Dibeh Architecture'
+
+/**
+ * Start, end and time zone of an inquiry's consultation
+ * Inquiries booked before slots were stored only have the selected date and time strings.
+ * @param {Object} inquiry - Inquiry document
+ * @returns {Object|null} { start, end, timeZone, duration }, or null if no valid slot was chosen
+ */
+export function getConsultationSchedule(inquiry) {
+  const details = inquiry.consultationDetails
+  if (!details) {
+    return null
+  }
+
+  const timeZone = details.timeZone || DEFAULT_AVAILABILITY.timeZone
+  const duration = parseInt(details.duration, 10) || 60
+
+  let start = details.slotStart ? new Date(details.slotStart) : null
+  if (!start && isValidDateString(details.selectedDate) && isValidTimeString(details.selectedTime)) {
+    start = zonedTimeToUtc(details.selectedDate, details.selectedTime, timeZone)
+  }
+  if (!start || Number.isNaN(start.getTime())) {
+    return null
+  }
+
+  return {
+    start,
+    end: new Date(start.getTime() + duration * 60 * 1000),
+    timeZone,
+    duration
+  }
+}
+
+/**
+ * Whether an inquiry is a paid consultation with a scheduled slot
+ * @param {Object} inquiry - Inquiry document
+ * @returns {boolean}
+ */
+export function hasBookedConsultation(inquiry) {
+  return inquiry.selectedPath === 'consult'
+    && inquiry.paymentStatus === 'paid'
+    && Boolean(getConsultationSchedule(inquiry))
+}
+
+function getClientName(inquiry) {
+  return [inquiry.firstName, inquiry.lastName].filter(Boolean).join(' ') || inquiry.email || 'Client'
+}
+
+/**
+ * Build the calendar event of a consultation
+ * @param {Object} inquiry - Inquiry document with a scheduled consultation
+ * @param {Object} options - audience: 'admin' (client contact and dashboard link) or 'client'
+ * @returns {Object} Event for buildCalendar
+ */
+export function buildConsultationEvent(inquiry, { audience = 'admin' } = {}) {
+  const schedule = getConsultationSchedule(inquiry)
+  const details = inquiry.consultationDetails
+  const onSite = details.format && details.format !== 'online'
+  const clientName = getClientName(inquiry)
+  const format = onSite ? 'On-site' : 'Online'
+
+  const description = audience === 'admin'
+    ? [
+      `Client: ${clientName}`,
+      inquiry.email ? `Email: ${inquiry.email}` : null,
+      inquiry.phone ? `Phone: ${inquiry.phone}` : null,
+      inquiry.clientType ? `Client type: ${inquiry.clientType}` : null,
+      `Format: ${format}`,
+      `Duration: ${schedule.duration} minutes`,
+      details.roadmapReport ? 'Includes the Roadmap Report' : null,
+      inquiry.description ? `\nProject: ${inquiry.description}` : null,
+      `\nInquiry: ${getFrontendUrl()}/admin/inquiries/${inquiry._id}`
+    ]
+    : [
+      `${format} consultation (${schedule.duration} minutes) with ${ORGANIZER_NAME}`,
+      details.roadmapReport ? 'Includes the Roadmap Report' : null,
+      onSite ? null : 'The meeting link will be sent before the session.'
+    ]
+
+  return {
+    uid: `consultation-${inquiry._id}@architect-portfolio`,
+    start: schedule.start,
+    end: schedule.end,
+    summary: audience === 'admin'
+      ? `Consultation: ${clientName} (${format.toLowerCase()}, ${schedule.duration} min)`
+      : `Consultation with ${ORGANIZER_NAME}`,
+    description: description.filter(Boolean).join('\n'),
+    location: onSite ? (inquiry.address || 'On-site') : 'Online',
+    url: audience === 'admin' ? `${getFrontendUrl()}/admin/inquiries/${inquiry._id}` : null,
+    organizer: { name: ORGANIZER_NAME, email: MAIL_FROM },
+    attendees: inquiry.email ? [{ name: clientName, email: inquiry.email }] : [],
+    status: inquiry.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    // Rescheduling and cancelling bump the sequence so calendars replace the earlier version
+    sequence: inquiry.calendarSequence || 0
+  }
+}
+
+/**
+ * iCalendar invite for one consultation
+ * @param {Object} inquiry - Inquiry document with a scheduled consultation
+ * @param {Object} options - audience ('admin' or 'client'), method (PUBLISH for downloads, REQUEST for emails)
+ * @returns {string} text/calendar content
+ */
+export function buildConsultationInvite(inquiry, { audience = 'admin', method = 'PUBLISH' } = {}) {
+  const event = buildConsultationEvent(inquiry, { audience })
+  return buildCalendar({
+    events: [event],
+    timeZone: getConsultationSchedule(inquiry).timeZone,
+    method
+  })
+}
@@ -0,0 +1,212 @@
+import { CONSULTATION_DURATIONS } from '../models/consultationAvailability.js'
+import { getSlotBlocks, getLockedBlocks } from '../models/slotLock.js'
+import {
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday,
+  timeToMinutes,
+  minutesToTime,
+  isValidDateString,
+  isValidTimeString
+} from './timezone.js'
+
+/**
+ * Consultation slot computation
+ * Turns availability settings and taken blocks into bookable start times.
+ * A slot is bookable when it lies within opening hours, respects the notice and advance limits,
+ * and neither the session nor its trailing buffer overlaps another booking.
+ */
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Error codes returned to clients (with HTTP 409) when a slot cannot be booked or changed
+ */
+export const SLOT_ERRORS = {
+  UNAVAILABLE: 'CONSULTATION_SLOT_UNAVAILABLE',
+  NOT_BOOKED: 'CONSULTATION_NOT_BOOKED',
+  STARTED: 'CONSULTATION_STARTED',
+  RESCHEDULE_TOO_LATE: 'CONSULTATION_RESCHEDULE_TOO_LATE',
+  RESCHEDULE_LIMIT: 'CONSULTATION_RESCHEDULE_LIMIT'
+}
+
+/**
+ * Parse a requested duration
+ * @param {string|number} value - 30, 60 or 90
+ * @returns {number|null} Duration in minutes, or null if not bookable
+ */
+export function parseConsultationDuration(value) {
+  const duration = parseInt(value, 10)
+  return CONSULTATION_DURATIONS.includes(duration) ? duration : null
+}
+
+/**
+ * Opening hours of a date (exceptions take precedence over weekly hours)
+ * @param {Object} availability - Availability settings
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Array<Object>} [{ start, end }], empty when closed
+ */
+export function getOpeningHours(availability, date) {
+  const exception = availability.exceptions.find(entry => entry.date === date)
+  if (exception) {
+    return exception.hours || []
+  }
+  return availability.weeklyHours[getWeekday(date)] || []
+}
+
+/**
+ * First and last instant a session may start at, given the notice and advance limits
+ * @param {Object} availability - Availability settings
+ * @param {Date} now
+ * @returns {Object} { earliest, latest }
+ */
+export function getBookingWindow(availability, now) {
+  return {
+    earliest: new Date(now.getTime() + availability.minNoticeHours * HOUR_MS),
+    latest: new Date(now.getTime() + availability.maxAdvanceDays * 24 * HOUR_MS)
+  }
+}
+
+/**
+ * Check whether a session (and its buffer) overlaps no taken block
+ * @param {Object} availability - Availability settings
+ * @param {Set<number>} lockedBlocks - Taken blocks (see getLockedBlocks)
+ * @param {Date} start - Session start
+ * @param {number} duration - Session length in minutes
+ * @returns {boolean}
+ */
+export function isSlotFree(availability, lockedBlocks, start, duration) {
+  return getSlotBlocks(start, duration, availability.bufferMinutes)
+    .every(block => !lockedBlocks.has(block.getTime()))
+}
+
+/**
+ * Candidate start times of a date (opening hours stepped by the slot interval)
+ * @returns {Array<Object>} [{ time: "HH:mm", start: Date }]
+ */
+function getCandidateSlots(availability, date, duration) {
+  const candidates = []
+  for (const range of getOpeningHours(availability, date)) {
+    const close = timeToMinutes(range.end)
+    for (let minutes = timeToMinutes(range.start); minutes + duration <= close; minutes += availability.slotIntervalMinutes) {
+      const time = minutesToTime(minutes)
+      const start = zonedTimeToUtc(date, time, availability.timeZone)
+      // Skip wall-clock times that do not exist (daylight saving gap)
+      if (getZonedParts(start, availability.timeZone).time === time) {
+        candidates.push({ time, start })
+      }
+    }
+  }
+  return candidates
+}
+
+/**
+ * Dates to look at for a range request, clipped to the booking window
+ * @param {Object} availability - Availability settings
+ * @param {Object} range - from ("YYYY-MM-DD", defaults to today), days
+ * @param {Date} now
+ * @returns {Array<string>} Dates
+ */
+export function getRequestedDates(availability, { from, days }, now) {
+  const { latest } = getBookingWindow(availability, now)
+  const today = getZonedParts(now, availability.timeZone).date
+  const lastDate = getZonedParts(latest, availability.timeZone).date
+  const firstDate = from && from > today ? from : today
+
+  const dates = []
+  for (let date = firstDate; dates.length < days && date <= lastDate; date = addDays(date, 1)) {
+    dates.push(date)
+  }
+  return dates
+}
+
+/**
+ * Bookable slots per date
+ * @param {Object} availability - Availability settings
+ * @param {Set<number>} lockedBlocks - Taken blocks (see getLockedBlocks)
+ * @param {Object} request - dates, duration (minutes), now
+ * @returns {Array<Object>} [{ date, slots: ["09:00", ...] }]
+ */
+export function computeFreeSlots(availability, lockedBlocks, { dates, duration, now }) {
+  const { earliest, latest } = getBookingWindow(availability, now)
+
+  return dates.map(date => ({
+    date,
+    slots: getCandidateSlots(availability, date, duration)
+      .filter(({ start }) => start >= earliest && start <= latest)
+      .filter(({ start }) => isSlotFree(availability, lockedBlocks, start, duration))
+      .map(({ time }) => time)
+  }))
+}
+
+/**
+ * Time range whose locks must be loaded to compute slots for some dates
+ * @param {Object} availability - Availability settings
+ * @param {Array<string>} dates - Sorted dates
+ * @returns {Object} { from, to }
+ */
+export function getLockRange(availability, dates) {
+  // One day of margin on each side covers time zone offsets
+  return {
+    from: zonedTimeToUtc(addDays(dates[0], -1), '00:00', availability.timeZone),
+    to: zonedTimeToUtc(addDays(dates[dates.length - 1], 2), '00:00', availability.timeZone)
+  }
+}
+
+/**
+ * Check a requested slot against the opening hours and booking limits (not against other bookings)
+ * @param {Object} availability - Availability settings
+ * @param {Object} slot - date, time, duration (minutes)
+ * @param {Date} now
+ * @returns {Object} { start } or { error }
+ */
+export function resolveSlot(availability, { date, time, duration }, now) {
+  if (!isValidDateString(date) || !isValidTimeString(time)) {
+    return { error: 'Please select a consultation date (YYYY-MM-DD) and time (HH:mm)' }
+  }
+
+  const slot = getCandidateSlots(availability, date, duration).find(candidate => candidate.time === time)
+  if (!slot) {
+    return { error: 'The selected time is outside consultation hours' }
+  }
+
+  const { earliest, latest } = getBookingWindow(availability, now)
+  if (slot.start < earliest) {
+    return { error: `Consultations must be booked at least ${availability.minNoticeHours} hours in advance` }
+  }
+  if (slot.start > latest) {
+    return { error: `Consultations can be booked at most ${availability.maxAdvanceDays} days in advance` }
+  }
+
+  return { start: slot.start }
+}
+
+/**
+ * Check a requested slot against the opening hours, booking limits and other bookings
+ * @param {Object} availability - Availability settings
+ * @param {Object} slot - date, time, duration (minutes)
+ * @param {Object} options - inquiryId (its own hold does not count as a conflict), now
+ * @returns {Promise<Object>} { start }, or { error, code } (code only set for conflicts)
+ */
+export async function checkRequestedSlot(availability, slot, { inquiryId = null, now = new Date() } = {}) {
+  const resolved = resolveSlot(availability, slot, now)
+  if (resolved.error) {
+    return resolved
+  }
+
+  const blocks = getSlotBlocks(resolved.start, slot.duration, availability.bufferMinutes)
+  const lockedBlocks = await getLockedBlocks(
+    blocks[0],
+    new Date(blocks[blocks.length - 1].getTime() + 1),
+    { excludeInquiryId: inquiryId }
+  )
+  if (!isSlotFree(availability, lockedBlocks, resolved.start, slot.duration)) {
+    return {
+      code: SLOT_ERRORS.UNAVAILABLE,
+      error: 'This time slot is no longer available. Please choose another one.'
+    }
+  }
+
+  return resolved
+}
@@ -0,0 +1,318 @@
+import Stripe from 'stripe'
+import dotenv from 'dotenv'
+import { normalizeEmail } from './inquiryDuplicates.js'
+import { upsertContact, deleteContactWithoutAdminData } from '../models/contact.js'
+
+dotenv.config()
+
+/**
+ * Contacts
+ * Links inquiries, testimonials and Stripe payments to the contact of their email address,
+ * and builds a contact's timeline and lifetime value from the linked records.
+ */
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: '2024-11-20.acacia',
+})
+
+// Refunds that reduce the lifetime value (failed refunds are handled manually)
+const COUNTED_REFUND_STATUSES = ['succeeded', 'pending']
+
+/**
+ * Link an inquiry to the contact of its email address, creating the contact if needed
+ * @param {Object} db - Database
+ * @param {Object} inquiry - Inquiry document
+ * @param {Object} options - stripeCustomerId (payments), seenAt (defaults to now)
+ * @returns {Promise<Object|null>} Contact, or null if the inquiry has no email
+ */
+export async function linkInquiryContact(db, inquiry, { stripeCustomerId = null, seenAt = new Date() } = {}) {
+  const email = normalizeEmail(inquiry.email)
+  if (!email) {
+    return null
+  }
+
+  const contact = await upsertContact({
+    email,
+    rawEmail: inquiry.email,
+    name: [inquiry.firstName, inquiry.lastName].filter(Boolean).join(' ') || null,
+    phone: inquiry.phone || null,
+    clientType: inquiry.clientType || null,
+    source: stripeCustomerId ? 'stripe' : 'inquiry',
+    stripeCustomerId: stripeCustomerId || inquiry.stripeCustomerId || null,
+    seenAt
+  })
+
+  if (!inquiry.contactId || !inquiry.contactId.equals(contact._id)) {
+    await db.collection('inquiries').updateOne({ _id: inquiry._id }, { $set: { contactId: contact._id } })
+  }
+
+  return contact
+}
+
+/**
+ * Link a testimonial to the contact of its email address, creating the contact if needed
+ * @param {Object} db - Database
+ * @param {Object} testimonial - Testimonial document
+ * @param {Object} options - seenAt (defaults to now)
+ * @returns {Promise<Object|null>} Contact, or null if the testimonial has no email
+ */
+export async function linkTestimonialContact(db, testimonial, { seenAt = new Date() } = {}) {
+  const email = normalizeEmail(testimonial.email)
+  if (!email) {
+    return null
+  }
+
+  const contact = await upsertContact({
+    email,
+    rawEmail: testimonial.email,
+    name: testimonial.fullName || null,
+    phone: testimonial.phoneNumber || null,
+    source: 'testimonial',
+    seenAt
+  })
+
+  if (!testimonial.contactId || !testimonial.contactId.equals(contact._id)) {
+    await db.collection('testimonials').updateOne({ _id: testimonial._id }, { $set: { contactId: contact._id } })
+  }
+
+  return contact
+}
+
+/**
+ * Remove a contact once nothing links to it any more
+ * Contacts with notes, tags or custom fields are kept for the team.
+ * @param {Object} db - Database
+ * @param {ObjectId} contactId - Contact of a deleted or anonymized record
+ * @returns {Promise<boolean>} True if the contact was deleted
+ */
+export async function removeUnusedContact(db, contactId) {
+  if (!contactId) {
+    return false
+  }
+
+  const [inquiries, testimonials] = await Promise.all([
+    db.collection('inquiries').countDocuments({ contactId }, { limit: 1 }),
+    db.collection('testimonials').countDocuments({ contactId }, { limit: 1 })
+  ])
+  if (inquiries > 0 || testimonials > 0) {
+    return false
+  }
+
+  return await deleteContactWithoutAdminData(contactId)
+}
+
+function toPaymentEvents(inquiryId, payment) {
+  const events = []
+
+  if (payment.paidAt && ['paid', 'refunded', 'partially_refunded'].includes(payment.paymentStatus)) {
+    events.push({
+      type: 'payment',
+      at: payment.paidAt,
+      inquiryId,
+      amount: payment.amountPaid ?? null,
+      currency: payment.currency || null,
+      stripeCustomerId: payment.stripeCustomerId || null,
+      stripeInvoiceId: payment.stripeInvoiceId || null
+    })
+  }
+
+  if (payment.refund && payment.refund.status !== 'none') {
+    events.push({
+      type: 'refund',
+      at: payment.refund.createdAt,
+      inquiryId,
+      amount: payment.refund.amount,
+      currency: payment.refund.currency || null,
+      status: payment.refund.status
+    })
+  }
+
+  return events
+}
+
+/**
+ * Lifetime value per currency: payments minus refunds, in the smallest currency unit
+ * @param {Array<Object>} events - Timeline events
+ * @returns {Object} { lifetimeValue: [{ currency, amount }], unpricedPayments }
+ */
+export function getLifetimeValue(events) {
+  const totals = new Map()
+  let unpricedPayments = 0
+
+  for (const event of events) {
+    if (event.type === 'payment') {
+      if (event.amount === null || !event.currency) {
+        unpricedPayments++
+        continue
+      }
+      totals.set(event.currency, (totals.get(event.currency) || 0) + event.amount)
+    } else if (event.type === 'refund' && COUNTED_REFUND_STATUSES.includes(event.status) && event.currency) {
+      totals.set(event.currency, (totals.get(event.currency) || 0) - event.amount)
+    }
+  }
+
+  return {
+    lifetimeValue: [...totals].map(([currency, amount]) => ({ currency, amount })),
+    unpricedPayments
+  }
+}
+
+/**
+ * Build the timeline of a contact: inquiries, sent quotes, payments (including quote deposits), refunds,
+ * testimonials and notes, newest first
+ * Payments of inquiries merged into another one are listed under the surviving inquiry.
+ * @param {Object} db - Database
+ * @param {Object} contact - Contact document
+ * @returns {Promise<Object>} { timeline, lifetimeValue, unpricedPayments, counts }
+ */
+export async function buildContactTimeline(db, contact) {
+  const [inquiries, testimonials] = await Promise.all([
+    db.collection('inquiries')
+      .find({ contactId: contact._id, mergedInto: { $exists: false } })
+      .toArray(),
+    db.collection('testimonials')
+      .find({ contactId: contact._id })
+      .toArray()
+  ])
+
+  const quotes = await db.collection('quotes')
+    .find({ inquiryId: { $in: inquiries.map(inquiry => inquiry._id) }, sentAt: { $ne: null } })
+    .toArray()
+
+  const events = []
+
+  for (const inquiry of inquiries) {
+    events.push({
+      type: 'inquiry',
+      at: inquiry.createdAt,
+      inquiryId: inquiry._id,
+      status: inquiry.status,
+      selectedPath: inquiry.selectedPath || null,
+      selectedServices: inquiry.selectedServices || [],
+      submittedAt: inquiry.submittedAt || null
+    })
+    events.push(...toPaymentEvents(inquiry._id, inquiry))
+    for (const reference of inquiry.mergedPaymentReferences || []) {
+      events.push(...toPaymentEvents(inquiry._id, reference).map(event => ({ ...event, mergedFrom: reference.inquiryId })))
+    }
+    for (const note of inquiry.adminNotes || []) {
+      events.push({
+        type: 'note',
+        at: note.createdAt,
+        source: 'inquiry',
+        inquiryId: inquiry._id,
+        noteId: note.id || null,
+        text: note.text,
+        author: note.author || null
+      })
+    }
+  }
+
+  for (const quote of quotes) {
+    events.push({
+      type: 'quote',
+      at: quote.sentAt,
+      inquiryId: quote.inquiryId,
+      quoteId: quote._id,
+      version: quote.version,
+      status: quote.status,
+      total: quote.total,
+      currency: quote.currency
+    })
+    if (quote.deposit?.status === 'paid') {
+      events.push({
+        type: 'payment',
+        at: quote.deposit.paidAt,
+        inquiryId: quote.inquiryId,
+        quoteId: quote._id,
+        amount: quote.deposit.amountPaid ?? quote.deposit.amount,
+        currency: quote.deposit.currency,
+        stripeCustomerId: quote.deposit.stripeCustomerId || null,
+        stripeInvoiceId: null
+      })
+    }
+  }
+
+  for (const testimonial of testimonials) {
+    events.push({
+      type: 'testimonial',
+      at: testimonial.createdAt,
+      testimonialId: testimonial._id,
+      status: testimonial.status || 'approved',
+      projectType: testimonial.projectType || null
+    })
+  }
+
+  for (const note of contact.notes || []) {
+    events.push({
+      type: 'note',
+      at: note.createdAt,
+      source: 'contact',
+      noteId: note.id,
+      text: note.text,
+      author: note.author || null
+    })
+  }
+
+  events.sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0))
+
+  return {
+    timeline: events,
+    ...getLifetimeValue(events),
+    counts: {
+      inquiries: inquiries.length,
+      quotes: quotes.length,
+      payments: events.filter(event => event.type === 'payment').length,
+      testimonials: testimonials.length,
+      notes: events.filter(event => event.type === 'note').length
+    }
+  }
+}
+
+/**
+ * Create contacts for existing inquiries and testimonials and link them
+ * Paid inquiries recorded before payment amounts were stored get their amount from Stripe.
+ * Safe to run again: contacts are matched by email and links are only written when they change.
+ * @param {Object} db - Database
+ * @returns {Promise<Object>} Summary ({ inquiries, testimonials, amountsFetched, errors })
+ */
+export async function backfillContacts(db) {
+  const summary = { inquiries: 0, testimonials: 0, amountsFetched: 0, errors: 0 }
+
+  const inquiries = db.collection('inquiries').find({
+    mergedInto: { $exists: false },
+    anonymizedAt: { $exists: false },
+    email: { $nin: ['', null] }
+  })
+  for await (const inquiry of inquiries) {
+    try {
+      if (inquiry.paidAt && inquiry.amountPaid === undefined && inquiry.stripeSessionId) {
+        const session = await stripe.checkout.sessions.retrieve(inquiry.stripeSessionId)
+        await db.collection('inquiries').updateOne(
+          { _id: inquiry._id },
+          { $set: { amountPaid: session.amount_total, currency: session.currency } }
+        )
+        summary.amountsFetched++
+      }
+
+      await linkInquiryContact(db, inquiry, { seenAt: inquiry.createdAt || new Date() })
+      summary.inquiries++
+    } catch (error) {
+      console.error(`Contact backfill: could not link inquiry ${inquiry._id}:`, error.message)
+      summary.errors++
+    }
+  }
+
+  const testimonials = db.collection('testimonials').find({ email: { $nin: ['', null] } })
+  for await (const testimonial of testimonials) {
+    try {
+      await linkTestimonialContact(db, testimonial, { seenAt: testimonial.createdAt || new Date() })
+      summary.testimonials++
+    } catch (error) {
+      console.error(`Contact backfill: could not link testimonial ${testimonial._id}:`, error.message)
+      summary.errors++
+    }
+  }
+
+  return summary
+}
@@ -0,0 +1,125 @@
+import crypto from 'crypto'
+import dotenv from 'dotenv'
+import { generateFormChallengeToken, verifyFormChallengeToken } from './jwt.js'
+import { generateSecureToken } from './tokens.js'
+
+dotenv.config()
+
+/**
+ * Proof-of-work form challenges
+ * A public form fetches a signed challenge when it is opened and, before submitting, finds a
+ * solution such that SHA-256("<token>:<solution>") starts with `difficulty` zero bits.
+ * The token's issue time also gives the time the visitor spent filling in the form.
+ */
+
+/**
+ * Forms protected by the abuse checks
+ */
+export const PROTECTED_FORMS = ['inquiry', 'testimonial', 'career']
+
+const MAX_SOLUTION_LENGTH = 64
+
+function readNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name])
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue
+}
+
+/**
+ * Read the abuse protection settings from the environment
+ * @returns {Object} Settings
+ */
+export function getSubmissionProtectionConfig() {
+  return {
+    enabled: process.env.SUBMISSION_PROTECTION !== 'off',
+    difficulty: Math.min(readNumber('SUBMISSION_CHALLENGE_DIFFICULTY', 16), 24),
+    challengeTtlMinutes: readNumber('SUBMISSION_CHALLENGE_TTL_MINUTES', 120),
+    minFillSeconds: readNumber('SUBMISSION_MIN_FILL_SECONDS', 3),
+    ipLimit: readNumber('SUBMISSION_IP_LIMIT', 10),
+    ipWindowMinutes: readNumber('SUBMISSION_IP_WINDOW_MINUTES', 60),
+    emailLimit: readNumber('SUBMISSION_EMAIL_LIMIT', 3),
+    emailWindowHours: readNumber('SUBMISSION_EMAIL_WINDOW_HOURS', 24),
+    honeypotField: process.env.SUBMISSION_HONEYPOT_FIELD || 'website'
+  }
+}
+
+/**
+ * Issue a challenge for a form
+ * @param {string} form - One of PROTECTED_FORMS
+ * @returns {Object} { token, difficulty, expiresAt, honeypotField }
+ */
+export function issueFormChallenge(form) {
+  const config = getSubmissionProtectionConfig()
+  const token = generateFormChallengeToken(
+    { challengeId: generateSecureToken(16), form, difficulty: config.difficulty },
+    `${config.challengeTtlMinutes}m`
+  )
+
+  return {
+    token,
+    difficulty: config.difficulty,
+    expiresAt: new Date(Date.now() + config.challengeTtlMinutes * 60 * 1000),
+    honeypotField: config.honeypotField
+  }
+}
+
+/**
+ * Number of leading zero bits of a digest
+ * @param {Buffer} digest
+ * @returns {number}
+ */
+export function countLeadingZeroBits(digest) {
+  let bits = 0
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    bits += Math.clz32(byte) - 24
+    break
+  }
+  return bits
+}
+
+/**
+ * Check a proof-of-work solution
+ * @param {string} token - Challenge token
+ * @param {string} solution - Solution found by the client
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {boolean}
+ */
+export function verifyProofOfWork(token, solution, difficulty) {
+  if (typeof solution !== 'string' || !solution || solution.length > MAX_SOLUTION_LENGTH) {
+    return false
+  }
+  const digest = crypto.createHash('sha256').update(`${token}:${solution}`).digest()
+  return countLeadingZeroBits(digest) >= difficulty
+}
+
+/**
+ * Verify a solved challenge sent with a submission
+ * @param {string} form - Form being submitted
+ * @param {string} token - Challenge token
+ * @param {string} solution - Proof-of-work solution
+ * @returns {Object} { challenge } (decoded token) or { error }
+ */
+export function checkFormChallenge(form, token, solution) {
+  if (!token) {
+    return { error: 'A form challenge is required. Please reload the form and try again.' }
+  }
+
+  let challenge
+  try {
+    challenge = verifyFormChallengeToken(token)
+  } catch (error) {
+    return { error: `${error.message}. Please reload the form and try again.` }
+  }
+
+  if (challenge.form !== form) {
+    return { error: 'This form challenge belongs to another form' }
+  }
+  if (!verifyProofOfWork(token, solution, challenge.difficulty)) {
+    return { error: 'Invalid form challenge solution' }
+  }
+
+  return { challenge }
+}
@@ -0,0 +1,17 @@
+/**
+ * Get frontend URL for redirects and links sent to users
+ * In production, use FRONTEND_URLS from env, otherwise default to localhost for development
+ * @returns {string} Frontend base URL without trailing slash
+ */
+export function getFrontendUrl() {
+  if (process.env.FRONTEND_URLS) {
+    // Get first URL from comma-separated list and remove trailing slash
+    const url = process.env.FRONTEND_URLS.split(',')[0].trim()
+    return url.endsWith('/') ? url.slice(0, -1) : url
+  }
+  // For local development, check if we're in production mode
+  if (process.env.NODE_ENV === 'production') {
+    return 'https://architecture-portfolio-mu.vercel.app'
+  }
+  return 'http://localhost:3000'
+}
@@ -0,0 +1,230 @@
+import { getZonedParts, getTimeZoneOffset } from './timezone.js'
+
+/**
+ * iCalendar (RFC 5545) writer
+ * Builds VCALENDAR documents with events in a named time zone. The VTIMEZONE component is
+ * derived from the platform's time zone data for the years the events fall in.
+ */
+
+const PRODUCT_ID = '-//Architect Portfolio//Consultations//EN'
+const MAX_LINE_OCTETS = 75
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ * Never splits a multi-byte UTF-8 character
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const chunks = []
+  let current = ''
+  let currentOctets = 0
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char)
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (currentOctets + octets > limit) {
+      chunks.push(current)
+      current = ''
+      currentOctets = 0
+    }
+    current += char
+    currentOctets += octets
+  }
+  chunks.push(current)
+
+  return chunks.join('\r\n ')
+}
+
+/**
+ * Parameter value (quoted when it contains separators; double quotes are not allowed)
+ * @param {string} value
+ * @returns {string}
+ */
+function paramValue(value) {
+  const text = String(value ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ')
+  return /[;:,]/.test(text) ? `"${text}"` : text
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0')
+}
+
+/**
+ * UTC DATE-TIME value (20261110T090000Z)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Local DATE-TIME value in a time zone (20261110T100000)
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatLocalDateTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone)
+  return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+'
+  const absolute = Math.abs(minutes)
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`
+}
+
+/**
+ * Offset changes of a time zone between two instants (first instant with the new offset)
+ */
+function findOffsetTransitions(timeZone, from, to) {
+  const transitions = []
+  let previousTime = from.getTime()
+  let previousOffset = getTimeZoneOffset(from, timeZone)
+
+  for (let time = previousTime + DAY_MS; time <= to.getTime() + DAY_MS; time += DAY_MS) {
+    const offset = getTimeZoneOffset(new Date(time), timeZone)
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previousTime
+      let high = time
+      while (high - low > 60 * 1000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000
+        if (getTimeZoneOffset(new Date(middle), timeZone) === previousOffset) {
+          low = middle
+        } else {
+          high = middle
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset })
+      previousOffset = offset
+    }
+    previousTime = time
+  }
+  return transitions
+}
+
+/**
+ * VTIMEZONE component covering the given instants
+ * @param {string} timeZone - IANA time zone
+ * @param {Array<Date>} dates - Instants the calendar uses
+ * @returns {Array<string>} Content lines
+ */
+export function buildTimeZoneComponent(timeZone, dates) {
+  const times = dates.map(date => date.getTime())
+  const firstYear = new Date(Math.min(...times)).getUTCFullYear() - 1
+  const lastYear = new Date(Math.max(...times)).getUTCFullYear()
+  const from = new Date(Date.UTC(firstYear, 0, 1))
+  const to = new Date(Date.UTC(lastYear, 11, 31))
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`]
+  const transitions = findOffsetTransitions(timeZone, from, to)
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getTimeZoneOffset(from, timeZone))
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    )
+  }
+
+  for (const transition of transitions) {
+    // Observances start at the local time before the change (in the old offset)
+    const localStart = new Date(transition.at.getTime() + transition.offsetFrom * 60 * 1000)
+    const component = transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD'
+    lines.push(
+      `BEGIN:${component}`,
+      `DTSTART:${formatUtcDateTime(localStart).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatOffset(transition.offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(transition.offsetTo)}`,
+      `END:${component}`
+    )
+  }
+
+  lines.push('END:VTIMEZONE')
+  return lines
+}
+
+function buildEvent(event, timeZone, dtstamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;TZID=${timeZone}:${formatLocalDateTime(event.start, timeZone)}`,
+    `DTEND;TZID=${timeZone}:${formatLocalDateTime(event.end, timeZone)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ]
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`)
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`)
+  }
+  if (event.organizer?.email) {
+    lines.push(`ORGANIZER;CN=${paramValue(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`)
+  }
+  for (const attendee of event.attendees || []) {
+    if (attendee.email) {
+      lines.push(`ATTENDEE;CN=${paramValue(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`)
+    }
+  }
+
+  lines.push(
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    'END:VEVENT'
+  )
+  return lines
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - events [{ uid, start, end, summary, description, location, url, organizer, attendees, status, sequence }],
+ *   timeZone (IANA), method (PUBLISH, REQUEST, CANCEL; omitted for subscription feeds), name
+ * @returns {string} text/calendar content with CRLF line endings
+ */
+export function buildCalendar({ events, timeZone, method = null, name = null }) {
+  const dtstamp = formatUtcDateTime(new Date())
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN']
+
+  if (method) {
+    lines.push(`METHOD:${method}`)
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`)
+  }
+  lines.push(`X-WR-TIMEZONE:${timeZone}`)
+
+  if (events.length > 0) {
+    lines.push(...buildTimeZoneComponent(timeZone, events.flatMap(event => [event.start, event.end])))
+  }
+  for (const event of events) {
+    lines.push(...buildEvent(event, timeZone, dtstamp))
+  }
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
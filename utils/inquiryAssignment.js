@@ -0,0 +1,86 @@
+import { claimNextAutoAssignee, normalizeRole } from '../models/admin.js'
+
+/**
+ * Inquiry assignment
+ * An inquiry can be assigned to one admin (owner or editor) at a time. Every change is appended
+ * to the inquiry's `assignmentHistory`.
+ */
+
+/**
+ * Statuses in which an inquiry still needs work from its assignee
+ */
+export const OPEN_INQUIRY_STATUSES = [
+  'submitted',
+  'reviewed',
+  'consultation_pending_payment',
+  'payment_pending',
+  'paid',
+  'invoice_finalized'
+]
+
+/**
+ * Roles that can be assigned inquiries (viewers cannot act on them)
+ */
+export const ASSIGNABLE_ROLES = ['owner', 'editor']
+
+/**
+ * Whether an admin can be assigned inquiries
+ * @param {Object} admin - Admin document
+ * @returns {boolean}
+ */
+export function isAssignableAdmin(admin) {
+  return Boolean(admin) && !admin.disabled && ASSIGNABLE_ROLES.includes(normalizeRole(admin.role))
+}
+
+function toAssigneeRef(admin) {
+  return admin ? { id: admin._id.toString(), email: admin.email } : null
+}
+
+/**
+ * Assign an inquiry to an admin, or unassign it
+ * Only applies if the assignee has not changed since the inquiry was read
+ * @param {Object} db - Database
+ * @param {Object} inquiry - Inquiry document as read
+ * @param {Object|null} admin - Admin document of the new assignee, or null to unassign
+ * @param {Object} options - by ({ id, email } of the acting admin, null for automatic assignment), reason ('manual' or 'auto')
+ * @returns {Promise<Object|null>} Updated inquiry, or null if the assignee changed concurrently
+ */
+export async function assignInquiry(db, inquiry, admin, { by = null, reason = 'manual' } = {}) {
+  const now = new Date()
+  const previous = inquiry.assignedTo?.id ? { id: inquiry.assignedTo.id, email: inquiry.assignedTo.email } : null
+  const next = toAssigneeRef(admin)
+
+  return await db.collection('inquiries').findOneAndUpdate(
+    { _id: inquiry._id, 'assignedTo.id': previous ? previous.id : null },
+    {
+      $set: {
+        assignedTo: next ? { ...next, assignedAt: now } : null,
+        updatedAt: now
+      },
+      $push: {
+        assignmentHistory: { from: previous, to: next, by, reason, at: now }
+      }
+    },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Assign a newly submitted inquiry to the next admin in the round-robin
+ * Inquiries that already have an assignee are left alone
+ * @param {Object} db - Database
+ * @param {Object} inquiry - Inquiry document
+ * @returns {Promise<Object|null>} Updated inquiry, or null if nobody was assigned
+ */
+export async function autoAssignInquiry(db, inquiry) {
+  if (inquiry.assignedTo?.id) {
+    return null
+  }
+
+  const admin = await claimNextAutoAssignee()
+  if (!admin) {
+    return null
+  }
+
+  return await assignInquiry(db, inquiry, admin, { reason: 'auto' })
+}
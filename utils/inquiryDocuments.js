@@ -0,0 +1,231 @@
+import crypto from 'crypto'
+import { ObjectId } from 'mongodb'
+import { deleteImageFromCloudinary } from '../middleware/upload.js'
+
+/**
+ * Inquiry documents
+ * Files attached to an inquiry are kept in its `documents` array, one object per file:
+ * { id, url, publicId, resourceType, originalName, name, mimeType, size, visibility, uploadedBy, createdAt }.
+ * Clients add documents in step 2 and through the documents endpoints; admins can add internal
+ * documents the client never sees (`visibility: 'internal'`). Inquiries created before documents
+ * were objects only have `documentUrls` until `npm run migrate-inquiry-documents` converts them
+ * (or a document of the inquiry is renamed or deleted); their IDs are derived from the URLs.
+ */
+
+export const DOCUMENT_VISIBILITIES = ['client', 'internal']
+export const MAX_INQUIRY_DOCUMENTS = 30
+export const MAX_DOCUMENT_NAME_LENGTH = 255
+
+const MIME_TYPES_BY_EXTENSION = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+}
+
+/**
+ * Build the document of a file uploaded by uploadInquiryDocumentsToCloudinary
+ * @param {Object} file - { url, publicId, resourceType, originalName, mimeType, size }
+ * @param {Object} uploadedBy - { type: 'client' } or { type: 'admin', id, email }
+ * @param {string} visibility - 'client' or 'internal'
+ * @returns {Object} Inquiry document
+ */
+export function toInquiryDocument(file, uploadedBy, visibility = 'client') {
+  return {
+    id: new ObjectId(),
+    url: file.url,
+    publicId: file.publicId,
+    resourceType: file.resourceType,
+    originalName: file.originalName,
+    name: file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    visibility,
+    uploadedBy,
+    createdAt: new Date()
+  }
+}
+
+/**
+ * ID of a document stored as a URL: derived from the URL so it is the same on every read
+ * and after the document is converted
+ */
+function legacyDocumentId(url) {
+  return new ObjectId(crypto.createHash('sha256').update(url).digest().subarray(0, 12))
+}
+
+/**
+ * Build the document of a URL stored before documents were objects
+ * The file details are read from the Cloudinary URL; the size is unknown.
+ * @param {string} url - Cloudinary URL
+ * @param {Date} createdAt - Upload time to record (the inquiry's creation time)
+ * @returns {Object} Inquiry document
+ */
+export function legacyUrlToDocument(url, createdAt = new Date()) {
+  const match = url.match(/\/(image|raw|video)\/upload\/(?:v\d+\/)?(.+)$/)
+  const resourceType = match ? match[1] : 'image'
+  const path = match ? match[2] : url
+  const originalName = decodeURIComponent(path.split('/').pop())
+  const extension = originalName.includes('.') ? originalName.split('.').pop().toLowerCase() : ''
+
+  return {
+    id: legacyDocumentId(url),
+    url,
+    // Raw files keep their extension in the public_id
+    publicId: match ? (resourceType === 'raw' ? path : path.replace(/\.[^/.]+$/, '')) : null,
+    resourceType,
+    originalName,
+    name: originalName,
+    mimeType: MIME_TYPES_BY_EXTENSION[extension] || null,
+    size: null,
+    visibility: 'client',
+    uploadedBy: { type: 'client' },
+    createdAt
+  }
+}
+
+/**
+ * All documents of an inquiry, including URLs not migrated yet
+ * @param {Object} inquiry - Inquiry document
+ * @returns {Array<Object>} Documents
+ */
+export function getInquiryDocuments(inquiry) {
+  return [
+    ...(inquiry.documents || []),
+    ...(inquiry.documentUrls || []).map(url => legacyUrlToDocument(url, inquiry.createdAt))
+  ]
+}
+
+/**
+ * Documents of an inquiry as shown to the client: no internal documents or storage details
+ * @param {Object} inquiry - Inquiry document
+ * @returns {Array<Object>} Client documents
+ */
+export function toClientDocuments(inquiry) {
+  return getInquiryDocuments(inquiry)
+    .filter(document => document.visibility !== 'internal')
+    .map(({ id, url, name, mimeType, size, createdAt }) => ({ id, url, name, mimeType, size, createdAt }))
+}
+
+/**
+ * Check a new document name
+ * @param {*} name - Requested name
+ * @returns {Object} { name } or { error }
+ */
+export function normalizeDocumentName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : ''
+  if (!trimmed) {
+    return { error: 'Document name is required' }
+  }
+  if (trimmed.length > MAX_DOCUMENT_NAME_LENGTH) {
+    return { error: `Document names must be at most ${MAX_DOCUMENT_NAME_LENGTH} characters` }
+  }
+  if (/[\\/\u0000-\u001f]/.test(trimmed)) {
+    return { error: 'Document names cannot contain slashes or control characters' }
+  }
+  return { name: trimmed }
+}
+
+/**
+ * Add documents to an inquiry, unless it would then have more than MAX_INQUIRY_DOCUMENTS
+ * Legacy `documentUrls` not converted yet count towards the limit too.
+ * @param {Object} db - Database
+ * @param {ObjectId} inquiryId - Inquiry ID
+ * @param {Array<Object>} documents - Documents from toInquiryDocument
+ * @param {Object} filter - Extra conditions on the inquiry (e.g. its status)
+ * @returns {Promise<Object|null>} Updated inquiry, or null if it is full or did not match
+ */
+export async function addInquiryDocuments(db, inquiryId, documents, filter = {}) {
+  return await db.collection('inquiries').findOneAndUpdate(
+    {
+      _id: inquiryId,
+      ...filter,
+      $expr: {
+        $lte: [
+          { $add: [{ $size: { $ifNull: ['$documents', []] } }, { $size: { $ifNull: ['$documentUrls', []] } }] },
+          MAX_INQUIRY_DOCUMENTS - documents.length
+        ]
+      }
+    },
+    {
+      $push: { documents: { $each: documents } },
+      $set: { updatedAt: new Date() }
+    },
+    { returnDocument: 'after' }
+  )
+}
+
+/**
+ * Delete the stored file of a document
+ * @param {Object} document - Inquiry document
+ * @returns {Promise<boolean>} True if the file is gone
+ */
+export async function deleteInquiryDocumentFile(document) {
+  return await deleteImageFromCloudinary(document.url, {
+    publicId: document.publicId,
+    resourceType: document.resourceType
+  })
+}
+
+/**
+ * Remove the files uploaded in a request that was rejected
+ * @param {Array<Object>} files - Uploaded files ({ url, publicId, resourceType })
+ * @returns {Promise<void>}
+ */
+export async function discardUploadedFiles(files) {
+  await Promise.all(files.map(file => deleteInquiryDocumentFile(file)))
+}
+
+/**
+ * Convert the `documentUrls` of one inquiry into documents (keeping the IDs already shown)
+ * @param {Object} db - Database
+ * @param {Object} inquiry - Inquiry document (needs _id, documentUrls and createdAt)
+ * @returns {Promise<Object>} The inquiry, with its documents converted
+ */
+export async function convertLegacyDocuments(db, inquiry) {
+  if (!inquiry.documentUrls) {
+    return inquiry
+  }
+
+  const documents = inquiry.documentUrls.map(url => legacyUrlToDocument(url, inquiry.createdAt))
+  const updatedInquiry = await db.collection('inquiries').findOneAndUpdate(
+    { _id: inquiry._id, documentUrls: inquiry.documentUrls },
+    {
+      $push: { documents: { $each: documents } },
+      $unset: { documentUrls: '' }
+    },
+    { returnDocument: 'after' }
+  )
+
+  // Converted by another request in the meantime
+  return updatedInquiry || await db.collection('inquiries').findOne({ _id: inquiry._id })
+}
+
+/**
+ * Convert the `documentUrls` of older inquiries into documents
+ * Safe to run again: only inquiries that still have `documentUrls` are changed.
+ * @param {Object} db - Database
+ * @returns {Promise<Object>} Summary ({ inquiries, documents, errors })
+ */
+export async function migrateInquiryDocuments(db) {
+  const summary = { inquiries: 0, documents: 0, errors: 0 }
+
+  const inquiries = db.collection('inquiries').find(
+    { documentUrls: { $exists: true } },
+    { projection: { documentUrls: 1, createdAt: 1 } }
+  )
+  for await (const inquiry of inquiries) {
+    try {
+      await convertLegacyDocuments(db, inquiry)
+      summary.inquiries++
+      summary.documents += (inquiry.documentUrls || []).length
+    } catch (error) {
+      console.error(`Document migration: could not convert inquiry ${inquiry._id}:`, error.message)
+      summary.errors++
+    }
+  }
+
+  return summary
+}
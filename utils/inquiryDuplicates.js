@@ -0,0 +1,313 @@
+import dotenv from 'dotenv'
+import { recordDuplicateGroup } from '../models/duplicateGroup.js'
+
+dotenv.config()
+
+/**
+ * Duplicate inquiry detection
+ * Inquiries store normalized copies of their email, phone and address so likely duplicates can
+ * be found by exact match (email, phone) or by address similarity.
+ */
+
+// Country calling code assumed for national phone numbers (0X XX XX XX XX)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '33').replace(/\D/g, '')
+// Addresses at least this similar (0-1) are reported as duplicates
+export const ADDRESS_SIMILARITY_THRESHOLD = 0.85
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com']
+
+const ADDRESS_ABBREVIATIONS = {
+  av: 'avenue',
+  ave: 'avenue',
+  bd: 'boulevard',
+  blvd: 'boulevard',
+  bld: 'boulevard',
+  pl: 'place',
+  r: 'rue',
+  rte: 'route',
+  ch: 'chemin',
+  imp: 'impasse',
+  st: 'saint',
+  ste: 'sainte',
+  fg: 'faubourg',
+  apt: 'appartement',
+  bis: 'bis'
+}
+
+/**
+ * Normalize an email for duplicate matching
+ * Lowercased, without "+tag" suffixes, and without dots for Gmail addresses
+ * @param {string} email
+ * @returns {string|null}
+ */
+export function normalizeEmail(email) {
+  if (typeof email !== 'string' || !email.includes('@')) {
+    return null
+  }
+
+  const [local, domain] = email.trim().toLowerCase().split(/@(?=[^@]*$)/)
+  let normalizedLocal = local.split('+')[0]
+  let normalizedDomain = domain
+
+  if (GMAIL_DOMAINS.includes(domain)) {
+    normalizedLocal = normalizedLocal.replace(/\./g, '')
+    normalizedDomain = 'gmail.com'
+  }
+
+  return normalizedLocal && normalizedDomain ? `${normalizedLocal}@${normalizedDomain}` : null
+}
+
+/**
+ * Normalize a phone number for duplicate matching (digits with the country code)
+ * @param {string} phone
+ * @returns {string|null} null for numbers too short to compare
+ */
+export function normalizePhone(phone) {
+  if (typeof phone !== 'string') {
+    return null
+  }
+
+  const international = phone.trim().startsWith('+')
+  let digits = phone.replace(/\D/g, '')
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2)
+  } else if (!international && digits.startsWith('0')) {
+    digits = DEFAULT_COUNTRY_CODE + digits.slice(1)
+  }
+
+  return digits.length >= 8 ? digits : null
+}
+
+/**
+ * Normalize an address for similarity comparison
+ * Lowercased, without accents and punctuation, with common abbreviations expanded
+ * @param {string} address
+ * @returns {string|null}
+ */
+export function normalizeAddress(address) {
+  if (typeof address !== 'string' || !address.trim()) {
+    return null
+  }
+
+  const words = address
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+
+  return words.length > 0 ? words.join(' ') : null
+}
+
+/**
+ * Postal code of a normalized address (five digits), used to limit address comparisons
+ * @param {string} normalizedAddress
+ * @returns {string|null}
+ */
+export function getPostalCode(normalizedAddress) {
+  const match = normalizedAddress ? normalizedAddress.match(/\b\d{5}\b/) : null
+  return match ? match[0] : null
+}
+
+function getBigrams(text) {
+  const compact = text.replace(/ /g, '')
+  const bigrams = new Map()
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.slice(i, i + 2)
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1)
+  }
+  return bigrams
+}
+
+/**
+ * Similarity of two normalized addresses (Dice coefficient on character bigrams)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (different) to 1 (identical)
+ */
+export function addressSimilarity(a, b) {
+  if (!a || !b) {
+    return 0
+  }
+  if (a === b) {
+    return 1
+  }
+
+  const bigramsA = getBigrams(a)
+  const bigramsB = getBigrams(b)
+  let overlap = 0
+  let total = 0
+  for (const [bigram, count] of bigramsA) {
+    overlap += Math.min(count, bigramsB.get(bigram) || 0)
+    total += count
+  }
+  for (const count of bigramsB.values()) {
+    total += count
+  }
+
+  return total === 0 ? 0 : (2 * overlap) / total
+}
+
+/**
+ * Normalized matching fields of an inquiry, to store with it
+ * @param {Object} inquiry - Inquiry fields (email, phone, address)
+ * @returns {Object} { normalizedEmail, normalizedPhone, normalizedAddress }
+ */
+export function getDuplicateFields(inquiry) {
+  return {
+    normalizedEmail: normalizeEmail(inquiry.email),
+    normalizedPhone: normalizePhone(inquiry.phone),
+    normalizedAddress: normalizeAddress(inquiry.address)
+  }
+}
+
+/**
+ * Whether two inquiries are likely duplicates
+ * @param {Object} a - Inquiry with normalized fields
+ * @param {Object} b - Inquiry with normalized fields
+ * @returns {Array<Object>} Reasons ({ type, value, score }), empty if they do not match
+ */
+export function getDuplicateReasons(a, b) {
+  const reasons = []
+
+  if (a.normalizedEmail && a.normalizedEmail === b.normalizedEmail) {
+    reasons.push({ type: 'email', value: a.normalizedEmail })
+  }
+  if (a.normalizedPhone && a.normalizedPhone === b.normalizedPhone) {
+    reasons.push({ type: 'phone', value: a.normalizedPhone })
+  }
+  if (a.normalizedAddress && b.normalizedAddress) {
+    const score = addressSimilarity(a.normalizedAddress, b.normalizedAddress)
+    if (score >= ADDRESS_SIMILARITY_THRESHOLD) {
+      reasons.push({ type: 'address', value: a.normalizedAddress, score: Math.round(score * 100) / 100 })
+    }
+  }
+
+  return reasons
+}
+
+/**
+ * Query for the inquiries that can be duplicates of others (not merged, not anonymized)
+ */
+export const DUPLICATE_CANDIDATE_QUERY = {
+  mergedInto: { $exists: false },
+  anonymizedAt: { $exists: false }
+}
+
+/**
+ * Find the likely duplicates of one inquiry and record them as a suggested group
+ * Called when an inquiry is created or its contact details change
+ * @param {Object} db - Database
+ * @param {Object} inquiry - Inquiry document with normalized fields
+ * @returns {Promise<Object|null>} Duplicate group, or null if no duplicate was found
+ */
+export async function detectInquiryDuplicates(db, inquiry) {
+  const conditions = []
+  if (inquiry.normalizedEmail) {
+    conditions.push({ normalizedEmail: inquiry.normalizedEmail })
+  }
+  if (inquiry.normalizedPhone) {
+    conditions.push({ normalizedPhone: inquiry.normalizedPhone })
+  }
+  const postalCode = getPostalCode(inquiry.normalizedAddress)
+  if (postalCode) {
+    conditions.push({ normalizedAddress: { $regex: `\\b${postalCode}\\b` } })
+  }
+  if (conditions.length === 0) {
+    return null
+  }
+
+  const candidates = await db.collection('inquiries')
+    .find({ ...DUPLICATE_CANDIDATE_QUERY, _id: { $ne: inquiry._id }, $or: conditions })
+    .project({ normalizedEmail: 1, normalizedPhone: 1, normalizedAddress: 1 })
+    .limit(50)
+    .toArray()
+
+  const matches = candidates
+    .map(candidate => ({ candidate, reasons: getDuplicateReasons(inquiry, candidate) }))
+    .filter(match => match.reasons.length > 0)
+  if (matches.length === 0) {
+    return null
+  }
+
+  return await recordDuplicateGroup({
+    inquiryIds: [inquiry._id, ...matches.map(match => match.candidate._id)],
+    reasons: matches.flatMap(match => match.reasons.map(reason => ({
+      ...reason,
+      inquiryIds: [inquiry._id, match.candidate._id]
+    }))),
+    source: 'submission'
+  })
+}
+
+/**
+ * Group likely duplicates among a set of inquiries (batch scan)
+ * Email and phone matches are found by key; addresses are only compared within the same postal code
+ * @param {Array<Object>} inquiries - Inquiries with _id and normalized fields
+ * @returns {Array<Object>} Groups ({ inquiryIds, reasons }) of two or more inquiries
+ */
+export function groupDuplicateInquiries(inquiries) {
+  const parent = new Map(inquiries.map(inquiry => [inquiry._id.toString(), inquiry._id.toString()]))
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)))
+      id = parent.get(id)
+    }
+    return id
+  }
+  const pairs = []
+
+  const buckets = new Map()
+  const addToBucket = (key, inquiry) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, [])
+    }
+    buckets.get(key).push(inquiry)
+  }
+  for (const inquiry of inquiries) {
+    if (inquiry.normalizedEmail) addToBucket(`email:${inquiry.normalizedEmail}`, inquiry)
+    if (inquiry.normalizedPhone) addToBucket(`phone:${inquiry.normalizedPhone}`, inquiry)
+    const postalCode = getPostalCode(inquiry.normalizedAddress)
+    if (postalCode) addToBucket(`postal:${postalCode}`, inquiry)
+  }
+
+  const seenPairs = new Set()
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = [bucket[i], bucket[j]]
+        const pairKey = [a._id.toString(), b._id.toString()].sort().join(':')
+        if (seenPairs.has(pairKey)) {
+          continue
+        }
+        seenPairs.add(pairKey)
+
+        const reasons = getDuplicateReasons(a, b)
+        if (reasons.length > 0) {
+          parent.set(find(a._id.toString()), find(b._id.toString()))
+          pairs.push({ ids: [a._id, b._id], reasons })
+        }
+      }
+    }
+  }
+
+  const groups = new Map()
+  for (const pair of pairs) {
+    const root = find(pair.ids[0].toString())
+    if (!groups.has(root)) {
+      groups.set(root, { inquiryIds: new Map(), reasons: [] })
+    }
+    const group = groups.get(root)
+    for (const id of pair.ids) {
+      group.inquiryIds.set(id.toString(), id)
+    }
+    group.reasons.push(...pair.reasons.map(reason => ({ ...reason, inquiryIds: pair.ids })))
+  }
+
+  return [...groups.values()].map(group => ({
+    inquiryIds: [...group.inquiryIds.values()],
+    reasons: group.reasons
+  }))
+}
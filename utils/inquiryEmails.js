@@ -0,0 +1,245 @@
+import { generateInquiryResumeToken, generateInquiryAccessToken, getTokenExpiry } from './jwt.js'
+import { sendMail } from './mailer.js'
+import { getFrontendUrl } from './frontendUrl.js'
+import { getConsultationSchedule, buildConsultationInvite } from './consultationCalendar.js'
+
+/**
+ * Emails sent to inquiry clients (and message, quote and note notifications to the team)
+ */
+
+/**
+ * Send a "continue your inquiry" link
+ * Used when the client asks for a link and by the cleanup job for idle drafts
+ * @param {Object} inquiry - Inquiry document (needs _id and email)
+ * @param {Object} options - reminder (true for unsolicited reminders)
+ * @returns {Promise<void>}
+ */
+export async function sendInquiryResumeEmail(inquiry, { reminder = false } = {}) {
+  const token = generateInquiryResumeToken({
+    inquiryId: inquiry._id.toString(),
+    email: inquiry.email
+  })
+  const resumeUrl = `${getFrontendUrl()}/inquiry/resume?token=${encodeURIComponent(token)}`
+
+  await sendMail({
+    to: inquiry.email,
+    subject: reminder ? 'Your project inquiry is waiting for you' : 'Continue your project inquiry',
+    text: [
+      inquiry.firstName ? `Hello ${inquiry.firstName},` : 'Hello,',
+      '',
+      reminder
+        ? 'You started a project inquiry with us but have not finished it yet. You can pick up where you left off:'
+        : 'You can pick up your project inquiry where you left off:',
+      resumeUrl,
+      '',
+      `This link expires at ${getTokenExpiry(token).toISOString()}.`
+    ].join('\n')
+  })
+}
+
+function formatSessionTime(schedule) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: schedule.timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(schedule.start)
+}
+
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: (currency || 'eur').toUpperCase()
+  }).format(amount / 100)
+}
+
+/**
+ * Confirm a paid or rescheduled consultation to the client, with the calendar invite attached
+ * @param {Object} inquiry - Inquiry document with a scheduled consultation
+ * @param {Object} options - rescheduled (true when the client moved the session)
+ * @returns {Promise<void>}
+ */
+export async function sendConsultationConfirmationEmail(inquiry, { rescheduled = false } = {}) {
+  const schedule = getConsultationSchedule(inquiry)
+  const when = `${formatSessionTime(schedule)} (${schedule.timeZone})`
+
+  await sendMail({
+    to: inquiry.email,
+    subject: rescheduled ? 'Your consultation has been rescheduled' : 'Your consultation is confirmed',
+    text: [
+      inquiry.firstName ? `Hello ${inquiry.firstName},` : 'Hello,',
+      '',
+      rescheduled
+        ? `Your ${schedule.duration}-minute consultation has been moved to ${when}.`
+        : `Thank you for your payment. Your ${schedule.duration}-minute consultation is booked for ${when}.`,
+      rescheduled
+        ? 'The attached invitation updates the event in your calendar.'
+        : 'The attached invitation adds it to your calendar.'
+    ].join('\n'),
+    attachments: [{
+      filename: 'consultation.ics',
+      content: buildConsultationInvite(inquiry, { audience: 'client', method: 'REQUEST' }),
+      contentType: 'text/calendar; method=REQUEST; charset=UTF-8'
+    }]
+  })
+}
+
+/**
+ * Confirm a cancelled consultation and its refund to the client
+ * The attached cancellation removes the event from the client's calendar
+ * @param {Object} inquiry - Cancelled inquiry document (with its refund record)
+ * @returns {Promise<void>}
+ */
+export async function sendConsultationCancellationEmail(inquiry) {
+  const schedule = getConsultationSchedule(inquiry)
+  const refund = inquiry.refund || {}
+
+  let refundLine = 'Under our cancellation policy this booking is not refunded.'
+  if (refund.status === 'failed') {
+    refundLine = 'Your refund could not be issued automatically; our team will process it and get back to you.'
+  } else if (refund.amount > 0) {
+    refundLine = `A refund of ${formatAmount(refund.amount, refund.currency)} (${refund.percent}%) has been issued to your original payment method. It can take 5 to 10 days to appear.`
+  }
+
+  await sendMail({
+    to: inquiry.email,
+    subject: 'Your consultation has been cancelled',
+    text: [
+      inquiry.firstName ? `Hello ${inquiry.firstName},` : 'Hello,',
+      '',
+      `Your consultation on ${formatSessionTime(schedule)} (${schedule.timeZone}) has been cancelled.`,
+      refundLine
+    ].join('\n'),
+    attachments: [{
+      filename: 'consultation.ics',
+      content: buildConsultationInvite(inquiry, { audience: 'client', method: 'CANCEL' }),
+      contentType: 'text/calendar; method=CANCEL; charset=UTF-8'
+    }]
+  })
+}
+
+/**
+ * Tell the client the team replied in their inquiry's message thread
+ * The link opens the inquiry with a new client token, also after the wizard is finished
+ * @param {Object} inquiry - Inquiry document (needs _id and email)
+ * @returns {Promise<void>}
+ */
+export async function sendInquiryMessageEmail(inquiry) {
+  const token = generateInquiryAccessToken({
+    inquiryId: inquiry._id.toString(),
+    email: inquiry.email
+  })
+  const threadUrl = `${getFrontendUrl()}/inquiry/messages?token=${encodeURIComponent(token)}`
+
+  await sendMail({
+    to: inquiry.email,
+    subject: 'New message about your project inquiry',
+    text: [
+      inquiry.firstName ? `Hello ${inquiry.firstName},` : 'Hello,',
+      '',
+      'You have a new message about your project inquiry. You can read it and reply here:',
+      threadUrl,
+      '',
+      `This link expires at ${getTokenExpiry(token).toISOString()}.`
+    ].join('\n')
+  })
+}
+
+/**
+ * Tell the assigned admin that the client replied
+ * @param {Object} inquiry - Inquiry document with an assignee
+ * @param {Object} message - Client message
+ * @returns {Promise<void>}
+ */
+export async function sendAdminMessageNotificationEmail(inquiry, message) {
+  const clientName = [inquiry.firstName, inquiry.lastName].filter(Boolean).join(' ') || inquiry.email
+
+  await sendMail({
+    to: inquiry.assignedTo.email,
+    subject: `New message from ${clientName}`,
+    text: [
+      `${clientName} replied about their inquiry:`,
+      '',
+      message.body,
+      message.attachments.length > 0 ? `\n(${message.attachments.length} attachment(s))` : null,
+      '',
+      `${getFrontendUrl()}/admin/inquiries/${inquiry._id}`
+    ].filter(line => line !== null).join('\n')
+  })
+}
+
+/**
+ * Send a quote to the client with its private link
+ * @param {Object} inquiry - Inquiry document (needs email)
+ * @param {Object} quote - Sent quote
+ * @param {string} token - Client token of the quote (only its hash is stored)
+ * @returns {Promise<void>}
+ */
+export async function sendQuoteEmail(inquiry, quote, token) {
+  const quoteUrl = `${getFrontendUrl()}/quote/${quote._id}?token=${encodeURIComponent(token)}`
+  const validUntil = new Intl.DateTimeFormat('en-GB', { dateStyle: 'long', timeZone: 'UTC' }).format(quote.validUntil)
+
+  await sendMail({
+    to: inquiry.email,
+    subject: quote.version > 1 ? `Updated fee proposal for your project (version ${quote.version})` : 'Fee proposal for your project',
+    text: [
+      inquiry.firstName ? `Hello ${inquiry.firstName},` : 'Hello,',
+      '',
+      `Please find our fee proposal for your project: ${formatAmount(quote.total, quote.currency)} including VAT.`,
+      'You can review the details and accept or decline it here:',
+      quoteUrl,
+      '',
+      quote.depositAmount > 0
+        ? `On acceptance, a deposit of ${formatAmount(quote.depositAmount, quote.currency)} is paid online.`
+        : null,
+      `This proposal is valid until ${validUntil}.`
+    ].filter(line => line !== null).join('\n')
+  })
+}
+
+/**
+ * Tell the team that the client accepted or declined a quote
+ * @param {string} to - Email of the admin to notify
+ * @param {Object} inquiry - Inquiry document
+ * @param {Object} quote - Answered quote
+ * @returns {Promise<void>}
+ */
+export async function sendQuoteResponseNotificationEmail(to, inquiry, quote) {
+  const clientName = [inquiry.firstName, inquiry.lastName].filter(Boolean).join(' ') || inquiry.email
+  const accepted = quote.status === 'accepted'
+  const response = accepted ? quote.acceptance : quote.decline
+
+  await sendMail({
+    to,
+    subject: `${clientName} ${accepted ? 'accepted' : 'declined'} quote version ${quote.version}`,
+    text: [
+      `${clientName} ${accepted ? 'accepted' : 'declined'} the fee proposal of ${formatAmount(quote.total, quote.currency)}`,
+      `Signed as "${response.name}" on ${response.at.toISOString()}.`,
+      response.reason ? `\nReason: ${response.reason}` : null,
+      '',
+      `${getFrontendUrl()}/admin/inquiries/${inquiry._id}`
+    ].filter(line => line !== null).join('\n')
+  })
+}
+
+/**
+ * Tell an admin they were mentioned in a note on an inquiry
+ * @param {string} to - Email of the mentioned admin
+ * @param {Object} inquiry - Inquiry document
+ * @param {Object} note - Admin note
+ * @returns {Promise<void>}
+ */
+export async function sendNoteMentionEmail(to, inquiry, note) {
+  const clientName = [inquiry.firstName, inquiry.lastName].filter(Boolean).join(' ') || inquiry.email
+
+  await sendMail({
+    to,
+    subject: `${note.author?.email || 'An admin'} mentioned you on ${clientName}'s inquiry`,
+    text: [
+      `${note.author?.email || 'An admin'} mentioned you in a note:`,
+      '',
+      note.text,
+      '',
+      `${getFrontendUrl()}/admin/inquiries/${inquiry._id}`
+    ].join('\n')
+  })
+}
@@ -0,0 +1,260 @@
+import { hasBookedConsultation, getConsultationSchedule } from './consultationCalendar.js'
+import { getDuplicateFields } from './inquiryDuplicates.js'
+import { getInquiryDocuments } from './inquiryDocuments.js'
+import { releaseSlot } from '../models/slotLock.js'
+import { moveInquiryMessages } from '../models/inquiryMessage.js'
+import { applyInquiryMergeToGroups } from '../models/duplicateGroup.js'
+import { moveQuotes } from '../models/quote.js'
+import { removeUnusedContact } from './contacts.js'
+
+/**
+ * Inquiry merge
+ * Duplicates are merged into one surviving inquiry, which receives their documents, notes, labels,
+ * services, payment references, message threads, quotes and client tokens. Each merged inquiry is
+ * replaced by a tombstone ({ _id, mergedInto, mergedAt, mergedBy, email, clientTokenHashes, createdAt })
+ * so old links and IDs are redirected to the survivor.
+ */
+
+export const INQUIRY_MERGED = 'INQUIRY_MERGED'
+
+// Maximum number of inquiries merged into a survivor at once
+export const MAX_MERGE_SOURCES = 10
+
+// Survivor fields filled from the merged inquiries when empty
+const FILLABLE_FIELDS = ['firstName', 'lastName', 'phone', 'address', 'description', 'budget', 'surface']
+
+/**
+ * Respond for a merged inquiry's tombstone
+ * GET requests are redirected (308) to the same route of the surviving inquiry; other requests get
+ * 409 INQUIRY_MERGED with the survivor's ID, since their body may no longer apply.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} tombstone - Merged inquiry ({ _id, mergedInto })
+ */
+export function sendMergedInquiryResponse(req, res, tombstone) {
+  const mergedInto = tombstone.mergedInto.toString()
+  res.set('Location', req.originalUrl.replace(tombstone._id.toString(), mergedInto))
+
+  return res.status(req.method === 'GET' ? 308 : 409).json({
+    success: false,
+    code: INQUIRY_MERGED,
+    message: 'This inquiry was merged into another inquiry',
+    mergedInto
+  })
+}
+
+/**
+ * Why an inquiry cannot be merged into another one
+ * In-flight payments, pending invoices and upcoming consultations stay with their inquiry
+ * because Stripe and the slot calendar refer to it by ID.
+ * @param {Object} inquiry - Inquiry to merge away
+ * @param {Date} now - Current time
+ * @returns {string|null} Reason, or null if it can be merged
+ */
+export function getMergeBlocker(inquiry, now = new Date()) {
+  const id = inquiry._id.toString()
+
+  if (inquiry.mergedInto) {
+    return `Inquiry ${id} was already merged`
+  }
+  if (inquiry.anonymizedAt) {
+    return `Inquiry ${id} was anonymized`
+  }
+  if (inquiry.paymentStatus === 'pending') {
+    return `Inquiry ${id} has a payment in progress`
+  }
+  if (inquiry.invoiceStatus === 'billing_pending') {
+    return `Inquiry ${id} is waiting for billing information`
+  }
+  if (inquiry.status !== 'cancelled' && hasBookedConsultation(inquiry)
+    && getConsultationSchedule(inquiry).end > now) {
+    return `Inquiry ${id} has an upcoming consultation; merge the other inquiries into it instead`
+  }
+
+  return null
+}
+
+function union(...lists) {
+  return [...new Set(lists.flat().filter(Boolean))]
+}
+
+function toPaymentReference(inquiry) {
+  return {
+    inquiryId: inquiry._id,
+    paymentStatus: inquiry.paymentStatus || null,
+    stripeSessionId: inquiry.stripeSessionId || null,
+    stripeCustomerId: inquiry.stripeCustomerId || null,
+    stripeInvoiceId: inquiry.stripeInvoiceId || null,
+    invoiceStatus: inquiry.invoiceStatus || null,
+    paidAt: inquiry.paidAt || null,
+    amountPaid: inquiry.amountPaid ?? null,
+    currency: inquiry.currency || null,
+    ...(inquiry.refund ? { refund: inquiry.refund } : {})
+  }
+}
+
+/**
+ * Fields of the survivor once the given inquiries are merged into it
+ * @param {Object} survivor - Surviving inquiry
+ * @param {Array<Object>} sources - Inquiries merged into it
+ * @param {Object} by - { id, email } of the admin merging
+ * @param {Date} now - Merge time
+ * @returns {Object} Fields to set on the survivor
+ */
+export function buildMergedInquiry(survivor, sources, by, now = new Date()) {
+  const update = {
+    documents: [survivor, ...sources]
+      .flatMap(inquiry => getInquiryDocuments(inquiry))
+      .filter((document, index, documents) => documents.findIndex(other => other.url === document.url) === index),
+    selectedServices: union(survivor.selectedServices || [], ...sources.map(source => source.selectedServices || [])),
+    adminNotes: [
+      ...(survivor.adminNotes || []),
+      ...sources.flatMap(source => (source.adminNotes || []).map(note => ({ ...note, mergedFrom: source._id })))
+    ].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0)),
+    mergedPaymentReferences: [
+      ...(survivor.mergedPaymentReferences || []),
+      ...sources.flatMap(source => [
+        ...(source.mergedPaymentReferences || []),
+        ...(source.stripeSessionId || source.stripeCustomerId || source.stripeInvoiceId ? [toPaymentReference(source)] : [])
+      ])
+    ],
+    mergedFrom: [
+      ...(survivor.mergedFrom || []),
+      ...sources.flatMap(source => [
+        ...(source.mergedFrom || []),
+        { id: source._id, status: source.status || null, createdAt: source.createdAt || null, mergedAt: now, mergedBy: by }
+      ])
+    ],
+    labelIds: [survivor, ...sources]
+      .flatMap(inquiry => inquiry.labelIds || [])
+      .filter((labelId, index, labelIds) => labelIds.findIndex(other => other.equals(labelId)) === index),
+    clientTokenHashes: union(survivor.clientTokenHashes || [], ...sources.map(source => source.clientTokenHashes || [])),
+    updatedAt: now
+  }
+
+  for (const field of FILLABLE_FIELDS) {
+    if (!survivor[field]) {
+      const source = sources.find(candidate => candidate[field])
+      if (source) {
+        update[field] = source[field]
+      }
+    }
+  }
+
+  const lastMessage = [survivor, ...sources]
+    .filter(inquiry => inquiry.lastMessageAt)
+    .sort((a, b) => b.lastMessageAt - a.lastMessageAt)[0]
+  if (lastMessage) {
+    update.lastMessageAt = lastMessage.lastMessageAt
+    update.lastMessageFrom = lastMessage.lastMessageFrom
+  }
+
+  Object.assign(update, getDuplicateFields({ ...survivor, ...update }))
+
+  return update
+}
+
+/**
+ * Add the merged inquiries to the survivor as it is now
+ * The update only applies if the survivor did not change since it was read, so it is retried on a fresh copy.
+ * @param {Object} collection - inquiries collection
+ * @param {Object} survivor - Surviving inquiry as read by the admin
+ * @param {Array<Object>} sources - Inquiries that were replaced by their tombstone
+ * @param {Object} by - { id, email } of the admin merging
+ * @param {Date} now - Merge time
+ * @returns {Promise<Object|null>} Updated survivor, or null if its status changed or it was merged away
+ */
+async function applyMergeToSurvivor(collection, survivor, sources, by, now) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = await collection.findOne({ _id: survivor._id, status: survivor.status, mergedInto: { $exists: false } })
+    if (!current) {
+      return null
+    }
+
+    const inquiry = await collection.findOneAndUpdate(
+      { _id: current._id, status: current.status, updatedAt: current.updatedAt ?? null, mergedInto: { $exists: false } },
+      { $set: buildMergedInquiry(current, sources, by, now), $unset: { documentUrls: '' } },
+      { returnDocument: 'after' }
+    )
+    if (inquiry) {
+      return inquiry
+    }
+  }
+
+  return null
+}
+
+/**
+ * Merge inquiries into a surviving inquiry
+ * Each merged inquiry is first replaced by its tombstone (only if it has not changed since it was read);
+ * an inquiry that changed in the meantime is left in place and reported, never lost. The survivor then
+ * receives the data of the tombstoned inquiries only. If the survivor's status changed in the meantime,
+ * the tombstoned inquiries are put back and nothing is merged.
+ * @param {Object} db - Database
+ * @param {Object} survivor - Surviving inquiry as read
+ * @param {Array<Object>} sources - Inquiries to merge into it, as read (checked with getMergeBlocker)
+ * @param {Object} by - { id, email } of the admin merging
+ * @returns {Promise<Object|null>} { inquiry, mergedIds, skippedIds }, or null if the survivor changed concurrently
+ */
+export async function mergeInquiries(db, survivor, sources, by) {
+  const now = new Date()
+  const collection = db.collection('inquiries')
+
+  const current = await collection.findOne({ _id: survivor._id, status: survivor.status, mergedInto: { $exists: false } })
+  if (!current) {
+    return null
+  }
+
+  const merged = []
+  const skippedIds = []
+  for (const source of sources) {
+    const replaced = await collection.replaceOne(
+      { _id: source._id, status: source.status, mergedInto: { $exists: false } },
+      {
+        mergedInto: survivor._id,
+        mergedAt: now,
+        mergedBy: by,
+        email: source.email || '',
+        clientTokenHashes: source.clientTokenHashes || [],
+        createdAt: source.createdAt || now
+      }
+    )
+    if (replaced.modifiedCount > 0) {
+      merged.push(source)
+    } else {
+      skippedIds.push(source._id)
+    }
+  }
+
+  const mergedIds = merged.map(source => source._id)
+  if (mergedIds.length === 0) {
+    return { inquiry: current, mergedIds, skippedIds }
+  }
+
+  const inquiry = await applyMergeToSurvivor(collection, survivor, merged, by, now)
+  if (!inquiry) {
+    // Put the merged inquiries back as they were
+    await Promise.all(merged.map(source => collection.replaceOne(
+      { _id: source._id, mergedInto: survivor._id, mergedAt: now },
+      source
+    )))
+    return null
+  }
+
+  // Older tombstones point straight at the survivor, so redirects never chain
+  await collection.updateMany({ mergedInto: { $in: mergedIds } }, { $set: { mergedInto: survivor._id } })
+  await moveInquiryMessages(mergedIds, survivor._id)
+  await moveQuotes(mergedIds, survivor._id)
+  await applyInquiryMergeToGroups(mergedIds, survivor._id)
+  await Promise.all(mergedIds.map(id => releaseSlot(id, { includeBooked: true })))
+
+  // Contacts only known from the merged inquiries are not needed any more
+  const mergedContactIds = merged
+    .filter(source => source.contactId)
+    .map(source => source.contactId)
+  for (const contactId of mergedContactIds) {
+    await removeUnusedContact(db, contactId)
+  }
+
+  return { inquiry, mergedIds, skippedIds }
+}
@@ -0,0 +1,145 @@
+import { ObjectId } from 'mongodb'
+import { listAdmins } from '../models/admin.js'
+import { sendNoteMentionEmail } from './inquiryEmails.js'
+
+/**
+ * Admin notes on inquiries
+ * Notes live in the inquiry's `adminNotes` array:
+ * { id, text, author, mentions, pinned, pinnedAt, pinnedBy, history, createdAt, updatedAt }.
+ * Editing a note keeps the previous text in `history`. Other admins are mentioned with
+ * @ followed by their email address, or by the part before the @ when no other admin shares it.
+ */
+
+export const MAX_ADMIN_NOTE_LENGTH = 5000
+
+const MENTION_PATTERN = /(^|[\s(])@([a-z0-9._%+-]+(?:@[a-z0-9.-]+\.[a-z]{2,})?)/gi
+
+/**
+ * Admins mentioned in a note
+ * Disabled admins and the author are never mentioned.
+ * @param {string} text - Note text
+ * @param {Array<Object>} admins - Admin documents
+ * @param {Object} author - { id, email } of the author
+ * @returns {Array<Object>} Mentioned admins ({ id, email })
+ */
+export function extractMentions(text, admins, author = {}) {
+  const candidates = admins.filter(admin => !admin.disabled && admin._id.toString() !== author.id)
+  const mentioned = new Map()
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const handle = match[2].toLowerCase().replace(/\.+$/, '')
+    const matches = handle.includes('@')
+      ? candidates.filter(admin => admin.email.toLowerCase() === handle)
+      : candidates.filter(admin => admin.email.toLowerCase().split('@')[0] === handle)
+
+    // An ambiguous handle mentions nobody
+    if (matches.length === 1) {
+      mentioned.set(matches[0]._id.toString(), { id: matches[0]._id.toString(), email: matches[0].email })
+    }
+  }
+
+  return [...mentioned.values()]
+}
+
+/**
+ * Admins mentioned in a note, looked up among all admins
+ * @param {string} text - Note text
+ * @param {Object} author - { id, email } of the author
+ * @returns {Promise<Array<Object>>} Mentioned admins ({ id, email })
+ */
+export async function resolveMentions(text, author) {
+  return extractMentions(text, await listAdmins(), author)
+}
+
+/**
+ * Email the admins mentioned in a note; a failed email is logged, never thrown
+ * @param {Object} inquiry - Inquiry document
+ * @param {Object} note - Admin note
+ * @param {Array<Object>} mentions - Admins to email ({ id, email })
+ * @returns {Promise<void>}
+ */
+export async function notifyNoteMentions(inquiry, note, mentions) {
+  for (const mention of mentions) {
+    try {
+      await sendNoteMentionEmail(mention.email, inquiry, note)
+    } catch (error) {
+      console.error('⚠️  Could not send note mention email:', {
+        inquiryId: inquiry._id.toString(),
+        noteId: note.id.toString(),
+        adminId: mention.id,
+        error: error.message
+      })
+    }
+  }
+}
+
+/**
+ * Build a new note
+ * @param {string} text - Trimmed note text
+ * @param {Object} author - { id, email } of the admin
+ * @param {Array<Object>} mentions - From extractMentions
+ * @returns {Object} Note
+ */
+export function buildAdminNote(text, author, mentions = []) {
+  const now = new Date()
+  return {
+    id: new ObjectId(),
+    text,
+    author,
+    mentions,
+    pinned: false,
+    history: [],
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+/**
+ * Check a note text
+ * @param {*} text - Requested text
+ * @returns {Object} { text } (trimmed) or { error }
+ */
+export function normalizeNoteText(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : ''
+  if (!trimmed) {
+    return { error: 'Note text is required' }
+  }
+  if (trimmed.length > MAX_ADMIN_NOTE_LENGTH) {
+    return { error: `Notes must be at most ${MAX_ADMIN_NOTE_LENGTH} characters` }
+  }
+  return { text: trimmed }
+}
+
+/**
+ * Notes in display order: pinned notes first, then newest first
+ * @param {Array<Object>} notes - adminNotes
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortAdminNotes(notes) {
+  return [...notes].sort((a, b) =>
+    Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))
+    || new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+}
+
+/**
+ * Give an ID to the notes written before notes could be edited
+ * @param {Object} db - Database
+ * @param {Object} inquiry - Inquiry document
+ * @returns {Promise<Object>} Inquiry whose notes all have an ID
+ */
+export async function ensureAdminNoteIds(db, inquiry) {
+  const notes = inquiry.adminNotes || []
+  if (notes.every(note => note.id)) {
+    return inquiry
+  }
+
+  const adminNotes = notes.map(note => note.id ? note : { id: new ObjectId(), ...note })
+  const updated = await db.collection('inquiries').findOneAndUpdate(
+    { _id: inquiry._id, adminNotes: notes },
+    { $set: { adminNotes } },
+    { returnDocument: 'after' }
+  )
+
+  // Another request gave them IDs first
+  return updated || await db.collection('inquiries').findOne({ _id: inquiry._id })
+}
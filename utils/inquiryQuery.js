@@ -0,0 +1,121 @@
+import { ObjectId } from 'mongodb'
+
+/**
+ * Admin inquiry filters
+ * Turns the query string of the inquiry list and the CSV export into a MongoDB filter,
+ * so both always select the same inquiries.
+ */
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Build the MongoDB filter for admin inquiry filters
+ * @param {Object} filters - q, status, clientType, service, paymentStatus, dateFrom, dateTo,
+ *   assignee ('unassigned', 'mine' or an admin ID), label ('none' or comma-separated label IDs,
+ *   all of which the inquiry must have)
+ * @param {Object} options - adminId of the current admin (for assignee=mine)
+ * @returns {Object} { query } or { error } when a filter value is invalid
+ */
+export function buildInquiryQuery(filters, { adminId = null } = {}) {
+  const {
+    q = '',
+    status = '',
+    clientType = '',
+    service = '',
+    paymentStatus = '',
+    dateFrom = '',
+    dateTo = '',
+    assignee = '',
+    label = ''
+  } = filters
+
+  // Filters needing $or are combined with $and so they never overwrite each other
+  const conditions = []
+  // Merged inquiries only remain as redirects to the inquiry they were merged into
+  const query = { mergedInto: { $exists: false } }
+
+  // Search query (name, email, phone)
+  if (typeof q === 'string' && q.trim()) {
+    const pattern = escapeRegex(q.trim())
+    conditions.push({
+      $or: [
+        { firstName: { $regex: pattern, $options: 'i' } },
+        { lastName: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+        { phone: { $regex: pattern, $options: 'i' } }
+      ]
+    })
+  }
+
+  if (status && status !== 'all') {
+    query.status = status
+  }
+
+  if (clientType && clientType !== 'all') {
+    query.clientType = clientType
+  }
+
+  // Service filter (check if service is in selectedServices array)
+  if (typeof service === 'string' && service.trim()) {
+    query.selectedServices = { $in: [service.trim()] }
+  }
+
+  if (paymentStatus && paymentStatus !== 'all') {
+    if (paymentStatus === 'none') {
+      conditions.push({
+        $or: [
+          { paymentStatus: { $exists: false } },
+          { paymentStatus: null },
+          { paymentStatus: '' }
+        ]
+      })
+    } else {
+      query.paymentStatus = paymentStatus
+    }
+  }
+
+  // Date range filter (createdAt)
+  if (dateFrom || dateTo) {
+    query.createdAt = {}
+    if (dateFrom) {
+      query.createdAt.$gte = new Date(dateFrom)
+    }
+    if (dateTo) {
+      const endDate = new Date(dateTo)
+      endDate.setHours(23, 59, 59, 999) // End of day
+      query.createdAt.$lte = endDate
+    }
+  }
+
+  if (assignee && assignee !== 'all') {
+    if (assignee === 'unassigned') {
+      query['assignedTo.id'] = null
+    } else if (assignee === 'mine') {
+      query['assignedTo.id'] = adminId
+    } else if (ObjectId.isValid(assignee)) {
+      query['assignedTo.id'] = String(assignee)
+    } else {
+      return { error: 'Invalid assignee. Use "unassigned", "mine" or an admin ID' }
+    }
+  }
+
+  if (typeof label === 'string' && label && label !== 'all') {
+    if (label === 'none') {
+      conditions.push({ $or: [{ labelIds: { $exists: false } }, { labelIds: { $size: 0 } }] })
+    } else {
+      const labelIds = label.split(',').map(value => value.trim()).filter(Boolean)
+      if (labelIds.length === 0 || !labelIds.every(labelId => ObjectId.isValid(labelId))) {
+        return { error: 'Invalid label. Use "none" or comma-separated label IDs' }
+      }
+      query.labelIds = { $all: labelIds.map(labelId => new ObjectId(labelId)) }
+    }
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions
+  }
+
+  return { query }
+}
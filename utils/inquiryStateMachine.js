@@ -0,0 +1,222 @@
+/**
+ * Inquiry state machine
+ * Declares which wizard steps a client may perform in which state, and which status
+ * changes are allowed for whom. Every write to `step` or `status` goes through this table.
+ *
+ * Client wizard:   draft (step 1 → 4) → submitted                     (general path)
+ *                  draft (step 1 → 4) → payment_pending → paid       (consultation path)
+ * Admin workflow:  submitted → reviewed → completed, paid → invoice_finalized → completed
+ * After payment:   the client may reschedule, or cancel (paid / invoice_finalized → cancelled)
+ */
+
+export const INQUIRY_STATUSES = [
+  'draft',
+  'submitted',
+  'reviewed',
+  'consultation_pending_payment',
+  'payment_pending',
+  'paid',
+  'invoice_finalized',
+  'completed',
+  'cancelled'
+]
+
+/**
+ * Error codes returned to clients (with HTTP 409) when a request does not fit the current state
+ */
+export const INQUIRY_STATE_ERRORS = {
+  INVALID_STATUS: 'INQUIRY_INVALID_STATUS',
+  INVALID_TRANSITION: 'INQUIRY_INVALID_TRANSITION',
+  STEP_OUT_OF_ORDER: 'INQUIRY_STEP_OUT_OF_ORDER',
+  WRONG_PATH: 'INQUIRY_WRONG_PATH',
+  LOCKED: 'INQUIRY_LOCKED'
+}
+
+// Statuses in which the client may still change wizard answers. Changing an answer while
+// payment is pending (the client came back from an abandoned checkout) returns the inquiry to draft.
+const EDITABLE_STATUSES = ['draft', 'payment_pending', 'consultation_pending_payment']
+
+/**
+ * Allowed status transitions and who may trigger them
+ * client: wizard endpoints, system: Stripe payment confirmation and the cleanup job, admin: admin dashboard
+ */
+const STATUS_TRANSITIONS = {
+  draft: {
+    submitted: ['client'],
+    payment_pending: ['client'],
+    // Inquiries whose checkout was started before payment_pending existed
+    paid: ['system'],
+    cancelled: ['admin']
+  },
+  submitted: {
+    reviewed: ['admin'],
+    cancelled: ['admin']
+  },
+  reviewed: {
+    submitted: ['admin'],
+    completed: ['admin'],
+    cancelled: ['admin']
+  },
+  consultation_pending_payment: {
+    draft: ['client', 'system'],
+    payment_pending: ['client'],
+    paid: ['system'],
+    cancelled: ['admin']
+  },
+  payment_pending: {
+    draft: ['client', 'system'],
+    paid: ['system'],
+    cancelled: ['admin']
+  },
+  paid: {
+    invoice_finalized: ['admin', 'system'],
+    completed: ['admin'],
+    cancelled: ['admin', 'client']
+  },
+  invoice_finalized: {
+    completed: ['admin'],
+    cancelled: ['admin', 'client']
+  },
+  completed: {},
+  cancelled: {}
+}
+
+/**
+ * Wizard actions: the step that must be reached before the action, the path it belongs to,
+ * the statuses it is allowed in and the status it moves the inquiry to
+ */
+const WIZARD_ACTIONS = {
+  context: { minStep: 1, statuses: EDITABLE_STATUSES, toStatus: 'draft' },
+  path: { minStep: 2, statuses: EDITABLE_STATUSES, toStatus: 'draft' },
+  consultation: { minStep: 3, path: 'consult', statuses: EDITABLE_STATUSES, toStatus: 'draft' },
+  submit: { minStep: 3, path: 'general', statuses: ['draft'], toStatus: 'submitted' },
+  checkout: { minStep: 4, path: 'consult', statuses: EDITABLE_STATUSES, toStatus: 'payment_pending' },
+  billing: { minStep: 4, path: 'consult', statuses: ['payment_pending', 'consultation_pending_payment', 'paid', 'invoice_finalized'] },
+  reschedule: { minStep: 4, path: 'consult', statuses: ['paid', 'invoice_finalized'] },
+  cancel: { minStep: 4, path: 'consult', statuses: ['paid', 'invoice_finalized'], toStatus: 'cancelled' }
+}
+
+const STEP_NAMES = {
+  1: 'identity',
+  2: 'project context',
+  3: 'path selection',
+  4: 'consultation details'
+}
+
+/**
+ * Statuses an inquiry can move to from its current status
+ * @param {string} from - Current status
+ * @param {string} actor - client, system or admin
+ * @returns {Array<string>} Reachable statuses
+ */
+export function getAllowedTransitions(from, actor) {
+  const transitions = STATUS_TRANSITIONS[from] || {}
+  return Object.keys(transitions).filter(to => transitions[to].includes(actor))
+}
+
+/**
+ * Check a status change
+ * Setting the current status again is always allowed (no-op)
+ * @param {Object} inquiry - Inquiry document
+ * @param {string} to - Requested status
+ * @param {string} actor - client, system or admin
+ * @returns {Object|null} { code, message } or null if the transition is allowed
+ */
+export function getTransitionError(inquiry, to, actor) {
+  if (!INQUIRY_STATUSES.includes(to)) {
+    return {
+      code: INQUIRY_STATE_ERRORS.INVALID_STATUS,
+      message: `Invalid status. Must be one of: ${INQUIRY_STATUSES.join(', ')}`
+    }
+  }
+
+  const from = inquiry.status || 'draft'
+  if (from === to || getAllowedTransitions(from, actor).includes(to)) {
+    return null
+  }
+
+  const allowed = getAllowedTransitions(from, actor)
+  return {
+    code: INQUIRY_STATE_ERRORS.INVALID_TRANSITION,
+    message: allowed.length > 0
+      ? `Cannot change status from "${from}" to "${to}". Allowed: ${allowed.join(', ')}`
+      : `Cannot change status from "${from}" to "${to}"`
+  }
+}
+
+/**
+ * Status an inquiry has after a wizard action
+ * @param {Object} inquiry - Inquiry document
+ * @param {string} action - Wizard action
+ * @returns {string} Resulting status
+ */
+export function getStatusAfterAction(inquiry, action) {
+  return WIZARD_ACTIONS[action].toStatus || inquiry.status || 'draft'
+}
+
+/**
+ * Next wizard step a client has to complete
+ * @param {Object} inquiry - Inquiry document
+ * @returns {Object|null} { step, action } (step number as used by the wizard), or null if nothing is left to do
+ */
+export function getNextWizardStep(inquiry) {
+  if (!EDITABLE_STATUSES.includes(inquiry.status || 'draft')) {
+    return null
+  }
+
+  const step = inquiry.step || 1
+  if (step < 2) {
+    return { step: 2, action: 'context' }
+  }
+  if (step < 3 || !inquiry.selectedPath) {
+    return { step: 3, action: 'path' }
+  }
+  if (inquiry.selectedPath === 'general') {
+    return { step: 4, action: 'submit' }
+  }
+  if (step < 4) {
+    return { step: 4, action: 'consultation' }
+  }
+  return { step: 4, action: 'checkout' }
+}
+
+/**
+ * Check a client wizard action against the inquiry's current step, path and status
+ * @param {Object} inquiry - Inquiry document
+ * @param {string} action - context, path, consultation, submit, checkout, billing, reschedule or cancel
+ * @returns {Object|null} { code, message } or null if the action is allowed
+ */
+export function getWizardActionError(inquiry, action) {
+  const rule = WIZARD_ACTIONS[action]
+  const status = inquiry.status || 'draft'
+  const step = inquiry.step || 1
+
+  if (!rule.statuses.includes(status)) {
+    return {
+      code: INQUIRY_STATE_ERRORS.LOCKED,
+      message: `This inquiry can no longer be changed (status: ${status})`
+    }
+  }
+
+  if (step < rule.minStep) {
+    return {
+      code: INQUIRY_STATE_ERRORS.STEP_OUT_OF_ORDER,
+      message: `Please complete the ${STEP_NAMES[rule.minStep]} step first`
+    }
+  }
+
+  if (rule.path && inquiry.selectedPath !== rule.path) {
+    return {
+      code: INQUIRY_STATE_ERRORS.WRONG_PATH,
+      message: rule.path === 'consult'
+        ? 'This inquiry is not a consultation request'
+        : 'This inquiry is not a general inquiry'
+    }
+  }
+
+  if (rule.toStatus) {
+    return getTransitionError(inquiry, rule.toStatus, 'client')
+  }
+
+  return null
+}
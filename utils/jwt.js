@@ -1,27 +1,49 @@
 import jwt from 'jsonwebtoken'
 import dotenv from 'dotenv'
+import { loadKeyring, signWithKeyring, verifyWithKeyring, toJwks } from './keyring.js'
 
 dotenv.config()
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production'
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key-change-in-production'
+const DEFAULT_SECRET = 'your-secret-key-change-in-production'
+const DEFAULT_REFRESH_SECRET = 'your-refresh-secret-key-change-in-production'
+
+// Access, MFA and invite tokens
+const accessKeyring = loadKeyring({
+  keysVar: 'JWT_KEYS',
+  activeKidVar: 'JWT_ACTIVE_KID',
+  legacySecretVar: 'JWT_SECRET',
+  defaultSecret: DEFAULT_SECRET
+})
+
+// Refresh tokens use a separate keyring so an access key can never mint a refresh token
+const refreshKeyring = loadKeyring({
+  keysVar: 'JWT_REFRESH_KEYS',
+  activeKidVar: 'JWT_REFRESH_ACTIVE_KID',
+  legacySecretVar: 'JWT_REFRESH_SECRET',
+  defaultSecret: DEFAULT_REFRESH_SECRET
+})
+
 const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m'
 const REFRESH_TOKEN_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d'
+const MFA_TOKEN_EXPIRY = '5m'
+const INQUIRY_RESUME_TOKEN_EXPIRY = process.env.INQUIRY_RESUME_EXPIRY || '72h'
+const INQUIRY_ACCESS_TOKEN_EXPIRY = process.env.INQUIRY_ACCESS_EXPIRY || '7d'
 
 /**
  * Generate access token
- * @param {Object} payload - Token payload (adminId, email, role)
+ * @param {Object} payload - Token payload (adminId, email, role, sessionId)
  * @returns {string} JWT access token
  */
 export function generateAccessToken(payload) {
-  return jwt.sign(
+  return signWithKeyring(
     {
       id: payload.id,
       email: payload.email,
       role: payload.role,
+      sid: payload.sessionId,
       type: 'access'
     },
-    JWT_SECRET,
+    accessKeyring,
     {
       expiresIn: ACCESS_TOKEN_EXPIRY
     }
@@ -30,18 +52,20 @@ export function generateAccessToken(payload) {
 
 /**
  * Generate refresh token
- * @param {Object} payload - Token payload (adminId, email, role)
+ * @param {Object} payload - Token payload (adminId, email, role, sessionId, tokenId)
  * @returns {string} JWT refresh token
  */
 export function generateRefreshToken(payload) {
-  return jwt.sign(
+  return signWithKeyring(
     {
       id: payload.id,
       email: payload.email,
       role: payload.role,
+      sid: payload.sessionId,
+      jti: payload.tokenId,
       type: 'refresh'
     },
-    JWT_REFRESH_SECRET,
+    refreshKeyring,
     {
       expiresIn: REFRESH_TOKEN_EXPIRY
     }
@@ -54,11 +78,18 @@ export function generateRefreshToken(payload) {
  * @returns {Object} Decoded token payload
  */
 export function verifyAccessToken(token) {
+  let decoded
   try {
-    return jwt.verify(token, JWT_SECRET)
+    decoded = verifyWithKeyring(token, accessKeyring)
   } catch (error) {
     throw new Error('Invalid or expired access token')
   }
+  
+  // Other short-lived tokens (e.g. MFA pending) share the secret but must not grant access
+  if (decoded.type !== 'access') {
+    throw new Error('Invalid or expired access token')
+  }
+  return decoded
 }
 
 /**
@@ -67,11 +98,247 @@ export function verifyAccessToken(token) {
  * @returns {Object} Decoded token payload
  */
 export function verifyRefreshToken(token) {
+  let decoded
   try {
-    return jwt.verify(token, JWT_REFRESH_SECRET)
+    decoded = verifyWithKeyring(token, refreshKeyring)
   } catch (error) {
     throw new Error('Invalid or expired refresh token')
   }
+  
+  if (decoded.type !== 'refresh') {
+    throw new Error('Invalid or expired refresh token')
+  }
+  return decoded
+}
+
+/**
+ * Generate MFA pending token
+ * Issued after a valid password when 2FA is enabled; only accepted by the MFA verification step
+ * @param {Object} payload - Token payload (adminId, email)
+ * @returns {string} Short-lived JWT
+ */
+export function generateMfaToken(payload) {
+  return signWithKeyring(
+    {
+      id: payload.id,
+      email: payload.email,
+      type: 'mfa_pending'
+    },
+    accessKeyring,
+    {
+      expiresIn: MFA_TOKEN_EXPIRY
+    }
+  )
+}
+
+/**
+ * Verify MFA pending token
+ * @param {string} token - MFA pending token
+ * @returns {Object} Decoded token payload
+ */
+export function verifyMfaToken(token) {
+  let decoded
+  try {
+    decoded = verifyWithKeyring(token, accessKeyring)
+  } catch (error) {
+    throw new Error('Invalid or expired MFA token. Please log in again.')
+  }
+  
+  if (decoded.type !== 'mfa_pending') {
+    throw new Error('Invalid or expired MFA token. Please log in again.')
+  }
+  return decoded
+}
+
+/**
+ * Generate admin invite token
+ * Embedded in the invite link; the invite document tracks whether it was used or revoked
+ * @param {Object} payload - Token payload (inviteId, email, role)
+ * @param {Date} expiresAt - Invite expiry date
+ * @returns {string} Signed invite token
+ */
+export function generateInviteToken(payload, expiresAt) {
+  return signWithKeyring(
+    {
+      email: payload.email,
+      role: payload.role,
+      jti: payload.inviteId,
+      type: 'admin_invite',
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    },
+    accessKeyring
+  )
+}
+
+/**
+ * Verify admin invite token
+ * @param {string} token - Invite token from the invite link
+ * @returns {Object} Decoded token payload
+ */
+export function verifyInviteToken(token) {
+  let decoded
+  try {
+    decoded = verifyWithKeyring(token, accessKeyring)
+  } catch (error) {
+    throw new Error('Invalid or expired invite link')
+  }
+  
+  if (decoded.type !== 'admin_invite' || !decoded.jti) {
+    throw new Error('Invalid or expired invite link')
+  }
+  return decoded
+}
+
+/**
+ * Generate inquiry resume token
+ * Embedded in the "continue your inquiry" link emailed to a client
+ * @param {Object} payload - Token payload (inquiryId, email)
+ * @returns {string} Signed resume token
+ */
+export function generateInquiryResumeToken(payload) {
+  return signWithKeyring(
+    {
+      sub: payload.inquiryId,
+      email: payload.email,
+      type: 'inquiry_resume'
+    },
+    accessKeyring,
+    {
+      expiresIn: INQUIRY_RESUME_TOKEN_EXPIRY
+    }
+  )
+}
+
+/**
+ * Verify inquiry resume token
+ * @param {string} token - Resume token from the emailed link
+ * @returns {Object} Decoded token payload
+ */
+export function verifyInquiryResumeToken(token) {
+  let decoded
+  try {
+    decoded = verifyWithKeyring(token, accessKeyring)
+  } catch (error) {
+    throw new Error('Invalid or expired resume link')
+  }
+  
+  if (decoded.type !== 'inquiry_resume' || !decoded.sub) {
+    throw new Error('Invalid or expired resume link')
+  }
+  return decoded
+}
+
+/**
+ * Generate inquiry access token
+ * Embedded in message notifications so the client can open a submitted inquiry again
+ * @param {Object} payload - Token payload (inquiryId, email)
+ * @returns {string} Signed access token
+ */
+export function generateInquiryAccessToken(payload) {
+  return signWithKeyring(
+    {
+      sub: payload.inquiryId,
+      email: payload.email,
+      type: 'inquiry_access'
+    },
+    accessKeyring,
+    {
+      expiresIn: INQUIRY_ACCESS_TOKEN_EXPIRY
+    }
+  )
+}
+
+/**
+ * Verify inquiry access token
+ * @param {string} token - Access token from the emailed link
+ * @returns {Object} Decoded token payload
+ */
+export function verifyInquiryAccessToken(token) {
+  let decoded
+  try {
+    decoded = verifyWithKeyring(token, accessKeyring)
+  } catch (error) {
+    throw new Error('Invalid or expired link')
+  }
+  
+  if (decoded.type !== 'inquiry_access' || !decoded.sub) {
+    throw new Error('Invalid or expired link')
+  }
+  return decoded
+}
+
+/**
+ * Generate a form challenge token
+ * Handed out when a public form is opened; its issue time is the start of the form fill
+ * @param {Object} payload - Token payload (challengeId, form, difficulty)
+ * @param {string} expiresIn - Token lifetime
+ * @returns {string} Signed challenge token
+ */
+export function generateFormChallengeToken(payload, expiresIn) {
+  return signWithKeyring(
+    {
+      jti: payload.challengeId,
+      form: payload.form,
+      difficulty: payload.difficulty,
+      type: 'form_challenge'
+    },
+    accessKeyring,
+    {
+      expiresIn
+    }
+  )
+}
+
+/**
+ * Verify a form challenge token
+ * @param {string} token - Challenge token sent with the submission
+ * @returns {Object} Decoded token payload
+ */
+export function verifyFormChallengeToken(token) {
+  let decoded
+  try {
+    decoded = verifyWithKeyring(token, accessKeyring)
+  } catch (error) {
+    throw new Error('Invalid or expired form challenge')
+  }
+  
+  if (decoded.type !== 'form_challenge' || !decoded.jti || !decoded.form) {
+    throw new Error('Invalid or expired form challenge')
+  }
+  return decoded
+}
+
+/**
+ * Public signing keys as a JSON Web Key Set
+ * Only asymmetric access token keys are published; refresh tokens are only verified by this server
+ * @returns {Object} JWKS document
+ */
+export function getPublicJwks() {
+  return toJwks(accessKeyring)
+}
+
+/**
+ * Describe why the configured signing keys are unsafe for production
+ * @returns {string|null} Error message, or null if real keys are configured
+ */
+export function getSigningKeysError() {
+  const usingDefaults = [accessKeyring, refreshKeyring]
+    .some(keyring => keyring.keys.some(key => key.isDefault))
+
+  if (process.env.NODE_ENV === 'production' && usingDefaults) {
+    return 'Refusing to start in production with the default JWT secrets. Set JWT_SECRET and JWT_REFRESH_SECRET (or JWT_KEYS and JWT_REFRESH_KEYS).'
+  }
+  return null
+}
+
+/**
+ * Get the expiry date of a signed token
+ * @param {string} token - JWT
+ * @returns {Date} Expiry date
+ */
+export function getTokenExpiry(token) {
+  const decoded = jwt.decode(token)
+  return new Date(decoded.exp * 1000)
 }
 
 /**
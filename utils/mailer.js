@@ -0,0 +1,74 @@
+import { connectToDatabase } from '../config/database.js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+/**
+ * Pluggable mail delivery
+ *
+ * Built-in transports (selected with MAIL_TRANSPORT):
+ * - outbox (default): stores messages in the `mail_outbox` collection for inspection
+ *   or pickup by an external sender
+ * - console: logs messages to stdout (local development)
+ *
+ * A real provider (SMTP, SES, Postmark...) can be plugged in at startup with
+ * setMailTransport(async (message) => { ... }).
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@architect-portfolio.local'
+
+const builtInTransports = {
+  outbox: async (message) => {
+    const { db } = await connectToDatabase()
+    const result = await db.collection('mail_outbox').insertOne({
+      ...message,
+      status: 'queued',
+      createdAt: new Date()
+    })
+    return { id: result.insertedId.toString() }
+  },
+  console: async (message) => {
+    console.log('📧 Outgoing email:', {
+      to: message.to,
+      subject: message.subject,
+      attachments: (message.attachments || []).map(attachment => attachment.filename)
+    })
+    console.log(message.text)
+    return { id: null }
+  }
+}
+
+let customTransport = null
+
+/**
+ * Replace the mail transport (e.g. with an SMTP or API-based sender)
+ * @param {Function|null} transport - async (message) => { id }
+ */
+export function setMailTransport(transport) {
+  customTransport = transport
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - to, subject, text, html (optional), attachments (optional: filename, content, contentType)
+ * @returns {Promise<Object>} Transport result
+ */
+export async function sendMail({ to, subject, text, html = null, attachments = [] }) {
+  if (!to || !subject || !text) {
+    throw new Error('Email recipient, subject and text are required')
+  }
+
+  const message = { from: MAIL_FROM, to, subject, text, html, attachments }
+
+  if (customTransport) {
+    return await customTransport(message)
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'outbox'
+  const transport = builtInTransports[transportName]
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`)
+  }
+
+  return await transport(message)
+}
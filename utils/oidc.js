@@ -0,0 +1,213 @@
+import crypto from 'crypto'
+import dotenv from 'dotenv'
+import { generateSecureToken } from './tokens.js'
+
+dotenv.config()
+
+/**
+ * OpenID Connect client for admin single sign-on
+ * Authorization code flow with PKCE (S256). Provider metadata and signing keys are
+ * discovered from OIDC_ISSUER and cached in memory.
+ */
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000
+const CLOCK_SKEW_SECONDS = 60
+
+let discoveryCache = null
+let jwksCache = null
+
+/**
+ * Read the OIDC configuration from the environment
+ * @returns {Object|null} Configuration, or null if SSO is not configured
+ */
+export function getOidcConfig() {
+  if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID || !process.env.OIDC_REDIRECT_URI) {
+    return null
+  }
+
+  return {
+    issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+    allowedDomains: (process.env.OIDC_ALLOWED_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    autoProvision: process.env.OIDC_AUTO_PROVISION === 'true',
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer',
+    // Admins with local 2FA still enter their code after SSO unless the provider's MFA is trusted
+    trustProviderMfa: process.env.OIDC_TRUST_PROVIDER_MFA === 'true'
+  }
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options)
+  const body = await response.json().catch(() => null)
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || response.statusText
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${detail}`)
+  }
+  return body
+}
+
+/**
+ * Get the provider metadata (/.well-known/openid-configuration)
+ * @param {Object} config - OIDC configuration
+ * @returns {Promise<Object>} Provider metadata
+ */
+export async function discoverProvider(config) {
+  if (discoveryCache && discoveryCache.issuer === config.issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata
+  }
+
+  const metadata = await fetchJson(`${config.issuer}/.well-known/openid-configuration`)
+  if (metadata.issuer.replace(/\/$/, '') !== config.issuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${config.issuer}, provider reports ${metadata.issuer}`)
+  }
+
+  discoveryCache = { issuer: config.issuer, metadata, expiresAt: Date.now() + DISCOVERY_CACHE_MS }
+  return metadata
+}
+
+async function getProviderKey(metadata, kid) {
+  const findKey = () => jwksCache?.keys.find(key => !kid || key.kid === kid)
+
+  // Refetch once when the key is unknown, the provider may have rotated its keys
+  if (!jwksCache || jwksCache.uri !== metadata.jwks_uri || jwksCache.expiresAt <= Date.now() || !findKey()) {
+    const jwks = await fetchJson(metadata.jwks_uri)
+    jwksCache = { uri: metadata.jwks_uri, keys: jwks.keys || [], expiresAt: Date.now() + DISCOVERY_CACHE_MS }
+  }
+
+  const jwk = findKey()
+  if (!jwk) {
+    throw new Error(`OIDC signing key "${kid}" not found`)
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+}
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export function createPkcePair() {
+  const codeVerifier = generateSecureToken(32)
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  return { codeVerifier, codeChallenge }
+}
+
+/**
+ * Build the URL that sends the admin to the provider's login page
+ * @param {Object} config - OIDC configuration
+ * @param {Object} params - state, nonce, codeChallenge, loginHint
+ * @returns {Promise<string>} Authorization URL
+ */
+export async function buildAuthorizationUrl(config, { state, nonce, codeChallenge, loginHint }) {
+  const metadata = await discoverProvider(config)
+  const url = new URL(metadata.authorization_endpoint)
+
+  url.searchParams.set('response_type', 'code')
+  url.searchParams.set('client_id', config.clientId)
+  url.searchParams.set('redirect_uri', config.redirectUri)
+  url.searchParams.set('scope', config.scopes)
+  url.searchParams.set('state', state)
+  url.searchParams.set('nonce', nonce)
+  url.searchParams.set('code_challenge', codeChallenge)
+  url.searchParams.set('code_challenge_method', 'S256')
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint)
+  }
+
+  return url.toString()
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} config - OIDC configuration
+ * @param {Object} params - code, codeVerifier
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ */
+export async function exchangeAuthorizationCode(config, { code, codeVerifier }) {
+  const metadata = await discoverProvider(config)
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  })
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  }
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+  }
+
+  return await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body })
+}
+
+function verifySignature(alg, data, publicKey, signature) {
+  switch (alg) {
+    case 'RS256':
+      return crypto.verify('sha256', data, publicKey, signature)
+    case 'ES256':
+      return crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature)
+    case 'EdDSA':
+      return crypto.verify(null, data, publicKey, signature)
+    default:
+      throw new Error(`Unsupported ID token algorithm: ${alg}`)
+  }
+}
+
+/**
+ * Verify an ID token and return its claims
+ * Checks signature, issuer, audience, expiry and nonce
+ * @param {Object} config - OIDC configuration
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} expected - nonce sent in the authorization request
+ * @returns {Promise<Object>} ID token claims
+ */
+export async function verifyIdToken(config, idToken, { nonce }) {
+  const metadata = await discoverProvider(config)
+  const [encodedHeader, encodedClaims, encodedSignature] = String(idToken || '').split('.')
+  if (!encodedHeader || !encodedClaims || !encodedSignature) {
+    throw new Error('Malformed ID token')
+  }
+
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'))
+  const publicKey = await getProviderKey(metadata, header.kid)
+  const valid = verifySignature(
+    header.alg,
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    publicKey,
+    Buffer.from(encodedSignature, 'base64url')
+  )
+  if (!valid) {
+    throw new Error('Invalid ID token signature')
+  }
+
+  const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'))
+  const now = Math.floor(Date.now() / 1000)
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+
+  if (String(claims.iss).replace(/\/$/, '') !== config.issuer) {
+    throw new Error('ID token was issued by another provider')
+  }
+  if (!audiences.includes(config.clientId) || (audiences.length > 1 && claims.azp !== config.clientId)) {
+    throw new Error('ID token was issued for another client')
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('ID token has expired')
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch')
+  }
+
+  return claims
+}
@@ -0,0 +1,38 @@
+/**
+ * Admin password policy
+ */
+
+const MIN_LENGTH = 10
+// bcrypt ignores everything after 72 bytes, so longer passwords would be silently truncated
+const MAX_BYTES = 72
+
+/**
+ * Validate a new admin password
+ * @param {string} password - Candidate password
+ * @param {Object} context - email (the password may not contain the email's local part)
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+export function validatePassword(password, { email = '' } = {}) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required'
+  }
+
+  if (password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters long`
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+    return `Password must be at most ${MAX_BYTES} bytes long`
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number'
+  }
+
+  const localPart = email.split('@')[0].toLowerCase()
+  if (localPart.length >= 3 && password.toLowerCase().includes(localPart)) {
+    return 'Password must not contain your email address'
+  }
+
+  return null
+}
@@ -0,0 +1,132 @@
+import Stripe from 'stripe'
+import dotenv from 'dotenv'
+import { getFrontendUrl } from './frontendUrl.js'
+import { getCheckoutEmail, buildCheckoutSessionConfig } from './stripeCheckout.js'
+import { linkInquiryContact } from './contacts.js'
+import { startQuoteDeposit, updateQuoteDeposit } from '../models/quote.js'
+
+dotenv.config()
+
+/**
+ * Quote deposits
+ * The deposit of an accepted quote is paid through Stripe Checkout like consultations. Its session
+ * carries `purpose: 'quote_deposit'` in the metadata so the webhook and the session check update
+ * the quote instead of the inquiry's own payment.
+ */
+
+export const QUOTE_DEPOSIT_PURPOSE = 'quote_deposit'
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: '2024-11-20.acacia',
+})
+
+/**
+ * Whether a Checkout session pays a quote deposit
+ * @param {Object} session - Stripe Checkout session
+ * @returns {boolean}
+ */
+export function isQuoteDepositSession(session) {
+  return session?.metadata?.purpose === QUOTE_DEPOSIT_PURPOSE
+}
+
+/**
+ * Open a Checkout session for the deposit of an accepted quote
+ * @param {Object} quote - Accepted quote with a depositAmount
+ * @param {Object} inquiry - Inquiry of the quote
+ * @returns {Promise<Object>} { sessionId, url }, { error } for an unusable email,
+ *   or { conflict: true } if a deposit payment is already in progress
+ */
+export async function createQuoteDepositCheckout(quote, inquiry) {
+  const { customerEmail, error } = getCheckoutEmail(inquiry.email)
+  if (error) {
+    return { error }
+  }
+
+  // A session still open is reused; a completed one is being paid, so no second one is opened
+  if (quote.deposit?.status === 'pending') {
+    const previous = await stripe.checkout.sessions.retrieve(quote.deposit.sessionId)
+    if (previous.status === 'open') {
+      return { sessionId: previous.id, url: previous.url }
+    }
+    if (previous.status === 'complete') {
+      return { conflict: true }
+    }
+  }
+
+  const frontendUrl = getFrontendUrl()
+  const clientType = inquiry.clientType || 'private'
+
+  const session = await stripe.checkout.sessions.create(buildCheckoutSessionConfig({
+    customerEmail,
+    clientType,
+    lineItems: [{
+      price_data: {
+        currency: quote.currency,
+        product_data: {
+          name: `Deposit - Quote v${quote.version}`,
+          description: `${quote.depositPercent}% deposit on the accepted fee proposal`,
+        },
+        unit_amount: quote.depositAmount,
+      },
+      quantity: 1,
+    }],
+    successUrl: `${frontendUrl}/quote/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: `${frontendUrl}/quote/cancel?quote_id=${quote._id}`,
+    metadata: {
+      inquiryId: inquiry._id.toString(),
+      quoteId: quote._id.toString(),
+      purpose: QUOTE_DEPOSIT_PURPOSE,
+      clientType: clientType,
+    }
+  }))
+
+  const updated = await startQuoteDeposit(
+    quote._id,
+    { sessionId: session.id, amount: quote.depositAmount, currency: quote.currency },
+    quote.deposit?.sessionId || null
+  )
+  if (!updated) {
+    await stripe.checkout.sessions.expire(session.id).catch(() => {})
+    return { conflict: true }
+  }
+
+  return { sessionId: session.id, url: session.url }
+}
+
+/**
+ * Apply a Checkout session of a quote deposit to its quote
+ * @param {Object} db - Database
+ * @param {Object} session - Stripe Checkout session
+ * @param {string} status - Deposit status: paid, pending, failed or expired
+ * @returns {Promise<Object|null>} Updated quote, or null if nothing changed
+ */
+export async function applyQuoteDepositSession(db, session, status) {
+  const fields = status === 'paid'
+    ? { paidAt: new Date(), amountPaid: session.amount_total, stripeCustomerId: session.customer || null }
+    : {}
+
+  const quote = await updateQuoteDeposit(session.id, status, fields)
+
+  if (quote && status === 'paid') {
+    try {
+      const inquiry = await db.collection('inquiries').findOne({ _id: quote.inquiryId })
+      if (inquiry) {
+        await linkInquiryContact(db, inquiry, { stripeCustomerId: session.customer || null })
+      }
+    } catch (contactError) {
+      console.error('⚠️  Could not link the contact of a quote deposit:', {
+        quoteId: quote._id,
+        error: contactError.message
+      })
+    }
+  }
+
+  console.log('🧾 Quote deposit updated:', {
+    sessionId: session.id,
+    quoteId: session.metadata?.quoteId,
+    status: status,
+    changed: !!quote
+  })
+
+  return quote
+}
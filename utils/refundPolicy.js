@@ -0,0 +1,64 @@
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+/**
+ * Consultation cancellation policy
+ * CONSULTATION_REFUND_POLICY lists "hours before the session:refund percent" tiers, e.g.
+ * "48:100,24:50" means a full refund more than 48 hours ahead, 50% between 24 and 48 hours
+ * and nothing within 24 hours.
+ */
+
+const DEFAULT_REFUND_POLICY = '48:100,24:50'
+
+/**
+ * Parse a refund policy string
+ * @param {string} value - Comma-separated "hours:percent" tiers
+ * @returns {Array<Object>} [{ minHours, percent }] sorted from the earliest tier
+ * @throws {Error} If a tier is malformed
+ */
+export function parseRefundPolicy(value) {
+  return String(value)
+    .split(',')
+    .map(tier => tier.trim())
+    .filter(Boolean)
+    .map(tier => {
+      const match = /^(\d+(?:\.\d+)?)\s*:\s*(\d{1,3})$/.exec(tier)
+      if (!match || parseInt(match[2], 10) > 100) {
+        throw new Error(`Invalid refund policy tier "${tier}" (expected hours:percent)`)
+      }
+      return { minHours: parseFloat(match[1]), percent: parseInt(match[2], 10) }
+    })
+    .sort((a, b) => b.minHours - a.minHours)
+}
+
+// Parsed once at startup; a malformed setting falls back to the default instead of failing every cancellation
+function loadRefundPolicy() {
+  try {
+    return parseRefundPolicy(process.env.CONSULTATION_REFUND_POLICY || DEFAULT_REFUND_POLICY)
+  } catch (error) {
+    console.warn(`⚠️  CONSULTATION_REFUND_POLICY: ${error.message}. Using the default policy "${DEFAULT_REFUND_POLICY}".`)
+    return parseRefundPolicy(DEFAULT_REFUND_POLICY)
+  }
+}
+
+const refundPolicy = loadRefundPolicy()
+
+/**
+ * The configured refund policy
+ * @returns {Array<Object>} [{ minHours, percent }]
+ */
+export function getRefundPolicy() {
+  return refundPolicy
+}
+
+/**
+ * Refund a client gets when cancelling a consultation
+ * @param {number} hoursBeforeStart - Hours between now and the session start
+ * @param {Array<Object>} policy - Refund policy (defaults to the configured one)
+ * @returns {number} Refund percent (0-100)
+ */
+export function getRefundPercent(hoursBeforeStart, policy = getRefundPolicy()) {
+  const tier = policy.find(entry => hoursBeforeStart > entry.minHours)
+  return tier ? tier.percent : 0
+}
@@ -0,0 +1,65 @@
+/**
+ * Stripe Checkout session settings shared by consultation payments and quote deposits
+ * For French invoicing compliance:
+ * - Private: Collect personal billing address (no company)
+ * - Business: Collect company billing address (with company name)
+ */
+
+/**
+ * Normalize and check a client email for Stripe (REQUIRED for Stripe automatic emails)
+ * @param {string} email - Email of the inquiry
+ * @returns {Object} { customerEmail } or { error }
+ */
+export function getCheckoutEmail(email) {
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return { error: 'Inquiry email is required for payment processing and receipt delivery' }
+  }
+
+  // Normalize email (lowercase, trim) for Stripe
+  const customerEmail = email.trim().toLowerCase()
+
+  // Basic email validation
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  if (!emailRegex.test(customerEmail)) {
+    return { error: 'Invalid email format in inquiry. Please provide a valid email address.' }
+  }
+
+  return { customerEmail }
+}
+
+/**
+ * Build the configuration of a Checkout session
+ * @param {Object} options - customerEmail, clientType, lineItems (Stripe line_items), expiresAt (Date, optional),
+ *   successUrl, cancelUrl, metadata
+ * @returns {Object} Session configuration for stripe.checkout.sessions.create
+ */
+export function buildCheckoutSessionConfig({ customerEmail, clientType, lineItems, expiresAt = null, successUrl, cancelUrl, metadata }) {
+  return {
+    mode: 'payment',
+    payment_method_types: ['card'],
+
+    // CRITICAL: Force customer creation to enable automatic email sending
+    customer_creation: 'always',
+    customer_email: customerEmail, // Use normalized email
+
+    // Billing address collection: 'required' ensures Stripe prompts for billing address
+    // This is important for AVS (Address Verification System) checks and compliance
+    billing_address_collection: 'required',
+
+    // Enable tax ID collection so Checkout asks for VAT when supported
+    tax_id_collection: {
+      enabled: true,
+      // Require when clientType is business in supported countries
+      required: clientType === 'business' ? 'if_supported' : 'never'
+    },
+
+    line_items: lineItems,
+
+    ...(expiresAt ? { expires_at: Math.floor(expiresAt.getTime() / 1000) } : {}),
+
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+
+    metadata
+  }
+}
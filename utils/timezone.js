@@ -0,0 +1,166 @@
+/**
+ * Time zone helpers for wall-clock dates ("2026-11-03" at "14:30" in Europe/Paris)
+ * Built on Intl so daylight saving changes are handled without a date library.
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+const formatters = new Map()
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * Check that a string is a valid IANA time zone
+ * @param {string} timeZone - e.g. "Europe/Paris"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false
+  }
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Check a "YYYY-MM-DD" date string (must be a real calendar date)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidDateString(value) {
+  const match = DATE_PATTERN.exec(String(value))
+  if (!match) {
+    return false
+  }
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]))
+  return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3]
+}
+
+/**
+ * Check a "HH:mm" time string (24-hour clock)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidTimeString(value) {
+  return TIME_PATTERN.test(String(value))
+}
+
+/**
+ * Minutes since midnight of a "HH:mm" string
+ * @param {string} time
+ * @returns {number}
+ */
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * "HH:mm" string of a number of minutes since midnight
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:mm", weekday: "monday", ... }
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  )
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`
+
+  return {
+    date: localDate,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: getWeekday(localDate),
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    second: +parts.second
+  }
+}
+
+function getOffsetMs(instant, timeZone) {
+  const parts = getZonedParts(new Date(instant), timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(instant / 1000) * 1000
+}
+
+/**
+ * UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. 60 for UTC+01:00)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  return Math.round(getOffsetMs(date.getTime(), timeZone) / 60000)
+}
+
+/**
+ * Instant of a wall-clock date and time in a time zone
+ * Times skipped by a daylight saving change resolve to the instant after the gap.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes)
+
+  // The offset at the wall-clock time read as UTC is at most one DST change away; correct once
+  const firstGuess = wallClock - getOffsetMs(wallClock, timeZone)
+  return new Date(wallClock - getOffsetMs(firstGuess, timeZone))
+}
+
+/**
+ * Day of the week of a "YYYY-MM-DD" date
+ * @param {string} date
+ * @returns {string} sunday ... saturday
+ */
+export function getWeekday(date) {
+  const [year, month, day] = date.split('-').map(Number)
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
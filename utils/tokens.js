@@ -0,0 +1,39 @@
+import crypto from 'crypto'
+
+/**
+ * Helpers for opaque secret tokens (reset links, capability URLs, API keys...)
+ * Only the SHA-256 hash of a token is stored; the plain token is shown or sent once.
+ */
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Entropy in bytes
+ * @returns {string} base64url token
+ */
+export function generateSecureToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url')
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+/**
+ * Compare a plain token against a stored hash in constant time
+ * @param {string} token - Plain token
+ * @param {string} storedHash - Hex SHA-256 digest
+ * @returns {boolean} True if the token matches
+ */
+export function tokenMatchesHash(token, storedHash) {
+  if (!token || !storedHash) {
+    return false
+  }
+  const candidate = Buffer.from(hashToken(token), 'hex')
+  const expected = Buffer.from(storedHash, 'hex')
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto'
+
+/**
+ * TOTP helpers (RFC 6238) for admin two-factor authentication
+ * Compatible with Google Authenticator, 1Password, Authy, etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const TOTP_PERIOD_SECONDS = 30
+const TOTP_DIGITS = 6
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decode a base32 string (padding and spaces are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Compute the HOTP code for a counter value
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3]
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0')
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} options - secret, accountName (admin email), issuer
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+/**
+ * Verify a TOTP code against a secret
+ * Accepts codes from adjacent time steps to tolerate clock drift
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - window (steps either side), lastUsedStep (rejects replays)
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, { window = 1, lastUsedStep = null } = {}) {
+  const normalizedCode = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(normalizedCode)) {
+    return null
+  }
+
+  const key = base32Decode(secret)
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS)
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue
+    }
+    const expected = hotp(key, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step
+    }
+  }
+
+  return null
+}
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx)
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Plain-text recovery codes (show once, store hashed)
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase()
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+}
+
+/**
+ * Normalize a recovery code before hashing or comparing
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} Normalized code
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '')
+}